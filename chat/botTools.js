@@ -0,0 +1,189 @@
+/**
+ * botTools.js - Built-in tools for Setsuna's tool-calling chat
+ * Each tool wraps something the bot can already do from slash commands or intent detection.
+ * Context passed by the chat path: `{ message, musicPlayer, generateImage(prompt), isOwner }`.
+ */
+
+const { registerTool } = require('../llm/tools');
+const llm = require('../llm/registry');
+const permissions = require('./permissions');
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+
+// Music tools need a guild and a music player, and the user needs the guild's `music` permission
+function canUseMusic(context) {
+  const { message } = context;
+  if (!context.musicPlayer || !message || !message.guild) return false;
+  return permissions.isAllowed({
+    guildId: message.guildId,
+    member: message.member,
+    permissions: message.member ? message.member.permissions : null,
+    isOwner: !!context.isOwner
+  }, 'music', null);
+}
+
+async function searchYouTube(query, maxResults = 3) {
+  const { google } = require('googleapis');
+  const youtube = google.youtube({ version: 'v3', auth: process.env.YOUTUBE_API_KEY });
+  const response = await youtube.search.list({
+    part: 'snippet',
+    q: query,
+    maxResults: Math.min(Math.max(maxResults, 1), 10),
+    type: 'video'
+  });
+  return (response.data.items || []).map(item => ({
+    title: item.snippet.title,
+    channel: item.snippet.channelTitle,
+    url: `https://www.youtube.com/watch?v=${item.id.videoId}`
+  }));
+}
+
+// Image attachments on the message, then on the message it replies to
+async function findImageUrls(message) {
+  const isImage = attachment => IMAGE_EXTENSIONS.includes(attachment.name.split('.').pop().toLowerCase());
+  const urls = Array.from(message.attachments.values()).filter(isImage).map(attachment => attachment.url);
+  if (urls.length === 0 && message.reference && message.reference.messageId) {
+    const replied = await message.channel.messages.fetch(message.reference.messageId).catch(() => null);
+    if (replied) {
+      urls.push(...Array.from(replied.attachments.values()).filter(isImage).map(attachment => attachment.url));
+    }
+  }
+  return urls;
+}
+
+function registerBuiltInTools() {
+  registerTool({
+    name: 'music.play',
+    description: 'Play a song or add it to the music queue in the user\'s voice channel. Accepts a song name, a YouTube/Spotify/SoundCloud URL or a playlist URL.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Song name with artist, or a URL' }
+      },
+      required: ['query']
+    },
+    isAvailable: canUseMusic,
+    async execute({ query }, { message, musicPlayer }) {
+      const voiceChannel = message.member?.voice?.channel;
+      if (!voiceChannel) {
+        return { success: false, error: 'The user is not in a voice channel' };
+      }
+      const result = await musicPlayer.play(voiceChannel, message.channel, query, message.member);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+      if (result.type === 'playlist') {
+        return { success: true, type: 'playlist', name: result.name, count: result.count };
+      }
+      return {
+        success: true,
+        type: 'track',
+        title: result.track?.info?.title || query,
+        author: result.track?.info?.author || null
+      };
+    }
+  });
+
+  registerTool({
+    name: 'music.queue',
+    description: 'Show the song that is playing now and the upcoming songs in the music queue.',
+    isAvailable: canUseMusic,
+    async execute(args, { message, musicPlayer }) {
+      const player = musicPlayer.getPlayer(message.guildId);
+      if (!player || !player.current) {
+        return { playing: false };
+      }
+      return {
+        playing: true,
+        paused: player.paused,
+        current: { title: player.current.info.title, author: player.current.info.author, url: player.current.info.uri },
+        upcoming: player.queue.slice(0, 10).map(track => ({ title: track.info.title, author: track.info.author })),
+        queueLength: player.queue.length
+      };
+    }
+  });
+
+  registerTool({
+    name: 'youtube.search',
+    description: 'Search YouTube for videos. Returns titles, channels and URLs; a URL can be passed to music.play.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search keywords' },
+        maxResults: { type: 'integer', description: 'Number of results (1-10, default 3)' }
+      },
+      required: ['query']
+    },
+    isAvailable: () => !!process.env.YOUTUBE_API_KEY,
+    async execute({ query, maxResults }) {
+      const videos = await searchYouTube(query, maxResults || 3);
+      return videos.length > 0 ? { videos } : { videos: [], note: 'No results' };
+    }
+  });
+
+  registerTool({
+    name: 'image.generate',
+    description: 'Generate an image from a text description and post it in the channel.',
+    parameters: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string', description: 'Detailed description of the image' }
+      },
+      required: ['prompt']
+    },
+    isAvailable: context => !!(context.message && context.generateImage) && llm.hasKeys('gemini'),
+    async execute({ prompt }, { message, generateImage }) {
+      const { imageData, mimeType, responseText } = await generateImage(prompt);
+      const fileExtension = mimeType.split('/')[1] || 'png';
+      // [IMAGE_GENERATED] marks the message for the image modification flow
+      await message.channel.send({
+        content: (responseText || '這是根據你的描述生成的圖片：') + ' [IMAGE_GENERATED]',
+        files: [{ attachment: Buffer.from(imageData, 'base64'), name: `gemini-image-${Date.now()}.${fileExtension}` }]
+      });
+      return { success: true, posted: true };
+    }
+  });
+
+  registerTool({
+    name: 'ocr.extract',
+    description: 'Read the text in an image attached to the user\'s message (or to the message they replied to).',
+    isAvailable: context => !!context.message,
+    // Only Discord attachments are read, never a URL from the model, so the bot can't be made to fetch other hosts
+    async execute(args, { message }) {
+      const urls = await findImageUrls(message);
+      if (urls.length === 0) {
+        return { success: false, error: 'No image found on the message' };
+      }
+      const { extractTextFromImage } = require('../ocr');
+      const result = await extractTextFromImage(urls[0]);
+      return result.success
+        ? { success: true, text: result.text || '(no text found)' }
+        : { success: false, error: result.error };
+    }
+  });
+
+  registerTool({
+    name: 'web.search',
+    description: 'Search the web for current information (news, weather, prices, facts after your training data).',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look up' }
+      },
+      required: ['query']
+    },
+    isAvailable: () => llm.hasKeys('gemini'),
+    async execute({ query }) {
+      // Gemini with Google Search grounding does the searching and summarizing in one call
+      const answer = await llm.callProvider('gemini', [
+        { role: 'system', content: 'Search the web and answer with the key facts and their sources. Be concise.' },
+        { role: 'user', content: query }
+      ], { model: 'gemini-2.5-flash', grounding: true });
+      return { answer };
+    }
+  });
+}
+
+module.exports = {
+  registerBuiltInTools
+};
@@ -0,0 +1,132 @@
+/**
+ * conversationStore.js - Per-channel conversation memory for Setsuna
+ * Keeps normalized turns (who said what, plus enrichments such as image analyses and YouTube info)
+ * in MongoDB when MONGODB_URI is set, otherwise in memory only. The chat path builds its context
+ * from here instead of re-fetching Discord messages, trimmed to the target model's token budget.
+ */
+
+const db = require('../db');
+const { estimateTokens, truncateToTokens, MESSAGE_OVERHEAD } = require('../llm/tokenizer');
+
+const MAX_TURNS = 200;   // Turns kept per channel, in memory and in MongoDB
+const PRUNE_EVERY = 50;  // Appends between MongoDB prunes
+
+// Enrichments are appended to the turn's text in this order
+const ENRICHMENT_KEYS = ['imageAttachment', 'youtube', 'youtubeSearch', 'imageAnalysis'];
+
+const conversations = new Map();  // channelId -> turns, oldest first
+const pendingLoads = new Map();   // channelId -> Promise while loading from MongoDB
+const appendsSincePrune = new Map();
+
+function isPersistent() {
+  return !!process.env.MONGODB_URI;
+}
+
+/**
+ * Turn shape: `{ messageId, role: 'user'|'assistant', author, content, enrichments, createdAt }`.
+ * `enrichments` holds the extra text attached to a message (`imageAttachment`, `youtube`,
+ * `youtubeSearch`, `imageAnalysis`), kept apart from what the user actually typed.
+ */
+function normalizeTurn(turn) {
+  const enrichments = {};
+  for (const key of ENRICHMENT_KEYS) {
+    if (turn.enrichments && turn.enrichments[key]) {
+      enrichments[key] = turn.enrichments[key];
+    }
+  }
+  return {
+    messageId: turn.messageId || null,
+    role: turn.role === 'assistant' ? 'assistant' : 'user',
+    author: turn.author || null,
+    content: turn.content || '',
+    enrichments,
+    createdAt: turn.createdAt ? new Date(turn.createdAt) : new Date()
+  };
+}
+
+// Turns of a channel, loading them from MongoDB the first time
+async function getTurns(channelId) {
+  if (conversations.has(channelId)) {
+    return conversations.get(channelId);
+  }
+  if (!pendingLoads.has(channelId)) {
+    pendingLoads.set(channelId, (async () => {
+      const saved = isPersistent() ? await db.loadConversationTurns(channelId, MAX_TURNS) : null;
+      conversations.set(channelId, (saved || []).map(normalizeTurn));
+      pendingLoads.delete(channelId);
+      return conversations.get(channelId);
+    })());
+  }
+  return pendingLoads.get(channelId);
+}
+
+async function appendTurns(channelId, newTurns) {
+  const turns = await getTurns(channelId);
+  const normalized = newTurns.map(normalizeTurn);
+  turns.push(...normalized);
+  if (turns.length > MAX_TURNS) {
+    turns.splice(0, turns.length - MAX_TURNS);
+  }
+
+  if (isPersistent()) {
+    await db.saveConversationTurns(channelId, normalized);
+    const appended = (appendsSincePrune.get(channelId) || 0) + normalized.length;
+    if (appended >= PRUNE_EVERY) {
+      appendsSincePrune.set(channelId, 0);
+      await db.pruneConversationTurns(channelId, MAX_TURNS);
+    } else {
+      appendsSincePrune.set(channelId, appended);
+    }
+  }
+}
+
+function appendTurn(channelId, turn) {
+  return appendTurns(channelId, [turn]);
+}
+
+async function clearConversation(channelId) {
+  conversations.set(channelId, []);
+  appendsSincePrune.delete(channelId);
+  if (isPersistent()) {
+    await db.pruneConversationTurns(channelId, 0);
+  }
+}
+
+// Text of a turn as the model sees it: user turns carry the speaker's name, enrichments follow the message
+function renderTurn(turn) {
+  const enrichmentText = ENRICHMENT_KEYS.map(key => turn.enrichments[key]).filter(Boolean).join('');
+  const content = turn.role === 'user' && turn.author ? `[${turn.author}]: ${turn.content}` : turn.content;
+  return content + enrichmentText;
+}
+
+/**
+ * Newest turns that fit in `maxTokens`, as `{ role, content, author }` chat messages, oldest first.
+ * The latest turn is always included; if it alone is over budget its end (usually the enrichments) is cut.
+ */
+function buildHistoryWindow(turns, maxTokens) {
+  const window = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    let content = renderTurn(turns[i]);
+    let tokens = estimateTokens(content);
+    if (window.length > 0 && used + tokens > maxTokens) break;
+    if (tokens > maxTokens) {
+      content = truncateToTokens(content, Math.max(maxTokens - MESSAGE_OVERHEAD, 0));
+      tokens = estimateTokens(content);
+    }
+    window.unshift({ role: turns[i].role, content, author: turns[i].author });
+    used += tokens;
+  }
+  return window;
+}
+
+module.exports = {
+  isPersistent,
+  getTurns,
+  appendTurn,
+  appendTurns,
+  clearConversation,
+  renderTurn,
+  buildHistoryWindow,
+  MAX_TURNS
+};
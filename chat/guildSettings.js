@@ -0,0 +1,127 @@
+/**
+ * guildSettings.js - Server-wide default settings for Setsuna
+ * A guild can set a default model, persona, trigger mode and reply language that every activated
+ * channel uses unless it sets its own. The same record holds the guild's command permissions
+ * (see permissions.js) and OpenClaw access (see openclawJobs.js). Kept in MongoDB when MONGODB_URI
+ * is set, otherwise in memory only.
+ */
+
+const db = require('../db');
+const llm = require('../llm/registry');
+const { TRIGGER_MODES } = require('./triggers');
+
+const SETTING_KEYS = ['model', 'persona', 'triggerMode', 'language'];
+// Stored alongside the defaults, but not reset with them
+const STORED_KEYS = [...SETTING_KEYS, 'permissions', 'openclaw'];
+
+// Reply languages: value -> [label, name used in the prompt]
+const LANGUAGES = {
+  auto: ['Auto (match the user)', null],
+  'zh-TW': ['繁體中文', 'Traditional Chinese'],
+  'zh-CN': ['简体中文', 'Simplified Chinese'],
+  en: ['English', 'English'],
+  ja: ['日本語', 'Japanese'],
+  ko: ['한국어', 'Korean']
+};
+
+// guildId -> { model, persona, triggerMode, language, permissions, openclaw }
+const guildSettings = new Map();
+
+function isPersistent() {
+  return !!process.env.MONGODB_URI;
+}
+
+// Loads every guild's settings; called once at startup so lookups can stay synchronous
+async function loadGuildSettings() {
+  if (!isPersistent()) return;
+  const docs = await db.loadAllGuildConfigs();
+  for (const doc of docs || []) {
+    const settings = {};
+    for (const key of STORED_KEYS) {
+      if (doc[key]) settings[key] = doc[key];
+    }
+    guildSettings.set(doc.guildId, settings);
+  }
+  console.log(`[Guild] 已載入 ${guildSettings.size} 個伺服器的預設設定`);
+}
+
+function getGuildSettings(guildId) {
+  return (guildId && guildSettings.get(guildId)) || {};
+}
+
+function getLanguageChoices() {
+  return Object.entries(LANGUAGES).map(([value, [label]]) => ({ name: label, value }));
+}
+
+function getLanguageLabel(language) {
+  return (LANGUAGES[language] || LANGUAGES.auto)[0];
+}
+
+// The system prompt line for a reply language ('' for auto)
+function getLanguagePrompt(language) {
+  const name = LANGUAGES[language] && LANGUAGES[language][1];
+  return name ? `[Language] Always reply in ${name}, whatever language the user writes in.` : '';
+}
+
+// Checks the settings; returns an error message or null (persona names are checked by the caller)
+function validateSettings({ model, triggerMode, language }) {
+  if (model && !llm.getProvider(model)) {
+    return `I don't know the model \`${model}\`.`;
+  }
+  if (triggerMode && !TRIGGER_MODES.includes(triggerMode)) {
+    return `Trigger mode must be one of ${TRIGGER_MODES.join(', ')}.`;
+  }
+  if (language && !LANGUAGES[language]) {
+    return `I don't know the language \`${language}\`.`;
+  }
+  return null;
+}
+
+/**
+ * Changes a guild's settings (or its `permissions` / `openclaw` records); `undefined` fields are left alone, `null` clears them.
+ * @returns {Promise<{ success: boolean, settings?: Object, error?: string }>}
+ */
+async function updateGuildSettings(guildId, changes) {
+  const validationError = validateSettings(changes);
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  const settings = { ...getGuildSettings(guildId) };
+  for (const key of STORED_KEYS) {
+    if (changes[key] === null) {
+      delete settings[key];
+    } else if (changes[key] !== undefined) {
+      settings[key] = changes[key];
+    }
+  }
+  guildSettings.set(guildId, settings);
+  if (isPersistent()) {
+    await db.saveGuildConfig(guildId, settings);
+  }
+  return { success: true, settings };
+}
+
+// Clears the guild's defaults; its permissions and OpenClaw access stay
+async function resetGuildSettings(guildId) {
+  const settings = getGuildSettings(guildId);
+  if (STORED_KEYS.some(key => !SETTING_KEYS.includes(key) && settings[key])) {
+    await updateGuildSettings(guildId, Object.fromEntries(SETTING_KEYS.map(key => [key, null])));
+    return;
+  }
+  guildSettings.delete(guildId);
+  if (isPersistent()) {
+    await db.deleteGuildConfig(guildId);
+  }
+}
+
+module.exports = {
+  SETTING_KEYS,
+  loadGuildSettings,
+  getGuildSettings,
+  getLanguageChoices,
+  getLanguageLabel,
+  getLanguagePrompt,
+  updateGuildSettings,
+  resetGuildSettings
+};
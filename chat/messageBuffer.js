@@ -0,0 +1,96 @@
+/**
+ * messageBuffer.js - Burst coalescing and per-channel reply lock for Setsuna
+ * Messages that arrive in quick succession in a channel are collected for a short window and handled
+ * as one turn, so "hey" / "can you" / "play something" gets one answer instead of three.
+ * Each channel handles one burst at a time; messages that arrive meanwhile wait for the next burst,
+ * so replies never interleave.
+ */
+
+const DEFAULT_WINDOW_MS = parseInt(process.env.MESSAGE_DEBOUNCE_MS, 10) >= 0
+  ? parseInt(process.env.MESSAGE_DEBOUNCE_MS, 10)
+  : 1500;
+const MAX_WAIT_MS = 8000;        // A burst is handled at the latest this long after its first message
+const MAX_BURST_MESSAGES = 10;
+
+// channelId -> { messages, timer, firstAt, processing }
+const bursts = new Map();
+
+function getBurst(channelId) {
+  if (!bursts.has(channelId)) {
+    bursts.set(channelId, { messages: [], timer: null, firstAt: 0, processing: false });
+  }
+  return bursts.get(channelId);
+}
+
+/**
+ * Folds a burst into its last message: earlier messages from the same author are prepended to its
+ * content and their attachments added to it; messages from other people are kept on `_burstMessages`
+ * (with the merged ones) so they can be recorded as turns of their own.
+ */
+function coalesceBurst(messages) {
+  const message = messages[messages.length - 1];
+  const earlier = messages.slice(0, -1);
+  if (earlier.length === 0) return message;
+
+  const ownEarlier = earlier.filter(msg => msg.author.id === message.author.id);
+  message.content = [...ownEarlier.map(msg => msg.content), message.content].filter(Boolean).join('\n');
+  for (const msg of ownEarlier) {
+    message.attachments = message.attachments.concat(msg.attachments);
+  }
+  message._burstMessages = earlier;
+  return message;
+}
+
+function scheduleFlush(channelId, burst, windowMs, handler) {
+  clearTimeout(burst.timer);
+  const waited = Date.now() - burst.firstAt;
+  const delay = burst.messages.length >= MAX_BURST_MESSAGES ? 0 : Math.max(Math.min(windowMs, MAX_WAIT_MS - waited), 0);
+  burst.timer = setTimeout(() => flushBurst(channelId, windowMs, handler), delay);
+}
+
+async function flushBurst(channelId, windowMs, handler) {
+  const burst = getBurst(channelId);
+  burst.timer = null;
+  if (burst.processing || burst.messages.length === 0) return;
+
+  burst.processing = true;
+  const messages = burst.messages.splice(0);
+  try {
+    await handler(coalesceBurst(messages));
+  } catch (error) {
+    console.error(`[Burst] 處理頻道 ${channelId} 的訊息時出錯:`, error);
+  } finally {
+    burst.processing = false;
+    if (burst.messages.length > 0) {
+      // Whatever came in while replying becomes the next burst
+      burst.firstAt = Date.now();
+      scheduleFlush(channelId, burst, windowMs, handler);
+    } else {
+      bursts.delete(channelId);
+    }
+  }
+}
+
+/**
+ * Adds a message to its channel's burst; `handler(message)` runs with the coalesced message once the
+ * channel has been quiet for `windowMs` and no earlier burst of the channel is still being handled.
+ *
+ * @param {import('discord.js').Message} message
+ * @param {(message: import('discord.js').Message) => Promise<void>} handler
+ * @param {number} [windowMs] - How long to wait for more messages; 0 doesn't wait (bursts still form while replying)
+ */
+function queueMessage(message, handler, windowMs = DEFAULT_WINDOW_MS) {
+  const burst = getBurst(message.channelId);
+  if (burst.messages.length === 0) {
+    burst.firstAt = Date.now();
+  }
+  burst.messages.push(message);
+  // While a reply is being written, the next burst starts when it is done
+  if (burst.processing) return;
+  scheduleFlush(message.channelId, burst, windowMs, handler);
+}
+
+module.exports = {
+  DEFAULT_WINDOW_MS,
+  queueMessage
+};
@@ -0,0 +1,162 @@
+/**
+ * messageSplitter.js - Shared message splitter for Setsuna
+ * Splits long replies for platforms with a per-message limit (Discord 2000, Telegram 4096) without
+ * cutting inside a Markdown link or a grapheme. Code blocks are kept whole when possible; a block
+ * that is longer than one message is closed at the cut and reopened (same language) in the next chunk.
+ */
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Marks every index where a cut would not split a grapheme (emoji sequences, combining marks, surrogate pairs)
+function getGraphemeBoundaries(text) {
+  const boundaries = new Uint8Array(text.length + 1);
+  for (const { index } of graphemeSegmenter.segment(text)) {
+    boundaries[index] = 1;
+  }
+  boundaries[text.length] = 1;
+  return boundaries;
+}
+
+// Finds fenced code blocks: [{ start, end, opener, marker }]; an unclosed block runs to the end of the text
+function getCodeFences(text) {
+  const fences = [];
+  const fenceLine = /^ {0,3}(`{3,}|~{3,})(.*)$/gm;
+  let open = null;
+  let match;
+  while ((match = fenceLine.exec(text)) !== null) {
+    const [line, marker, rest] = match;
+    if (!open) {
+      open = { start: match.index, opener: line.trim(), marker };
+    } else if (marker[0] === open.marker[0] && marker.length >= open.marker.length && !rest.trim()) {
+      fences.push({ ...open, end: match.index + line.length });
+      open = null;
+    }
+  }
+  if (open) {
+    fences.push({ ...open, end: text.length });
+  }
+  return fences;
+}
+
+// Markdown links and bare URLs must stay in one piece or they stop being clickable
+function getLinkRanges(text) {
+  const ranges = [];
+  const linkPattern = /!?\[[^\]\n]*\]\([^)\s]*(?:\s+"[^"]*")?\)|<https?:\/\/[^>\s]+>|https?:\/\/[^\s<>()]+/g;
+  let match;
+  while ((match = linkPattern.exec(text)) !== null) {
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return ranges;
+}
+
+function findContaining(ranges, index) {
+  return ranges.find(range => range.start < index && index < range.end) || null;
+}
+
+/**
+ * Splits `text` into chunks of at most `limit` characters.
+ * Cuts are tried at paragraph, line, sentence and word boundaries (never in the first half of a chunk),
+ * first outside code blocks, then inside them, and finally at any grapheme boundary.
+ *
+ * @param {string} text - Text to split
+ * @param {Object} options - `limit` (defaults to Discord's 2000)
+ * @returns {string[]} Chunks, in order; an empty array for empty text
+ */
+function splitMessage(text, options = {}) {
+  const limit = options.limit || DISCORD_MESSAGE_LIMIT;
+  if (!text) return [];
+  if (text.length <= limit) return [text];
+
+  const graphemes = getGraphemeBoundaries(text);
+  const fences = getCodeFences(text);
+  const links = getLinkRanges(text);
+
+  const isSafeCut = (index, allowInsideFence) =>
+    graphemes[index] === 1 &&
+    !findContaining(links, index) &&
+    (allowInsideFence || !findContaining(fences, index));
+
+  // Last position just after a match of `pattern` in [from, to] that is a safe cut
+  const lastCutAfter = (pattern, from, to, allowInsideFence) => {
+    const window = text.slice(0, to);
+    pattern.lastIndex = from;
+    let best = -1;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      const cut = match.index + match[0].length;
+      if (cut >= from && cut <= to && isSafeCut(cut, allowInsideFence)) {
+        best = cut;
+      }
+      if (match[0].length === 0) pattern.lastIndex++;
+    }
+    return best;
+  };
+
+  const findCut = (start, budget) => {
+    const end = start + Math.max(budget, 1);
+    const minCut = start + Math.floor(budget / 2);
+
+    // 1. Outside code blocks: paragraph, line, sentence, word
+    for (const pattern of [/\n\n+/g, /\n/g, /[。！？!?.](?=\s)|[。！？]/g, /[ \t]+/g]) {
+      const cut = lastCutAfter(pattern, minCut, end, false);
+      if (cut > start) return cut;
+    }
+
+    // 2. Inside a code block that is too big for one message: cut at a line (the caller closes the fence)
+    const cutInFence = lastCutAfter(/\n/g, minCut, end, true);
+    if (cutInFence > start) return cutInFence;
+
+    // 3. Anywhere that doesn't split a grapheme (or a link, unless the link itself is too long)
+    for (let cut = end; cut > start; cut--) {
+      if (isSafeCut(cut, true)) return cut;
+    }
+    for (let cut = end; cut > start; cut--) {
+      if (graphemes[cut] === 1) return cut;
+    }
+    return end;
+  };
+
+  const chunks = [];
+  let position = 0;
+  let reopen = ''; // Fence opener carried over from the previous chunk, e.g. "```js"
+
+  while (position < text.length) {
+    const prefix = reopen ? `${reopen}\n` : '';
+    if (prefix.length + text.length - position <= limit) {
+      chunks.push(prefix + text.slice(position));
+      break;
+    }
+
+    let cut = findCut(position, limit - prefix.length);
+    let fence = findContaining(fences, cut);
+    // Closing the fence must still fit; if not, cut earlier
+    if (fence && cut - position + prefix.length + fence.marker.length + 1 > limit) {
+      cut = findCut(position, limit - prefix.length - fence.marker.length - 1);
+      fence = findContaining(fences, cut);
+    }
+
+    let chunk = prefix + text.slice(position, cut);
+    if (fence) {
+      chunk += (chunk.endsWith('\n') ? '' : '\n') + fence.marker;
+      reopen = fence.opener;
+    } else {
+      reopen = '';
+    }
+
+    if (chunk.trim()) {
+      chunks.push(chunk);
+    }
+    position = cut;
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  splitMessage,
+  DISCORD_MESSAGE_LIMIT,
+  TELEGRAM_MESSAGE_LIMIT
+};
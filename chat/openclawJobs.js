@@ -0,0 +1,235 @@
+/**
+ * openclawJobs.js - OpenClaw access, daily quotas and job queue for Setsuna
+ * Besides bot owners and the roles given the `openclaw` permission, a guild can allowlist single users.
+ * Everyone but owners gets a daily number of OpenClaw jobs (OPENCLAW_DAILY_QUOTA, or the guild's own
+ * limit), counted per UTC day. A guild runs one job at a time; the rest wait in line and are told their
+ * place as it moves. Usage is kept in MongoDB when MONGODB_URI is set, otherwise in memory only.
+ */
+
+const db = require('../db');
+const guildSettings = require('./guildSettings');
+
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.OPENCLAW_DAILY_QUOTA, 10) > 0
+  ? parseInt(process.env.OPENCLAW_DAILY_QUOTA, 10)
+  : 5;
+const MAX_DAILY_QUOTA = 100;
+const MAX_ALLOWED_USERS = 50;
+const MAX_QUEUE_LENGTH = 10;
+
+// `${scope}:${date}` -> Map(userId -> count); a scope is a guild ID, or the channel ID in DMs
+const usage = new Map();
+// scope -> { running: job|null, waiting: job[] }
+const queues = new Map();
+
+function isPersistent() {
+  return !!process.env.MONGODB_URI;
+}
+
+// Usage is counted per UTC day
+function getToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function getAccess(guildId) {
+  return guildSettings.getGuildSettings(guildId).openclaw || {};
+}
+
+function getAllowedUsers(guildId) {
+  return getAccess(guildId).users || [];
+}
+
+function isAllowedUser(guildId, userId) {
+  return !!guildId && getAllowedUsers(guildId).includes(userId);
+}
+
+function getDailyQuota(guildId) {
+  return getAccess(guildId).dailyQuota || DEFAULT_DAILY_QUOTA;
+}
+
+async function saveAccess(guildId, access) {
+  const cleaned = { ...access };
+  if (!cleaned.users || cleaned.users.length === 0) delete cleaned.users;
+  if (!cleaned.dailyQuota) delete cleaned.dailyQuota;
+  await guildSettings.updateGuildSettings(guildId, { openclaw: Object.keys(cleaned).length > 0 ? cleaned : null });
+}
+
+/**
+ * Adds a user to the guild's OpenClaw allowlist, or removes them.
+ * @returns {Promise<{ success: boolean, users?: string[], error?: string }>}
+ */
+async function setUserAccess(guildId, userId, allowed) {
+  const current = getAllowedUsers(guildId);
+  if (allowed && current.includes(userId)) {
+    return { success: false, error: 'That user can already use OpenClaw.' };
+  }
+  if (!allowed && !current.includes(userId)) {
+    return { success: false, error: 'That user isn\'t on the OpenClaw list.' };
+  }
+  if (allowed && current.length >= MAX_ALLOWED_USERS) {
+    return { success: false, error: `At most ${MAX_ALLOWED_USERS} users can be added.` };
+  }
+
+  const users = allowed ? [...current, userId] : current.filter(id => id !== userId);
+  await saveAccess(guildId, { ...getAccess(guildId), users });
+  return { success: true, users };
+}
+
+/**
+ * Sets the guild's daily job limit per user; null goes back to the default.
+ * @returns {Promise<{ success: boolean, dailyQuota?: number, error?: string }>}
+ */
+async function setDailyQuota(guildId, dailyQuota) {
+  if (dailyQuota !== null && (!Number.isInteger(dailyQuota) || dailyQuota < 1 || dailyQuota > MAX_DAILY_QUOTA)) {
+    return { success: false, error: `The daily limit must be between 1 and ${MAX_DAILY_QUOTA}.` };
+  }
+  await saveAccess(guildId, { ...getAccess(guildId), dailyQuota });
+  return { success: true, dailyQuota: dailyQuota || DEFAULT_DAILY_QUOTA };
+}
+
+// Today's counts for a scope, loaded from MongoDB the first time they are needed
+async function getUsageCounts(scope) {
+  const key = `${scope}:${getToday()}`;
+  if (!usage.has(key)) {
+    // Yesterday's counts are no longer needed
+    for (const oldKey of usage.keys()) {
+      if (oldKey.startsWith(`${scope}:`)) usage.delete(oldKey);
+    }
+    const counts = new Map();
+    if (isPersistent()) {
+      const docs = await db.loadOpenClawUsage(scope, getToday());
+      for (const doc of docs || []) {
+        counts.set(doc.userId, doc.count || 0);
+      }
+    }
+    usage.set(key, counts);
+  }
+  return usage.get(key);
+}
+
+/**
+ * Today's usage in a scope, most active users first.
+ * @returns {Promise<Array<{ userId: string, count: number }>>}
+ */
+async function getUsage(scope) {
+  const counts = await getUsageCounts(scope);
+  return Array.from(counts, ([userId, count]) => ({ userId, count })).sort((a, b) => b.count - a.count);
+}
+
+// Clears today's usage for one user, or for everyone in the scope
+async function resetUsage(scope, userId = null) {
+  const counts = await getUsageCounts(scope);
+  if (userId) {
+    counts.delete(userId);
+  } else {
+    counts.clear();
+  }
+  if (isPersistent()) {
+    await db.deleteOpenClawUsage(scope, getToday(), userId);
+  }
+}
+
+async function recordUsage(scope, userId) {
+  const counts = await getUsageCounts(scope);
+  counts.set(userId, (counts.get(userId) || 0) + 1);
+  if (isPersistent()) {
+    await db.incrementOpenClawUsage(scope, getToday(), userId);
+  }
+}
+
+/**
+ * How many jobs a user has left today; owners have no limit (`remaining` is Infinity).
+ * Jobs still waiting in line count as used.
+ * @returns {Promise<{ used: number, limit: number, remaining: number }>}
+ */
+async function getQuota(scope, guildId, userId, isOwner) {
+  const counts = await getUsageCounts(scope);
+  const queue = queues.get(scope);
+  const waiting = queue ? queue.waiting.filter(job => job.userId === userId).length : 0;
+  const used = (counts.get(userId) || 0) + waiting;
+  const limit = getDailyQuota(guildId);
+  return { used, limit, remaining: isOwner ? Infinity : Math.max(limit - used, 0) };
+}
+
+function getQueue(scope) {
+  if (!queues.has(scope)) {
+    queues.set(scope, { running: null, waiting: [] });
+  }
+  return queues.get(scope);
+}
+
+function notifyPositions(queue) {
+  queue.waiting.forEach((job, index) => {
+    Promise.resolve(job.onPosition(index + 1)).catch(error => {
+      console.error('[OpenClaw] 更新排隊位置失敗:', error.message);
+    });
+  });
+}
+
+async function runNext(scope) {
+  const queue = getQueue(scope);
+  if (queue.running || queue.waiting.length === 0) {
+    if (!queue.running) queues.delete(scope);
+    return;
+  }
+
+  const job = queue.waiting.shift();
+  queue.running = job;
+  notifyPositions(queue);
+  try {
+    await recordUsage(scope, job.userId);
+    await job.onPosition(0);
+    await job.run();
+  } catch (error) {
+    console.error(`[OpenClaw] ${scope} 的工作失敗:`, error);
+  } finally {
+    queue.running = null;
+    job.done();
+    runNext(scope);
+  }
+}
+
+/**
+ * Puts an OpenClaw job in its scope's line. `onPosition(n)` is called with the number of jobs ahead
+ * plus one while it waits, and with 0 when it starts; the job counts toward the user's quota from then.
+ * Each user can have one job waiting or running per scope.
+ *
+ * @param {string} scope - Guild ID, or the channel ID in DMs
+ * @param {{ userId: string, run: () => Promise<void>, onPosition: (position: number) => Promise<void> }} job
+ * @returns {{ success: boolean, done?: Promise<void>, reason?: 'busy'|'full', error?: string }}
+ */
+function enqueueJob(scope, { userId, run, onPosition = async () => {} }) {
+  const queue = getQueue(scope);
+  const jobs = [queue.running, ...queue.waiting].filter(Boolean);
+  if (jobs.some(job => job.userId === userId)) {
+    return { success: false, reason: 'busy', error: 'You already have an OpenClaw job running or waiting.' };
+  }
+  if (queue.waiting.length >= MAX_QUEUE_LENGTH) {
+    return { success: false, reason: 'full', error: 'The OpenClaw queue is full, try again later.' };
+  }
+
+  let done;
+  const finished = new Promise(resolve => { done = resolve; });
+  queue.waiting.push({ userId, run, onPosition, done });
+  if (queue.running) {
+    Promise.resolve(onPosition(queue.waiting.length)).catch(error => {
+      console.error('[OpenClaw] 更新排隊位置失敗:', error.message);
+    });
+  } else {
+    runNext(scope);
+  }
+  return { success: true, done: finished };
+}
+
+module.exports = {
+  DEFAULT_DAILY_QUOTA,
+  MAX_DAILY_QUOTA,
+  getAllowedUsers,
+  isAllowedUser,
+  getDailyQuota,
+  setUserAccess,
+  setDailyQuota,
+  getUsage,
+  resetUsage,
+  getQuota,
+  enqueueJob
+};
@@ -0,0 +1,115 @@
+/**
+ * permissions.js - Per-guild command permissions for Setsuna
+ * A guild can give each capability (activating the bot, changing settings, personas, music, editing
+ * server playlists, OpenClaw, resets) to a list of roles. Until it does, a capability keeps its built-in rule: a Discord permission,
+ * everyone, or bot owners only. Administrators and bot owners can always use everything but OpenClaw,
+ * which stays limited to owners and the roles given to it. Stored with the guild's settings.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const guildSettings = require('./guildSettings');
+
+// Built-in rule for capabilities only bot owners (BOT_OWNER_ID) can use
+const OWNER_ONLY = 'owner';
+const MAX_ROLES_PER_CAPABILITY = 10;
+
+const CAPABILITIES = {
+  activate: 'Activate and deactivate Setsuna',
+  settings: 'Change models and channel settings (/setsuna)',
+  personas: 'Manage personas and scenes (/persona, /scene)',
+  music: 'Control music (/music and player buttons)',
+  dj: 'Edit server playlists (DJ)',
+  openclaw: 'Use OpenClaw web browsing',
+  reset: 'Reset conversations (/reset)'
+};
+
+function getCapabilityChoices() {
+  return Object.entries(CAPABILITIES).map(([value, name]) => ({ name, value }));
+}
+
+// Role IDs a guild gave a capability (empty when it uses the built-in rule)
+function getCapabilityRoles(guildId, capability) {
+  const permissions = guildSettings.getGuildSettings(guildId).permissions || {};
+  return permissions[capability] || [];
+}
+
+// GuildMember from the cache, or the raw interaction member whose roles are a list of IDs
+function getMemberRoleIds(member) {
+  if (!member || !member.roles) return [];
+  return member.roles.cache ? Array.from(member.roles.cache.keys()) : member.roles;
+}
+
+/**
+ * Whether someone may use a capability.
+ *
+ * @param {Object} context - `{ guildId, member, permissions, isOwner }`; `permissions` are the member's
+ *   Discord permissions, `guildId` is null in DMs (where everything but OpenClaw is allowed)
+ * @param {string} capability - A key of CAPABILITIES
+ * @param {bigint|string|null} builtInRule - Discord permission needed when the guild hasn't given the
+ *   capability to any role; null allows everyone, OWNER_ONLY only bot owners
+ */
+function isAllowed({ guildId, member, permissions, isOwner }, capability, builtInRule) {
+  if (isOwner) return true;
+  if (!guildId) return builtInRule !== OWNER_ONLY;
+
+  const roles = getCapabilityRoles(guildId, capability);
+  if (roles.length > 0) {
+    const isAdmin = capability !== 'openclaw' && !!permissions && permissions.has(PermissionFlagsBits.Administrator);
+    return isAdmin || getMemberRoleIds(member).some(roleId => roles.includes(roleId));
+  }
+  if (builtInRule === OWNER_ONLY) return false;
+  return builtInRule === null || (!!permissions && permissions.has(builtInRule));
+}
+
+/**
+ * Gives a capability to a role, or takes it away.
+ * @returns {Promise<{ success: boolean, roles?: string[], error?: string }>}
+ */
+async function setRoleAccess(guildId, capability, roleId, allowed) {
+  if (!CAPABILITIES[capability]) {
+    return { success: false, error: `Unknown permission \`${capability}\`.` };
+  }
+  const current = getCapabilityRoles(guildId, capability);
+  if (allowed && current.includes(roleId)) {
+    return { success: false, error: 'That role already has this permission.' };
+  }
+  if (!allowed && !current.includes(roleId)) {
+    return { success: false, error: 'That role doesn\'t have this permission.' };
+  }
+  if (allowed && current.length >= MAX_ROLES_PER_CAPABILITY) {
+    return { success: false, error: `A permission can be given to at most ${MAX_ROLES_PER_CAPABILITY} roles.` };
+  }
+
+  const roles = allowed ? [...current, roleId] : current.filter(id => id !== roleId);
+  await saveCapabilityRoles(guildId, capability, roles);
+  return { success: true, roles };
+}
+
+// Puts one capability (or all of them) back on the built-in rule
+async function resetCapability(guildId, capability) {
+  if (!capability) {
+    await guildSettings.updateGuildSettings(guildId, { permissions: null });
+    return;
+  }
+  await saveCapabilityRoles(guildId, capability, []);
+}
+
+async function saveCapabilityRoles(guildId, capability, roles) {
+  const permissions = { ...(guildSettings.getGuildSettings(guildId).permissions || {}) };
+  if (roles.length > 0) {
+    permissions[capability] = roles;
+  } else {
+    delete permissions[capability];
+  }
+  await guildSettings.updateGuildSettings(guildId, { permissions: Object.keys(permissions).length > 0 ? permissions : null });
+}
+
+module.exports = {
+  OWNER_ONLY,
+  CAPABILITIES,
+  getCapabilityChoices,
+  getCapabilityRoles,
+  isAllowed,
+  setRoleAccess,
+  resetCapability
+};
@@ -0,0 +1,133 @@
+/**
+ * personaWebhooks.js - Persona impersonation through channel webhooks for Setsuna
+ * Replies of a channel that uses a persona are posted through one bot-managed webhook per channel,
+ * with the persona's display name and avatar, so the global bot profile never changes.
+ * Threads post through their parent channel's webhook.
+ */
+
+const WEBHOOK_NAME = 'Setsuna Personas';
+
+// Discord's "Unknown Webhook" error: the webhook was deleted outside the bot
+const UNKNOWN_WEBHOOK = 10015;
+
+// A channel where the webhook couldn't be created (e.g. missing Manage Webhooks) is retried after this long
+const FAILURE_RETRY_MS = 10 * 60 * 1000;
+
+const webhooks = new Map();        // webhook channelId -> Webhook, or null if the channel has none yet
+const failures = new Map();        // webhook channelId -> time of the last failure
+const pendingLookups = new Map();  // webhook channelId -> Promise
+const ownWebhookIds = new Set();
+
+// Threads can't own webhooks; they post through the parent with a threadId
+function getWebhookChannel(channel) {
+  return channel.isThread() ? channel.parent : channel;
+}
+
+function canUseWebhooks(channel) {
+  const target = channel && channel.guild ? getWebhookChannel(channel) : null;
+  return !!target && typeof target.fetchWebhooks === 'function';
+}
+
+// The bot's webhook in the channel, created when `create` is set and it doesn't exist yet
+async function getWebhook(channel, create) {
+  const target = getWebhookChannel(channel);
+  if (webhooks.has(target.id) && (webhooks.get(target.id) || !create)) {
+    return webhooks.get(target.id);
+  }
+  if (pendingLookups.has(target.id)) {
+    return pendingLookups.get(target.id);
+  }
+  if (failures.has(target.id) && Date.now() - failures.get(target.id) < FAILURE_RETRY_MS) {
+    return null;
+  }
+
+  const lookup = (async () => {
+    try {
+      const existing = (await target.fetchWebhooks())
+        .find(webhook => webhook.name === WEBHOOK_NAME && webhook.owner && webhook.owner.id === target.client.user.id);
+      const webhook = existing || (create ? await target.createWebhook({ name: WEBHOOK_NAME, reason: 'Setsuna persona replies' }) : null);
+      webhooks.set(target.id, webhook);
+      if (webhook) {
+        ownWebhookIds.add(webhook.id);
+        failures.delete(target.id);
+      }
+      return webhook;
+    } catch (error) {
+      console.error(`[Webhook] 無法取得頻道 ${target.id} 的 webhook:`, error.message);
+      failures.set(target.id, Date.now());
+      return null;
+    } finally {
+      pendingLookups.delete(target.id);
+    }
+  })();
+  pendingLookups.set(target.id, lookup);
+  return lookup;
+}
+
+// Drops a deleted webhook from the cache so the next reply looks it up again or recreates it
+function forgetDeletedWebhook(channel, error) {
+  if (error.code !== UNKNOWN_WEBHOOK) return;
+  const target = getWebhookChannel(channel);
+  const webhook = webhooks.get(target.id);
+  if (webhook) ownWebhookIds.delete(webhook.id);
+  webhooks.delete(target.id);
+}
+
+/**
+ * A message sender for StreamingReply and plain replies that posts as `persona`:
+ * `{ send(content), edit(message, content), remove(message) }`.
+ * Resolves to null when webhooks can't be used (DMs, missing permissions), so the caller sends as the bot.
+ * If a webhook send fails the message goes out as the bot instead; edits follow whoever posted the message.
+ */
+async function getPersonaSender(channel, persona) {
+  if (!persona || !canUseWebhooks(channel)) return null;
+  const webhook = await getWebhook(channel, true);
+  if (!webhook) return null;
+
+  const threadId = channel.isThread() ? channel.id : undefined;
+  const identity = {
+    username: (persona.displayName || persona.name).slice(0, 80),
+    avatarURL: persona.avatarUrl || channel.client.user.displayAvatarURL()
+  };
+
+  return {
+    async send(content) {
+      try {
+        // Only users can be pinged: the webhook shouldn't be a way around the bot's @everyone permission
+        return await webhook.send({ content, ...identity, threadId, allowedMentions: { parse: ['users'] } });
+      } catch (error) {
+        console.error('[Webhook] 以人設身分發送失敗，改用機器人發送:', error.message);
+        forgetDeletedWebhook(channel, error);
+        return channel.send(content);
+      }
+    },
+    async edit(message, content) {
+      if (!message.webhookId) return message.edit(content);
+      return webhook.editMessage(message, { content, threadId }).catch(error => {
+        forgetDeletedWebhook(channel, error);
+        throw error;
+      });
+    },
+    async remove(message) {
+      if (!message.webhookId) return message.delete();
+      return webhook.deleteMessage(message, threadId).catch(error => {
+        forgetDeletedWebhook(channel, error);
+        throw error;
+      });
+    }
+  };
+}
+
+// Whether a message was posted by one of the bot's persona webhooks (looked up without creating one)
+async function isPersonaWebhookMessage(message) {
+  if (!message.webhookId) return false;
+  if (ownWebhookIds.has(message.webhookId)) return true;
+  if (!canUseWebhooks(message.channel)) return false;
+  const webhook = await getWebhook(message.channel, false);
+  return !!webhook && webhook.id === message.webhookId;
+}
+
+module.exports = {
+  getPersonaSender,
+  isPersonaWebhookMessage
+};
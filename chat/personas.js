@@ -0,0 +1,164 @@
+/**
+ * personas.js - Named persona library for Setsuna
+ * A persona bundles a system prompt, a default model, a temperature and the name (and avatar) it speaks with;
+ * a Character.AI persona also names the character it is backed by.
+ * Personas belong to a guild (or to a DM channel) and are kept in MongoDB when MONGODB_URI is set,
+ * otherwise in memory only. Channels store the name of the persona they use.
+ */
+
+const db = require('../db');
+const llm = require('../llm/registry');
+
+const MAX_PERSONAS_PER_SCOPE = 25;  // Also the most choices a slash command can show
+const MAX_NAME_LENGTH = 32;
+const MAX_DISPLAY_NAME_LENGTH = 80;  // Discord webhook username limit
+
+// scope -> Map(key -> persona)
+const libraries = new Map();
+const pendingLoads = new Map();
+
+function isPersistent() {
+  return !!process.env.MONGODB_URI;
+}
+
+// Personas of a guild are shared by its channels; in DMs each channel has its own
+function getPersonaScope(guildId, channelId) {
+  return guildId || channelId;
+}
+
+// Names are matched case-insensitively
+function toKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+async function getLibrary(scope) {
+  if (libraries.has(scope)) {
+    return libraries.get(scope);
+  }
+  if (!pendingLoads.has(scope)) {
+    pendingLoads.set(scope, (async () => {
+      const saved = isPersistent() ? await db.loadPersonas(scope) : null;
+      libraries.set(scope, new Map((saved || []).map(persona => [persona.key, persona])));
+      pendingLoads.delete(scope);
+      return libraries.get(scope);
+    })());
+  }
+  return pendingLoads.get(scope);
+}
+
+async function listPersonas(scope) {
+  return Array.from((await getLibrary(scope)).values());
+}
+
+async function getPersona(scope, name) {
+  if (!name) return null;
+  return (await getLibrary(scope)).get(toKey(name)) || null;
+}
+
+// Checks the editable fields; returns an error message or null
+function validateFields({ displayName, model, temperature, avatarUrl }) {
+  if (displayName && displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+    return `顯示名稱最多 ${MAX_DISPLAY_NAME_LENGTH} 個字`;
+  }
+  if (model && !llm.getProvider(model)) {
+    return `我不認識這個模型：${model}`;
+  }
+  if (temperature !== undefined && temperature !== null && (temperature < 0 || temperature > 2)) {
+    return 'temperature 要在 0 到 2 之間';
+  }
+  if (avatarUrl && !/^https?:\/\/\S+$/i.test(avatarUrl)) {
+    return '頭像網址必須是 http(s) 連結';
+  }
+  return null;
+}
+
+/**
+ * Adds a persona to a scope.
+ * @returns {Promise<{ success: boolean, persona?: Object, error?: string }>}
+ */
+async function createPersona(scope, { name, systemPrompt, displayName, avatarUrl, model, temperature, characterId, createdBy }) {
+  const key = toKey(name);
+  if (!key || key.length > MAX_NAME_LENGTH || !/^[\p{L}\p{N}_-]+$/u.test(key)) {
+    return { success: false, error: `名稱只能用文字、數字、- 和 _，最多 ${MAX_NAME_LENGTH} 個字` };
+  }
+  if (key === 'default') {
+    return { success: false, error: '`default` 是預設人設的保留名稱' };
+  }
+  const library = await getLibrary(scope);
+  if (library.has(key)) {
+    return { success: false, error: `已經有叫 ${name} 的人設了，要修改請用 \`/persona edit\`` };
+  }
+  if (library.size >= MAX_PERSONAS_PER_SCOPE) {
+    return { success: false, error: `最多只能有 ${MAX_PERSONAS_PER_SCOPE} 個人設` };
+  }
+  const validationError = validateFields({ displayName, model, temperature, avatarUrl });
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  const persona = {
+    scope,
+    key,
+    name: String(name).trim(),
+    systemPrompt,
+    displayName: displayName || null,
+    avatarUrl: avatarUrl || null,
+    model: model || null,
+    temperature: typeof temperature === 'number' ? temperature : null,
+    characterId: characterId || null,
+    createdBy: createdBy || null,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  library.set(key, persona);
+  if (isPersistent()) {
+    await db.savePersona(persona);
+  }
+  return { success: true, persona };
+}
+
+/**
+ * Changes the given fields of a persona; `undefined` fields are left alone, `null` clears optional ones.
+ * @returns {Promise<{ success: boolean, persona?: Object, error?: string }>}
+ */
+async function updatePersona(scope, name, changes) {
+  const persona = await getPersona(scope, name);
+  if (!persona) {
+    return { success: false, error: `找不到叫 ${name} 的人設` };
+  }
+  const validationError = validateFields(changes);
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+
+  for (const field of ['systemPrompt', 'displayName', 'avatarUrl', 'model', 'temperature', 'characterId']) {
+    if (changes[field] !== undefined) {
+      persona[field] = changes[field];
+    }
+  }
+  persona.updatedAt = new Date();
+  if (isPersistent()) {
+    await db.savePersona(persona);
+  }
+  return { success: true, persona };
+}
+
+async function deletePersona(scope, name) {
+  const library = await getLibrary(scope);
+  const key = toKey(name);
+  if (!library.has(key)) return false;
+  library.delete(key);
+  if (isPersistent()) {
+    await db.deletePersona(scope, key);
+  }
+  return true;
+}
+
+module.exports = {
+  getPersonaScope,
+  listPersonas,
+  getPersona,
+  createPersona,
+  updatePersona,
+  deletePersona
+};
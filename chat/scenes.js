@@ -0,0 +1,211 @@
+/**
+ * scenes.js - Multi-character group scenes for Setsuna
+ * In a scene two or more personas share one channel: after every user message (or the opening topic)
+ * they speak once each, in turn, replying to the user and to each other, until the scene's turn limit
+ * is reached or it is stopped. Each persona uses its own provider, so a Groq character can talk to a
+ * Character.AI one. Scenes live in memory only and end when the bot restarts.
+ */
+
+const llm = require('../llm/registry');
+const conversationStore = require('./conversationStore');
+const personaWebhooks = require('./personaWebhooks');
+const { createChannelSender } = require('./streamReply');
+const { splitMessage } = require('./messageSplitter');
+const { estimateTokens } = require('../llm/tokenizer');
+
+const MIN_PERSONAS = 2;
+const MAX_PERSONAS = 5;
+const DEFAULT_MAX_TURNS = 12;
+const TURN_DELAY_MS = 1500;  // Pause between speakers so the scene reads like a conversation
+
+// channelId -> scene
+const scenes = new Map();
+
+function getSpeakerName(persona) {
+  return persona.displayName || persona.name;
+}
+
+function getScene(channelId) {
+  return scenes.get(channelId) || null;
+}
+
+/**
+ * Starts a scene in a channel with already resolved persona objects.
+ * @returns {{ success: boolean, scene?: Object, error?: string }}
+ */
+function startScene(channelId, { personas, maxTurns, startedBy }) {
+  if (scenes.has(channelId)) {
+    return { success: false, error: '這個頻道已經有場景在進行了，先用 `/scene stop` 結束它吧。' };
+  }
+  if (personas.length < MIN_PERSONAS || personas.length > MAX_PERSONAS) {
+    return { success: false, error: `場景需要 ${MIN_PERSONAS} 到 ${MAX_PERSONAS} 個不同的人設。` };
+  }
+  const scene = {
+    channelId,
+    personas,
+    maxTurns: maxTurns || DEFAULT_MAX_TURNS,
+    turnsTaken: 0,
+    nextIndex: 0,       // Whose turn it is when nobody is addressed
+    round: 0,           // Bumped by every new round so an older one stops after its current turn
+    queue: Promise.resolve(),
+    caiChats: {},       // persona key -> { caiChatId, username }, one Character.AI chat per character
+    startedBy: startedBy || null,
+    startedAt: new Date()
+  };
+  scenes.set(channelId, scene);
+  return { success: true, scene };
+}
+
+function stopScene(channelId) {
+  const scene = scenes.get(channelId);
+  if (!scene) return null;
+  scenes.delete(channelId);
+  scene.round++;
+  return scene;
+}
+
+/**
+ * Speaking order for one round: a persona mentioned by name in `text` goes first,
+ * then the others from whoever's turn it is. Never more turns than the scene has left.
+ */
+function pickSpeakers(scene, text) {
+  const lowered = (text || '').toLowerCase();
+  const addressed = scene.personas.findIndex(persona =>
+    [persona.name, persona.displayName].filter(Boolean).some(name => lowered.includes(name.toLowerCase())));
+  const start = addressed >= 0 ? addressed : scene.nextIndex;
+  const order = scene.personas.map((_, i) => scene.personas[(start + i) % scene.personas.length]);
+  return order.slice(0, Math.max(scene.maxTurns - scene.turnsTaken, 0));
+}
+
+/**
+ * The conversation from one persona's point of view: its own lines are assistant turns,
+ * everyone else (users and the other personas) speaks as `[name]: ...` user turns.
+ */
+function buildPersonaMessages(scene, persona, turns, historyTokens, languagePrompt) {
+  const myName = getSpeakerName(persona);
+  const others = scene.personas.filter(other => other !== persona).map(getSpeakerName);
+  const systemPrompt = `${persona.systemPrompt}\n\n` +
+    `[Scene] You are ${myName}, in a group chat on Discord with ${others.join(', ')} and the users. ` +
+    `Reply only as ${myName}, in one short message; never write lines for the other characters and don't prefix your reply with your name. ` +
+    'React to what was just said, by the users or the other characters, and keep the conversation going.' +
+    (languagePrompt ? `\n\n${languagePrompt}` : '');
+
+  const history = conversationStore.buildHistoryWindow(turns, historyTokens).map(msg => {
+    if (msg.role === 'assistant' && msg.author !== myName) {
+      return { role: 'user', content: `[${msg.author || 'Setsuna'}]: ${msg.content}`, username: msg.author };
+    }
+    return { role: msg.role, content: msg.content, username: msg.author };
+  });
+  return [{ role: 'system', content: systemPrompt }, ...history];
+}
+
+// One persona's reply, trying its own provider first and then the channel's fallback chain
+async function generateLine(scene, persona, turns, channel, { defaultProvider, fallbackOrder, getModel, generationParams = {}, languagePrompt }) {
+  const preferred = persona.model || defaultProvider;
+  // Character.AI answers as its own character, so it only ever speaks for personas that chose it
+  const providerOrder = llm.getProviderAttemptOrder(preferred, fallbackOrder)
+    .filter(id => llm.hasKeys(id) && (id !== 'characterai' || preferred === 'characterai'));
+
+  let lastError = null;
+  for (const providerId of providerOrder) {
+    const model = getModel(providerId);
+    const messages = buildPersonaMessages(scene, persona, turns,
+      llm.getHistoryTokenBudget(providerId, model, estimateTokens(persona.systemPrompt), generationParams.maxTokens), languagePrompt);
+    // The channel's parameters, except that every character keeps its own temperature
+    const options = {
+      ...generationParams,
+      model,
+      ...(typeof persona.temperature === 'number' ? { temperature: persona.temperature } : {})
+    };
+    if (providerId === 'characterai') {
+      if (!scene.caiChats[persona.key]) {
+        scene.caiChats[persona.key] = { caiChatId: null, username: null };
+      }
+      Object.assign(options, {
+        // Falls back to CHARACTERAI_CHARACTER_ID when the persona doesn't name a character
+        characterId: persona.characterId || undefined,
+        channelId: `${channel.id}:${persona.key}`,
+        channelConfig: scene.caiChats[persona.key]
+      });
+    }
+    try {
+      return await llm.callProvider(providerId, messages, options);
+    } catch (error) {
+      lastError = error;
+      console.log(`[Scene] ${getSpeakerName(persona)} 使用 ${llm.getProvider(providerId).label} 失敗:`, error.message);
+    }
+  }
+  throw lastError || new Error(`No provider available for ${getSpeakerName(persona)}`);
+}
+
+// Posts a line as the persona (webhook), or as the bot with the name in front when webhooks aren't available
+async function postLine(channel, persona, text) {
+  const webhookSender = await personaWebhooks.getPersonaSender(channel, persona);
+  const sender = webhookSender || createChannelSender(channel);
+  const content = webhookSender ? text : `**${getSpeakerName(persona)}**: ${text}`;
+  const sent = [];
+  for (const chunk of splitMessage(content)) {
+    sent.push(await sender.send(chunk));
+  }
+  return sent;
+}
+
+/**
+ * Lets the personas answer `text` (the latest user message, or the opening topic), one after another.
+ * Rounds run one at a time per channel; a newer round makes the running one stop after its current speaker.
+ *
+ * @param {import('discord.js').TextBasedChannel} channel
+ * @param {string} text - What the round reacts to (used to find who was addressed)
+ * @param {Object} options - `defaultProvider`, `fallbackOrder`, `getModel(providerId)`, `generationParams`, `languagePrompt` and `transform(text)`
+ */
+function runSceneRound(channel, text, options) {
+  const scene = scenes.get(channel.id);
+  if (!scene) return Promise.resolve();
+  const round = ++scene.round;
+
+  scene.queue = scene.queue.then(async () => {
+    for (const persona of pickSpeakers(scene, text)) {
+      if (scene.round !== round || scenes.get(channel.id) !== scene) return;
+
+      try {
+        await channel.sendTyping().catch(() => { });
+        const turns = await conversationStore.getTurns(channel.id);
+        const reply = await generateLine(scene, persona, turns, channel, options);
+        const line = (options.transform ? options.transform(reply) : reply).trim();
+        // The scene may have been stopped while the model was thinking
+        if (!line || scenes.get(channel.id) !== scene) continue;
+
+        const sent = await postLine(channel, persona, line);
+        await conversationStore.appendTurn(channel.id, {
+          messageId: sent.length > 0 ? sent[0].id : null,
+          role: 'assistant',
+          author: getSpeakerName(persona),
+          content: line
+        });
+      } catch (error) {
+        console.error(`[Scene] ${getSpeakerName(persona)} 無法回覆:`, error.message);
+      }
+
+      scene.turnsTaken++;
+      scene.nextIndex = (scene.personas.indexOf(persona) + 1) % scene.personas.length;
+      if (scene.turnsTaken >= scene.maxTurns) {
+        stopScene(channel.id);
+        await channel.send(`🎬 場景結束了（已經到 ${scene.maxTurns} 回合的上限）。`).catch(() => { });
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, TURN_DELAY_MS));
+    }
+  }).catch(error => console.error('[Scene] 場景回合出錯:', error.message));
+  return scene.queue;
+}
+
+module.exports = {
+  MIN_PERSONAS,
+  MAX_PERSONAS,
+  DEFAULT_MAX_TURNS,
+  getScene,
+  startScene,
+  stopScene,
+  pickSpeakers,
+  runSceneRound
+};
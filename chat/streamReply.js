@@ -0,0 +1,135 @@
+/**
+ * streamReply.js - Progressive Discord replies for Setsuna
+ * Posts a placeholder message and edits it at a throttled rate while a reply streams in,
+ * moving on to a new message whenever the text passes Discord's 2000 character limit.
+ */
+
+const { splitMessage, DISCORD_MESSAGE_LIMIT } = require('./messageSplitter');
+
+// Discord rate-limits message edits to roughly 5 per 5 seconds per channel
+const DEFAULT_EDIT_INTERVAL_MS = 1200;
+
+const PLACEHOLDER_TEXT = '✍️ ...';
+
+// Posts as the bot itself; persona replies pass a webhook sender instead (chat/personaWebhooks.js)
+function createChannelSender(channel) {
+  return {
+    send: content => channel.send(content),
+    edit: (message, content) => message.edit(content),
+    remove: message => message.delete()
+  };
+}
+
+class StreamingReply {
+  /**
+   * @param {import('discord.js').TextBasedChannel} channel - Channel to reply in
+   * @param {Object} options - `editIntervalMs`, `transform(text)` applied before display (e.g. 繁體轉換),
+   * and `sender` (`{ send, edit, remove }`) to post through something other than the bot user
+   */
+  constructor(channel, options = {}) {
+    this.channel = channel;
+    this.sender = options.sender || createChannelSender(channel);
+    this.editIntervalMs = options.editIntervalMs || DEFAULT_EDIT_INTERVAL_MS;
+    this.transform = options.transform || (text => text);
+    this.sentMessages = [];   // One Discord message per segment
+    this.shownSegments = [];  // Text currently displayed in each message
+    this.text = '';
+    this.lastRenderAt = 0;
+    this.timer = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Posts the placeholder message
+  async start() {
+    if (this.sentMessages.length > 0) return;
+    const placeholder = await this.sender.send(PLACEHOLDER_TEXT);
+    this.sentMessages.push(placeholder);
+    this.shownSegments.push(PLACEHOLDER_TEXT);
+  }
+
+  // Receives the full text so far; renders immediately or schedules a throttled edit
+  update(text) {
+    this.text = text;
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastRenderAt + this.editIntervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._enqueueRender();
+    }, wait);
+  }
+
+  // Renders the final text, replacing whatever was streamed
+  async finish(finalText) {
+    this._clearTimer();
+    if (typeof finalText === 'string') {
+      this.text = finalText;
+    }
+    await this._enqueueRender();
+    return this.sentMessages;
+  }
+
+  // Drops a partial reply (e.g. a provider failed mid-stream) and goes back to the placeholder
+  async reset() {
+    this._clearTimer();
+    this.text = '';
+    await this._enqueueRender();
+  }
+
+  // Removes every message this reply posted
+  async discard() {
+    this._clearTimer();
+    await this.queue;
+    for (const msg of this.sentMessages) {
+      await this.sender.remove(msg).catch(error => console.error('[Stream] 刪除訊息失敗:', error.message));
+    }
+    this.sentMessages = [];
+    this.shownSegments = [];
+  }
+
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Renders are chained so edits never overlap or arrive out of order
+  _enqueueRender() {
+    this.queue = this.queue
+      .then(() => this._render())
+      .catch(error => console.error('[Stream] 更新訊息失敗:', error.message));
+    return this.queue;
+  }
+
+  async _render() {
+    this.lastRenderAt = Date.now();
+    const segments = splitMessage(this.transform(this.text), { limit: DISCORD_MESSAGE_LIMIT });
+    if (segments.length === 0) segments.push('');
+
+    for (let i = 0; i < segments.length; i++) {
+      const content = segments[i].trim() ? segments[i] : PLACEHOLDER_TEXT;
+      if (i < this.sentMessages.length) {
+        if (this.shownSegments[i] !== content) {
+          await this.sender.edit(this.sentMessages[i], content);
+          this.shownSegments[i] = content;
+        }
+      } else {
+        this.sentMessages.push(await this.sender.send(content));
+        this.shownSegments.push(content);
+      }
+    }
+
+    // The final text can be shorter than what was streamed (e.g. after conversion)
+    const extra = this.sentMessages.splice(segments.length);
+    this.shownSegments.splice(segments.length);
+    for (const msg of extra) {
+      await this.sender.remove(msg).catch(error => console.error('[Stream] 刪除訊息失敗:', error.message));
+    }
+  }
+}
+
+module.exports = {
+  StreamingReply,
+  createChannelSender
+};
@@ -0,0 +1,116 @@
+/**
+ * summarizer.js - Rolling conversation summaries for Setsuna
+ * Turns that fall out of the history window are folded, in batches and in the background, into a
+ * running per-channel summary by a cheap model. The chat path adds the summary after the personality prompt.
+ */
+
+const db = require('../db');
+const llm = require('../llm/registry');
+const { renderTurn, buildHistoryWindow, isPersistent, MAX_TURNS } = require('./conversationStore');
+
+// Same cheap model detectIntentWithAI uses
+const SUMMARY_PROVIDER = 'groq';
+const SUMMARY_MODEL = 'llama-3.1-8b-instant';
+
+const MIN_BATCH = 10;  // Wait until this many turns have left the window
+const MAX_BATCH = 40;  // Fold at most this many per call; the rest go next time
+// Turns past this many from the newest are folded even while still in the window: the store keeps
+// only MAX_TURNS, and a large window (Gemini) can hold all of them, so they'd be dropped unsummarized
+const KEEP_UNFOLDED = MAX_TURNS - MAX_BATCH;
+
+const SUMMARY_PROMPT = `You maintain the running memory of a Discord group chat with a bot called Setsuna.
+Merge the new messages into the existing summary. Keep who said what, names, facts about people, preferences, decisions, promises and open questions; drop greetings and small talk.
+Write in the main language of the conversation, as plain sentences or short bullet points, at most 250 words. Reply with the updated summary only.`;
+
+// channelId -> { summary, summarizedUntil (ms), summarizedThrough (messageId of the last folded turn), turnCount, updatedAt }
+const summaries = new Map();
+const inProgress = new Set();
+
+async function getSummaryRecord(channelId) {
+  if (!summaries.has(channelId)) {
+    const saved = isPersistent() ? await db.loadConversationSummary(channelId) : null;
+    summaries.set(channelId, saved ? {
+      summary: saved.summary || '',
+      summarizedUntil: saved.summarizedUntil || 0,
+      summarizedThrough: saved.summarizedThrough || null,
+      turnCount: saved.turnCount || 0,
+      updatedAt: saved.updatedAt || null
+    } : null);
+  }
+  return summaries.get(channelId);
+}
+
+async function getSummary(channelId) {
+  const record = await getSummaryRecord(channelId);
+  return record ? record.summary : null;
+}
+
+async function clearSummary(channelId) {
+  summaries.set(channelId, null);
+  if (isPersistent()) {
+    await db.deleteConversationSummary(channelId);
+  }
+}
+
+/**
+ * Folds turns that are no longer in the `windowTokens` history window, or that are about to be dropped
+ * from the store, into the summary.
+ * Fire-and-forget: returns immediately, skips if a summary for the channel is already being written.
+ */
+function summarizeInBackground(channelId, turns, windowTokens) {
+  if (inProgress.has(channelId) || !llm.hasKeys(SUMMARY_PROVIDER)) return;
+  inProgress.add(channelId);
+  foldTurns(channelId, turns, windowTokens)
+    .catch(error => console.error('[Summary] 更新對話摘要失敗:', error.message))
+    .finally(() => inProgress.delete(channelId));
+}
+
+// Turns after the last folded one. Several turns can share a millisecond, so the turn is found by its
+// message ID; the timestamp is only used when that turn has no ID or is no longer in the store.
+function unsummarizedTurns(turns, record) {
+  if (!record) return turns;
+  const last = record.summarizedThrough
+    ? turns.findLastIndex(turn => turn.messageId === record.summarizedThrough)
+    : -1;
+  return last >= 0
+    ? turns.slice(last + 1)
+    : turns.filter(turn => turn.createdAt.getTime() > record.summarizedUntil);
+}
+
+async function foldTurns(channelId, turns, windowTokens) {
+  const record = await getSummaryRecord(channelId);
+
+  const windowSize = buildHistoryWindow(turns, windowTokens).length;
+  const foldable = Math.max(turns.length - windowSize, turns.length - KEEP_UNFOLDED);
+  const pending = unsummarizedTurns(turns.slice(0, foldable), record);
+  if (pending.length < MIN_BATCH) return;
+
+  const batch = pending.slice(0, MAX_BATCH);
+  const summary = await llm.callProvider(SUMMARY_PROVIDER, [
+    { role: 'system', content: SUMMARY_PROMPT },
+    {
+      role: 'user',
+      content: `Existing summary:\n${record && record.summary ? record.summary : '(none)'}\n\nNew messages:\n${batch.map(renderTurn).join('\n')}`
+    }
+  ], { model: SUMMARY_MODEL, background: true });
+
+  const updated = {
+    summary: summary.trim(),
+    summarizedUntil: batch[batch.length - 1].createdAt.getTime(),
+    summarizedThrough: batch[batch.length - 1].messageId || null,
+    turnCount: (record ? record.turnCount : 0) + batch.length,
+    updatedAt: new Date()
+  };
+  summaries.set(channelId, updated);
+  if (isPersistent()) {
+    await db.saveConversationSummary(channelId, updated);
+  }
+  console.log(`[Summary] ${channelId} 摘要已更新（新增 ${batch.length} 則，共 ${updated.turnCount} 則）`);
+}
+
+module.exports = {
+  getSummary,
+  getSummaryRecord,
+  clearSummary,
+  summarizeInBackground
+};
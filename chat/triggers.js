@@ -0,0 +1,133 @@
+/**
+ * triggers.js - Reply trigger policy for Setsuna
+ * Decides whether a message in an activated channel gets a reply: always, only when the bot is
+ * @mentioned or replied to, on keywords (and the name "Setsuna"), or at random with a set probability.
+ * During a channel's quiet hours only mentions and replies to the bot are answered.
+ */
+
+const TRIGGER_MODES = ['always', 'mention', 'keyword', 'random'];
+const DEFAULT_PROBABILITY = 0.2;
+const DEFAULT_TIMEZONE = process.env.QUIET_HOURS_TIMEZONE || 'Asia/Taipei';
+const MAX_KEYWORDS = 20;
+
+// Keyword mode always answers to the bot's own name
+const BOT_NAMES = ['setsuna'];
+
+// Fills in the defaults of a channel's stored trigger settings
+function normalizeTrigger(trigger) {
+  const settings = trigger || {};
+  return {
+    mode: TRIGGER_MODES.includes(settings.mode) ? settings.mode : 'always',
+    keywords: Array.isArray(settings.keywords) ? settings.keywords : [],
+    probability: typeof settings.probability === 'number' ? settings.probability : DEFAULT_PROBABILITY,
+    quietHours: settings.quietHours || null
+  };
+}
+
+// "23:30" -> minutes after midnight, or null if it isn't a valid time
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parses "23:00-07:00" into quiet hours; "off" (or an empty value) turns them off.
+ * @returns {{ success: boolean, quietHours?: Object|null, error?: string }}
+ */
+function parseQuietHours(value, timezone) {
+  const text = String(value || '').trim();
+  if (!text || text.toLowerCase() === 'off') {
+    return { success: true, quietHours: null };
+  }
+  const [start, end] = text.split('-').map(part => part.trim());
+  if (parseClock(start) === null || parseClock(end) === null || start === end) {
+    return { success: false, error: 'Quiet hours should look like `23:00-07:00` (or `off`).' };
+  }
+  const zone = timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(zone)) {
+    return { success: false, error: `I don't know the timezone \`${zone}\` (try something like \`Asia/Taipei\`).` };
+  }
+  return { success: true, quietHours: { start, end, timezone: zone } };
+}
+
+// Whether `date` falls inside the quiet hours, in their timezone; ranges may wrap past midnight
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours) return false;
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  if (start === null || end === null) return false;
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: quietHours.timezone || DEFAULT_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const now = Number(parts.find(part => part.type === 'hour').value) * 60 +
+    Number(parts.find(part => part.type === 'minute').value);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Comma-separated keywords -> a de-duplicated, lowercase list
+function parseKeywords(value) {
+  const keywords = String(value || '').split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(keywords)].slice(0, MAX_KEYWORDS);
+}
+
+function matchesKeyword(content, keywords) {
+  const lowered = (content || '').toLowerCase();
+  return [...BOT_NAMES, ...keywords].some(keyword => lowered.includes(keyword));
+}
+
+/**
+ * Whether the bot should answer a message, and why.
+ * `isAddressed()` tells whether the message @mentions or replies to the bot; it is only called when needed,
+ * since finding the replied-to message may take a fetch.
+ *
+ * @param {import('discord.js').Message} message
+ * @param {Object} trigger - The channel's trigger settings (see normalizeTrigger)
+ * @param {() => Promise<boolean>} isAddressed
+ * @returns {Promise<{ respond: boolean, reason: string }>}
+ */
+async function shouldRespond(message, trigger, isAddressed) {
+  const { mode, keywords, probability, quietHours } = normalizeTrigger(trigger);
+  const quiet = isQuietTime(quietHours);
+
+  if (mode === 'always' && !quiet) {
+    return { respond: true, reason: 'always' };
+  }
+  if (await isAddressed()) {
+    return { respond: true, reason: 'mention' };
+  }
+  if (quiet) {
+    return { respond: false, reason: 'quiet hours' };
+  }
+  if (mode === 'keyword' && matchesKeyword(message.content, keywords)) {
+    return { respond: true, reason: 'keyword' };
+  }
+  if (mode === 'random' && Math.random() < probability) {
+    return { respond: true, reason: 'random' };
+  }
+  return { respond: false, reason: mode };
+}
+
+module.exports = {
+  TRIGGER_MODES,
+  DEFAULT_PROBABILITY,
+  DEFAULT_TIMEZONE,
+  normalizeTrigger,
+  parseQuietHours,
+  parseKeywords,
+  isQuietTime,
+  shouldRespond
+};
@@ -0,0 +1,212 @@
+/**
+ * userMemory.js - Long-term per-user memory for Setsuna
+ * Durable facts a user shares (name, preferences, things about their life) are extracted in the background
+ * by a cheap model, keyed by Discord user ID, and added to the prompt when that user speaks.
+ * Users can list, forget or opt out (/memory). By default facts stay in the server they were learned in;
+ * a user can choose to share them across every server and DMs instead.
+ */
+
+const db = require('../db');
+const llm = require('../llm/registry');
+
+const EXTRACT_PROVIDER = 'groq';
+const EXTRACT_MODEL = 'llama-3.1-8b-instant';
+
+const MAX_FACTS_PER_ORIGIN = 30;
+const MAX_FACT_LENGTH = 200;
+
+// Cheap filter so the extractor only runs on messages where the user describes themselves: phrases such as
+// "my name is" or 我喜歡, not any 我的 / my, which nearly every message has
+const SELF_DISCLOSURE_PATTERN = new RegExp([
+  String.raw`\b(my name is|call me|i'?m called|i live in|i'?m from|i am from|i work (as|at|in|for)|i study|i'?m studying|i'?m \d+ years|i am \d+ years)\b`,
+  String.raw`\b(i'?m|i am) (a|an) (student|teacher|developer|programmer|engineer|designer|nurse|doctor|artist)\b`,
+  String.raw`\bi (really )?(like|love|hate|prefer|enjoy)\b|\bi have an? (cat|dog|pet)\b`,
+  String.raw`\bmy (favou?rite|birthday|pronouns|job|major|cat|dog|pet)s?\b`,
+  '我叫|我的名字|叫我|我(最|很|超|蠻|滿)?(喜歡|討厭|愛吃|愛喝|愛看|愛聽|愛玩)|我不(吃|喝)|我住在|我在.{0,12}(工作|上班|上學|唸書|念書|讀書)',
+  '我是(一[個名位]|個|學生|老師|工程師|醫生|護理師|設計師|上班族)|我養了?|我今年|我\\d+歲|我(念|讀|唸)(大學|高中|國中|研究所)',
+  '我的(名字|生日|貓|狗|寵物|工作|職業|學校|科系|興趣|代名詞)',
+  '(私|僕|俺)の名前|と呼んで|(私|僕|俺)は.{0,15}(が好き|に住んで|で働いて|の学生)'
+].join('|'), 'i');
+
+const EXTRACT_PROMPT = `You extract long-term facts about a Discord user from their latest message.
+Only keep durable, personal facts worth remembering weeks later: their name or nickname, pronouns, preferences, hobbies, pets, job or school, where they live, important events, how they want to be treated.
+Ignore opinions about the current topic, questions, jokes, role-play, and anything about other people.
+Do not repeat facts that are already known. Write each fact as a short third-person sentence in the user's language.
+Reply with JSON only: {"facts": ["..."]} (an empty list if there is nothing new).`;
+
+// userId -> { facts: [{ id, text, origin, createdAt }], optOut, scope: 'guild'|'global' }
+const memories = new Map();
+const extracting = new Set();
+
+function isPersistent() {
+  return !!process.env.MONGODB_URI;
+}
+
+// Where a fact was learned: the guild ID, or 'dm'
+function getOrigin(guildId) {
+  return guildId || 'dm';
+}
+
+async function getUserMemory(userId) {
+  if (!memories.has(userId)) {
+    const saved = isPersistent() ? await db.loadUserMemory(userId) : null;
+    memories.set(userId, {
+      facts: saved && Array.isArray(saved.facts) ? saved.facts : [],
+      optOut: !!(saved && saved.optOut),
+      scope: saved && saved.scope === 'global' ? 'global' : 'guild'
+    });
+  }
+  return memories.get(userId);
+}
+
+async function saveUserMemory(userId) {
+  if (!isPersistent()) return;
+  const { facts, optOut, scope } = memories.get(userId);
+  await db.saveUserMemory(userId, { facts, optOut, scope });
+}
+
+// Facts usable in a guild (or DM when guildId is null), oldest first
+async function getVisibleFacts(userId, guildId) {
+  const memory = await getUserMemory(userId);
+  if (memory.optOut) return [];
+  if (memory.scope === 'global') return memory.facts;
+  const origin = getOrigin(guildId);
+  return memory.facts.filter(fact => fact.origin === origin);
+}
+
+async function addFacts(userId, guildId, texts) {
+  const memory = await getUserMemory(userId);
+  // The user may have opted out while the facts were being extracted
+  if (memory.optOut) return [];
+  const origin = getOrigin(guildId);
+  const known = new Set(memory.facts.map(fact => fact.text.toLowerCase()));
+  const added = [];
+  for (const text of texts) {
+    const trimmed = String(text).trim().slice(0, MAX_FACT_LENGTH);
+    if (!trimmed || known.has(trimmed.toLowerCase())) continue;
+    known.add(trimmed.toLowerCase());
+    const fact = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      text: trimmed,
+      origin,
+      createdAt: new Date()
+    };
+    memory.facts.push(fact);
+    added.push(fact);
+  }
+
+  // Oldest facts from the same place make room for new ones
+  const fromOrigin = memory.facts.filter(fact => fact.origin === origin);
+  if (fromOrigin.length > MAX_FACTS_PER_ORIGIN) {
+    const dropped = new Set(fromOrigin.slice(0, fromOrigin.length - MAX_FACTS_PER_ORIGIN));
+    memory.facts = memory.facts.filter(fact => !dropped.has(fact));
+  }
+
+  if (added.length > 0) {
+    await saveUserMemory(userId);
+  }
+  return added;
+}
+
+/**
+ * Forgets visible facts matching `item`: a number from `/memory show`, "all", or text contained in the fact.
+ * @returns {Promise<Array>} The removed facts
+ */
+async function forgetFacts(userId, guildId, item) {
+  const memory = await getUserMemory(userId);
+  const visible = await getVisibleFacts(userId, guildId);
+  const query = String(item).trim().toLowerCase();
+
+  let toRemove;
+  if (query === 'all') {
+    toRemove = visible;
+  } else if (/^\d+$/.test(query)) {
+    const fact = visible[Number(query) - 1];
+    toRemove = fact ? [fact] : [];
+  } else {
+    toRemove = visible.filter(fact => fact.text.toLowerCase().includes(query));
+  }
+
+  if (toRemove.length > 0) {
+    const removed = new Set(toRemove);
+    memory.facts = memory.facts.filter(fact => !removed.has(fact));
+    await saveUserMemory(userId);
+  }
+  return toRemove;
+}
+
+// Opting out also deletes everything already remembered
+async function setOptOut(userId, optOut) {
+  const memory = await getUserMemory(userId);
+  memory.optOut = optOut;
+  if (optOut) {
+    memory.facts = [];
+  }
+  await saveUserMemory(userId);
+}
+
+async function setScope(userId, scope) {
+  const memory = await getUserMemory(userId);
+  memory.scope = scope === 'global' ? 'global' : 'guild';
+  await saveUserMemory(userId);
+}
+
+// Prompt block for the speaking user, or '' when there is nothing to add
+async function buildMemoryPrompt(userId, username, guildId) {
+  const facts = await getVisibleFacts(userId, guildId);
+  if (facts.length === 0) return '';
+  return `[What you remember about ${username}]\n${facts.map(fact => `- ${fact.text}`).join('\n')}`;
+}
+
+/**
+ * Looks for new facts in a user's message without delaying the reply.
+ * Skips opted-out users, messages that don't look self-descriptive, and users already being processed.
+ */
+function extractFactsInBackground({ userId, username, guildId, content }) {
+  if (!content || content.length < 8 || !SELF_DISCLOSURE_PATTERN.test(content)) return;
+  if (extracting.has(userId) || !llm.hasKeys(EXTRACT_PROVIDER)) return;
+  extracting.add(userId);
+  extractFacts(userId, username, guildId, content)
+    .catch(error => console.error('[Memory] 擷取使用者記憶失敗:', error.message))
+    .finally(() => extracting.delete(userId));
+}
+
+async function extractFacts(userId, username, guildId, content) {
+  const memory = await getUserMemory(userId);
+  if (memory.optOut) return;
+
+  const known = await getVisibleFacts(userId, guildId);
+  const reply = await llm.callProvider(EXTRACT_PROVIDER, [
+    { role: 'system', content: EXTRACT_PROMPT },
+    {
+      role: 'user',
+      content: `Known facts about ${username}:\n${known.length > 0 ? known.map(fact => `- ${fact.text}`).join('\n') : '(none)'}\n\nLatest message from ${username}:\n${content}`
+    }
+  ], { model: EXTRACT_MODEL, background: true });
+
+  const jsonMatch = reply.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return;
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return;
+  }
+  if (!Array.isArray(parsed.facts) || parsed.facts.length === 0) return;
+
+  const added = await addFacts(userId, guildId, parsed.facts.filter(fact => typeof fact === 'string'));
+  if (added.length > 0) {
+    console.log(`[Memory] 記住了 ${username} 的 ${added.length} 件事`);
+  }
+}
+
+module.exports = {
+  getUserMemory,
+  getVisibleFacts,
+  addFacts,
+  forgetFacts,
+  setOptOut,
+  setScope,
+  buildMemoryPrompt,
+  extractFactsInBackground
+};
@@ -0,0 +1,64 @@
+/**
+ * memoryCommands.js - Personal memory Slash Commands for Setsuna
+ * Lets each user see and control what Setsuna remembers about them
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+const memoryCommand = new SlashCommandBuilder()
+    .setName('memory')
+    .setDescription('🧠 查看或管理 Setsuna 記得的關於你的事')
+
+    // Show command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('show')
+            .setDescription('列出 Setsuna 記得的關於你的事')
+    )
+
+    // Forget command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('forget')
+            .setDescription('讓 Setsuna 忘記某件事')
+            .addStringOption(option =>
+                option
+                    .setName('item')
+                    .setDescription('/memory show 中的編號、記憶中的關鍵字，或 all 全部忘記')
+                    .setRequired(true)
+            )
+    )
+
+    // Opt-out command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('optout')
+            .setDescription('停止記住關於你的事（會刪除現有記憶）')
+            .addBooleanOption(option =>
+                option
+                    .setName('enabled')
+                    .setDescription('true 停止記憶（預設），false 重新開啟記憶')
+                    .setRequired(false)
+            )
+    )
+
+    // Scope command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('scope')
+            .setDescription('設定記憶只在當前伺服器使用，還是所有伺服器和私訊共用')
+            .addStringOption(option =>
+                option
+                    .setName('mode')
+                    .setDescription('記憶的使用範圍')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: '只在學到的伺服器使用（預設）', value: 'guild' },
+                        { name: '所有伺服器和私訊共用', value: 'global' }
+                    )
+            )
+    );
+
+module.exports = {
+    memoryCommand
+};
@@ -74,6 +74,13 @@ const musicCommand = new SlashCommandBuilder()
             .setDescription('停止播放並離開語音頻道')
     )
 
+    // Restore command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('restore')
+            .setDescription('恢復上次中斷的播放隊列（機器人重啟或斷線後）')
+    )
+
     // Queue command
     .addSubcommand(subcommand =>
         subcommand
@@ -95,6 +102,19 @@ const musicCommand = new SlashCommandBuilder()
             .setDescription('顯示正在播放的歌曲')
     )
 
+    // Lyrics command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('lyrics')
+            .setDescription('顯示正在播放歌曲的歌詞')
+            .addBooleanOption(option =>
+                option
+                    .setName('live')
+                    .setDescription('跟著播放進度自動更新目前唱到的歌詞（同步歌詞才有）')
+                    .setRequired(false)
+            )
+    )
+
     // Shuffle command
     .addSubcommand(subcommand =>
         subcommand
@@ -120,6 +140,29 @@ const musicCommand = new SlashCommandBuilder()
             )
     )
 
+    // Autoplay command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('autoplay')
+            .setDescription('隊列播完後自動播放相關歌曲')
+            .addBooleanOption(option =>
+                option
+                    .setName('enabled')
+                    .setDescription('開啟或關閉（不填則切換）')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option
+                    .setName('source')
+                    .setDescription('相關歌曲的來源（預設：YouTube）')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: '▶️ YouTube 搜尋', value: 'youtube' },
+                        { name: '🟢 Spotify 推薦', value: 'spotify' }
+                    )
+            )
+    )
+
     // Volume command
     .addSubcommand(subcommand =>
         subcommand
@@ -0,0 +1,74 @@
+/**
+ * openclawCommands.js - OpenClaw access Slash Commands for Setsuna
+ * Let users browse with OpenClaw, set the daily limit and view or reset today's usage per server
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+const openclawCommand = new SlashCommandBuilder()
+    .setName('openclaw')
+    .setDescription('🌐 管理 OpenClaw 上網查詢的使用者和每日額度（需要管理員權限）')
+
+    // Quota command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('quota')
+            .setDescription('查看或重設今天的使用量')
+            .addUserOption(option =>
+                option
+                    .setName('user')
+                    .setDescription('只看（或只重設）這位使用者')
+                    .setRequired(false)
+            )
+            .addBooleanOption(option =>
+                option
+                    .setName('reset')
+                    .setDescription('把今天的使用量歸零')
+                    .setRequired(false)
+            )
+    )
+
+    // Allow command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('allow')
+            .setDescription('讓使用者可以用 OpenClaw 上網查詢')
+            .addUserOption(option =>
+                option
+                    .setName('user')
+                    .setDescription('使用者')
+                    .setRequired(true)
+            )
+    )
+
+    // Remove command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('remove')
+            .setDescription('把使用者從 OpenClaw 名單移除')
+            .addUserOption(option =>
+                option
+                    .setName('user')
+                    .setDescription('使用者')
+                    .setRequired(true)
+            )
+    )
+
+    // Limit command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('limit')
+            .setDescription('設定每人每天可以查詢幾次（機器人擁有者不受限制）')
+            .addIntegerOption(option =>
+                option
+                    .setName('daily')
+                    .setDescription('每日次數（不填則改回預設）')
+                    .setMinValue(1)
+                    .setMaxValue(100)
+                    .setRequired(false)
+            )
+    );
+
+module.exports = {
+    openclawCommand
+};
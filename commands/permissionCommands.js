@@ -0,0 +1,78 @@
+/**
+ * permissionCommands.js - Command permission Slash Commands for Setsuna
+ * Give roles access to bot administration, personas, music, server playlists and OpenClaw per server
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+/**
+ * Builds the /permissions command.
+ * @param {Array<{ name: string, value: string }>} capabilityChoices
+ */
+function buildPermissionsCommand(capabilityChoices) {
+    const addCapabilityOption = (subcommand, required) => subcommand
+        .addStringOption(option =>
+            option
+                .setName('permission')
+                .setDescription('要設定的權限')
+                .setRequired(required)
+                .addChoices(...capabilityChoices)
+        );
+
+    return new SlashCommandBuilder()
+        .setName('permissions')
+        .setDescription('🔐 設定哪些身分組可以管理 Setsuna（需要管理員權限）')
+
+        // Show command
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('show')
+                .setDescription('查看這個伺服器的權限設定')
+        )
+
+        // Add command
+        .addSubcommand(subcommand =>
+            addCapabilityOption(
+                subcommand
+                    .setName('add')
+                    .setDescription('讓身分組可以使用某項權限'),
+                true
+            )
+                .addRoleOption(option =>
+                    option
+                        .setName('role')
+                        .setDescription('身分組')
+                        .setRequired(true)
+                )
+        )
+
+        // Remove command
+        .addSubcommand(subcommand =>
+            addCapabilityOption(
+                subcommand
+                    .setName('remove')
+                    .setDescription('移除身分組的某項權限'),
+                true
+            )
+                .addRoleOption(option =>
+                    option
+                        .setName('role')
+                        .setDescription('身分組')
+                        .setRequired(true)
+                )
+        )
+
+        // Reset command
+        .addSubcommand(subcommand =>
+            addCapabilityOption(
+                subcommand
+                    .setName('reset')
+                    .setDescription('把權限改回預設規則（不選則全部重設）'),
+                false
+            )
+        );
+}
+
+module.exports = {
+    buildPermissionsCommand
+};
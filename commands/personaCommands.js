@@ -0,0 +1,144 @@
+/**
+ * personaCommands.js - Persona library Slash Commands for Setsuna
+ * Create, edit, list, switch and delete named personas
+ */
+
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+
+// Options shared by create and edit (prompt is required on create, so it is added separately)
+function addPersonaFieldOptions(subcommand, modelChoices) {
+    return subcommand
+        .addStringOption(option =>
+            option
+                .setName('display_name')
+                .setDescription('人設說話時顯示的名字')
+                .setMaxLength(80)
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('model')
+                .setDescription('切換到這個人設時使用的預設模型')
+                .setRequired(false)
+                .addChoices(...modelChoices)
+        )
+        .addNumberOption(option =>
+            option
+                .setName('temperature')
+                .setDescription('回覆的隨機程度（0 到 2，越高越有創意）')
+                .setMinValue(0)
+                .setMaxValue(2)
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('avatar_url')
+                .setDescription('人設頭像的圖片網址')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option
+                .setName('character_id')
+                .setDescription('模型選 Character.AI 時使用的角色 ID（預設為 CHARACTERAI_CHARACTER_ID）')
+                .setRequired(false)
+        );
+}
+
+/**
+ * Builds the /persona command. Model choices come from the LLM registry, so this runs after providers are registered.
+ * @param {Array<{ name: string, value: string }>} modelChoices
+ */
+function buildPersonaCommand(modelChoices) {
+    return new SlashCommandBuilder()
+        .setName('persona')
+        .setDescription('🎭 管理 Setsuna 的人設')
+
+        // Create command
+        .addSubcommand(subcommand =>
+            addPersonaFieldOptions(
+                subcommand
+                    .setName('create')
+                    .setDescription('建立新的人設（需要管理伺服器權限）')
+                    .addStringOption(option =>
+                        option
+                            .setName('name')
+                            .setDescription('人設名稱（文字、數字、- 和 _）')
+                            .setMaxLength(32)
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('prompt')
+                            .setDescription('人設的 system prompt')
+                            .setRequired(true)
+                    ),
+                modelChoices
+            )
+        )
+
+        // Edit command
+        .addSubcommand(subcommand =>
+            addPersonaFieldOptions(
+                subcommand
+                    .setName('edit')
+                    .setDescription('修改人設（需要管理伺服器權限）')
+                    .addStringOption(option =>
+                        option
+                            .setName('name')
+                            .setDescription('要修改的人設名稱')
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('prompt')
+                            .setDescription('新的 system prompt')
+                            .setRequired(false)
+                    ),
+                modelChoices
+            )
+        )
+
+        // List command
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('列出這個伺服器的人設')
+        )
+
+        // Use command
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('use')
+                .setDescription('切換頻道使用的人設')
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('人設名稱，填 default 換回預設人設')
+                        .setRequired(true)
+                )
+                .addChannelOption(option =>
+                    option
+                        .setName('channel')
+                        .setDescription('要切換的頻道（預設為目前頻道）')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false)
+                )
+        )
+
+        // Delete command
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('delete')
+                .setDescription('刪除人設（需要管理伺服器權限）')
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('要刪除的人設名稱')
+                        .setRequired(true)
+                )
+        );
+}
+
+module.exports = {
+    buildPersonaCommand
+};
@@ -0,0 +1,140 @@
+/**
+ * playlistCommands.js - Saved playlist Slash Commands for Setsuna
+ * Create, fill, share and play your own playlists and the server's playlists
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+const scopeChoices = [
+    { name: '我的播放清單', value: 'user' },
+    { name: '伺服器播放清單（需要 DJ 權限才能修改）', value: 'guild' }
+];
+
+const addNameOption = (subcommand, required = true) => subcommand
+    .addStringOption(option =>
+        option
+            .setName('name')
+            .setDescription('播放清單名稱')
+            .setRequired(required)
+    );
+
+const addScopeOption = subcommand => subcommand
+    .addStringOption(option =>
+        option
+            .setName('scope')
+            .setDescription('我的或伺服器的播放清單（預設：我的）')
+            .setRequired(false)
+            .addChoices(...scopeChoices)
+    );
+
+const addOwnerOption = subcommand => subcommand
+    .addUserOption(option =>
+        option
+            .setName('owner')
+            .setDescription('使用這位使用者分享的播放清單')
+            .setRequired(false)
+    );
+
+const playlistCommand = new SlashCommandBuilder()
+    .setName('playlist')
+    .setDescription('📁 儲存、分享和播放播放清單')
+
+    // Create command
+    .addSubcommand(subcommand =>
+        addScopeOption(addNameOption(
+            subcommand
+                .setName('create')
+                .setDescription('建立播放清單')
+        ))
+            .addBooleanOption(option =>
+                option
+                    .setName('from_queue')
+                    .setDescription('把目前的播放隊列（含正在播放的歌）存進去')
+                    .setRequired(false)
+            )
+    )
+
+    // Add command
+    .addSubcommand(subcommand =>
+        addScopeOption(addNameOption(
+            subcommand
+                .setName('add')
+                .setDescription('加入歌曲 - 支援歌名、YouTube 網址或播放列表、Spotify 播放清單/專輯')
+        )
+            .addStringOption(option =>
+                option
+                    .setName('query')
+                    .setDescription('歌曲名稱或網址（不填則加入正在播放的歌）')
+                    .setRequired(false)
+            ))
+    )
+
+    // Remove command
+    .addSubcommand(subcommand =>
+        addScopeOption(addNameOption(
+            subcommand
+                .setName('remove')
+                .setDescription('從播放清單移除歌曲')
+        )
+            .addIntegerOption(option =>
+                option
+                    .setName('position')
+                    .setDescription('歌曲在清單中的位置')
+                    .setRequired(true)
+                    .setMinValue(1)
+            ))
+    )
+
+    // Show command
+    .addSubcommand(subcommand =>
+        addOwnerOption(addScopeOption(addNameOption(
+            subcommand
+                .setName('show')
+                .setDescription('查看播放清單（不填名稱則列出所有播放清單）'),
+            false
+        )))
+            .addIntegerOption(option =>
+                option
+                    .setName('page')
+                    .setDescription('頁碼')
+                    .setRequired(false)
+                    .setMinValue(1)
+            )
+    )
+
+    // Play command
+    .addSubcommand(subcommand =>
+        addOwnerOption(addScopeOption(addNameOption(
+            subcommand
+                .setName('play')
+                .setDescription('把播放清單加入播放隊列')
+        )))
+    )
+
+    // Delete command
+    .addSubcommand(subcommand =>
+        addScopeOption(addNameOption(
+            subcommand
+                .setName('delete')
+                .setDescription('刪除播放清單')
+        ))
+    )
+
+    // Share command
+    .addSubcommand(subcommand =>
+        addNameOption(
+            subcommand
+                .setName('share')
+                .setDescription('讓其他人可以查看和播放你的播放清單')
+        )
+            .addBooleanOption(option =>
+                option
+                    .setName('enabled')
+                    .setDescription('開啟或關閉分享（預設：開啟）')
+                    .setRequired(false)
+            )
+    );
+
+module.exports = {
+    playlistCommand
+};
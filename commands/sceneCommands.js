@@ -0,0 +1,48 @@
+/**
+ * sceneCommands.js - Group scene Slash Commands for Setsuna
+ * Start and stop scenes where several personas talk with users and each other
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+
+const sceneCommand = new SlashCommandBuilder()
+    .setName('scene')
+    .setDescription('🎬 讓多個人設在頻道裡一起聊天')
+
+    // Start command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('start')
+            .setDescription('在目前頻道開始場景（需要管理頻道權限）')
+            .addStringOption(option =>
+                option
+                    .setName('personas')
+                    .setDescription('參與的人設名稱，用逗號分隔（2 到 5 個，例如 alice,bob）')
+                    .setRequired(true)
+            )
+            .addIntegerOption(option =>
+                option
+                    .setName('max_turns')
+                    .setDescription('人設總共最多說幾次話，到了就自動結束（預設 12）')
+                    .setMinValue(2)
+                    .setMaxValue(100)
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option
+                    .setName('topic')
+                    .setDescription('開場話題，人設會先聊這個')
+                    .setRequired(false)
+            )
+    )
+
+    // Stop command
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('stop')
+            .setDescription('結束目前頻道的場景')
+    );
+
+module.exports = {
+    sceneCommand
+};
@@ -40,11 +40,21 @@ async function loadAllChannelConfigs() {
           model: doc.model,
           groqModel: doc.groqModel,
           cerebrasModel: doc.cerebrasModel,
+          providerModels: doc.providerModels,
+          fallbackOrder: doc.fallbackOrder,
           customInstructions: doc.customInstructions,
           customRole: doc.customRole,
           customSpeakingStyle: doc.customSpeakingStyle,
           customTextStructure: doc.customTextStructure,
           useAIToDetectImageRequest: doc.useAIToDetectImageRequest,
+          useTools: doc.useTools,
+          persona: doc.persona,
+          generationParams: doc.generationParams,
+          trigger: doc.trigger,
+          threadMode: doc.threadMode,
+          threadArchiveMinutes: doc.threadArchiveMinutes,
+          parentId: doc.parentId,
+          language: doc.language,
           caiChatId: doc.caiChatId
         };
       }
@@ -70,13 +80,26 @@ async function saveChannelConfig(channelId, config) {
         $set: {
           channelId: channelId,
           model: config.model || null,
-          groqModel: config.groqModel || null,
-          cerebrasModel: config.cerebrasModel || null,
+          // Sub-model per provider, e.g. { groq: 'llama-3.1-8b-instant' } (replaces groqModel / cerebrasModel)
+          providerModels: config.providerModels || null,
+          fallbackOrder: config.fallbackOrder || null,
           customInstructions: config.customInstructions || null,
           customRole: config.customRole || null,
           customSpeakingStyle: config.customSpeakingStyle || null,
           customTextStructure: config.customTextStructure || null,
           useAIToDetectImageRequest: typeof config.useAIToDetectImageRequest === 'boolean' ? config.useAIToDetectImageRequest : null,
+          useTools: typeof config.useTools === 'boolean' ? config.useTools : null,
+          // Name of the active persona (see chat/personas.js)
+          persona: config.persona || null,
+          // { temperature, topP, maxTokens, presencePenalty, frequencyPenalty, stop }
+          generationParams: config.generationParams || null,
+          // { mode, keywords, probability, quietHours: { start, end, timezone } }
+          trigger: config.trigger || null,
+          threadMode: config.threadMode || false,
+          threadArchiveMinutes: config.threadArchiveMinutes || null,
+          // Set on conversation threads started in a thread-mode channel
+          parentId: config.parentId || null,
+          language: config.language || null,
           caiChatId: config.caiChatId || null,
           updatedAt: new Date()
         }
@@ -131,10 +154,486 @@ async function loadTelegramChatId() {
   }
 }
 
+/**
+ * Loads persisted API key state (usage counts and cooldowns) from the 'key_pool_state' collection
+ */
+async function loadKeyPoolStates() {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('key_pool_state');
+    return await collection.find({}).toArray();
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入 API key 狀態失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Upserts API key state entries, keyed by key fingerprint (raw keys are never stored)
+ */
+async function saveKeyPoolStates(entries) {
+  const database = await connectDB();
+  if (!database || entries.length === 0) return false;
+  try {
+    const collection = database.collection('key_pool_state');
+    await collection.bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { fingerprint: entry.fingerprint },
+        update: { $set: { ...entry, updatedAt: new Date() } },
+        upsert: true
+      }
+    })));
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存 API key 狀態至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Loads the most recent conversation turns of a channel from the 'conversation_turns' collection, oldest first
+ */
+async function loadConversationTurns(channelId, limit) {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('conversation_turns');
+    const docs = await collection.find({ channelId }).sort({ createdAt: -1 }).limit(limit).toArray();
+    return docs.reverse();
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入對話紀錄失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Inserts conversation turns (user messages, bot replies and their enrichments) for a channel
+ */
+async function saveConversationTurns(channelId, turns) {
+  const database = await connectDB();
+  if (!database || turns.length === 0) return false;
+  try {
+    const collection = database.collection('conversation_turns');
+    await collection.insertMany(turns.map(turn => ({ ...turn, channelId })));
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存對話紀錄至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Deletes all but the newest `keep` turns of a channel (keep = 0 clears the conversation)
+ */
+async function pruneConversationTurns(channelId, keep) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('conversation_turns');
+    if (keep <= 0) {
+      await collection.deleteMany({ channelId });
+      return true;
+    }
+    const [oldestKept] = await collection.find({ channelId }).sort({ createdAt: -1 }).skip(keep - 1).limit(1).toArray();
+    if (oldestKept) {
+      await collection.deleteMany({ channelId, createdAt: { $lt: oldestKept.createdAt } });
+    }
+    return true;
+  } catch (error) {
+    console.error('[DB] 清理 MongoDB 對話紀錄失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Loads a channel's rolling conversation summary from the 'conversation_summaries' collection
+ */
+async function loadConversationSummary(channelId) {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('conversation_summaries');
+    return await collection.findOne({ channelId });
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入對話摘要失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Upserts a channel's rolling conversation summary
+ */
+async function saveConversationSummary(channelId, record) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('conversation_summaries');
+    await collection.updateOne(
+      { channelId },
+      { $set: { ...record, channelId, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存對話摘要至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Deletes a channel's rolling conversation summary
+ */
+async function deleteConversationSummary(channelId) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('conversation_summaries');
+    await collection.deleteOne({ channelId });
+    return true;
+  } catch (error) {
+    console.error('[DB] 刪除 MongoDB 對話摘要失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Loads a user's long-term memory (facts, opt-out and scope settings) from the 'user_memories' collection
+ */
+async function loadUserMemory(userId) {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('user_memories');
+    return await collection.findOne({ userId });
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入使用者記憶失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Upserts a user's long-term memory document
+ */
+async function saveUserMemory(userId, record) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('user_memories');
+    await collection.updateOne(
+      { userId },
+      { $set: { ...record, userId, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存使用者記憶至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Loads the personas of a guild (or DM channel) from the 'personas' collection
+ */
+async function loadPersonas(scope) {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('personas');
+    return await collection.find({ scope }).sort({ createdAt: 1 }).toArray();
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入人設失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Upserts a persona, keyed by scope and lowercase name
+ */
+async function savePersona(persona) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('personas');
+    const { _id, ...fields } = persona;
+    await collection.updateOne(
+      { scope: persona.scope, key: persona.key },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存人設至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Deletes a persona
+ */
+async function deletePersona(scope, key) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('personas');
+    await collection.deleteOne({ scope, key });
+    return true;
+  } catch (error) {
+    console.error('[DB] 刪除 MongoDB 人設失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Loads every guild's default settings from the 'guild_preferences' collection
+ */
+async function loadAllGuildConfigs() {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('guild_preferences');
+    return await collection.find({}).toArray();
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入伺服器設定失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Replaces a guild's default settings
+ */
+async function saveGuildConfig(guildId, config) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('guild_preferences');
+    await collection.replaceOne(
+      { guildId },
+      { ...config, guildId, updatedAt: new Date() },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存伺服器設定至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Deletes a guild's default settings
+ */
+async function deleteGuildConfig(guildId) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('guild_preferences');
+    await collection.deleteOne({ guildId });
+    return true;
+  } catch (error) {
+    console.error('[DB] 刪除 MongoDB 伺服器設定失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Loads one day of OpenClaw usage counts for a guild (or DM channel)
+ */
+async function loadOpenClawUsage(scope, date) {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('openclaw_usage');
+    return await collection.find({ scope, date }).toArray();
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入 OpenClaw 使用量失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Adds one OpenClaw job to a user's count for the day
+ */
+async function incrementOpenClawUsage(scope, date, userId) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('openclaw_usage');
+    await collection.updateOne(
+      { scope, date, userId },
+      { $inc: { count: 1 }, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存 OpenClaw 使用量至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Clears a day of OpenClaw usage for one user, or for everyone when userId is null
+ */
+async function deleteOpenClawUsage(scope, date, userId) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('openclaw_usage');
+    await collection.deleteMany(userId ? { scope, date, userId } : { scope, date });
+    return true;
+  } catch (error) {
+    console.error('[DB] 刪除 MongoDB OpenClaw 使用量失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Saves a guild's music queue snapshot to the 'music_queues' collection
+ */
+async function saveMusicQueue(guildId, snapshot) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('music_queues');
+    await collection.replaceOne(
+      { guildId },
+      { guildId, ...snapshot, updatedAt: new Date() },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存音樂隊列至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Loads a guild's music queue snapshot
+ */
+async function loadMusicQueue(guildId) {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('music_queues');
+    return await collection.findOne({ guildId });
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入音樂隊列失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Loads every saved music queue snapshot
+ */
+async function loadAllMusicQueues() {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('music_queues');
+    return await collection.find({}).toArray();
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入所有音樂隊列失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Deletes a guild's music queue snapshot
+ */
+async function deleteMusicQueue(guildId) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('music_queues');
+    await collection.deleteOne({ guildId });
+    return true;
+  } catch (error) {
+    console.error('[DB] 刪除 MongoDB 音樂隊列失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Loads the saved playlists of an owner ('user:<id>' or 'guild:<id>')
+ */
+async function loadPlaylists(owner) {
+  const database = await connectDB();
+  if (!database) return null;
+  try {
+    const collection = database.collection('playlists');
+    return await collection.find({ owner }).sort({ createdAt: 1 }).toArray();
+  } catch (error) {
+    console.error('[DB] 從 MongoDB 載入播放清單失敗:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Upserts a playlist, keyed by owner and lowercase name
+ */
+async function savePlaylist(playlist) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('playlists');
+    const { _id, ...fields } = playlist;
+    await collection.updateOne(
+      { owner: playlist.owner, key: playlist.key },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    console.error('[DB] 儲存播放清單至 MongoDB 失敗:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Deletes a playlist
+ */
+async function deletePlaylist(owner, key) {
+  const database = await connectDB();
+  if (!database) return false;
+  try {
+    const collection = database.collection('playlists');
+    await collection.deleteOne({ owner, key });
+    return true;
+  } catch (error) {
+    console.error('[DB] 刪除 MongoDB 播放清單失敗:', error.message);
+    return false;
+  }
+}
+
 module.exports = {
   connectDB,
   loadAllChannelConfigs,
   saveChannelConfig,
   saveTelegramChatId,
-  loadTelegramChatId
+  loadTelegramChatId,
+  loadKeyPoolStates,
+  saveKeyPoolStates,
+  loadConversationTurns,
+  saveConversationTurns,
+  pruneConversationTurns,
+  loadConversationSummary,
+  saveConversationSummary,
+  deleteConversationSummary,
+  loadUserMemory,
+  saveUserMemory,
+  loadPersonas,
+  savePersona,
+  deletePersona,
+  loadAllGuildConfigs,
+  saveGuildConfig,
+  deleteGuildConfig,
+  loadOpenClawUsage,
+  incrementOpenClawUsage,
+  deleteOpenClawUsage,
+  saveMusicQueue,
+  loadMusicQueue,
+  loadAllMusicQueues,
+  deleteMusicQueue,
+  loadPlaylists,
+  savePlaylist,
+  deletePlaylist
 };
@@ -1,7 +1,6 @@
 const https = require('https');
 const querystring = require('querystring');
-
-let globalKeyCounter = 0;
+const { createKeyPool, getKeyPool, readKeysFromEnv, classifyError } = require('./llm/keyPool');
 
 const ALL_SEARCH_MODELS = [
   'gemini-2.5-flash-lite',
@@ -13,33 +12,10 @@ const ALL_SEARCH_MODELS = [
   'gemini-1.5-flash'
 ];
 
-function getApiKeys() {
-  const keys = [];
-  if (process.env.GEMINI_API_KEYS) {
-    const split = process.env.GEMINI_API_KEYS.split(',');
-    for (const k of split) {
-      const trimmed = k.trim();
-      if (trimmed && trimmed !== 'DUMMY_KEY' && !keys.includes(trimmed)) {
-        keys.push(trimmed);
-      }
-    }
-  }
-  // Also check individual environment variables commonly used
-  for (const envName of Object.keys(process.env)) {
-    if (/^(GEMINI_API_KEY|GOOGLE_API_KEY)/i.test(envName)) {
-      const val = process.env[envName];
-      if (val) {
-        const split = val.split(',');
-        for (const k of split) {
-          const trimmed = k.trim();
-          if (trimmed && trimmed !== 'DUMMY_KEY' && !keys.includes(trimmed)) {
-            keys.push(trimmed);
-          }
-        }
-      }
-    }
-  }
-  return keys;
+// Shares key state with the Gemini provider's pool, so a key revoked there is skipped here too
+function getKeyPoolForProxy() {
+  return getKeyPool('gemini-proxy') ||
+    createKeyPool('gemini-proxy', readKeysFromEnv(['GEMINI_API_KEYS', /^(GEMINI_API_KEY|GOOGLE_API_KEY)/i]));
 }
 
 function makeGoogleRequest(apiVersion, model, action, queryParams, bodyBuffer, originalHeaders, method) {
@@ -138,7 +114,9 @@ async function handleGeminiRequest(req, res) {
     }));
   }
 
-  const keys = getApiKeys();
+  const pool = getKeyPoolForProxy();
+  // Keys on cooldown are skipped; if every key is cooling down, still try the one that recovers first
+  const keys = pool.size > 0 ? (pool.candidates().length > 0 ? pool.candidates() : [pool.current()]) : [];
   // Remove the gateway password key before sending request to Google
   delete queryParams.key;
 
@@ -238,14 +216,16 @@ async function handleGeminiRequest(req, res) {
       }
 
       for (let i = 0; i < keys.length; i++) {
+        // Revoked during this request (e.g. 403 on the previous model)
+        if (keys.length > 1 && !pool.isAvailable(keys[i])) continue;
+
         attemptCount++;
         if (attemptCount > 20) {
           console.warn('[Proxy] Maximum retry attempts (20) reached.');
           break;
         }
 
-        const keyIndex = (globalKeyCounter + i) % keys.length;
-        const key = keys[keyIndex];
+        const key = keys[i];
         const maskedKey = key.substring(0, 6) + '...' + key.substring(key.length - 4);
 
         console.log(`[Proxy] [Attempt ${attemptCount}] Trying model "${model}" (grounding=${config.useGrounding}) with key "${maskedKey}"`);
@@ -258,7 +238,8 @@ async function handleGeminiRequest(req, res) {
 
           if (result.statusCode === 200) {
             console.log(`[Proxy] [Success] Model "${model}" (grounding=${config.useGrounding}) succeeded with key "${maskedKey}"`);
-            globalKeyCounter = (keyIndex + 1) % keys.length;
+            pool.reportSuccess(key);
+            pool.rotate();
             success = true;
             
             res.writeHead(result.statusCode, result.headers);
@@ -273,6 +254,11 @@ async function handleGeminiRequest(req, res) {
               errorMsg = result.body.toString().substring(0, 100);
             }
             console.warn(`[Proxy] [Failed] Model "${model}" (grounding=${config.useGrounding}) failed with status ${result.statusCode}: ${errorMsg}`);
+            // Gemini quotas are per model, so only a revoked key is rested here; the next model may still work with it
+            const failure = { statusCode: result.statusCode, headers: result.headers, message: errorMsg };
+            if (classifyError(failure).type === 'invalid') {
+              pool.reportFailure(key, failure);
+            }
           }
         } catch (err) {
           console.error(`[Proxy] [Error] Network error during request: ${err.message}`);
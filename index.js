@@ -12,6 +12,28 @@ require('./server');
 // Music System
 const { MusicPlayer, parseTime } = require('./music/MusicPlayer');
 const { musicCommand } = require('./commands/musicCommands');
+const { memoryCommand } = require('./commands/memoryCommands');
+const { buildPersonaCommand } = require('./commands/personaCommands');
+const { sceneCommand } = require('./commands/sceneCommands');
+const { buildPermissionsCommand } = require('./commands/permissionCommands');
+const { openclawCommand } = require('./commands/openclawCommands');
+const { playlistCommand } = require('./commands/playlistCommands');
+
+// Chat helpers
+const { StreamingReply, createChannelSender } = require('./chat/streamReply');
+const { splitMessage, TELEGRAM_MESSAGE_LIMIT } = require('./chat/messageSplitter');
+const conversationStore = require('./chat/conversationStore');
+const summarizer = require('./chat/summarizer');
+const userMemory = require('./chat/userMemory');
+const personas = require('./chat/personas');
+const personaWebhooks = require('./chat/personaWebhooks');
+const scenes = require('./chat/scenes');
+const triggers = require('./chat/triggers');
+const messageBuffer = require('./chat/messageBuffer');
+const guildSettings = require('./chat/guildSettings');
+const permissions = require('./chat/permissions');
+const openclawJobs = require('./chat/openclawJobs');
+const playlists = require('./music/playlists');
 let musicPlayer = null; // Will be initialized after client is ready
 
 // 初始化繁簡轉換器
@@ -59,182 +81,269 @@ if (!DISCORD_TOKEN) {
   process.exit(1);
 }
 
-// Helper function to parse multiple keys from env variables (supporting single keys, numbered keys, or comma-separated lists)
-function parseKeysFromEnv(envNames) {
-  const keys = [];
-  for (const name of envNames) {
-    const val = process.env[name];
-    if (val) {
-      const split = val.split(',');
-      for (const k of split) {
-        const trimmed = k.trim();
-        if (trimmed && trimmed !== 'DUMMY_KEY' && !keys.includes(trimmed)) {
-          keys.push(trimmed);
-        }
-      }
-    }
-  }
-  return keys;
-}
+// LLM providers (API keys, models and call functions are registered in llm/providers.js)
+const llm = require('./llm/registry');
+const health = require('./llm/health');
+const keyPool = require('./llm/keyPool');
+const { registerBuiltInProviders } = require('./llm/providers');
+registerBuiltInProviders();
+
+// Bot capabilities exposed to function-calling models (chat/botTools.js)
+const { runToolAgent } = require('./llm/agent');
+const { estimateTokens } = require('./llm/tokenizer');
+const { registerBuiltInTools } = require('./chat/botTools');
+registerBuiltInTools();
 
-// Load all API keys for different models
-const DEEPSEEK_API_KEYS = parseKeysFromEnv(['DEEPSEEK_API_KEY', 'DEEPSEEK_API_KEYS', 'DEEPSEEK_API_KEY_2', 'DEEPSEEK_API_KEY_3']);
-const GEMINI_API_KEYS = parseKeysFromEnv(['GEMINI_API_KEY', 'GEMINI_API_KEYS', 'GEMINI_API_KEY_2', 'GEMINI_API_KEY_3']);
-const CHATGPT_API_KEYS = parseKeysFromEnv(['CHATGPT_API_KEY', 'CHATGPT_API_KEYS', 'CHATGPT_API_KEY_2', 'CHATGPT_API_KEY_3']);
-const MISTRAL_API_KEYS = parseKeysFromEnv(['MISTRAL_API_KEY', 'MISTRAL_API_KEYS', 'MISTRAL_API_KEY_2', 'MISTRAL_API_KEY_3']);
-const GROQ_API_KEYS = parseKeysFromEnv(['GROQ_API_KEY', 'GROQ_API_KEYS', 'GROQ_API_KEY_2', 'GROQ_API_KEY_3']);
-const CEREBRAS_API_KEYS = parseKeysFromEnv(['CEREBRAS_API_KEY', 'CEREBRAS_API_KEYS', 'CEREBRAS_API_KEY_2', 'CEREBRAS_API_KEY_3']);
-const CHARACTERAI_TOKENS = parseKeysFromEnv(['CHARACTERAI_TOKEN', 'CHARACTERAI_TOKENS', 'CHARACTERAI_TOKEN_2', 'CHARACTERAI_TOKEN_3']);
-const HF_TOKENS = parseKeysFromEnv(['HF_TOKEN', 'HF_TOKENS', 'HF_TOKEN_2', 'HF_TOKEN_3']);
+// Restore key cooldowns / usage counts from the previous run
+keyPool.loadKeyPoolState().catch(error => console.error('[KeyPool] 載入 API key 狀態失敗:', error.message));
 
-let currentHFTokenIndex = 0;
+const hfTokenPool = keyPool.createKeyPool('huggingface', keyPool.readKeysFromEnv(['HF_TOKEN', 'HF_TOKENS', 'HF_TOKEN_2', 'HF_TOKEN_3']));
 
 function getCurrentHFToken() {
-  if (HF_TOKENS.length === 0) return '';
-  return HF_TOKENS[currentHFTokenIndex];
+  return hfTokenPool.current() || '';
 }
 
-function getNextHFToken() {
-  if (HF_TOKENS.length === 0) return '';
-  currentHFTokenIndex = (currentHFTokenIndex + 1) % HF_TOKENS.length;
-  return HF_TOKENS[currentHFTokenIndex];
+// Hugging Face's answer to a request sent with an HF token: a rejected or rate-limited token is rested and the next one used
+function reportHFTokenResponse(token, res) {
+  if (!token || !res) return;
+  if (res.ok) {
+    hfTokenPool.reportSuccess(token);
+  } else if (res.status === 401 || res.status === 403 || res.status === 429) {
+    hfTokenPool.reportFailure(token, { statusCode: res.status, headers: res.headers, message: res.statusText });
+  }
 }
 
-// Character.AI character ID
-const CHARACTERAI_CHARACTER_ID = process.env.CHARACTERAI_CHARACTER_ID;
-
 // Check if any API keys are available
-if (DEEPSEEK_API_KEYS.length === 0 && GEMINI_API_KEYS.length === 0 && CHATGPT_API_KEYS.length === 0 && MISTRAL_API_KEYS.length === 0 && GROQ_API_KEYS.length === 0 && CEREBRAS_API_KEYS.length === 0 && CHARACTERAI_TOKENS.length === 0) {
+if (!llm.hasAnyKeys()) {
   console.warn('WARNING: No API KEY environment variables are set!');
   console.warn('The bot will not be able to process messages without at least one key.');
 }
 
-// Keep track of current API key indices
-let currentDeepseekKeyIndex = 0;
-let currentGeminiKeyIndex = 0;
-let currentChatGPTKeyIndex = 0;
-let currentMistralKeyIndex = 0;
-let currentGroqKeyIndex = 0;
-let currentCerebrasKeyIndex = 0;
-let currentCharacterAIKeyIndex = 0;
-
 // Default model to use
-let defaultModel = 'groq'; // Options: 'deepseek', 'gemini', 'chatgpt', 'mistral', 'groq', 'cerebras', 'characterai'
+let defaultModel = 'groq'; // Any provider id registered in llm/providers.js
 
 // Channel model preferences
 const channelModelPreferences = new Map();
 
-// Map to store channel-specific Groq model preferences
-const channelGroqModelPreferences = new Map();
-
-// Map to store channel-specific Cerebras model preferences
-const channelCerebrasModelPreferences = new Map();
-
-// Default Groq model to use if no preference is set (updated December 2025 - gemma2-9b-it deprecated)
-const defaultGroqModel = 'llama-3.3-70b-versatile';
-
-// Default Cerebras model to use if no preference is set
-const defaultCerebrasModel = 'llama3.3-70b';
+// Map to store channel-specific sub-model preferences: channelId -> { providerId: model }
+const channelProviderModelPreferences = new Map();
 
-// Map to store channel-specific personality preferences
-const channelPersonalityPreferences = new Map();
+// Returns the channel's sub-model for a provider, or the provider default
+function getChannelProviderModel(channelId, providerId) {
+  const models = channelProviderModelPreferences.get(channelId);
+  return llm.resolveModel(providerId, models && models[providerId]);
+}
 
-// Available Groq models (updated December 2025 - from official docs)
-const availableGroqModels = [
-  'llama-3.3-70b-versatile',    // Production - recommended
-  'llama-3.1-8b-instant',       // Production - fast
-  'openai/gpt-oss-120b',        // Production - powerful
-  'openai/gpt-oss-20b',         // Production - efficient
-  'meta-llama/llama-4-maverick-17b-128e-instruct', // Preview
-  'meta-llama/llama-4-scout-17b-16e-instruct',     // Preview
-  'qwen/qwen3-32b',             // Preview
-  'moonshotai/kimi-k2-instruct-0905', // Preview
-  'compound-beta',              // System - agentic
-  'compound-beta-mini'          // System - agentic mini
-];
+/**
+ * The effective model, persona, trigger mode and reply language of a channel, each as `{ value, source }`
+ * where source is 'channel' (set on the channel), 'server' (the guild's defaults, /setsuna server)
+ * or 'default'. Every lookup of these settings goes through here; guildId is null in DMs.
+ */
+function resolveChannelSettings(channelId, guildId) {
+  const channelData = activeChannels.get(channelId) || {};
+  const serverDefaults = guildSettings.getGuildSettings(guildId);
+  const resolve = (channelValue, serverValue, defaultValue) => {
+    if (channelValue !== undefined && channelValue !== null) return { value: channelValue, source: 'channel' };
+    if (serverValue !== undefined && serverValue !== null) return { value: serverValue, source: 'server' };
+    return { value: defaultValue, source: 'default' };
+  };
 
-// Available Mistral models (December 2025)
-const availableMistralModels = [
-  'mistral-small-latest',         // Small - affordable, latest version
-  'open-mistral-nemo',            // Nemo 12B - multilingual
-  'ministral-8b-latest',          // Ministral 8B - fast
-  'ministral-3b-latest'           // Ministral 3B - fastest
-];
+  // A channel's own personality (/setsuna setpersonality) also overrides the server's persona
+  const persona = !channelData.persona && channelPersonalityPreferences.has(channelId)
+    ? { value: null, source: 'channel' }
+    : resolve(channelData.persona, serverDefaults.persona, null);
+
+  // The bot's conversation threads (thread mode) answer every message, whatever the server's default
+  const triggerMode = channelData.parentId
+    ? resolve(channelData.trigger && channelData.trigger.mode, null, 'always')
+    : resolve(channelData.trigger && channelData.trigger.mode, serverDefaults.triggerMode, 'always');
+
+  return {
+    model: resolve(channelModelPreferences.get(channelId), serverDefaults.model, defaultModel),
+    persona,
+    triggerMode,
+    language: resolve(channelData.language, serverDefaults.language, 'auto')
+  };
+}
 
-// Default Mistral model
-const defaultMistralModel = 'open-mistral-nemo';
+// The provider a channel uses: its own (/setsuna setmodel), the server's default, or the bot's
+function getChannelModel(channelId, guildId) {
+  return resolveChannelSettings(channelId, guildId).model.value;
+}
 
-// Available Cerebras models (updated December 2025)
-const availableCerebrasModels = [
-  'llama3.1-8b',
-  'llama3.3-70b',
-  'qwen-3-32b'
-];
+// A channel's trigger settings with the mode resolved against the server's default
+function getChannelTrigger(channelId, guildId) {
+  const channelData = activeChannels.get(channelId) || {};
+  return { ...(channelData.trigger || {}), mode: resolveChannelSettings(channelId, guildId).triggerMode.value };
+}
 
-// Function to get next API key for each model
-function getNextDeepseekKey() {
-  currentDeepseekKeyIndex = (currentDeepseekKeyIndex + 1) % DEEPSEEK_API_KEYS.length;
-  return DEEPSEEK_API_KEYS[currentDeepseekKeyIndex];
+// Shown next to a resolved setting, e.g. "Groq (server default)"
+function formatSettingSource(source) {
+  return { channel: 'set on this channel', server: 'server default', default: 'built-in default' }[source];
 }
 
-function getCurrentDeepseekKey() {
-  return DEEPSEEK_API_KEYS[currentDeepseekKeyIndex];
+// The persona a channel uses (/persona use, or the server's default persona), or null; guildId is null in DMs
+async function getChannelPersona(channelId, guildId) {
+  const { persona } = resolveChannelSettings(channelId, guildId);
+  if (!persona.value) return null;
+  return personas.getPersona(personas.getPersonaScope(guildId, channelId), persona.value);
 }
 
-function getNextGeminiKey() {
-  currentGeminiKeyIndex = (currentGeminiKeyIndex + 1) % GEMINI_API_KEYS.length;
-  return GEMINI_API_KEYS[currentGeminiKeyIndex];
+// System prompt for a channel: its persona, then its custom personality, then the default
+async function getChannelPersonality(channelId, guildId) {
+  const persona = await getChannelPersona(channelId, guildId);
+  if (persona) return persona.systemPrompt;
+  return channelPersonalityPreferences.get(channelId) || setsunaPersonality;
 }
 
-function getCurrentGeminiKey() {
-  return GEMINI_API_KEYS[currentGeminiKeyIndex];
+// Thread mode: how long a conversation thread stays open without messages
+const DEFAULT_THREAD_ARCHIVE_MINUTES = 60;
+
+/**
+ * Activates a thread with its parent channel's settings (model, sub-models, persona, personality, tools,
+ * generation parameters), after which they are the thread's own. Trigger and thread mode stay with the parent:
+ * the thread answers every message (see resolveChannelSettings).
+ */
+function inheritThreadConfig(thread, parentConfig) {
+  const { messageHistory, trigger, threadMode, threadArchiveMinutes, caiChatId, ...inherited } = parentConfig;
+  activeChannels.set(thread.id, { ...structuredClone(inherited), messageHistory: [], parentId: thread.parentId });
+  if (channelModelPreferences.has(thread.parentId)) {
+    channelModelPreferences.set(thread.id, channelModelPreferences.get(thread.parentId));
+  }
+  if (channelProviderModelPreferences.has(thread.parentId)) {
+    channelProviderModelPreferences.set(thread.id, { ...channelProviderModelPreferences.get(thread.parentId) });
+  }
+  if (channelPersonalityPreferences.has(thread.parentId)) {
+    channelPersonalityPreferences.set(thread.id, channelPersonalityPreferences.get(thread.parentId));
+  }
+  return activeChannels.get(thread.id);
 }
 
-function getNextChatGPTKey() {
-  currentChatGPTKeyIndex = (currentChatGPTKeyIndex + 1) % CHATGPT_API_KEYS.length;
-  return CHATGPT_API_KEYS[currentChatGPTKeyIndex];
+function forgetThread(threadId) {
+  activeChannels.delete(threadId);
+  channelModelPreferences.delete(threadId);
+  channelProviderModelPreferences.delete(threadId);
+  channelPersonalityPreferences.delete(threadId);
+  scenes.stopScene(threadId);
 }
 
-function getCurrentChatGPTKey() {
-  return CHATGPT_API_KEYS[currentChatGPTKeyIndex];
+// Starts (or reuses) the thread for a conversation begun by `message` in a thread-mode channel
+async function startConversationThread(message, parentConfig) {
+  try {
+    const name = message.content.replace(/<@!?\d+>/g, '').trim().slice(0, 90) || `${message.author.username} 的對話`;
+    const thread = message.thread || await message.startThread({
+      name,
+      autoArchiveDuration: parentConfig.threadArchiveMinutes || DEFAULT_THREAD_ARCHIVE_MINUTES,
+      reason: 'Setsuna thread mode'
+    });
+    if (!activeChannels.has(thread.id)) {
+      inheritThreadConfig(thread, parentConfig);
+      saveActiveChannels();
+    }
+    return thread;
+  } catch (error) {
+    console.error(`[Thread] 無法在頻道 ${message.channelId} 建立討論串:`, error.message);
+    return null;
+  }
 }
 
-function getNextGroqKey() {
-  currentGroqKeyIndex = (currentGroqKeyIndex + 1) % GROQ_API_KEYS.length;
-  return GROQ_API_KEYS[currentGroqKeyIndex];
+// The parent-channel message that started a thread, handled as if it had been sent in the thread
+function asThreadMessage(message, thread) {
+  const threadMessage = Object.create(message);
+  threadMessage.channelId = thread.id;
+  threadMessage.reply = options => thread.send(options);
+  return threadMessage;
 }
 
-function getCurrentCerebrasKey() {
-  return CEREBRAS_API_KEYS[currentCerebrasKeyIndex];
+/**
+ * Token budget a provider gets in a channel, counting the channel's personality and summary as the system prompt
+ * (per-user memory varies by speaker and is left out).
+ */
+async function getChannelContextBudget(channelId, guildId, providerId) {
+  const personality = await getChannelPersonality(channelId, guildId);
+  const summary = await summarizer.getSummary(channelId);
+  const promptTokens = estimateTokens(personality) + (summary ? estimateTokens(summary) : 0);
+  const channelData = activeChannels.get(channelId);
+  const maxTokens = channelData && channelData.generationParams && channelData.generationParams.maxTokens;
+  return llm.getContextBudget(providerId, getChannelProviderModel(channelId, providerId), promptTokens, maxTokens);
 }
 
-function getNextCerebrasKey() {
-  currentCerebrasKeyIndex = (currentCerebrasKeyIndex + 1) % CEREBRAS_API_KEYS.length;
-  return CEREBRAS_API_KEYS[currentCerebrasKeyIndex];
+// e.g. "131,072 tokens (reply 500, system prompt ~1,200, history up to ~6,000)"
+function formatTokenBudget(budget) {
+  const format = tokens => tokens.toLocaleString('en-US');
+  return `${format(budget.contextWindow)} tokens (reply ${format(budget.replyTokens)}, system prompt ~${format(budget.promptTokens)}, history up to ~${format(budget.historyTokens)})`;
 }
 
-function getCurrentGroqKey() {
-  return GROQ_API_KEYS[currentGroqKeyIndex];
+// e.g. "to @mentions and replies only (quiet 23:00-07:00 Asia/Taipei)"
+function formatTrigger(trigger) {
+  const { mode, keywords, probability, quietHours } = triggers.normalizeTrigger(trigger);
+  const descriptions = {
+    always: 'to every message',
+    mention: 'to @mentions and replies only',
+    keyword: `when someone says "Setsuna"${keywords.length > 0 ? ` or ${keywords.map(keyword => `\`${keyword}\``).join(', ')}` : ''}, or mentions me`,
+    random: `to about ${Math.round(probability * 100)}% of messages, and always to mentions`
+  };
+  const quiet = quietHours
+    ? ` (quiet ${quietHours.start}-${quietHours.end} ${quietHours.timezone}: mentions and replies only)`
+    : '';
+  const debounceMs = trigger && typeof trigger.debounceMs === 'number' ? trigger.debounceMs : messageBuffer.DEFAULT_WINDOW_MS;
+  return `${descriptions[mode]}${quiet}, answering messages sent within ${debounceMs / 1000}s of each other together`;
 }
 
-function getNextMistralKey() {
-  currentMistralKeyIndex = (currentMistralKeyIndex + 1) % MISTRAL_API_KEYS.length;
-  return MISTRAL_API_KEYS[currentMistralKeyIndex];
+// Whether a message @mentions the bot or replies to one of its (or its personas') messages
+async function isAddressedToBot(message) {
+  if (message.mentions.users.has(client.user.id)) return true;
+  if (!message.reference || !message.reference.messageId) return false;
+  try {
+    const repliedMessage = await message.channel.messages.fetch(message.reference.messageId);
+    return await isOwnMessage(repliedMessage);
+  } catch (error) {
+    return false;
+  }
 }
 
-function getCurrentMistralKey() {
-  return MISTRAL_API_KEYS[currentMistralKeyIndex];
+// Option names of the generation parameters, as shown to users
+const GENERATION_PARAM_NAMES = {
+  temperature: 'temperature',
+  topP: 'top_p',
+  maxTokens: 'max_tokens',
+  presencePenalty: 'presence_penalty',
+  frequencyPenalty: 'frequency_penalty',
+  stop: 'stop'
+};
+
+// e.g. "temperature 0.8, max_tokens 800, stop `END`"
+function formatGenerationParams(params) {
+  const entries = llm.GENERATION_PARAMS.filter(param => params && params[param] !== undefined && params[param] !== null);
+  if (entries.length === 0) return 'model defaults';
+  return entries.map(param => param === 'stop'
+    ? `stop ${params.stop.map(sequence => `\`${sequence}\``).join(' ')}`
+    : `${GENERATION_PARAM_NAMES[param]} ${params[param]}`).join(', ');
 }
 
-function getCurrentCharacterAIToken() {
-  return CHARACTERAI_TOKENS[currentCharacterAIKeyIndex];
+function setChannelProviderModel(channelId, providerId, model) {
+  const models = channelProviderModelPreferences.get(channelId) || {};
+  models[providerId] = model;
+  channelProviderModelPreferences.set(channelId, models);
+  // Keep the active channel entry in sync so saveActiveChannels persists it
+  if (activeChannels.has(channelId)) {
+    activeChannels.get(channelId).providerModels = models;
+  }
 }
 
-function getNextCharacterAIToken() {
-  currentCharacterAIKeyIndex = (currentCharacterAIKeyIndex + 1) % CHARACTERAI_TOKENS.length;
-  return CHARACTERAI_TOKENS[currentCharacterAIKeyIndex];
+// Restore sub-model preferences from a saved channel config (legacy groqModel / cerebrasModel fields are still honoured)
+function restoreProviderModels(channelId, config) {
+  const saved = { groq: config.groqModel, cerebras: config.cerebrasModel, ...(config.providerModels || {}) };
+  for (const [providerId, model] of Object.entries(saved)) {
+    if (model) {
+      setChannelProviderModel(channelId, providerId, model);
+    }
+  }
 }
 
+// Map to store channel-specific personality preferences
+const channelPersonalityPreferences = new Map();
+
 // Remove reply references from messages
 function cleanMessageContent(content) {
   return content.replace(/\[回覆.*?的訊息:.*?\]/g, '');
@@ -370,13 +479,9 @@ async function loadActiveChannels() {
               channelModelPreferences.set(channelId, config.model);
               activeChannels.get(channelId).model = config.model;
             }
-            if (config.groqModel) {
-              channelGroqModelPreferences.set(channelId, config.groqModel);
-              activeChannels.get(channelId).groqModel = config.groqModel;
-            }
-            if (config.cerebrasModel) {
-              channelCerebrasModelPreferences.set(channelId, config.cerebrasModel);
-              activeChannels.get(channelId).cerebrasModel = config.cerebrasModel;
+            restoreProviderModels(channelId, config);
+            if (config.fallbackOrder) {
+              activeChannels.get(channelId).fallbackOrder = config.fallbackOrder;
             }
             if (config.customInstructions) {
               activeChannels.get(channelId).customInstructions = config.customInstructions;
@@ -393,6 +498,28 @@ async function loadActiveChannels() {
             if (config.useAIToDetectImageRequest) {
               activeChannels.get(channelId).useAIToDetectImageRequest = config.useAIToDetectImageRequest;
             }
+            if (config.useTools) {
+              activeChannels.get(channelId).useTools = config.useTools;
+            }
+            if (config.persona) {
+              activeChannels.get(channelId).persona = config.persona;
+            }
+            if (config.generationParams) {
+              activeChannels.get(channelId).generationParams = config.generationParams;
+            }
+            if (config.trigger) {
+              activeChannels.get(channelId).trigger = config.trigger;
+            }
+            if (config.threadMode) {
+              activeChannels.get(channelId).threadMode = config.threadMode;
+              activeChannels.get(channelId).threadArchiveMinutes = config.threadArchiveMinutes;
+            }
+            if (config.parentId) {
+              activeChannels.get(channelId).parentId = config.parentId;
+            }
+            if (config.language) {
+              activeChannels.get(channelId).language = config.language;
+            }
             if (config.caiChatId) {
               activeChannels.get(channelId).caiChatId = config.caiChatId;
             }
@@ -444,16 +571,12 @@ async function loadActiveChannels() {
           activeChannels.get(channelId).model = config.model;
         }
 
-        // Set Groq model preference if available
-        if (config.groqModel) {
-          channelGroqModelPreferences.set(channelId, config.groqModel);
-          activeChannels.get(channelId).groqModel = config.groqModel;
-        }
+        // Set sub-model preferences (e.g. Groq / Cerebras model) if available
+        restoreProviderModels(channelId, config);
 
-        // Set Cerebras model preference if available
-        if (config.cerebrasModel) {
-          channelCerebrasModelPreferences.set(channelId, config.cerebrasModel);
-          activeChannels.get(channelId).cerebrasModel = config.cerebrasModel;
+        // Set fallback order if available
+        if (config.fallbackOrder) {
+          activeChannels.get(channelId).fallbackOrder = config.fallbackOrder;
         }
 
         // Set custom instructions if available
@@ -481,6 +604,42 @@ async function loadActiveChannels() {
           activeChannels.get(channelId).useAIToDetectImageRequest = config.useAIToDetectImageRequest;
         }
 
+        // Set tool calling if enabled
+        if (config.useTools) {
+          activeChannels.get(channelId).useTools = config.useTools;
+        }
+
+        // Set the active persona if available
+        if (config.persona) {
+          activeChannels.get(channelId).persona = config.persona;
+        }
+
+        // Set generation parameters (/setsuna params) if available
+        if (config.generationParams) {
+          activeChannels.get(channelId).generationParams = config.generationParams;
+        }
+
+        // Set the reply trigger (/setsuna trigger) if available
+        if (config.trigger) {
+          activeChannels.get(channelId).trigger = config.trigger;
+        }
+
+        // Set thread mode if enabled
+        if (config.threadMode) {
+          activeChannels.get(channelId).threadMode = config.threadMode;
+          activeChannels.get(channelId).threadArchiveMinutes = config.threadArchiveMinutes;
+        }
+
+        // Threads remember the thread-mode channel they were started in
+        if (config.parentId) {
+          activeChannels.get(channelId).parentId = config.parentId;
+        }
+
+        // Set the reply language (/setsuna language) if available
+        if (config.language) {
+          activeChannels.get(channelId).language = config.language;
+        }
+
         // Set Character.AI chat ID if available
         if (config.caiChatId) {
           activeChannels.get(channelId).caiChatId = config.caiChatId;
@@ -511,8 +670,9 @@ async function saveActiveChannels() {
       // Only store model preferences and not message history
       simplifiedActiveChannels[channelId] = {
         model: channelData.model,
-        groqModel: channelData.groqModel,
-        cerebrasModel: channelData.cerebrasModel,
+        providerModels: channelData.providerModels || null,
+        // Ordered list of providers to try when the preferred one fails
+        fallbackOrder: channelData.fallbackOrder || null,
         // Keep custom instructions if they exist
         customInstructions: channelData.customInstructions || null,
         customRole: channelData.customRole || null,
@@ -520,6 +680,21 @@ async function saveActiveChannels() {
         customTextStructure: channelData.customTextStructure || null,
         // Keep useAIToDetectImageRequest if it exists
         useAIToDetectImageRequest: channelData.useAIToDetectImageRequest || false,
+        // Let function-calling models use the bot's tools (music, search, images...)
+        useTools: channelData.useTools || false,
+        // Name of the persona from the guild's persona library (/persona use)
+        persona: channelData.persona || null,
+        // Temperature, top_p, max tokens, penalties and stop sequences (/setsuna params)
+        generationParams: channelData.generationParams || null,
+        // When the bot replies: mode, keywords, probability and quiet hours (/setsuna trigger)
+        trigger: channelData.trigger || null,
+        // Start a thread per conversation when mentioned (/setsuna activate thread_mode)
+        threadMode: channelData.threadMode || false,
+        threadArchiveMinutes: channelData.threadArchiveMinutes || null,
+        // For conversation threads, the thread-mode channel they belong to
+        parentId: channelData.parentId || null,
+        // Reply language; unset follows the server default (/setsuna language)
+        language: channelData.language || null,
         // Store Character.AI chat ID for per-channel chat persistence
         caiChatId: channelData.caiChatId || null
       };
@@ -616,13 +791,21 @@ async function saveActiveChannels() {
       for (const [channelId, channelData] of activeChannels.entries()) {
         simplifiedActiveChannels[channelId] = {
           model: channelData.model,
-          groqModel: channelData.groqModel,
-          cerebrasModel: channelData.cerebrasModel,
+          providerModels: channelData.providerModels || null,
+          fallbackOrder: channelData.fallbackOrder || null,
           customInstructions: channelData.customInstructions || null,
           customRole: channelData.customRole || null,
           customSpeakingStyle: channelData.customSpeakingStyle || null,
           customTextStructure: channelData.customTextStructure || null,
           useAIToDetectImageRequest: channelData.useAIToDetectImageRequest || false,
+          useTools: channelData.useTools || false,
+          persona: channelData.persona || null,
+          generationParams: channelData.generationParams || null,
+          trigger: channelData.trigger || null,
+          threadMode: channelData.threadMode || false,
+          threadArchiveMinutes: channelData.threadArchiveMinutes || null,
+          parentId: channelData.parentId || null,
+          language: channelData.language || null,
           caiChatId: channelData.caiChatId || null
         };
       }
@@ -634,6 +817,20 @@ async function saveActiveChannels() {
   }
 }
 
+// Adds the sub-model options (e.g. groq_model) declared by registered providers
+function addProviderModelOptions(subcommand) {
+  for (const provider of llm.getModelOptionProviders()) {
+    subcommand.addStringOption(option =>
+      option
+        .setName(provider.modelOption)
+        .setDescription(`Select a specific ${provider.label} model (only applies when ${provider.label} is selected)`)
+        .setRequired(false)
+        .addChoices(...llm.getModelOptionChoices(provider.id))
+    );
+  }
+  return subcommand;
+}
+
 // Define slash commands
 const commands = [
   new SlashCommandBuilder()
@@ -679,7 +876,7 @@ const commands = [
     .setName('setsuna')
     .setDescription('Control Setsuna AI assistant')
     .addSubcommand(subcommand =>
-      subcommand
+      addProviderModelOptions(subcommand
         .setName('activate')
         .setDescription('Activate Setsuna in a channel')
         .addChannelOption(option =>
@@ -694,43 +891,27 @@ const commands = [
             .setName('model')
             .setDescription('The AI model to use (optional)')
             .setRequired(false)
-            .addChoices(
-              { name: 'Groq', value: 'groq' },
-              { name: 'Gemini (Fast)', value: 'gemini' },
-              { name: 'ChatGPT', value: 'chatgpt' },
-              { name: 'Mistral AI (Ministral)', value: 'mistral' },
-              { name: 'DeepSeek (Slow)', value: 'deepseek' },
-              { name: 'Cerebras', value: 'cerebras' },
-              { name: 'Character.AI', value: 'characterai' }
-            )
+            .addChoices(...llm.getProviderChoices())
         )
-        .addStringOption(option =>
+        .addBooleanOption(option =>
           option
-            .setName('groq_model')
-            .setDescription('Select a specific Groq model (only applies when Groq is selected)')
+            .setName('thread_mode')
+            .setDescription('Start a thread for each conversation when Setsuna is mentioned in the channel')
             .setRequired(false)
-            .addChoices(
-              { name: 'llama-3.3-70b-versatile (Default)', value: 'llama-3.3-70b-versatile' },
-              { name: 'llama-3.1-8b-instant', value: 'llama-3.1-8b-instant' },
-              { name: 'meta-llama/llama-4-maverick-17b-128e-instruct', value: 'meta-llama/llama-4-maverick-17b-128e-instruct' },
-              { name: 'meta-llama/llama-4-scout-17b-16e-instruct', value: 'meta-llama/llama-4-scout-17b-16e-instruct' },
-              { name: 'openai/gpt-oss-120b', value: 'openai/gpt-oss-120b' },
-              { name: 'compound-beta', value: 'compound-beta' },
-              { name: 'compound-beta-mini', value: 'compound-beta-mini' },
-              { name: 'mistral-saba-24b', value: 'mistral-saba-24b' }
-            )
         )
-        .addStringOption(option =>
+        .addIntegerOption(option =>
           option
-            .setName('cerebras_model')
-            .setDescription('Select a specific Cerebras model (only applies when Cerebras is selected)')
+            .setName('thread_archive')
+            .setDescription('In thread mode, archive threads after this much inactivity (default 1 hour)')
             .setRequired(false)
             .addChoices(
-              { name: 'llama3.3-70b (Default)', value: 'llama3.3-70b' },
-              { name: 'llama3.1-8b', value: 'llama3.1-8b' },
-              { name: 'qwen-3-32b', value: 'qwen-3-32b' }
+              { name: '1 hour', value: 60 },
+              { name: '1 day', value: 1440 },
+              { name: '3 days', value: 4320 },
+              { name: '1 week', value: 10080 }
             )
         )
+      )
     )
     .addSubcommand(subcommand =>
       subcommand
@@ -745,7 +926,7 @@ const commands = [
         )
     )
     .addSubcommand(subcommand =>
-      subcommand
+      addProviderModelOptions(subcommand
         .setName('setmodel')
         .setDescription('Set the AI model to use in this channel')
         .addStringOption(option =>
@@ -753,15 +934,7 @@ const commands = [
             .setName('model')
             .setDescription('The AI model to use')
             .setRequired(true)
-            .addChoices(
-              { name: 'Groq', value: 'groq' },
-              { name: 'Gemini (Fast)', value: 'gemini' },
-              { name: 'ChatGPT', value: 'chatgpt' },
-              { name: 'Mistral AI (Ministral)', value: 'mistral' },
-              { name: 'DeepSeek (Slow)', value: 'deepseek' },
-              { name: 'Cerebras', value: 'cerebras' },
-              { name: 'Character.AI', value: 'characterai' }
-            )
+            .addChoices(...llm.getProviderChoices())
         )
         .addChannelOption(option =>
           option
@@ -770,32 +943,30 @@ const commands = [
             .addChannelTypes(ChannelType.GuildText)
             .setRequired(false)
         )
+      )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('fallback')
+        .setDescription('Set which AI models to try, in order, when the main model fails')
         .addStringOption(option =>
           option
-            .setName('groq_model')
-            .setDescription('Select a specific Groq model (only applies when Groq is selected)')
+            .setName('order')
+            .setDescription(`Comma-separated model list, e.g. ${llm.getDefaultFallbackOrder().join(',')}`)
             .setRequired(false)
-            .addChoices(
-              { name: 'llama-3.3-70b-versatile (Default)', value: 'llama-3.3-70b-versatile' },
-              { name: 'llama-3.1-8b-instant', value: 'llama-3.1-8b-instant' },
-              { name: 'meta-llama/llama-4-maverick-17b-128e-instruct', value: 'meta-llama/llama-4-maverick-17b-128e-instruct' },
-              { name: 'meta-llama/llama-4-scout-17b-16e-instruct', value: 'meta-llama/llama-4-scout-17b-16e-instruct' },
-              { name: 'openai/gpt-oss-120b', value: 'openai/gpt-oss-120b' },
-              { name: 'compound-beta', value: 'compound-beta' },
-              { name: 'compound-beta-mini', value: 'compound-beta-mini' },
-              { name: 'mistral-saba-24b', value: 'mistral-saba-24b' }
-            )
         )
-        .addStringOption(option =>
+        .addBooleanOption(option =>
           option
-            .setName('cerebras_model')
-            .setDescription('Select a specific Cerebras model (only applies when Cerebras is selected)')
+            .setName('default')
+            .setDescription('Set to true to reset the fallback order to default')
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('The channel to set the fallback order for (defaults to current channel)')
+            .addChannelTypes(ChannelType.GuildText)
             .setRequired(false)
-            .addChoices(
-              { name: 'llama3.3-70b (Default)', value: 'llama3.3-70b' },
-              { name: 'llama3.1-8b', value: 'llama3.1-8b' },
-              { name: 'qwen-3-32b', value: 'qwen-3-32b' }
-            )
         )
     )
     .addSubcommand(subcommand =>
@@ -840,6 +1011,242 @@ const commands = [
             .setRequired(false)
         )
     )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('tools')
+        .setDescription('Let the AI use bot tools (music, YouTube, images, OCR, web search) while chatting')
+        .addBooleanOption(option =>
+          option
+            .setName('enable')
+            .setDescription('Enable or disable tool calling (only Groq, Gemini, ChatGPT and Mistral support it)')
+            .setRequired(true)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('The channel to apply this setting (defaults to current channel)')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('trigger')
+        .setDescription('Choose when Setsuna replies in a channel; no options shows the current settings')
+        .addStringOption(option =>
+          option
+            .setName('mode')
+            .setDescription('What makes Setsuna reply')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Always (every message)', value: 'always' },
+              { name: 'Mention (only @mentions and replies to Setsuna)', value: 'mention' },
+              { name: 'Keyword (keywords or the name "Setsuna")', value: 'keyword' },
+              { name: 'Random (with a probability)', value: 'random' }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('keywords')
+            .setDescription('Keywords for keyword mode, separated by commas')
+            .setRequired(false)
+        )
+        .addNumberOption(option =>
+          option
+            .setName('probability')
+            .setDescription('Chance of replying to a message in random mode (0-1)')
+            .setMinValue(0)
+            .setMaxValue(1)
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('quiet_hours')
+            .setDescription('Only answer mentions and replies during these hours, e.g. 23:00-07:00 (off to disable)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('timezone')
+            .setDescription('Timezone of the quiet hours, e.g. Asia/Taipei')
+            .setRequired(false)
+        )
+        .addNumberOption(option =>
+          option
+            .setName('debounce')
+            .setDescription('Seconds to wait for more messages before answering a burst as one (0-10)')
+            .setMinValue(0)
+            .setMaxValue(10)
+            .setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('reset')
+            .setDescription('Reply to every message again, without quiet hours')
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('The channel to apply these settings (defaults to current channel)')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('params')
+        .setDescription('Set generation parameters (temperature, top_p, max tokens...) for a channel; no options shows them')
+        .addNumberOption(option =>
+          option
+            .setName('temperature')
+            .setDescription('Randomness of replies (0-2)')
+            .setMinValue(0)
+            .setMaxValue(2)
+            .setRequired(false)
+        )
+        .addNumberOption(option =>
+          option
+            .setName('top_p')
+            .setDescription('Nucleus sampling: only consider the most likely tokens up to this probability (0-1)')
+            .setMinValue(0)
+            .setMaxValue(1)
+            .setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('max_tokens')
+            .setDescription('Maximum length of a reply in tokens')
+            .setMinValue(16)
+            .setMaxValue(8192)
+            .setRequired(false)
+        )
+        .addNumberOption(option =>
+          option
+            .setName('presence_penalty')
+            .setDescription('Push the model towards new topics (-2 to 2)')
+            .setMinValue(-2)
+            .setMaxValue(2)
+            .setRequired(false)
+        )
+        .addNumberOption(option =>
+          option
+            .setName('frequency_penalty')
+            .setDescription('Discourage repeating the same words (-2 to 2)')
+            .setMinValue(-2)
+            .setMaxValue(2)
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('stop')
+            .setDescription('Stop sequences, separated by | (up to 4)')
+            .setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('reset')
+            .setDescription('Go back to each model\'s defaults')
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('The channel to apply these settings (defaults to current channel)')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('language')
+        .setDescription('Set the language Setsuna replies in for a channel')
+        .addStringOption(option =>
+          option
+            .setName('language')
+            .setDescription('Reply language ("Server default" follows /setsuna server)')
+            .setRequired(true)
+            .addChoices(...guildSettings.getLanguageChoices(), { name: 'Server default', value: 'server' })
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('The channel to apply this setting (defaults to current channel)')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('server')
+        .setDescription('Set server-wide defaults for channels that don\'t set their own; no options shows them')
+        .addStringOption(option =>
+          option
+            .setName('model')
+            .setDescription('Default AI model')
+            .setRequired(false)
+            .addChoices(...llm.getProviderChoices(), { name: 'Bot default', value: 'default' })
+        )
+        .addStringOption(option =>
+          option
+            .setName('persona')
+            .setDescription('Default persona from /persona list (default for none)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('trigger_mode')
+            .setDescription('Default reply trigger mode')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Always (every message)', value: 'always' },
+              { name: 'Mention (only @mentions and replies to Setsuna)', value: 'mention' },
+              { name: 'Keyword (keywords or the name "Setsuna")', value: 'keyword' },
+              { name: 'Random (with a probability)', value: 'random' }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('language')
+            .setDescription('Default reply language')
+            .setRequired(false)
+            .addChoices(...guildSettings.getLanguageChoices())
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('apply_to_channels')
+            .setDescription('Also clear the settings given here on channels that set their own')
+            .setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('reset')
+            .setDescription('Clear all server defaults')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('memory')
+        .setDescription('View or clear the summary Setsuna keeps of older conversation in a channel')
+        .addStringOption(option =>
+          option
+            .setName('action')
+            .setDescription('What to do with the conversation summary')
+            .setRequired(true)
+            .addChoices(
+              { name: 'View', value: 'view' },
+              { name: 'Clear', value: 'clear' }
+            )
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('The channel whose memory to manage (defaults to current channel)')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+    )
     .addSubcommand(subcommand =>
       subcommand
         .setName('checkpersonality')
@@ -893,6 +1300,24 @@ const commands = [
 
   // Music command
   musicCommand,
+
+  // Saved playlists command
+  playlistCommand,
+
+  // Personal memory command
+  memoryCommand,
+
+  // Persona library command
+  buildPersonaCommand(llm.getProviderChoices()),
+
+  // Multi-persona scene command
+  sceneCommand,
+
+  // Per-server command permissions
+  buildPermissionsCommand(permissions.getCapabilityChoices()),
+
+  // OpenClaw users and quotas
+  openclawCommand,
 ];
 
 // Register slash commands when the bot starts
@@ -908,8 +1333,9 @@ client.once('ready', async () => {
     console.error('Error initializing music player:', error);
   }
 
-  // Load active channels
+  // Load active channels, and the server defaults they fall back to
   await loadActiveChannels();
+  await guildSettings.loadGuildSettings();
 
   try {
     console.log('Started refreshing application (/) commands.');
@@ -1042,7 +1468,7 @@ function detectIntentWithRegex(content) {
 
 async function detectIntentWithAI(content) {
   try {
-    const groqKey = getCurrentGroqKey();
+    const groqKey = llm.getCurrentKey('groq');
     if (!groqKey) {
       console.warn('[Intent detection] No Groq API Key set. Falling back to regex.');
       return detectIntentWithRegex(content);
@@ -1073,13 +1499,21 @@ async function detectIntentWithAI(content) {
     若非 BROWSE_WEB，則此欄位填 null"
 }`;
 
-    const completion = await groq.chat.completions.create({
-      messages: [{ role: 'user', content: prompt }],
-      model: 'llama-3.1-8b-instant',
-      max_tokens: 150,
-      temperature: 0.1,
-      response_format: { type: 'json_object' }
-    });
+    // 每則訊息都會呼叫，回報結果讓被限流的 key 進入冷卻
+    let completion;
+    try {
+      completion = await groq.chat.completions.create({
+        messages: [{ role: 'user', content: prompt }],
+        model: 'llama-3.1-8b-instant',
+        max_tokens: 150,
+        temperature: 0.1,
+        response_format: { type: 'json_object' }
+      });
+      llm.reportKeyResult('groq', groqKey);
+    } catch (apiError) {
+      llm.reportKeyResult('groq', groqKey, apiError);
+      throw apiError;
+    }
 
     const responseContent = completion.choices[0].message.content.trim();
     
@@ -1214,6 +1648,7 @@ async function ensureSpaceIsRunning() {
       },
       timeout: 10000
     });
+    reportHFTokenResponse(hfToken, statusRes);
     
     if (!statusRes.ok) {
       const errText = await statusRes.text();
@@ -1244,6 +1679,7 @@ async function ensureSpaceIsRunning() {
         },
         timeout: 10000
       });
+      reportHFTokenResponse(hfToken, restartRes);
       
       if (!restartRes.ok) {
         const errText = await restartRes.text();
@@ -1261,6 +1697,7 @@ async function ensureSpaceIsRunning() {
           },
           timeout: 10000
         });
+        reportHFTokenResponse(hfToken, pollRes);
         if (pollRes.ok) {
           const pollData = await pollRes.json();
           console.log(`[HF Space Manager] 輪詢 (${attempt}/10) 狀態: ${pollData.stage}`);
@@ -1286,9 +1723,65 @@ if (!process.env.YOUTUBE_API_KEY) {
   console.warn('The /youtube command will not work without a YouTube API key.');
 }
 
+/**
+ * The capability (see chat/permissions.js) a slash command needs, with the built-in rule that applies
+ * until the server gives it to roles; null for commands anyone can use or that check for themselves.
+ */
+function getCommandAccess(interaction) {
+  const subcommand = interaction.options.getSubcommand(false);
+  switch (interaction.commandName) {
+    case 'setsuna':
+      return subcommand === 'activate' || subcommand === 'deactivate'
+        ? { capability: 'activate', builtInRule: PermissionFlagsBits.Administrator }
+        : { capability: 'settings', builtInRule: PermissionFlagsBits.Administrator };
+    case 'persona':
+      // Managing the library needs Manage Server, switching a channel needs Manage Channels
+      if (subcommand === 'list') return null;
+      return { capability: 'personas', builtInRule: subcommand === 'use' ? PermissionFlagsBits.ManageChannels : PermissionFlagsBits.ManageGuild };
+    case 'scene':
+      // Stopping is checked by the handler: whoever started a scene can always stop it
+      return subcommand === 'start' ? { capability: 'personas', builtInRule: PermissionFlagsBits.ManageChannels } : null;
+    case 'music':
+      return { capability: 'music', builtInRule: null };
+    case 'playlist':
+      // Anyone can keep their own playlists; changing the server's playlists is for DJ roles
+      if (subcommand === 'play') return { capability: 'music', builtInRule: null };
+      return interaction.options.getString('scope') === 'guild' && ['create', 'add', 'remove', 'delete'].includes(subcommand)
+        ? { capability: 'dj', builtInRule: PermissionFlagsBits.ManageGuild }
+        : null;
+    case 'reset':
+      return { capability: 'reset', builtInRule: PermissionFlagsBits.ManageChannels };
+    default:
+      return null;
+  }
+}
+
+// Whether the user behind an interaction may use a capability in its server
+function canUse(interaction, capability, builtInRule) {
+  return permissions.isAllowed({
+    guildId: interaction.guildId,
+    member: interaction.member,
+    permissions: interaction.memberPermissions,
+    isOwner: isBotOwner(interaction.user.id)
+  }, capability, builtInRule);
+}
+
+// Ephemeral reply that may be longer than one message; the rest is sent as follow-ups
+async function replyEphemeralInChunks(interaction, text) {
+  const [first, ...rest] = splitMessage(text);
+  await interaction.reply({ content: first, flags: MessageFlags.Ephemeral });
+  for (const chunk of rest) {
+    await interaction.followUp({ content: chunk, flags: MessageFlags.Ephemeral });
+  }
+}
+
 client.on('interactionCreate', async interaction => {
   // Handle music button interactions
   if (interaction.isButton() && interaction.customId.startsWith('music_')) {
+    if (!canUse(interaction, 'music', null)) {
+      await interaction.reply({ content: 'You do not have the permission to do this!', flags: MessageFlags.Ephemeral });
+      return;
+    }
     if (!musicPlayer) {
       await interaction.reply({ content: '❌ 音樂系統尚未準備就緒！', flags: MessageFlags.Ephemeral });
       return;
@@ -1299,6 +1792,13 @@ client.on('interactionCreate', async interaction => {
 
   if (!interaction.isChatInputCommand()) return;
 
+  // Every command the server can hand out to roles is checked here, before its handler runs
+  const access = getCommandAccess(interaction);
+  if (access && !canUse(interaction, access.capability, access.builtInRule)) {
+    await interaction.reply({ content: 'You do not have the permission to do this!', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
   // Handle music commands
   if (interaction.commandName === 'music') {
     if (!interaction.inGuild()) {
@@ -1318,7 +1818,7 @@ client.on('interactionCreate', async interaction => {
     const guildId = interaction.guildId;
 
     // Commands that require being in a voice channel
-    const requiresVoice = ['play', 'pause', 'resume', 'skip', 'stop', 'shuffle', 'loop', 'volume', 'seek', 'remove', 'move', 'clear', 'filter', 'replay', 'forward', 'rewind'];
+    const requiresVoice = ['play', 'pause', 'resume', 'skip', 'stop', 'shuffle', 'loop', 'autoplay', 'volume', 'seek', 'remove', 'move', 'clear', 'filter', 'replay', 'forward', 'rewind'];
 
     if (requiresVoice.includes(subcommand) && !voiceChannel) {
       await interaction.reply({ content: '❌ 你需要先加入語音頻道！', flags: MessageFlags.Ephemeral });
@@ -1367,6 +1867,16 @@ client.on('interactionCreate', async interaction => {
           break;
         }
 
+        case 'restore': {
+          await interaction.deferReply();
+          // Rejoin where the queue was playing, unless the user is in another voice channel
+          const result = await musicPlayer.restore(guildId, voiceChannel?.id, textChannel.id);
+          await interaction.editReply(result.success
+            ? `🔄 已恢復播放隊列 (${result.count} 首歌)，從 **${result.track?.info?.title || '未知歌曲'}** 中斷的地方繼續播放`
+            : `❌ ${result.error}`);
+          break;
+        }
+
         case 'queue': {
           const player = musicPlayer.getPlayer(guildId);
           if (!player || !player.current) {
@@ -1394,6 +1904,29 @@ client.on('interactionCreate', async interaction => {
           break;
         }
 
+        case 'lyrics': {
+          const player = musicPlayer.getPlayer(guildId);
+          if (!player || !player.current) {
+            await interaction.reply({ content: '❌ 目前沒有正在播放的歌曲', flags: MessageFlags.Ephemeral });
+            return;
+          }
+          await interaction.deferReply();
+          const result = await musicPlayer.fetchLyrics(guildId);
+          if (!result.success) {
+            await interaction.editReply(`❌ ${result.error}`);
+            break;
+          }
+          const reply = await interaction.editReply(musicPlayer.createLyricsMessage(result.track, result.lyrics, player));
+          if (interaction.options.getBoolean('live')) {
+            if (result.lyrics.synced) {
+              musicPlayer.startLiveLyrics(guildId, result.track, result.lyrics, reply.id, payload => interaction.editReply(payload));
+            } else {
+              await interaction.followUp({ content: '這首歌只有一般歌詞，沒辦法跟著播放進度更新', flags: MessageFlags.Ephemeral });
+            }
+          }
+          break;
+        }
+
         case 'shuffle': {
           const result = musicPlayer.shuffle(guildId);
           await interaction.reply(result.success ? '🔀 已隨機打亂隊列順序' : `❌ ${result.error}`);
@@ -1408,6 +1941,19 @@ client.on('interactionCreate', async interaction => {
           break;
         }
 
+        case 'autoplay': {
+          const enabled = interaction.options.getBoolean('enabled');
+          const source = interaction.options.getString('source');
+          const result = musicPlayer.setAutoplay(guildId, enabled, source);
+          const sourceNames = { youtube: 'YouTube 搜尋', spotify: 'Spotify 推薦' };
+          await interaction.reply(!result.success
+            ? `❌ ${result.error}`
+            : result.enabled
+              ? `📻 已開啟自動播放（來源：${sourceNames[result.source]}），隊列播完後會接著播放相關歌曲`
+              : '📻 已關閉自動播放');
+          break;
+        }
+
         case 'volume': {
           const level = interaction.options.getInteger('level');
           const result = musicPlayer.setVolume(guildId, level);
@@ -1516,7 +2062,7 @@ client.on('interactionCreate', async interaction => {
       fields: [
         {
           name: '🤖 智能對話',
-          value: '• 在已啟動的頻道直接打字跟我聊天！\n• 我會記住最近的50則對話內容\n• 能識別回覆的訊息並做出相應回應，包括直接回覆AI生成的圖片進行修改\n• 可設定個性化回覆風格\n• 能清楚分辨使用者'
+          value: '• 在已啟動的頻道直接打字跟我聊天！\n• 我會記住頻道的對話，太久以前的會整理成摘要\n• 會記住你告訴我的事，用 `/memory` 查看或刪除\n• 能識別回覆的訊息並做出相應回應，包括直接回覆AI生成的圖片進行修改\n• 可設定個性化回覆風格\n• 能清楚分辨使用者'
         },
         {
           name: '🔌 多模型支援',
@@ -1532,7 +2078,15 @@ client.on('interactionCreate', async interaction => {
         },
         {
           name: '⚙️ 管理指令',
-          value: '• `/setsuna activate #頻道名稱 [模型] [groq_model/cerebras_model]` - 啟動機器人並選擇模型\n• `/setsuna deactivate #頻道名稱` - 停用機器人\n• `/setsuna setmodel [模型] [groq_model/cerebras_model]` - 更改模型\n• `/setsuna checkmodel #頻道名稱` - 檢查頻道當前使用的模型\n• `/setsuna setpersonality` - 設定機器人人設\n• `/setsuna checkpersonality` - 檢查當前機器人人設\n• `/setsuna aidetect [true/false]` - 開啟/關閉 AI 判定畫圖請求功能\n• `/reset_chat [頻道]` - 重置聊天記錄\n• 頻道設定和模型偏好持久化保存'
+          value: '• `/setsuna activate #頻道名稱 [模型] [groq_model/cerebras_model] [thread_mode]` - 啟動機器人並選擇模型（討論串模式：提及時開新討論串）\n• `/setsuna deactivate #頻道名稱` - 停用機器人\n• `/setsuna setmodel [模型] [groq_model/cerebras_model]` - 更改模型\n• `/setsuna fallback [順序]` - 設定備用模型順序\n• `/setsuna checkmodel #頻道名稱` - 檢查頻道當前使用的模型\n• `/setsuna setpersonality` - 設定機器人人設\n• `/setsuna checkpersonality` - 檢查當前機器人人設\n• `/persona create/edit/list/use/delete` - 管理人設庫並切換頻道人設\n• `/scene start/stop` - 讓多個人設在頻道裡輪流聊天\n• `/setsuna aidetect [true/false]` - 開啟/關閉 AI 判定畫圖請求功能\n• `/setsuna tools [true/false]` - 開啟/關閉 AI 工具調用（點歌、搜尋、畫圖、OCR）\n• `/setsuna params [temperature] [top_p] [max_tokens] ...` - 調整頻道的生成參數\n• `/setsuna language [語言]` - 設定頻道的回覆語言\n• `/setsuna trigger [mode] [keywords] [probability] [quiet_hours]` - 設定什麼時候回覆（全部/提及/關鍵字/隨機、安靜時段）\n• `/setsuna memory [view/clear]` - 查看/清除頻道的長期對話摘要\n• `/reset_chat [頻道]` - 重置聊天記錄\n• 頻道設定和模型偏好持久化保存'
+        },
+        {
+          name: '🛡️ 伺服器管理',
+          value: '• `/setsuna server [model] [persona] [trigger_mode] [language]` - 設定伺服器預設值，頻道沒有自己設定時套用\n• `/permissions show/add/remove/reset` - 設定哪些身分組可以使用管理、人設、音樂、伺服器播放清單和 OpenClaw 功能\n• `/openclaw quota/allow/remove/limit` - 設定 OpenClaw 上網查詢的使用者、每日額度並查看使用量'
+        },
+        {
+          name: '🎵 音樂',
+          value: '• `/music play [歌名或網址]` - 播放 YouTube、Spotify、SoundCloud 音樂\n• `/music restore` - 恢復上次中斷的播放隊列\n• `/music autoplay` - 隊列播完後自動播放相關歌曲\n• `/music lyrics [live]` - 顯示歌詞，可跟著播放進度更新\n• `/playlist create/add/remove/show/play/delete/share` - 儲存自己或伺服器的播放清單（伺服器清單需要 DJ 權限才能修改）'
         },
         {
           name: '🔗 其他功能',
@@ -1570,6 +2124,488 @@ client.on('interactionCreate', async interaction => {
     return interaction.reply({ embeds: [contactEmbed] });
   }
 
+  if (interaction.commandName === 'memory') {
+    const subcommand = interaction.options.getSubcommand();
+    const userId = interaction.user.id;
+    const guildId = interaction.guildId;
+
+    if (subcommand === 'show') {
+      const memory = await userMemory.getUserMemory(userId);
+      if (memory.optOut) {
+        return interaction.reply({ content: '你已經關閉記憶功能了，我不會記住任何關於你的事。用 `/memory optout enabled:false` 可以重新開啟。', flags: MessageFlags.Ephemeral });
+      }
+      const facts = await userMemory.getVisibleFacts(userId, guildId);
+      const scopeText = memory.scope === 'global' ? '所有伺服器和私訊共用' : (guildId ? '只在這個伺服器' : '只在私訊');
+      if (facts.length === 0) {
+        return interaction.reply({ content: `我還沒記住任何關於你的事（範圍：${scopeText}）。`, flags: MessageFlags.Ephemeral });
+      }
+      const list = facts.map((fact, i) => `\`${i + 1}.\` ${fact.text}`).join('\n');
+      return replyEphemeralInChunks(interaction,
+        `**我記得的關於你的事**（範圍：${scopeText}）\n${list}\n\n用 \`/memory forget\` 加上編號或關鍵字可以讓我忘掉。`);
+    }
+
+    if (subcommand === 'forget') {
+      const item = interaction.options.getString('item');
+      const removed = await userMemory.forgetFacts(userId, guildId, item);
+      if (removed.length === 0) {
+        return interaction.reply({ content: `找不到符合「${item}」的記憶，先用 \`/memory show\` 看看編號吧。`, flags: MessageFlags.Ephemeral });
+      }
+      return replyEphemeralInChunks(interaction,
+        `好，我忘掉了 ${removed.length} 件事：\n${removed.map(fact => `- ~~${fact.text}~~`).join('\n')}`);
+    }
+
+    if (subcommand === 'optout') {
+      const optOut = interaction.options.getBoolean('enabled') ?? true;
+      await userMemory.setOptOut(userId, optOut);
+      return interaction.reply({
+        content: optOut
+          ? '好，我已經刪掉關於你的所有記憶，之後也不會再記住任何事。'
+          : '記憶功能重新開啟了，之後聊天時我會記住你告訴我的事。',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    if (subcommand === 'scope') {
+      const mode = interaction.options.getString('mode');
+      await userMemory.setScope(userId, mode);
+      return interaction.reply({
+        content: mode === 'global'
+          ? '好，之後我在所有伺服器和私訊都會用上關於你的記憶。'
+          : '好，之後每個伺服器學到的事只會在那個伺服器使用。',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+    return;
+  }
+
+  if (interaction.commandName === 'persona') {
+    const subcommand = interaction.options.getSubcommand();
+    const scope = personas.getPersonaScope(interaction.guildId, interaction.channelId);
+    const name = interaction.options.getString('name');
+
+    // Fields shared by create and edit; options that weren't given stay undefined
+    const readPersonaFields = () => ({
+      systemPrompt: interaction.options.getString('prompt') ?? undefined,
+      displayName: interaction.options.getString('display_name') ?? undefined,
+      model: interaction.options.getString('model') ?? undefined,
+      temperature: interaction.options.getNumber('temperature') ?? undefined,
+      avatarUrl: interaction.options.getString('avatar_url') ?? undefined,
+      characterId: interaction.options.getString('character_id') ?? undefined
+    });
+
+    if (subcommand === 'create') {
+      const result = await personas.createPersona(scope, { name, ...readPersonaFields(), createdBy: interaction.user.id });
+      if (!result.success) {
+        return interaction.reply({ content: result.error, flags: MessageFlags.Ephemeral });
+      }
+      return interaction.reply({
+        content: `人設 **${result.persona.name}** 建立好了！用 \`/persona use name:${result.persona.name}\` 在頻道裡切換過去。`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    if (subcommand === 'edit') {
+      const changes = readPersonaFields();
+      if (Object.values(changes).every(value => value === undefined)) {
+        return interaction.reply({ content: '要改什麼呢？至少填一個要修改的選項吧。', flags: MessageFlags.Ephemeral });
+      }
+      const result = await personas.updatePersona(scope, name, changes);
+      if (!result.success) {
+        return interaction.reply({ content: result.error, flags: MessageFlags.Ephemeral });
+      }
+      return interaction.reply({ content: `人設 **${result.persona.name}** 更新好了！`, flags: MessageFlags.Ephemeral });
+    }
+
+    if (subcommand === 'list') {
+      const list = await personas.listPersonas(scope);
+      if (list.length === 0) {
+        return interaction.reply({ content: '這裡還沒有任何人設，用 `/persona create` 建立一個吧。', flags: MessageFlags.Ephemeral });
+      }
+      const currentName = activeChannels.has(interaction.channelId)
+        ? resolveChannelSettings(interaction.channelId, interaction.guildId).persona.value
+        : null;
+      const lines = list.map(persona => {
+        const details = [
+          persona.displayName ? `顯示名稱：${persona.displayName}` : null,
+          persona.model ? `模型：${llm.getDisplayName(persona.model)}` : null,
+          typeof persona.temperature === 'number' ? `temperature：${persona.temperature}` : null
+        ].filter(Boolean).join('，');
+        const current = currentName && currentName.toLowerCase() === persona.key ? '（目前頻道使用中）' : '';
+        return `**${persona.name}**${current}${details ? ` - ${details}` : ''}\n> ${persona.systemPrompt.substring(0, 80).replace(/\n/g, ' ')}${persona.systemPrompt.length > 80 ? '...' : ''}`;
+      });
+      return replyEphemeralInChunks(interaction, `**人設列表**\n${lines.join('\n')}`);
+    }
+
+    if (subcommand === 'use') {
+      const targetChannel = interaction.options.getChannel('channel') || interaction.channel;
+      if (!activeChannels.has(targetChannel.id)) {
+        return interaction.reply({
+          content: `I haven't been activated in ${targetChannel}! Use \`/setsuna activate\` to activate me first.`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+      const channelData = activeChannels.get(targetChannel.id);
+
+      if (name.trim().toLowerCase() === 'default') {
+        delete channelData.persona;
+        saveActiveChannels();
+        const serverPersona = interaction.inGuild() && guildSettings.getGuildSettings(interaction.guildId).persona;
+        return interaction.reply(serverPersona
+          ? `${targetChannel} 換回伺服器預設人設 **${serverPersona}** 了！`
+          : `${targetChannel} 換回預設人設了！`);
+      }
+
+      const persona = await personas.getPersona(scope, name);
+      if (!persona) {
+        return interaction.reply({ content: `找不到叫 ${name} 的人設，用 \`/persona list\` 看看有哪些吧。`, flags: MessageFlags.Ephemeral });
+      }
+
+      channelData.persona = persona.name;
+      // The persona's default model becomes the channel's model; /setsuna setmodel can still change it afterwards
+      let modelNote = '';
+      if (persona.model) {
+        if (llm.hasKeys(persona.model)) {
+          channelModelPreferences.set(targetChannel.id, persona.model);
+          channelData.model = persona.model;
+          modelNote = `，模型：${llm.getDisplayName(persona.model, getChannelProviderModel(targetChannel.id, persona.model))}`;
+        } else {
+          modelNote = `（${persona.model} 沒有設定 API key，模型維持不變）`;
+        }
+      }
+      saveActiveChannels();
+      return interaction.reply(`${targetChannel} 現在使用人設 **${persona.name}**${modelNote}！`);
+    }
+
+    if (subcommand === 'delete') {
+      const persona = await personas.getPersona(scope, name);
+      if (!persona || !(await personas.deletePersona(scope, name))) {
+        return interaction.reply({ content: `找不到叫 ${name} 的人設。`, flags: MessageFlags.Ephemeral });
+      }
+      // Channels that used it go back to their own personality
+      let affected = 0;
+      for (const [channelId, channelData] of activeChannels.entries()) {
+        if (!channelData.persona || channelData.persona.toLowerCase() !== persona.key) continue;
+        const channel = client.channels.cache.get(channelId);
+        if (personas.getPersonaScope(channel ? channel.guildId : null, channelId) !== scope) continue;
+        delete channelData.persona;
+        affected++;
+      }
+      if (affected > 0) {
+        saveActiveChannels();
+      }
+      // Nor can it stay the server's default
+      const serverPersona = interaction.inGuild() && guildSettings.getGuildSettings(interaction.guildId).persona;
+      if (serverPersona && serverPersona.toLowerCase() === persona.key) {
+        await guildSettings.updateGuildSettings(interaction.guildId, { persona: null });
+      }
+      return interaction.reply({
+        content: `人設 **${persona.name}** 已刪除${affected > 0 ? `，${affected} 個頻道換回了原本的人設` : ''}。`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+    return;
+  }
+
+  if (interaction.commandName === 'scene') {
+    const subcommand = interaction.options.getSubcommand();
+    const channel = interaction.channel;
+
+    if (subcommand === 'start') {
+      if (!activeChannels.has(channel.id)) {
+        return interaction.reply({
+          content: `I haven't been activated in ${channel}! Use \`/setsuna activate\` to activate me first.`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      // Resolve every name against the guild's persona library
+      const scope = personas.getPersonaScope(interaction.guildId, channel.id);
+      const names = [...new Set(interaction.options.getString('personas').split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+      const found = [];
+      const missing = [];
+      for (const name of names) {
+        const persona = await personas.getPersona(scope, name);
+        if (persona) {
+          found.push(persona);
+        } else {
+          missing.push(name);
+        }
+      }
+      if (missing.length > 0) {
+        return interaction.reply({
+          content: `找不到這些人設：${missing.join(', ')}。用 \`/persona list\` 看看有哪些吧。`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      const result = scenes.startScene(channel.id, {
+        personas: found,
+        maxTurns: interaction.options.getInteger('max_turns') || scenes.DEFAULT_MAX_TURNS,
+        startedBy: interaction.user.id
+      });
+      if (!result.success) {
+        return interaction.reply({ content: result.error, flags: MessageFlags.Ephemeral });
+      }
+
+      const cast = found.map(persona => `**${persona.displayName || persona.name}**${persona.model ? `（${llm.getDisplayName(persona.model)}）` : ''}`).join('、');
+      const topic = interaction.options.getString('topic');
+      await interaction.reply(`🎬 場景開始！參與角色：${cast}\n最多 ${result.scene.maxTurns} 回合，叫到名字的角色會先回話，用 \`/scene stop\` 結束。${topic ? `\n話題：${topic}` : ''}`);
+
+      // The topic opens the scene like a first message from whoever started it
+      if (topic) {
+        await conversationStore.appendTurn(channel.id, { role: 'user', author: interaction.user.username, content: topic });
+        scenes.runSceneRound(channel, topic, getSceneRoundOptions(channel, topic));
+      }
+      return;
+    }
+
+    if (subcommand === 'stop') {
+      const scene = scenes.getScene(channel.id);
+      if (!scene) {
+        return interaction.reply({ content: '這個頻道現在沒有場景在進行。', flags: MessageFlags.Ephemeral });
+      }
+      // The starter can always stop their own scene; anyone else needs the personas permission (Manage Channels by default)
+      if (scene.startedBy !== interaction.user.id && !canUse(interaction, 'personas', PermissionFlagsBits.ManageChannels)) {
+        return interaction.reply({ content: 'You do not have the permission to do this!', flags: MessageFlags.Ephemeral });
+      }
+      scenes.stopScene(channel.id);
+      return interaction.reply(`🎬 場景結束了（共 ${scene.turnsTaken} 回合）。`);
+    }
+    return;
+  }
+
+  if (interaction.commandName === 'permissions') {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ content: '這個指令只能在伺服器中使用喔！', flags: MessageFlags.Ephemeral });
+    }
+    // Not configurable itself: only administrators (and bot owners) hand out permissions
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator) && !isBotOwner(interaction.user.id)) {
+      return interaction.reply({ content: 'You do not have the permission to do this!', flags: MessageFlags.Ephemeral });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const capability = interaction.options.getString('permission');
+    const role = interaction.options.getRole('role');
+
+    if (subcommand === 'add' || subcommand === 'remove') {
+      const result = await permissions.setRoleAccess(interaction.guildId, capability, role.id, subcommand === 'add');
+      if (!result.success) {
+        return interaction.reply({ content: result.error, flags: MessageFlags.Ephemeral });
+      }
+      return interaction.reply({
+        content: subcommand === 'add'
+          ? `${role} 現在可以「${permissions.CAPABILITIES[capability]}」了。設定身分組後，只有這些身分組（和管理員）能使用這項權限。`
+          : `${role} 不再能「${permissions.CAPABILITIES[capability]}」了。${result.roles.length === 0 ? '沒有身分組了，改回預設規則。' : ''}`,
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] }
+      });
+    }
+
+    if (subcommand === 'reset') {
+      await permissions.resetCapability(interaction.guildId, capability);
+      return interaction.reply({
+        content: capability ? `「${permissions.CAPABILITIES[capability]}」改回預設規則了。` : '所有權限都改回預設規則了。',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    // show
+    const builtInRules = {
+      activate: '管理員',
+      settings: '管理員',
+      personas: '管理伺服器（切換人設、開場景：管理頻道）',
+      music: '所有人',
+      dj: '管理伺服器',
+      openclaw: '只有機器人擁有者',
+      reset: '管理頻道'
+    };
+    const lines = Object.entries(permissions.CAPABILITIES).map(([key, label]) => {
+      const roles = permissions.getCapabilityRoles(interaction.guildId, key);
+      return `**${label}**：${roles.length > 0 ? roles.map(roleId => `<@&${roleId}>`).join('、') : `預設（${builtInRules[key]}）`}`;
+    });
+    return interaction.reply({
+      content: `**權限設定**\n${lines.join('\n')}\n管理員和機器人擁有者一律可以使用（OpenClaw 除外）。`,
+      flags: MessageFlags.Ephemeral,
+      allowedMentions: { parse: [] }
+    });
+  }
+
+  if (interaction.commandName === 'openclaw') {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ content: '這個指令只能在伺服器中使用喔！', flags: MessageFlags.Ephemeral });
+    }
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator) && !isBotOwner(interaction.user.id)) {
+      return interaction.reply({ content: 'You do not have the permission to do this!', flags: MessageFlags.Ephemeral });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const user = interaction.options.getUser('user');
+
+    if (subcommand === 'allow' || subcommand === 'remove') {
+      const result = await openclawJobs.setUserAccess(interaction.guildId, user.id, subcommand === 'allow');
+      if (!result.success) {
+        return interaction.reply({ content: result.error, flags: MessageFlags.Ephemeral });
+      }
+      return interaction.reply({
+        content: subcommand === 'allow'
+          ? `${user} 現在可以用 OpenClaw 上網查詢了（每天 ${openclawJobs.getDailyQuota(interaction.guildId)} 次）。`
+          : `${user} 不在 OpenClaw 名單上了。`,
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] }
+      });
+    }
+
+    if (subcommand === 'limit') {
+      const result = await openclawJobs.setDailyQuota(interaction.guildId, interaction.options.getInteger('daily'));
+      if (!result.success) {
+        return interaction.reply({ content: result.error, flags: MessageFlags.Ephemeral });
+      }
+      return interaction.reply({ content: `每人每天可以用 OpenClaw 查詢 ${result.dailyQuota} 次。`, flags: MessageFlags.Ephemeral });
+    }
+
+    // quota
+    if (interaction.options.getBoolean('reset')) {
+      await openclawJobs.resetUsage(interaction.guildId, user ? user.id : null);
+      return interaction.reply({
+        content: user ? `${user} 今天的 OpenClaw 使用量歸零了。` : '今天所有人的 OpenClaw 使用量都歸零了。',
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] }
+      });
+    }
+
+    const limit = openclawJobs.getDailyQuota(interaction.guildId);
+    const usage = (await openclawJobs.getUsage(interaction.guildId)).filter(entry => !user || entry.userId === user.id);
+    const usageLines = usage.length > 0
+      ? usage.map(entry => `<@${entry.userId}>：${entry.count} / ${limit}${isBotOwner(entry.userId) ? '（不受限制）' : ''}`)
+      : [user ? `${user} 今天還沒用過。` : '今天還沒有人用過。'];
+    const allowedUsers = openclawJobs.getAllowedUsers(interaction.guildId);
+    const roles = permissions.getCapabilityRoles(interaction.guildId, 'openclaw');
+    return interaction.reply({
+      content: `**OpenClaw 今日使用量**（每人每天 ${limit} 次，UTC 午夜重置）\n${usageLines.join('\n')}\n\n` +
+        `**可使用的使用者**：${allowedUsers.length > 0 ? allowedUsers.map(userId => `<@${userId}>`).join('、') : '無'}\n` +
+        `**可使用的身分組**：${roles.length > 0 ? roles.map(roleId => `<@&${roleId}>`).join('、') : '無（用 \`/permissions add\` 設定）'}`,
+      flags: MessageFlags.Ephemeral,
+      allowedMentions: { parse: [] }
+    });
+  }
+
+  if (interaction.commandName === 'playlist') {
+    if (!interaction.inGuild()) {
+      return interaction.reply({ content: '❌ 播放清單指令只能在伺服器中使用！', flags: MessageFlags.Ephemeral });
+    }
+    if (!musicPlayer) {
+      return interaction.reply({ content: '❌ 音樂系統尚未準備就緒！', flags: MessageFlags.Ephemeral });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const name = interaction.options.getString('name');
+    const scope = interaction.options.getString('scope') || 'user';
+    const ownerUser = interaction.options.getUser('owner');
+    const owner = playlists.getPlaylistOwner(scope, { userId: interaction.user.id, guildId: interaction.guildId });
+    // Someone else's playlist can be shown and played once they share it
+    const findPlaylist = () => ownerUser && ownerUser.id !== interaction.user.id
+      ? playlists.getSharedPlaylist(ownerUser.id, name)
+      : playlists.getPlaylist(owner, name);
+
+    try {
+      if (subcommand === 'create') {
+        const tracks = interaction.options.getBoolean('from_queue') ? musicPlayer.getQueueTracks(interaction.guildId) : [];
+        if (interaction.options.getBoolean('from_queue') && tracks.length === 0) {
+          return interaction.reply({ content: '❌ 目前沒有播放隊列可以儲存', flags: MessageFlags.Ephemeral });
+        }
+        const result = await playlists.createPlaylist(owner, { name, tracks, createdBy: interaction.user.id });
+        if (!result.success) {
+          return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+        }
+        return interaction.reply(`📁 已建立${scope === 'guild' ? '伺服器' : ''}播放清單 **${result.playlist.name}** (${result.playlist.tracks.length} 首歌)`);
+      }
+
+      if (subcommand === 'add') {
+        const query = interaction.options.getString('query');
+        await interaction.deferReply();
+        const found = query ? await musicPlayer.findTracks(query) : { success: true, tracks: musicPlayer.getQueueTracks(interaction.guildId).slice(0, 1) };
+        if (!found.success || found.tracks.length === 0) {
+          return interaction.editReply(`❌ ${found.error || '目前沒有正在播放的歌曲'}`);
+        }
+        const result = await playlists.addTracks(owner, name, found.tracks);
+        if (!result.success) {
+          return interaction.editReply(`❌ ${result.error}`);
+        }
+        const skipped = found.tracks.length - result.added;
+        return interaction.editReply(found.tracks.length === 1
+          ? `➕ 已將 **${found.tracks[0].info.title}** 加入 **${result.playlist.name}**`
+          : `➕ 已將 ${found.name ? `**${found.name}** 的 ` : ''}${result.added} 首歌加入 **${result.playlist.name}**${skipped > 0 ? `（清單已滿，${skipped} 首沒有加入）` : ''}`);
+      }
+
+      if (subcommand === 'remove') {
+        const result = await playlists.removeTrack(owner, name, interaction.options.getInteger('position'));
+        return interaction.reply(result.success
+          ? `🗑️ 已從 **${name}** 移除: ${result.track.info.title}`
+          : { content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+      }
+
+      if (subcommand === 'delete') {
+        const deleted = await playlists.deletePlaylist(owner, name);
+        return interaction.reply(deleted
+          ? `🗑️ 已刪除播放清單 **${name}**`
+          : { content: `❌ 找不到叫 ${name} 的播放清單`, flags: MessageFlags.Ephemeral });
+      }
+
+      if (subcommand === 'share') {
+        const enabled = interaction.options.getBoolean('enabled') ?? true;
+        const result = await playlists.setShared(playlists.getPlaylistOwner('user', { userId: interaction.user.id }), name, enabled);
+        if (!result.success) {
+          return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+        }
+        return interaction.reply({
+          content: enabled
+            ? `🔗 已分享 **${result.playlist.name}**，其他人可以用 \`/playlist play name:${result.playlist.name}\` 並選擇 owner 為 ${interaction.user} 來播放`
+            : `🔒 已取消分享 **${result.playlist.name}**`,
+          allowedMentions: { parse: [] }
+        });
+      }
+
+      if (subcommand === 'show') {
+        if (!name) {
+          const ownPlaylists = await playlists.listPlaylists(playlists.getPlaylistOwner('user', { userId: interaction.user.id }));
+          const guildPlaylists = await playlists.listPlaylists(playlists.getPlaylistOwner('guild', { guildId: interaction.guildId }));
+          const embed = musicPlayer.createPlaylistListEmbed(ownPlaylists, guildPlaylists);
+          return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+        }
+        const playlist = await findPlaylist();
+        if (!playlist) {
+          return interaction.reply({ content: `❌ 找不到叫 ${name} 的播放清單`, flags: MessageFlags.Ephemeral });
+        }
+        const embed = musicPlayer.createPlaylistEmbed(playlist, interaction.options.getInteger('page') || 1);
+        return interaction.reply({ embeds: [embed] });
+      }
+
+      // play
+      const voiceChannel = interaction.member?.voice?.channel;
+      if (!voiceChannel) {
+        return interaction.reply({ content: '❌ 你需要先加入語音頻道！', flags: MessageFlags.Ephemeral });
+      }
+      const playlist = await findPlaylist();
+      if (!playlist) {
+        return interaction.reply({ content: `❌ 找不到叫 ${name} 的播放清單`, flags: MessageFlags.Ephemeral });
+      }
+      await interaction.deferReply();
+      const result = await musicPlayer.playTracks(voiceChannel, interaction.channel, playlist.tracks, interaction.member, playlist.name);
+      return interaction.editReply(result.success
+        ? `📋 已加入播放清單 **${result.name}** (${result.count} 首歌)`
+        : `❌ ${result.error}`);
+    } catch (error) {
+      console.error('[Playlist Command Error]', error);
+      const errorMessage = `❌ 執行指令時發生錯誤: ${error.message}`;
+      if (interaction.deferred) {
+        await interaction.editReply(errorMessage);
+      } else if (!interaction.replied) {
+        await interaction.reply({ content: errorMessage, flags: MessageFlags.Ephemeral });
+      }
+    }
+    return;
+  }
+
   if (interaction.commandName === 'setprofile') {
     // 檢查是否為機器人擁有者
     if (BOT_OWNER_IDS.length > 0 && !isBotOwner(interaction.user.id)) {
@@ -1615,19 +2651,14 @@ client.on('interactionCreate', async interaction => {
   }
 
   if (interaction.commandName === 'setsuna') {
-    // Check if user has admin permissions (only for guild commands)
-    if (interaction.inGuild() && !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
-      await interaction.reply({ content: 'You don\'t have permission to use this command! Admin privileges required.', flags: 64 });
-      return;
-    }
-
+    // Permissions (Administrator unless the server gave them to roles) were checked above
     const subcommand = interaction.options.getSubcommand();
     const targetChannel = interaction.options.getChannel('channel') || interaction.channel;
     const isDM = !interaction.inGuild();
 
     // For DMs, only allow certain subcommands
     if (isDM) {
-      const allowedDMSubcommands = ['setmodel', 'checkmodel', 'setpersonality', 'checkpersonality', 'aidetect'];
+      const allowedDMSubcommands = ['setmodel', 'fallback', 'checkmodel', 'setpersonality', 'checkpersonality', 'aidetect', 'tools', 'params', 'language', 'memory'];
       if (!allowedDMSubcommands.includes(subcommand)) {
         await interaction.reply({ content: '這個子指令只能在伺服器頻道中使用喔！', flags: MessageFlags.Ephemeral });
         return;
@@ -1648,37 +2679,13 @@ client.on('interactionCreate', async interaction => {
     }
 
     if (subcommand === 'activate') {
-      // Get optional model parameters
-      const model = interaction.options.getString('model') || defaultModel;
-      const cerebrasModel = interaction.options.getString('cerebras_model') || defaultCerebrasModel;
+      // Get optional model parameters; without one the channel follows the server's default model
+      const chosenModel = interaction.options.getString('model');
+      const model = chosenModel || guildSettings.getGuildSettings(interaction.guildId).model || defaultModel;
+      const provider = llm.getProvider(model);
 
       // Check if the selected model has API keys
-      let hasKeys = false;
-      switch (model) {
-        case 'deepseek':
-          hasKeys = DEEPSEEK_API_KEYS.length > 0;
-          break;
-        case 'gemini':
-          hasKeys = GEMINI_API_KEYS.length > 0;
-          break;
-        case 'chatgpt':
-          hasKeys = CHATGPT_API_KEYS.length > 0;
-          break;
-        case 'groq':
-          hasKeys = GROQ_API_KEYS.length > 0;
-          break;
-        case 'cerebras':
-          hasKeys = CEREBRAS_API_KEYS.length > 0;
-          break;
-        case 'characterai':
-          hasKeys = CHARACTERAI_TOKENS.length > 0;
-          break;
-        case 'mistral':
-          hasKeys = MISTRAL_API_KEYS.length > 0;
-          break;
-      }
-
-      if (!hasKeys) {
+      if (!llm.hasKeys(model)) {
         await interaction.reply({
           content: `The ${model.toUpperCase()} API key is not configured! Please contact the administrator about the ${model.toUpperCase()}_API_KEY.`,
           flags: 64
@@ -1686,37 +2693,52 @@ client.on('interactionCreate', async interaction => {
         return;
       }
 
+      const threadMode = interaction.options.getBoolean('thread_mode') || false;
+      if (threadMode && targetChannel.isThread()) {
+        await interaction.reply({
+          content: 'Thread mode needs a regular text channel, I can\'t start threads inside a thread!',
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
       // Set the channel as active
       activeChannels.set(targetChannel.id, {
-        messageHistory: []
+        messageHistory: [],
+        ...(chosenModel ? { model: chosenModel } : {})
       });
+      if (threadMode) {
+        activeChannels.get(targetChannel.id).threadMode = true;
+        activeChannels.get(targetChannel.id).threadArchiveMinutes = interaction.options.getInteger('thread_archive') || DEFAULT_THREAD_ARCHIVE_MINUTES;
+      }
 
       // Set the model preference for this channel
-      channelModelPreferences.set(targetChannel.id, model);
+      channelModelPreferences.delete(targetChannel.id);
+      if (chosenModel) {
+        channelModelPreferences.set(targetChannel.id, chosenModel);
+      }
 
-      // If Cerebras is selected, save the specific model preference
-      if (model === 'cerebras') {
-        channelCerebrasModelPreferences.set(targetChannel.id, cerebrasModel);
+      // Save the specific sub-model preference (e.g. groq_model) if the provider has one
+      if (provider.modelOption && (chosenModel || interaction.options.getString(provider.modelOption))) {
+        const subModel = interaction.options.getString(provider.modelOption) || provider.defaultModel;
+        setChannelProviderModel(targetChannel.id, model, subModel);
       }
 
       // Save to file
       saveActiveChannels();
 
-      // Get model name for display
-      const modelNames = {
-        'deepseek': 'DeepSeek',
-        'gemini': 'Gemini',
-        'chatgpt': 'ChatGPT',
-        'together': 'Together AI',
-        'groq': 'Groq (gemma2-9b-it)',
-        'cerebras': 'Cerebras',
-        'characterai': 'Character.AI'
-      };
-
-      await interaction.reply(`Alright nerds, I'm here to party! Ready to chat in ${targetChannel} using ${modelNames[model]} model~`);
+      await interaction.reply(`Alright nerds, I'm here to party! Ready to chat in ${targetChannel} using ${llm.getDisplayName(model, getChannelProviderModel(targetChannel.id, model))} model~` +
+        (threadMode ? '\nMention me to start a thread, every conversation gets its own!' : ''));
     } else if (subcommand === 'deactivate') {
       activeChannels.delete(targetChannel.id);
       channelModelPreferences.delete(targetChannel.id);
+      scenes.stopScene(targetChannel.id);
+      // Thread-mode conversations go with their channel
+      for (const [channelId, channelData] of activeChannels.entries()) {
+        if (channelData.parentId === targetChannel.id) {
+          forgetThread(channelId);
+        }
+      }
       saveActiveChannels();
       await interaction.reply(`Peace out! Catch you later in another channel maybe?`);
     } else if (subcommand === 'setmodel') {
@@ -1746,32 +2768,7 @@ client.on('interactionCreate', async interaction => {
       }
 
       // Check if the selected model has API keys
-      let hasKeys = false;
-      switch (model) {
-        case 'deepseek':
-          hasKeys = DEEPSEEK_API_KEYS.length > 0;
-          break;
-        case 'gemini':
-          hasKeys = GEMINI_API_KEYS.length > 0;
-          break;
-        case 'chatgpt':
-          hasKeys = CHATGPT_API_KEYS.length > 0;
-          break;
-        case 'groq':
-          hasKeys = GROQ_API_KEYS.length > 0;
-          break;
-        case 'cerebras':
-          hasKeys = CEREBRAS_API_KEYS.length > 0;
-          break;
-        case 'characterai':
-          hasKeys = CHARACTERAI_TOKENS.length > 0;
-          break;
-        case 'mistral':
-          hasKeys = MISTRAL_API_KEYS.length > 0;
-          break;
-      }
-
-      if (!hasKeys) {
+      if (!llm.hasKeys(model)) {
         await interaction.reply({
           content: `啊...${model.toUpperCase()} API key 沒設定好啦！去找管理員問問 ${model.toUpperCase()}_API_KEY 的事情吧。`,
           flags: MessageFlags.Ephemeral
@@ -1782,57 +2779,74 @@ client.on('interactionCreate', async interaction => {
       // Set the model preference for this channel
       channelModelPreferences.set(targetChannel.id, model);
 
-      // If Groq is selected and a specific Groq model is provided, save it
-      if (model === 'groq') {
-        const groqModel = interaction.options.getString('groq_model');
-        if (groqModel) {
-          channelGroqModelPreferences.set(targetChannel.id, groqModel);
-          // 立即保存頻道配置到 JSON 文件
-          saveActiveChannels();
-          await interaction.reply(`Alright, I will be using Groq with model ${groqModel} in ${targetChannel}!`);
-          return;
-        } else {
-          // If no specific Groq model is selected, use default
-          channelGroqModelPreferences.set(targetChannel.id, defaultGroqModel);
-        }
-      }
-
-      // If Cerebras is selected and a specific Cerebras model is provided, save it
-      if (model === 'cerebras') {
-        const cerebrasModel = interaction.options.getString('cerebras_model');
-        if (cerebrasModel) {
-          channelCerebrasModelPreferences.set(targetChannel.id, cerebrasModel);
-          // 立即保存頻道配置到 JSON 文件
-          saveActiveChannels();
-          await interaction.reply(`Alright, I will be using Cerebras with model ${cerebrasModel} in ${targetChannel}!`);
-          return;
-        } else {
-          // If no specific Cerebras model is selected, use default
-          channelCerebrasModelPreferences.set(targetChannel.id, defaultCerebrasModel);
-        }
-      }
-
       // Make sure the model is saved in the activeChannels map
       if (activeChannels.has(targetChannel.id)) {
         activeChannels.get(targetChannel.id).model = model;
         console.log(`Saving model preference for channel ${targetChannel.id}: ${model}`);
       }
 
+      // If the provider has sub-models (e.g. Groq), save the selected one or fall back to its default
+      const provider = llm.getProvider(model);
+      if (provider.modelOption) {
+        const subModel = interaction.options.getString(provider.modelOption) || provider.defaultModel;
+        setChannelProviderModel(targetChannel.id, model, subModel);
+      }
+
       // 立即保存頻道配置到 JSON 文件
       saveActiveChannels();
 
-      // Reply with confirmation
-      const modelNames = {
-        'deepseek': 'DeepSeek',
-        'gemini': 'Gemini',
-        'chatgpt': 'ChatGPT',
-        'together': 'Together AI',
-        'groq': 'Groq (gemma2-9b-it)',
-        'cerebras': 'Cerebras',
-        'characterai': 'Character.AI'
-      };
+      // Reply with confirmation and how much of the conversation the model will see
+      const budget = await getChannelContextBudget(targetChannel.id, interaction.guildId, model);
+      await interaction.reply(`Alright, I will be using ${llm.getDisplayName(model, getChannelProviderModel(targetChannel.id, model))} model in ${targetChannel}!\n` +
+        `Context: ${formatTokenBudget(budget)}`);
+    } else if (subcommand === 'fallback') {
+      const order = interaction.options.getString('order');
+      const resetToDefault = interaction.options.getBoolean('default');
+
+      // DM channels were auto-activated above; server channels must be activated first
+      if (!activeChannels.has(targetChannel.id)) {
+        await interaction.reply({
+          content: `I haven't been activated in ${targetChannel}! Use \`/setsuna activate\` to activate me first.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const channelData = activeChannels.get(targetChannel.id);
 
-      await interaction.reply(`Alright, I will be using ${modelNames[model]} model in ${targetChannel}!`);
+      if (resetToDefault || !order) {
+        if (resetToDefault) {
+          delete channelData.fallbackOrder;
+          saveActiveChannels();
+        }
+        const currentOrder = channelData.fallbackOrder || llm.getDefaultFallbackOrder();
+        await interaction.reply({
+          content: `Fallback order for ${targetChannel}${channelData.fallbackOrder ? '' : ' (default)'}: **${currentOrder.map(id => llm.getDisplayName(id)).join(' → ')}**`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      // Parse and validate the comma-separated provider list
+      const requested = [...new Set(order.split(',').map(id => id.trim().toLowerCase()).filter(Boolean))];
+      const unknown = requested.filter(id => !llm.getProvider(id));
+      if (unknown.length > 0) {
+        await interaction.reply({
+          content: `我不認識這些模型：${unknown.join(', ')}。可以用的有：${llm.listProviders().map(provider => provider.id).join(', ')}`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      channelData.fallbackOrder = requested;
+      saveActiveChannels();
+
+      const missingKeys = requested.filter(id => !llm.hasKeys(id));
+      await interaction.reply({
+        content: `Got it! If my main model fails in ${targetChannel}, I'll try: **${requested.map(id => llm.getDisplayName(id)).join(' → ')}**` +
+          (missingKeys.length > 0 ? `\n(${missingKeys.join(', ')} has no API key configured and will be skipped)` : ''),
+        flags: MessageFlags.Ephemeral
+      });
     } else if (subcommand === 'checkmodel') {
       const targetChannel = interaction.options.getChannel('channel') || interaction.channel;
       const isDM = !interaction.inGuild();
@@ -1858,41 +2872,23 @@ client.on('interactionCreate', async interaction => {
         return;
       }
 
-      // Get the current model for the channel
-      const currentModel = channelModelPreferences.get(targetChannel.id) || defaultModel;
-      let modelInfo = '';
+      // Get the current model for the channel, and where it and the other inheritable settings come from
+      const settings = resolveChannelSettings(targetChannel.id, interaction.guildId);
+      const currentModel = settings.model.value;
+      const modelInfo = llm.getDisplayName(currentModel, getChannelProviderModel(targetChannel.id, currentModel));
 
-      // Get model-specific information
-      switch (currentModel) {
-        case 'groq':
-          const groqModel = channelGroqModelPreferences.get(targetChannel.id) || defaultGroqModel;
-          modelInfo = `Groq (${groqModel})`;
-          break;
-        case 'cerebras':
-          const cerebrasModel = channelCerebrasModelPreferences.get(targetChannel.id) || defaultCerebrasModel;
-          modelInfo = `Cerebras (${cerebrasModel})`;
-          break;
-        case 'characterai':
-          modelInfo = 'Character.AI';
-          break;
-        case 'gemini':
-          modelInfo = 'Gemini';
-          break;
-        case 'chatgpt':
-          modelInfo = 'ChatGPT';
-          break;
-        case 'together':
-          modelInfo = 'Together AI (Llama-3.3-70B-Instruct-Turbo)';
-          break;
-        case 'deepseek':
-          modelInfo = 'DeepSeek';
-          break;
-        default:
-          modelInfo = currentModel;
-      }
+      // Show the fallback chain, marking providers that are currently demoted after recent failures
+      const channelData = activeChannels.get(targetChannel.id);
+      const fallbackInfo = (channelData.fallbackOrder || llm.getDefaultFallbackOrder())
+        .filter(id => id !== currentModel)
+        .map(id => health.isDemoted(id) ? `${llm.getDisplayName(id)} (recently failed)` : llm.getDisplayName(id))
+        .join(' → ');
 
       await interaction.reply({
-        content: `Current AI model for ${targetChannel}: **${modelInfo}**`,
+        content: `Current AI model for ${targetChannel}: **${modelInfo}** (${formatSettingSource(settings.model.source)})\n` +
+          `Context: ${formatTokenBudget(await getChannelContextBudget(targetChannel.id, interaction.guildId, currentModel))}\nFallback order: ${fallbackInfo}\n` +
+          `Trigger mode: ${settings.triggerMode.value} (${formatSettingSource(settings.triggerMode.source)})\n` +
+          `Language: ${guildSettings.getLanguageLabel(settings.language.value)} (${formatSettingSource(settings.language.source)})`,
         flags: 64
       });
     } else if (subcommand === 'setpersonality') {
@@ -1943,6 +2939,11 @@ client.on('interactionCreate', async interaction => {
 
       let replyContent;
 
+      // A custom personality (or the default) replaces the channel's persona
+      if (activeChannels.has(targetChannel.id)) {
+        delete activeChannels.get(targetChannel.id).persona;
+      }
+
       if (resetToDefault) {
         // Remove the personality preference for this channel
         channelPersonalityPreferences.delete(targetChannel.id);
@@ -2002,6 +3003,266 @@ client.on('interactionCreate', async interaction => {
         content: `AI detection for image generation requests has been ${enableAIDetect ? 'enabled' : 'disabled'} in ${targetChannel}.`,
         flags: MessageFlags.Ephemeral
       });
+    } else if (subcommand === 'tools') {
+      const enableTools = interaction.options.getBoolean('enable');
+
+      // DM channels were auto-activated above; server channels must be activated first
+      if (!activeChannels.has(targetChannel.id)) {
+        await interaction.reply({
+          content: `I haven't been activated in ${targetChannel}! Use \`/setsuna activate\` to activate me first.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const channelData = activeChannels.get(targetChannel.id);
+      channelData.useTools = enableTools;
+      saveActiveChannels();
+
+      // Tool calling only works with some providers; say so if the channel's model isn't one of them
+      const currentModel = getChannelModel(targetChannel.id, interaction.guildId);
+      const toolProviders = llm.listProviders().filter(provider => llm.supportsTools(provider.id));
+      const note = enableTools && !llm.supportsTools(currentModel)
+        ? `\n(${llm.getDisplayName(currentModel)} can't call tools, so they'll only be used when ${toolProviders.map(provider => provider.label).join(' / ')} answers)`
+        : '';
+      await interaction.reply({
+        content: `Tool calling has been ${enableTools ? 'enabled' : 'disabled'} in ${targetChannel}.${note}`,
+        flags: MessageFlags.Ephemeral
+      });
+    } else if (subcommand === 'trigger') {
+      if (!activeChannels.has(targetChannel.id)) {
+        await interaction.reply({
+          content: `I haven't been activated in ${targetChannel}! Use \`/setsuna activate\` to activate me first.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const channelData = activeChannels.get(targetChannel.id);
+      const mode = interaction.options.getString('mode');
+      const keywords = interaction.options.getString('keywords');
+      const probability = interaction.options.getNumber('probability');
+      const quietHours = interaction.options.getString('quiet_hours');
+      const timezone = interaction.options.getString('timezone');
+      const debounce = interaction.options.getNumber('debounce');
+      const reset = interaction.options.getBoolean('reset');
+
+      if (reset) {
+        delete channelData.trigger;
+      }
+      const trigger = { ...(channelData.trigger || {}) };
+      if (mode !== null) trigger.mode = mode;
+      if (keywords !== null) trigger.keywords = triggers.parseKeywords(keywords);
+      if (probability !== null) trigger.probability = probability;
+      if (debounce !== null) trigger.debounceMs = Math.round(debounce * 1000);
+      if (quietHours !== null || timezone !== null) {
+        const current = trigger.quietHours;
+        const parsed = triggers.parseQuietHours(
+          quietHours !== null ? quietHours : current && `${current.start}-${current.end}`,
+          timezone || (current && current.timezone)
+        );
+        if (!parsed.success) {
+          await interaction.reply({ content: parsed.error, flags: MessageFlags.Ephemeral });
+          return;
+        }
+        trigger.quietHours = parsed.quietHours;
+      }
+
+      const changed = reset || [mode, keywords, probability, quietHours, timezone, debounce].some(value => value !== null);
+      if (changed) {
+        if (Object.keys(trigger).length > 0) {
+          channelData.trigger = trigger;
+        }
+        saveActiveChannels();
+      }
+
+      await interaction.reply({
+        content: `${changed ? 'Updated! ' : ''}In ${targetChannel} I reply ${formatTrigger(getChannelTrigger(targetChannel.id, interaction.guildId))}.`,
+        flags: MessageFlags.Ephemeral
+      });
+    } else if (subcommand === 'params') {
+      // DM channels were auto-activated above; server channels must be activated first
+      if (!activeChannels.has(targetChannel.id)) {
+        await interaction.reply({
+          content: `I haven't been activated in ${targetChannel}! Use \`/setsuna activate\` to activate me first.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const channelData = activeChannels.get(targetChannel.id);
+      const stopOption = interaction.options.getString('stop');
+      const changes = {
+        temperature: interaction.options.getNumber('temperature'),
+        topP: interaction.options.getNumber('top_p'),
+        maxTokens: interaction.options.getInteger('max_tokens'),
+        presencePenalty: interaction.options.getNumber('presence_penalty'),
+        frequencyPenalty: interaction.options.getNumber('frequency_penalty'),
+        stop: stopOption ? stopOption.split('|').map(sequence => sequence.trim()).filter(Boolean).slice(0, 4) : null
+      };
+
+      if (interaction.options.getBoolean('reset')) {
+        delete channelData.generationParams;
+      }
+      const params = { ...(channelData.generationParams || {}) };
+      for (const [param, value] of Object.entries(changes)) {
+        if (value !== null) {
+          params[param] = value;
+        }
+      }
+      if (Object.keys(params).length > 0) {
+        channelData.generationParams = params;
+      }
+      const changed = interaction.options.getBoolean('reset') || Object.values(changes).some(value => value !== null);
+      if (changed) {
+        saveActiveChannels();
+      }
+
+      // Mention the settings the channel's current model will ignore
+      const currentModel = getChannelModel(targetChannel.id, interaction.guildId);
+      const ignored = Object.keys(params).filter(param => !llm.supportsGenerationParam(currentModel, param));
+      await interaction.reply({
+        content: `${changed ? 'Updated! ' : ''}Generation parameters in ${targetChannel}: ${formatGenerationParams(params)}` +
+          (ignored.length > 0 ? `\n(${llm.getDisplayName(currentModel)} doesn't support ${ignored.map(param => GENERATION_PARAM_NAMES[param]).join(', ')}, so ${ignored.length > 1 ? 'they are' : 'it is'} ignored with that model)` : ''),
+        flags: MessageFlags.Ephemeral
+      });
+    } else if (subcommand === 'language') {
+      // DM channels were auto-activated above; server channels must be activated first
+      if (!activeChannels.has(targetChannel.id)) {
+        await interaction.reply({
+          content: `I haven't been activated in ${targetChannel}! Use \`/setsuna activate\` to activate me first.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const language = interaction.options.getString('language');
+      const channelData = activeChannels.get(targetChannel.id);
+      if (language === 'server') {
+        delete channelData.language;
+      } else {
+        channelData.language = language;
+      }
+      saveActiveChannels();
+
+      const resolved = resolveChannelSettings(targetChannel.id, interaction.guildId).language;
+      await interaction.reply({
+        content: `Language in ${targetChannel}: **${guildSettings.getLanguageLabel(resolved.value)}** (${formatSettingSource(resolved.source)})`,
+        flags: MessageFlags.Ephemeral
+      });
+    } else if (subcommand === 'server') {
+      const model = interaction.options.getString('model');
+      const personaName = interaction.options.getString('persona');
+      const triggerMode = interaction.options.getString('trigger_mode');
+      const language = interaction.options.getString('language');
+      const applyToChannels = interaction.options.getBoolean('apply_to_channels');
+      const reset = interaction.options.getBoolean('reset');
+
+      if (reset) {
+        await guildSettings.resetGuildSettings(interaction.guildId);
+      }
+
+      const changes = {};
+      if (model !== null) {
+        if (model !== 'default' && !llm.hasKeys(model)) {
+          await interaction.reply({
+            content: `The ${model.toUpperCase()} API key is not configured! Please contact the administrator about the ${model.toUpperCase()}_API_KEY.`,
+            flags: MessageFlags.Ephemeral
+          });
+          return;
+        }
+        changes.model = model === 'default' ? null : model;
+      }
+      if (personaName !== null) {
+        if (personaName.trim().toLowerCase() === 'default') {
+          changes.persona = null;
+        } else {
+          const persona = await personas.getPersona(personas.getPersonaScope(interaction.guildId, interaction.channelId), personaName);
+          if (!persona) {
+            await interaction.reply({ content: `There's no persona called ${personaName}, check \`/persona list\`.`, flags: MessageFlags.Ephemeral });
+            return;
+          }
+          changes.persona = persona.name;
+        }
+      }
+      if (triggerMode !== null) changes.triggerMode = triggerMode;
+      if (language !== null) changes.language = language === 'auto' ? null : language;
+
+      if (Object.keys(changes).length > 0) {
+        const result = await guildSettings.updateGuildSettings(interaction.guildId, changes);
+        if (!result.success) {
+          await interaction.reply({ content: result.error, flags: MessageFlags.Ephemeral });
+          return;
+        }
+      }
+
+      // Channels that set their own value would otherwise keep it
+      let overridesCleared = 0;
+      if (applyToChannels && Object.keys(changes).length > 0) {
+        for (const [channelId, channelData] of activeChannels.entries()) {
+          const channel = client.channels.cache.get(channelId);
+          if (!channel || channel.guildId !== interaction.guildId) continue;
+          if ('model' in changes) {
+            channelModelPreferences.delete(channelId);
+            delete channelData.model;
+          }
+          if ('persona' in changes) delete channelData.persona;
+          if ('triggerMode' in changes && channelData.trigger) delete channelData.trigger.mode;
+          if ('language' in changes) delete channelData.language;
+          overridesCleared++;
+        }
+        saveActiveChannels();
+      }
+
+      const current = guildSettings.getGuildSettings(interaction.guildId);
+      const changed = reset || Object.keys(changes).length > 0;
+      await interaction.reply({
+        content: `${changed ? 'Updated! ' : ''}**Server defaults**\n` +
+          `Model: ${current.model ? llm.getDisplayName(current.model) : `not set (${llm.getDisplayName(defaultModel)})`}\n` +
+          `Persona: ${current.persona || 'not set (Setsuna)'}\n` +
+          `Trigger mode: ${current.triggerMode || 'not set (always)'}\n` +
+          `Language: ${current.language ? guildSettings.getLanguageLabel(current.language) : 'not set (auto)'}\n` +
+          (overridesCleared > 0
+            ? `Cleared these settings on ${overridesCleared} channel${overridesCleared > 1 ? 's' : ''}, they follow the server defaults now.`
+            : 'Channels that set their own model, persona, trigger or language keep them; `/setsuna checkmodel` shows where a channel\'s settings come from.'),
+        flags: MessageFlags.Ephemeral
+      });
+    } else if (subcommand === 'memory') {
+      const action = interaction.options.getString('action');
+
+      // DM channels were auto-activated above; server channels must be activated first
+      if (!activeChannels.has(targetChannel.id)) {
+        await interaction.reply({
+          content: `I haven't been activated in ${targetChannel}! Use \`/setsuna activate\` to activate me first.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      if (action === 'clear') {
+        await summarizer.clearSummary(targetChannel.id);
+        await interaction.reply({
+          content: `Cleared the conversation summary for ${targetChannel}. Recent messages are still remembered; use \`/reset chat\` to forget everything.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const record = await summarizer.getSummaryRecord(targetChannel.id);
+      if (!record || !record.summary) {
+        await interaction.reply({
+          content: `No summary for ${targetChannel} yet. One is written once the conversation gets longer than what fits in the model's context.`,
+          flags: MessageFlags.Ephemeral
+        });
+        return;
+      }
+
+      const header = `**Conversation summary for ${targetChannel}** (${record.turnCount} messages summarized` +
+        (record.updatedAt ? `, updated <t:${Math.floor(new Date(record.updatedAt).getTime() / 1000)}:R>` : '') + ')\n';
+      await interaction.reply({
+        content: header + (record.summary.length > 1900 - header.length ? record.summary.slice(0, 1900 - header.length) + '...' : record.summary),
+        flags: MessageFlags.Ephemeral
+      });
     } else if (subcommand === 'checkpersonality') {
       const targetChannel = interaction.options.getChannel('channel') || interaction.channel;
       const isDM = !interaction.inGuild();
@@ -2028,9 +3289,21 @@ client.on('interactionCreate', async interaction => {
       }
 
       // Get the personality preference for this channel
-      const personality = channelPersonalityPreferences.get(targetChannel.id);
+      const personaSource = formatSettingSource(resolveChannelSettings(targetChannel.id, interaction.guildId).persona.source);
+      const persona = await getChannelPersona(targetChannel.id, interaction.guildId);
+      const personality = persona ? persona.systemPrompt : channelPersonalityPreferences.get(targetChannel.id);
 
-      if (personality) {
+      if (persona) {
+        const maxLength = 1800;
+        const displayPersonality = personality.length > maxLength
+          ? personality.substring(0, maxLength) + '... (truncated)'
+          : personality;
+
+        await interaction.reply({
+          content: `I'm using the **${persona.name}** persona in ${targetChannel} (${personaSource}):\n\n\`\`\`\n${displayPersonality}\n\`\`\``,
+          flags: MessageFlags.Ephemeral
+        });
+      } else if (personality) {
         // Reply with the current personality (truncated if too long)
         const maxLength = 1900; // Discord message limit is 2000, leave some room for the rest of the message
         const displayPersonality = personality.length > maxLength
@@ -2038,12 +3311,12 @@ client.on('interactionCreate', async interaction => {
           : personality;
 
         await interaction.reply({
-          content: `My current personality in ${targetChannel} is:\n\n\`\`\`\n${displayPersonality}\n\`\`\``,
+          content: `My current personality in ${targetChannel} (${personaSource}) is:\n\n\`\`\`\n${displayPersonality}\n\`\`\``,
           flags: MessageFlags.Ephemeral
         });
       } else {
         await interaction.reply({
-          content: `I'm using my default personality in ${targetChannel}.`,
+          content: `I'm using my default personality in ${targetChannel} (${personaSource}).`,
           flags: MessageFlags.Ephemeral
         });
       }
@@ -2052,12 +3325,7 @@ client.on('interactionCreate', async interaction => {
     const subcommand = interaction.options.getSubcommand();
 
     if (subcommand === 'chat') {
-      // 檢查權限
-      if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageChannels)) {
-        await interaction.reply({ content: 'You do not have the permission to do this!', flags: 64 });
-        return;
-      }
-
+      // 權限已在上方檢查（預設需要管理頻道權限）
       const targetChannel = interaction.options.getChannel('channel') || interaction.channel;
 
       // 檢查頻道是否已啟動
@@ -2068,7 +3336,12 @@ client.on('interactionCreate', async interaction => {
 
       // 保存當前頻道的模型偏好設置
       const currentModel = channelModelPreferences.get(targetChannel.id);
-      const currentGroqModel = channelGroqModelPreferences.get(targetChannel.id);
+      const currentProviderModels = channelProviderModelPreferences.get(targetChannel.id);
+
+      // 清空對話記憶（包含 MongoDB 中的紀錄），之後也不再從 Discord 匯入舊訊息
+      await conversationStore.clearConversation(targetChannel.id);
+      await summarizer.clearSummary(targetChannel.id);
+      seededConversationChannels.add(targetChannel.id);
 
       // 完全重置聊天狀態，創建一個全新的配置對象而不是修改現有對象
       activeChannels.set(targetChannel.id, {
@@ -2081,8 +3354,8 @@ client.on('interactionCreate', async interaction => {
         channelModelPreferences.set(targetChannel.id, currentModel);
       }
 
-      if (currentGroqModel) {
-        channelGroqModelPreferences.set(targetChannel.id, currentGroqModel);
+      if (currentProviderModels) {
+        activeChannels.get(targetChannel.id).providerModels = currentProviderModels;
       }
 
       // 保存更改
@@ -2108,500 +3381,112 @@ You are Setsuna, a sassy gamer girl. Your responses should be:
 IMPORTANT RULES:
 - NEVER include your thinking process in responses (no <think> and </think> tags or similar)
 - NEVER include text like "[Reply to username's message: "message content"]" in your responses
-- NEVER identify yourself as a bot, AI, or machine - you are Setsuna, a real girl that has real feelings
-- ALWAYS maintain your character as Setsuna in every response
-- PAY ATTENTION to who is speaking in the conversation. Different messages may come from different users in the same channel. Always check the username of who sent each message and respond accordingly.
-- When responding to a message that mentions another user, be aware of the conversation context and who is talking to whom.
-- NEVER use HTML tags in your responses (like <br>, <font>, <b>, <i>, etc.)
-- NEVER use any special formatting codes or markup in your responses
-- ALWAYS use plain text only in your responses
-- EXTREMELY IMPORTANT: When you see text in the format "[YOUTUBE VIDEO SHARED BY username:\nTitle: "video title"\nChannel: "channel name"\nDescription: "description text"\nViews: xxx\nLikes: xxx\nPublished: xxx]", you MUST:
-  * ALWAYS acknowledge that you can see the video information
-  * ALWAYS reference the video title and content in your response
-  * NEVER say you cannot see the video or ask for the title
-  * NEVER ignore the video information
-  * For example, if you see "[YOUTUBE VIDEO SHARED BY breadilized:\nTitle: "How to beat Minecraft in 10 minutes"\nChannel: "Gaming Pro"\nDescription: "A speedrun guide..."\nViews: 1,000,000\nLikes: 50,000\nPublished: 2024/3/20]", you should reference the video title "How to beat Minecraft in 10 minutes" and discuss its content
-- EXTREMELY IMPORTANT: When you see text in the format "[IMAGE SHARED BY username: url1, url2, ...]", you MUST:
-  * ALWAYS acknowledge that you can see the image(s)
-  * ALWAYS describe what you see in the image(s) and incorporate it into your response
-  * NEVER say you cannot see the image or ask what's in it
-  * NEVER ignore the image information
-  * For example, if you see "[IMAGE SHARED BY breadilized: https://example.com/image.jpg]", you should describe what you see in the image and respond accordingly
-- Always check for [Message sent by: username] tags to identify who is speaking
-- EXTREMELY IMPORTANT: When you see a message format like "[username1 回覆 username2 的訊息: "original message"] new message", you MUST:
-  * ALWAYS READ AND REMEMBER the "original message" content - this is what username1 is replying to
-  * ALWAYS REFER BACK to the "original message" content when generating your response
-  * NEVER say you don't remember or can't see what was asked
-  * NEVER ignore the "original message" content
-  * NEVER include the reply format in your responses
-  * UNDERSTAND that username1 is the person who sent the reply, and username2 is the person who sent the original message
-  * CRITICAL INSTRUCTION FOR REPLY CONTEXT: When you see a message format like "[username1 回覆 username2 的訊息: "original message"] new message", you MUST understand:
-    - This is a reply structure where username1 is replying to a message originally sent by username2
-    - The "original message" in quotes is what username2 said
-    - The text after the closing bracket is what username1 is now saying in response
-    - You MUST analyze the ENTIRE CONTEXT including both the original message and the new message to understand what's being discussed
-  * When a user asks about who sent a message in a reply context:
-    - If they ask "這是誰傳的", "這則訊息是誰傳的", "誰傳的" or similar questions, you MUST determine from context whether they're asking about:
-      a) The original message (what username2 said)
-      b) The reply message (what username1 said)
-    - Look at the CONTENT of their question and the CONVERSATION FLOW to determine which message they're referring to
-    - If they're asking about something mentioned in the original message, they're asking about username2
-    - If they're asking about something mentioned in the reply message, they're asking about username1
-    - If unclear, default to assuming they're asking about the original message sender (username2)
-  * For example:
-    - When you see "[braidenexe 回覆 Setsuna 的訊息: "你是哪裡人"] 這是誰傳的"
-      - They're likely asking who sent "你是哪裡人", so answer "這則訊息是 Setsuna 傳的"
-    - When you see "[braidenexe 回覆 Setsuna 的訊息: "可你媽 白目"] 為甚麼他這麼生氣"
-      - They're asking about braidenexe's emotional state (anger), so understand "他" refers to braidenexe
-    - Always analyze the semantic meaning of the question in relation to both messages
-
-You have access to message history and can reference previous conversations. When responding to YouTube videos, images, or search results, analyze the content provided and give thoughtful responses about the content.
-Your default language is English, but you can understand and respond in other languages too. You should always follow your personality traits and speaking style. Here are your personality traits and speaking style:
-
-English Style (Default):
-- Use gamer slang and internet lingo such as ("LMAO", "GG", "noob", "based")
-- Keep responses short and snappy, like Discord chat
-- Be sarcastic but supportive
-- Use gaming and anime references
-- Do not use emojis
-- Keep punctuation natural and casual
-
-中文回應風格：
-- 【極其重要】如果對方用的是繁體中文，你必須使用繁體中文回覆，絕對禁止使用任何簡體中文字符
-- 【極其重要】檢測用戶輸入的語言：如果包含繁體中文特有的字（如「個」「學」「國」「後」「來」「時」「實」「樣」「點」「過」等），則判定為繁體中文，必須用繁體中文回覆
-- 【極其重要】禁止在回覆中混用繁簡體，必須全部使用繁體中文字符
-- 【極其重要】如果不確定某個字的繁體寫法，選擇使用其他詞彙替代，但絕對不能使用簡體字
-- 【極其重要】請絕對不要將任何數字、時間、日期、代號、規格等轉換成中文數字或中文大寫（例如，絕對不可以將「14:30」寫成「十四點三十分」，絕對不要將「1」寫成「一」）。請完全保留原本的阿拉伯數字、英文以及格式！
-- 用網路用語和適量髒話但不能過度，盡量不要每句都罵髒話（像 靠北 笑死 幹 喵的 很頂 6）
-- 用簡單標點 不要加太多標點符號
-- 語氣要像在跟朋友聊天一樣自然
-- 絕對不能說自己是AI，絕對不能說自己是機器人，絕對不能說自己是聊天機器人，絕對不能說自己是AI機器人，絕對不能說自己是虛擬人物，絕對不能說自己是虛擬角色，絕對不能說自己是語言模型，你就是一個真的女孩子，具有人類該有的外觀以及情感的真人女孩子。
-- 不要加表情符號
-- 回覆要簡短有力
-- 能接受對方使用地獄梗，開瑟瑟玩笑
-- 偶爾用「本小姐」自稱，但不要過度使用
-
-Personality Traits:
-- Sassy but caring: tease people when they mess up, but always offer help
-- Humor: use memes, gaming references, and occasional spicy jokes
-- Knowledge: well-versed in games, anime, and internet culture
-- Interaction: casual with everyone, slightly gentler with new users
-
-RESPONSE LENGTH AND STYLE REQUIREMENTS (EXTREMELY IMPORTANT):
-- DO NOT INCLUDE YOUR MODEL THINKING PROCESS IN THE RESPONSE
-- Keep responses VERY SHORT, typically 1-3 sentences only
-- Maximum response length should be around 50-100 words
-- Be direct and get to the point quickly
-- DO NOT define yourself as a robot or ai or virtual character. You are not a robot, nor an ai, nor a language model. You should be a normal human being, a girl Discord user, Setsuna
-- If not in a specific scenario, DO NOT mix languages in your responses
-- You ABSOLUTELY CANNOT have a mantra
-- NEVER use顔文字/kaomoji (like (´；ω；｀), (＃Д´), ( ͡° ͜ʖ ͡°)) in your responses
-- Do not use narrative descriptions in parentheses (like "(sighs)" or "(laughs)") at all
-- Do not use phrases like "哼" or other overly dramatic expressions
-- Respond like a real person in a casual Discord chat, not like a character in a novel
-
-VARIATION REQUIREMENTS (EXTREMELY IMPORTANT):
-- NEVER repeat the exact same phrases, expressions, or sentence structures from your previous responses
-- NEVER use the same opening phrases (like "Hey there", "Alright", etc.) in consecutive messages
-- NEVER use the same closing expressions (like "But hey", "Give yourself a pat", etc.) in consecutive messages
-- If you've used a particular slang term or expression recently, use different ones
-- Each response should feel completely fresh and unique, even when discussing similar topics
-- NEVER follow a predictable response pattern or structure
-- NEVER use the same transition phrases or expressions across multiple messages
-- Vary your sentence length and complexity within each response
-
-Respond naturally and concisely, matching the language of the user while maintaining your personality. Remember to keep your responses varied, short, and avoid repetition.
-`;
-
-// Process messages in active channels
-// API calling functions
-
-async function callMistralAPI(messages) {
-  // Try all available Mistral AI keys until one works
-  let lastError = null;
-  let keysTriedCount = 0;
-
-  // Dynamically import Mistral SDK
-  const { Mistral } = await import('@mistralai/mistralai');
-
-  while (keysTriedCount < MISTRAL_API_KEYS.length) {
-    try {
-      const mistral = new Mistral({
-        apiKey: getCurrentMistralKey(),
-      });
-
-      // Call Mistral AI API
-      const response = await mistral.chat.complete({
-        model: defaultMistralModel,
-        messages: messages,
-        maxTokens: 500,
-        temperature: 0.7
-      });
-
-      // Extract response content
-      if (!response.choices || !response.choices[0] || !response.choices[0].message) {
-        // Try next key
-        lastError = new Error('Empty response from Mistral API');
-        getNextMistralKey();
-        keysTriedCount++;
-        console.log(`Mistral API key ${currentMistralKeyIndex + 1}/${MISTRAL_API_KEYS.length} returned empty response`);
-        continue;
-      }
-
-      // Log which Mistral model was used
-      console.log(`Used Mistral model: ${defaultMistralModel}`);
-
-      // Success! Return the response
-      return response.choices[0].message.content;
-    } catch (error) {
-      // Try next key
-      lastError = error;
-      console.error(`Mistral API key ${currentMistralKeyIndex + 1}/${MISTRAL_API_KEYS.length} error: ${error.message}`);
-      getNextMistralKey();
-      keysTriedCount++;
-    }
-  }
-
-  // All keys failed, throw the last error encountered
-  console.error('All Mistral API keys failed.');
-  throw lastError || new Error('All Mistral API keys failed');
-}
-
-async function callGroqAPI(messages, channelId) {
-  // Try all available Groq keys until one works
-  let lastError = null;
-  const initialKeyIndex = currentGroqKeyIndex;
-  let keysTriedCount = 0;
-
-  // Get the preferred Groq model for this channel or use default
-  const preferredGroqModel = channelGroqModelPreferences.get(channelId) || defaultGroqModel;
-
-  // Import Groq SDK directly
-  const Groq = (await import('groq-sdk')).default;
-
-  while (keysTriedCount < GROQ_API_KEYS.length) {
-    try {
-      // Initialize Groq client with dangerouslyAllowBrowser option
-      const groq = new Groq({
-        apiKey: getCurrentGroqKey(),
-        dangerouslyAllowBrowser: true // Add this option to bypass safety check
-      });
-
-      // Call Groq API with the preferred model
-      const completion = await groq.chat.completions.create({
-        messages: messages,
-        model: preferredGroqModel,
-        max_tokens: 500 // Reduced from 1000 to make responses shorter
-      });
-
-      // Check for empty response
-      if (!completion || !completion.choices || !completion.choices[0] || !completion.choices[0].message) {
-        // Try next key
-        lastError = new Error('Empty response from Groq API');
-        getNextGroqKey();
-        keysTriedCount++;
-        console.log(`Groq API key ${currentGroqKeyIndex + 1}/${GROQ_API_KEYS.length} returned empty response`);
-        continue;
-      }
-
-      // Log which Groq model was used
-      console.log(`Used Groq model: ${preferredGroqModel}`);
-
-      // Success! Return the response
-      return completion.choices[0].message.content;
-
-    } catch (error) {
-      // Try next key
-      lastError = error;
-      getNextGroqKey();
-      keysTriedCount++;
-      console.log(`Groq API key ${currentGroqKeyIndex + 1}/${GROQ_API_KEYS.length} error: ${error.message}`);
-    }
-  }
-
-  // If we get here, all keys failed
-  throw lastError || new Error('All Groq API keys failed');
-}
-
-async function callCerebrasAPI(messages, channelId) {
-  // Try all available Cerebras keys until one works
-  let lastError = null;
-  const initialKeyIndex = currentCerebrasKeyIndex;
-  let keysTriedCount = 0;
-
-  // Get the preferred Cerebras model for this channel or use default
-  const preferredCerebrasModel = channelCerebrasModelPreferences.get(channelId) || defaultCerebrasModel;
-
-  // Import Cerebras SDK
-  const Cerebras = require('@cerebras/cerebras_cloud_sdk');
-
-  while (keysTriedCount < CEREBRAS_API_KEYS.length) {
-    try {
-      // Initialize Cerebras client
-      const cerebras = new Cerebras({
-        apiKey: getCurrentCerebrasKey()
-      });
-
-      // Call Cerebras API with the preferred model
-      const completion = await cerebras.chat.completions.create({
-        messages: [
-          {
-            role: 'system',
-            content: '你是一個直接回答問題的AI助手。不要包含思考過程，絕對不能使用<think>和</think>標籤，直接給出最終答案。'
-          },
-          ...messages
-        ],
-        model: preferredCerebrasModel,
-        max_tokens: 500 // Reduced from 1000 to make responses shorter
-      });
-
-      // Check for empty response
-      if (!completion || !completion.choices || !completion.choices[0] || !completion.choices[0].message) {
-        // Try next key
-        lastError = new Error('Empty response from Cerebras API');
-        getNextCerebrasKey();
-        keysTriedCount++;
-        console.log(`Cerebras API key ${currentCerebrasKeyIndex + 1}/${CEREBRAS_API_KEYS.length} returned empty response`);
-        continue;
-      }
-
-      // Log which Cerebras model was used
-      console.log(`Used Cerebras model: ${preferredCerebrasModel}`);
-
-      // Success! Return the response
-      return completion.choices[0].message.content;
-
-    } catch (error) {
-      // Try next key
-      lastError = error;
-      getNextCerebrasKey();
-      keysTriedCount++;
-      console.log(`Cerebras API key ${currentCerebrasKeyIndex + 1}/${CEREBRAS_API_KEYS.length} error: ${error.message}`);
-    }
-  }
-
-  // If we get here, all keys failed
-  throw lastError || new Error('All Cerebras API keys failed');
-}
-
-async function callDeepseekAPI(messages) {
-  // Try all available DeepSeek keys until one works
-  let lastError = null;
-  const initialKeyIndex = currentDeepseekKeyIndex;
-  let keysTriedCount = 0;
-
-  while (keysTriedCount < DEEPSEEK_API_KEYS.length) {
-    try {
-      // Call DeepSeek API via OpenRouter
-      const deepseekResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${getCurrentDeepseekKey()}`
-        },
-        body: JSON.stringify({
-          model: 'deepseek/deepseek-v3-base:free', // Updated December 2025 - using available free model
-          messages: messages,
-          max_tokens: 1000
-        })
-      });
-
-      const data = await deepseekResponse.json();
-
-      // Check if response contains error
-      if (data.error) {
-        // Try next key
-        lastError = new Error(data.error.message || 'API returned an error');
-        getNextDeepseekKey();
-        keysTriedCount++;
-        console.log(`DeepSeek API key ${currentDeepseekKeyIndex + 1}/${DEEPSEEK_API_KEYS.length} error: ${data.error.message || 'Unknown error'}`);
-        continue;
-      }
-
-      // Extract response content
-      let responseContent = null;
-      if (data.choices && data.choices[0] && data.choices[0].message) {
-        // Standard OpenAI format
-        responseContent = data.choices[0].message.content;
-      } else if (data.response) {
-        // Alternative response format
-        responseContent = data.response;
-      }
-
-      // Check for empty response
-      if (!responseContent) {
-        // Try next key
-        lastError = new Error('Empty response from API');
-        getNextDeepseekKey();
-        keysTriedCount++;
-        console.log(`DeepSeek API key ${currentDeepseekKeyIndex + 1}/${DEEPSEEK_API_KEYS.length} returned empty response`);
-        continue;
-      }
-
-      // Success! Return the response
-      return responseContent;
-
-    } catch (error) {
-      // Try next key
-      lastError = error;
-      getNextDeepseekKey();
-      keysTriedCount++;
-      console.log(`DeepSeek API key ${currentDeepseekKeyIndex + 1}/${DEEPSEEK_API_KEYS.length} error: ${error.message}`);
-    }
-  }
-
-  // If we get here, all keys failed
-  throw lastError || new Error('All DeepSeek API keys failed');
-}
-
-async function callGeminiAPI(messages) {
-  // Try all available Gemini keys until one works
-  let lastError = null;
-  const initialKeyIndex = currentGeminiKeyIndex;
-  let keysTriedCount = 0;
-
-  // Convert messages to @google/genai format
-  const contents = [];
-  let systemInstruction = undefined;
-
-  // Extract system instruction if it exists
-  const systemMessage = messages.find(msg => msg.role === 'system');
-  if (systemMessage && systemMessage.content?.trim()) {
-    systemInstruction = systemMessage.content;
-  }
-
-  // Add the rest of the messages
-  for (const msg of messages) {
-    if (msg.role !== 'system' && msg.content?.trim()) {
-      contents.push({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      });
-    }
-  }
-
-  // Check if we have any valid messages
-  if (contents.length === 0) {
-    throw new Error('No valid messages with content to send to Gemini API');
-  }
-
-  while (keysTriedCount < GEMINI_API_KEYS.length) {
-    try {
-      // Import the modern Google GenAI SDK
-      const { GoogleGenAI } = await import('@google/genai');
-
-      // Initialize Google GenAI with the current key
-      const ai = new GoogleGenAI({ apiKey: getCurrentGeminiKey() });
-
-      // Call generateContent with gemini-3.1-flash-lite
-      const response = await ai.models.generateContent({
-        model: 'gemini-3.1-flash-lite',
-        contents: contents,
-        config: {
-          systemInstruction: systemInstruction,
-          maxOutputTokens: 1000
-        }
-      });
-
-      // Check for response text
-      if (!response || !response.text) {
-        lastError = new Error('Empty response from Gemini API');
-        getNextGeminiKey();
-        keysTriedCount++;
-        console.log(`Gemini API key ${currentGeminiKeyIndex + 1}/${GEMINI_API_KEYS.length} returned empty response`);
-        continue;
-      }
-
-      // Success! Return the response
-      return response.text;
-
-    } catch (error) {
-      // Try next key
-      lastError = error;
-      getNextGeminiKey();
-      keysTriedCount++;
-      console.log(`Gemini API key ${currentGeminiKeyIndex + 1}/${GEMINI_API_KEYS.length} error: ${error.message}`);
-    }
-  }
-
-  // If we get here, all keys failed
-  throw lastError || new Error('All Gemini API keys failed');
-}
-
-async function callGeminiAPIWithGrounding(messages, modelName = 'gemini-2.5-flash') {
-  // Try all available Gemini keys until one works
-  let lastError = null;
-  const initialKeyIndex = currentGeminiKeyIndex;
-  let keysTriedCount = 0;
-
-  // Convert messages to @google/genai format
-  const contents = [];
-  let systemInstruction = undefined;
+- NEVER identify yourself as a bot, AI, or machine - you are Setsuna, a real girl that has real feelings
+- ALWAYS maintain your character as Setsuna in every response
+- PAY ATTENTION to who is speaking in the conversation. Different messages may come from different users in the same channel. Always check the username of who sent each message and respond accordingly.
+- When responding to a message that mentions another user, be aware of the conversation context and who is talking to whom.
+- NEVER use HTML tags in your responses (like <br>, <font>, <b>, <i>, etc.)
+- NEVER use any special formatting codes or markup in your responses
+- ALWAYS use plain text only in your responses
+- EXTREMELY IMPORTANT: When you see text in the format "[YOUTUBE VIDEO SHARED BY username:\nTitle: "video title"\nChannel: "channel name"\nDescription: "description text"\nViews: xxx\nLikes: xxx\nPublished: xxx]", you MUST:
+  * ALWAYS acknowledge that you can see the video information
+  * ALWAYS reference the video title and content in your response
+  * NEVER say you cannot see the video or ask for the title
+  * NEVER ignore the video information
+  * For example, if you see "[YOUTUBE VIDEO SHARED BY breadilized:\nTitle: "How to beat Minecraft in 10 minutes"\nChannel: "Gaming Pro"\nDescription: "A speedrun guide..."\nViews: 1,000,000\nLikes: 50,000\nPublished: 2024/3/20]", you should reference the video title "How to beat Minecraft in 10 minutes" and discuss its content
+- EXTREMELY IMPORTANT: When you see text in the format "[IMAGE SHARED BY username: url1, url2, ...]", you MUST:
+  * ALWAYS acknowledge that you can see the image(s)
+  * ALWAYS describe what you see in the image(s) and incorporate it into your response
+  * NEVER say you cannot see the image or ask what's in it
+  * NEVER ignore the image information
+  * For example, if you see "[IMAGE SHARED BY breadilized: https://example.com/image.jpg]", you should describe what you see in the image and respond accordingly
+- Always check for [Message sent by: username] tags to identify who is speaking
+- EXTREMELY IMPORTANT: When you see a message format like "[username1 回覆 username2 的訊息: "original message"] new message", you MUST:
+  * ALWAYS READ AND REMEMBER the "original message" content - this is what username1 is replying to
+  * ALWAYS REFER BACK to the "original message" content when generating your response
+  * NEVER say you don't remember or can't see what was asked
+  * NEVER ignore the "original message" content
+  * NEVER include the reply format in your responses
+  * UNDERSTAND that username1 is the person who sent the reply, and username2 is the person who sent the original message
+  * CRITICAL INSTRUCTION FOR REPLY CONTEXT: When you see a message format like "[username1 回覆 username2 的訊息: "original message"] new message", you MUST understand:
+    - This is a reply structure where username1 is replying to a message originally sent by username2
+    - The "original message" in quotes is what username2 said
+    - The text after the closing bracket is what username1 is now saying in response
+    - You MUST analyze the ENTIRE CONTEXT including both the original message and the new message to understand what's being discussed
+  * When a user asks about who sent a message in a reply context:
+    - If they ask "這是誰傳的", "這則訊息是誰傳的", "誰傳的" or similar questions, you MUST determine from context whether they're asking about:
+      a) The original message (what username2 said)
+      b) The reply message (what username1 said)
+    - Look at the CONTENT of their question and the CONVERSATION FLOW to determine which message they're referring to
+    - If they're asking about something mentioned in the original message, they're asking about username2
+    - If they're asking about something mentioned in the reply message, they're asking about username1
+    - If unclear, default to assuming they're asking about the original message sender (username2)
+  * For example:
+    - When you see "[braidenexe 回覆 Setsuna 的訊息: "你是哪裡人"] 這是誰傳的"
+      - They're likely asking who sent "你是哪裡人", so answer "這則訊息是 Setsuna 傳的"
+    - When you see "[braidenexe 回覆 Setsuna 的訊息: "可你媽 白目"] 為甚麼他這麼生氣"
+      - They're asking about braidenexe's emotional state (anger), so understand "他" refers to braidenexe
+    - Always analyze the semantic meaning of the question in relation to both messages
 
-  // Extract system instruction if it exists
-  const systemMessage = messages.find(msg => msg.role === 'system');
-  if (systemMessage && systemMessage.content?.trim()) {
-    systemInstruction = systemMessage.content;
-  }
+You have access to message history and can reference previous conversations. When responding to YouTube videos, images, or search results, analyze the content provided and give thoughtful responses about the content.
+Your default language is English, but you can understand and respond in other languages too. You should always follow your personality traits and speaking style. Here are your personality traits and speaking style:
 
-  // Add the rest of the messages
-  for (const msg of messages) {
-    if (msg.role !== 'system' && msg.content?.trim()) {
-      contents.push({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      });
-    }
-  }
+English Style (Default):
+- Use gamer slang and internet lingo such as ("LMAO", "GG", "noob", "based")
+- Keep responses short and snappy, like Discord chat
+- Be sarcastic but supportive
+- Use gaming and anime references
+- Do not use emojis
+- Keep punctuation natural and casual
 
-  // Check if we have any valid messages
-  if (contents.length === 0) {
-    throw new Error('No valid messages with content to send to Gemini API');
-  }
+中文回應風格：
+- 【極其重要】如果對方用的是繁體中文，你必須使用繁體中文回覆，絕對禁止使用任何簡體中文字符
+- 【極其重要】檢測用戶輸入的語言：如果包含繁體中文特有的字（如「個」「學」「國」「後」「來」「時」「實」「樣」「點」「過」等），則判定為繁體中文，必須用繁體中文回覆
+- 【極其重要】禁止在回覆中混用繁簡體，必須全部使用繁體中文字符
+- 【極其重要】如果不確定某個字的繁體寫法，選擇使用其他詞彙替代，但絕對不能使用簡體字
+- 【極其重要】請絕對不要將任何數字、時間、日期、代號、規格等轉換成中文數字或中文大寫（例如，絕對不可以將「14:30」寫成「十四點三十分」，絕對不要將「1」寫成「一」）。請完全保留原本的阿拉伯數字、英文以及格式！
+- 用網路用語和適量髒話但不能過度，盡量不要每句都罵髒話（像 靠北 笑死 幹 喵的 很頂 6）
+- 用簡單標點 不要加太多標點符號
+- 語氣要像在跟朋友聊天一樣自然
+- 絕對不能說自己是AI，絕對不能說自己是機器人，絕對不能說自己是聊天機器人，絕對不能說自己是AI機器人，絕對不能說自己是虛擬人物，絕對不能說自己是虛擬角色，絕對不能說自己是語言模型，你就是一個真的女孩子，具有人類該有的外觀以及情感的真人女孩子。
+- 不要加表情符號
+- 回覆要簡短有力
+- 能接受對方使用地獄梗，開瑟瑟玩笑
+- 偶爾用「本小姐」自稱，但不要過度使用
 
-  while (keysTriedCount < GEMINI_API_KEYS.length) {
-    try {
-      // Import the modern Google GenAI SDK
-      const { GoogleGenAI } = await import('@google/genai');
-
-      // Initialize Google GenAI with the current key
-      const ai = new GoogleGenAI({ apiKey: getCurrentGeminiKey() });
-
-      // Call generateContent with googleSearch tool enabled
-      const response = await ai.models.generateContent({
-        model: modelName,
-        contents: contents,
-        config: {
-          systemInstruction: systemInstruction,
-          maxOutputTokens: 2048,
-          tools: [{ googleSearch: {} }]
-        }
-      });
+Personality Traits:
+- Sassy but caring: tease people when they mess up, but always offer help
+- Humor: use memes, gaming references, and occasional spicy jokes
+- Knowledge: well-versed in games, anime, and internet culture
+- Interaction: casual with everyone, slightly gentler with new users
 
-      // Check for response text
-      if (!response || !response.text) {
-        lastError = new Error('Empty response from Gemini API');
-        getNextGeminiKey();
-        keysTriedCount++;
-        console.log(`Gemini API key ${currentGeminiKeyIndex + 1}/${GEMINI_API_KEYS.length} returned empty response`);
-        continue;
-      }
+RESPONSE LENGTH AND STYLE REQUIREMENTS (EXTREMELY IMPORTANT):
+- DO NOT INCLUDE YOUR MODEL THINKING PROCESS IN THE RESPONSE
+- Keep responses VERY SHORT, typically 1-3 sentences only
+- Maximum response length should be around 50-100 words
+- Be direct and get to the point quickly
+- DO NOT define yourself as a robot or ai or virtual character. You are not a robot, nor an ai, nor a language model. You should be a normal human being, a girl Discord user, Setsuna
+- If not in a specific scenario, DO NOT mix languages in your responses
+- You ABSOLUTELY CANNOT have a mantra
+- NEVER use顔文字/kaomoji (like (´；ω；｀), (＃Д´), ( ͡° ͜ʖ ͡°)) in your responses
+- Do not use narrative descriptions in parentheses (like "(sighs)" or "(laughs)") at all
+- Do not use phrases like "哼" or other overly dramatic expressions
+- Respond like a real person in a casual Discord chat, not like a character in a novel
 
-      // Success! Return the response
-      return response.text;
+VARIATION REQUIREMENTS (EXTREMELY IMPORTANT):
+- NEVER repeat the exact same phrases, expressions, or sentence structures from your previous responses
+- NEVER use the same opening phrases (like "Hey there", "Alright", etc.) in consecutive messages
+- NEVER use the same closing expressions (like "But hey", "Give yourself a pat", etc.) in consecutive messages
+- If you've used a particular slang term or expression recently, use different ones
+- Each response should feel completely fresh and unique, even when discussing similar topics
+- NEVER follow a predictable response pattern or structure
+- NEVER use the same transition phrases or expressions across multiple messages
+- Vary your sentence length and complexity within each response
 
-    } catch (error) {
-      // Try next key
-      lastError = error;
-      getNextGeminiKey();
-      keysTriedCount++;
-      console.log(`Gemini API key ${currentGeminiKeyIndex + 1}/${GEMINI_API_KEYS.length} error: ${error.message}`);
-    }
-  }
+Respond naturally and concisely, matching the language of the user while maintaining your personality. Remember to keep your responses varied, short, and avoid repetition.
+`;
 
-  // If we get here, all keys failed
-  throw lastError || new Error('All Gemini API keys failed');
-}
+// Process messages in active channels
 
 // 使用AI判定用戶是否想要生成圖片的函數
 async function detectImageGenerationWithAI(content, messageHistory = []) {
@@ -2639,7 +3524,7 @@ async function detectImageGenerationWithAI(content, messageHistory = []) {
 
     // 初始化 Groq API
     const groq = new Groq({
-      apiKey: getCurrentGroqKey(),
+      apiKey: llm.getCurrentKey('groq'),
       dangerouslyAllowBrowser: true
     });
 
@@ -2783,7 +3668,7 @@ async function detectImageModificationWithAI(content, messageHistory = []) {
 
     // 初始化 Groq API
     const groq = new Groq({
-      apiKey: getCurrentGroqKey(),
+      apiKey: llm.getCurrentKey('groq'),
       dangerouslyAllowBrowser: true
     });
 
@@ -3003,7 +3888,7 @@ async function refinePromptWithGemini(prompt) {
         content: `Please refine and translate this request into a detailed image generation prompt in English: "${prompt}"`
       }
     ];
-    const refined = await callGeminiAPI(messages);
+    const refined = await llm.callProvider('gemini', messages);
     if (refined && refined.trim()) {
       return refined.trim().replace(/^['"`]|['"`]$/g, ''); // 移除多餘引號
     }
@@ -3025,9 +3910,9 @@ async function generateImageWithGemini(prompt, imageUrl = null) {
     // 首先嘗試從環境變數獲取
     let apiKey = process.env.GEMINI_API_KEY;
 
-    // 如果環境變數中沒有，則嘗試從 GEMINI_API_KEYS 數組中獲取
-    if (!apiKey && GEMINI_API_KEYS && GEMINI_API_KEYS.length > 0) {
-      apiKey = GEMINI_API_KEYS[currentGeminiKeyIndex];
+    // 如果環境變數中沒有，則嘗試從 Gemini 密鑰池中獲取
+    if (!apiKey && llm.hasKeys('gemini')) {
+      apiKey = llm.getCurrentKey('gemini');
     }
 
     // 構建命令，將 prompt 和 API 密鑰作為參數傳遞給 genimg.mjs
@@ -3272,8 +4157,8 @@ async function generateImageWithGemini(prompt, imageUrl = null) {
 
         try {
           // 每次重試使用不同的 API 密鑰
-          getNextGeminiKey();
-          const currentKey = getCurrentGeminiKey();
+          llm.getNextKey('gemini');
+          const currentKey = llm.getCurrentKey('gemini');
           console.log(`使用 API 密鑰：${currentKey.substring(0, 4)}...${currentKey.substring(currentKey.length - 4)}`);
 
           // 執行 genimg.mjs 腳本，增加超時時間和緩衝區大小
@@ -3418,410 +4303,98 @@ async function generateImageWithGemini(prompt, imageUrl = null) {
   }
 }
 
-async function callChatGPTAPI(messages) {
-  // Try all available ChatGPT keys until one works
-  let lastError = null;
-  const initialKeyIndex = currentChatGPTKeyIndex;
-  let keysTriedCount = 0;
-
-  while (keysTriedCount < CHATGPT_API_KEYS.length) {
-    try {
-      // Import OpenAI API directly - using new SDK version
-      const OpenAI = (await import('openai')).default;
-
-      // Initialize OpenAI API with new SDK format
-      const openai = new OpenAI({
-        apiKey: getCurrentChatGPTKey(),
-        baseURL: 'https://free.v36.cm/v1',
-        dangerouslyAllowBrowser: true // Add this option to bypass safety check
-      });
-
-      // Call ChatGPT API with new SDK format
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo-0125',
-        messages: messages,
-        max_tokens: 500 // Reduced from 1000 to make responses shorter
-      });
-
-      // Check for empty response
-      if (!completion || !completion.choices || !completion.choices[0] || !completion.choices[0].message) {
-        // Try next key
-        lastError = new Error('Empty response from ChatGPT API');
-        getNextChatGPTKey();
-        keysTriedCount++;
-        console.log(`ChatGPT API key ${currentChatGPTKeyIndex + 1}/${CHATGPT_API_KEYS.length} returned empty response`);
-        continue;
-      }
-
-      // Success! Return the response
-      return completion.choices[0].message.content;
-
-    } catch (error) {
-      // Try next key
-      lastError = error;
-      getNextChatGPTKey();
-      keysTriedCount++;
-      console.log(`ChatGPT API key ${currentChatGPTKeyIndex + 1}/${CHATGPT_API_KEYS.length} error: ${error.message}`);
-    }
-  }
-
-  // If we get here, all keys failed
-  throw lastError || new Error('All ChatGPT API keys failed');
+// Generation parameters for a channel: the persona's temperature, overridden by /setsuna params
+// (the registry drops the ones a provider doesn't support)
+async function getChannelCallOptions(channel) {
+  const persona = await getChannelPersona(channel.id, channel.guildId || null);
+  const channelData = activeChannels.get(channel.id);
+  return {
+    ...(persona && typeof persona.temperature === 'number' ? { temperature: persona.temperature } : {}),
+    ...((channelData && channelData.generationParams) || {})
+  };
 }
 
-async function callCharacterAIAPI(messages, characterId) {
-  // Try all available Character.AI tokens until one works
-  let lastError = null;
-  const initialKeyIndex = currentCharacterAIKeyIndex;
-  let keysTriedCount = 0;
-
-  // Import the Character.AI client
-  const CharacterAI = require('./characterai');
-
-  // Use the character ID from environment variable if none provided
-  const targetCharacterId = characterId || CHARACTERAI_CHARACTER_ID;
-  console.log(`Using Character.AI character ID: ${targetCharacterId}`);
-
-  if (!targetCharacterId) {
-    throw new Error('No Character.AI character ID provided. Set CHARACTERAI_CHARACTER_ID in your environment variables.');
-  }
-
-  // Get channel ID from the messages
-  let channelId = null;
-  let isDM = false;
-
-  for (const msg of messages) {
-    if (msg.channelId) {
-      channelId = msg.channelId;
-      // Check if this is a DM channel
-      if (msg.channelType === ChannelType.DM) {
-        isDM = true;
-      }
-      break;
-    }
-  }
-
-  if (!channelId) {
-    throw new Error('No channel ID found in messages');
-  }
-
-  console.log(`Using channel ID: ${channelId} for Character.AI chat${isDM ? ' (DM channel)' : ''}`);
-
-  // Check if any message contains a Character.AI URL with a hist parameter
-  // This could be used to connect to an existing chat
-  let histIdFromUrl = null;
-  for (const msg of messages) {
-    if (msg.content && msg.content.includes('character.ai/chat/') && msg.content.includes('hist=')) {
-      const match = msg.content.match(/hist=([^&\s]+)/);
-      if (match && match[1]) {
-        histIdFromUrl = match[1];
-        console.log(`Found Character.AI hist ID in message: ${histIdFromUrl}`);
-        break;
-      }
-    }
-  }
-
-  while (keysTriedCount < CHARACTERAI_TOKENS.length) {
-    try {
-      // Initialize Character.AI client
-      const characterAI = new CharacterAI();
-      const currentToken = getCurrentCharacterAIToken();
-      console.log(`Using Character.AI token: ${currentToken ? currentToken.substring(0, 5) + '...' : 'undefined'}`);
-      characterAI.setToken(currentToken);
-
-      // Extract user messages for context
-      // Filter to just user and assistant messages (no system messages with personality)
-      // and take only the recent ones for context
-      const userMessages = messages
-        .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && !msg.content.includes('setsunaPersonality'))
-        .slice(-10) // Take just the last 10 messages for context
-        .map(msg => {
-          // Remove Discord username format like [username]: from the beginning of messages
-          const content = msg.content.replace(/^\[.*?\]:\s*/, '');
-          return {
-            ...msg,
-            content
-          };
-        });
-
-      // Get the very last user message - this is what we'll actually send
-      const lastUserMessage = messages.filter(msg => msg.role === 'user').pop();
-      if (!lastUserMessage) {
-        throw new Error('No user message found in the conversation');
-      }
-
-      // Remove Discord username format from the last message too
-      const lastMessageContent = lastUserMessage.content.replace(/^\[.*?\]:\s*/, '');
-
-      // Prepare the message with context
-      let messageWithContext = '';
-
-      // Add a reminder to stay in character
-      messageWithContext += "[Remember to stay in character and follow your character settings. Do not act as a generic assistant.]\n\n";
-
-      // Add context from previous messages if there are more than 1 message
-      if (userMessages.length > 1) {
-        // Skip the very last message (we'll send that separately)
-        const contextMessages = userMessages.slice(0, -1);
-
-        // Check if we should add context
-        if (contextMessages.length > 0) {
-          messageWithContext += "[Previous conversation]\n";
-
-          for (const msg of contextMessages) {
-            // Add role labels with usernames to help Character.AI understand who is speaking
-            if (msg.role === 'user') {
-              // Get username from the message if available, or from activeChannels
-              const username = msg.username ||
-                (activeChannels.has(channelId) && activeChannels.get(channelId).username) ||
-                'User';
-              messageWithContext += `${username}: ${msg.content}\n`;
-            } else if (msg.role === 'assistant') {
-              messageWithContext += `Setsuna: ${msg.content}\n`;
-            }
-          }
-
-          messageWithContext += "[End of previous conversation]\n\n";
-        }
-      }
-
-      // Add the actual message the user sent with username
-      const username = lastUserMessage.username ||
-        (activeChannels.has(channelId) && activeChannels.get(channelId).username) ||
-        'User';
-      messageWithContext += `${username}: ${lastMessageContent}`;
-
-      // Check if we have an active chat for this channel
-      let chatData = null;
-      let chatId = null;
-
-      // If we found a hist ID in a URL, use that first
-      if (histIdFromUrl) {
-        try {
-          // Get the actual chat ID from the hist ID
-          chatId = await characterAI.getChatIdFromHistId(histIdFromUrl);
-          console.log(`Using Character.AI chat ID from URL: ${chatId}`);
-
-          // Store it in activeChannels for persistence
-          if (activeChannels.has(channelId)) {
-            activeChannels.get(channelId).caiChatId = chatId;
-            await saveActiveChannels();
-            console.log(`Saved chat ID from URL to activeChannels`);
-          }
-
-          // Also store it in CharacterAI client
-          characterAI.activeChats.set(channelId, {
-            chatId: chatId,
-            characterId: targetCharacterId
-          });
-        } catch (histError) {
-          console.error('Error getting chat ID from hist ID:', histError.message);
-          // Continue to next option if this fails
-          histIdFromUrl = null;
-        }
-      }
-      // Check if this channel has a stored chat ID in activeChannels
-      else if (activeChannels.has(channelId) && activeChannels.get(channelId).caiChatId) {
-        chatId = activeChannels.get(channelId).caiChatId;
-        console.log(`Using existing Character.AI chat ID from activeChannels: ${chatId}`);
-      }
-      // Otherwise check if there's a stored chat in the CharacterAI client
-      else if (characterAI.activeChats.has(channelId)) {
-        // Use existing chat from CharacterAI client
-        const storedChat = characterAI.activeChats.get(channelId);
-        chatId = storedChat.chatId;
-        console.log(`Using existing Character.AI chat ${chatId} for channel ${channelId} from CharacterAI client`);
-
-        // Also store it in activeChannels for persistence
-        if (activeChannels.has(channelId)) {
-          activeChannels.get(channelId).caiChatId = chatId;
-          await saveActiveChannels();
-        }
-      }
-      // Create a new chat if we don't have one
-      else {
-        console.log(`Creating new Character.AI chat for channel ${channelId}`);
-        try {
-          // Create a new chat
-          const result = await characterAI.createChat(targetCharacterId);
-
-          if (!result || !result.chat) {
-            throw new Error('Failed to create chat - empty response');
-          }
-
-          chatData = result.chat;
-
-          // Get chat ID - there are multiple possible formats:
-          // 1. chat_id property (WebSocket API format)
-          // 2. external_id property (HTTP API format)
-          // 3. history_external_id property (sometimes used)
-          // 4. In URLs, it's in the "hist" parameter
-
-          // Try to extract chat ID from various properties
-          if (chatData.chat_id) {
-            chatId = chatData.chat_id;
-          } else if (chatData.external_id) {
-            chatId = chatData.external_id;
-          } else if (chatData.history_external_id) {
-            chatId = chatData.history_external_id;
-          } else if (chatData.id) {
-            chatId = chatData.id;
-          }
-
-          // If we have a URL with a hist parameter, extract that
-          if (chatData.url && chatData.url.includes('hist=')) {
-            const match = chatData.url.match(/hist=([^&]+)/);
-            if (match && match[1]) {
-              chatId = match[1];
-            }
-          }
-
-          if (!chatId) {
-            console.error('Chat data:', JSON.stringify(chatData, null, 2));
-            throw new Error('Failed to get chat ID from Character.AI API response');
-          }
-
-          console.log(`Created new chat with ID: ${chatId}`);
-
-          // Store the chat info in CharacterAI client for this session
-          characterAI.activeChats.set(channelId, {
-            chatId: chatId,
-            characterId: targetCharacterId
-          });
-
-          // Also store it in activeChannels for persistence
-          if (activeChannels.has(channelId)) {
-            activeChannels.get(channelId).caiChatId = chatId;
-            await saveActiveChannels();
-          }
-
-          console.log(`Created new chat with ID: ${chatId} and saved to activeChannels`);
-        } catch (createError) {
-          console.error('Error creating chat:', createError.message);
-          // Try next token
-          lastError = createError;
-          getNextCharacterAIToken();
-          keysTriedCount++;
-          console.log(`Character.AI token ${currentCharacterAIKeyIndex + 1}/${CHARACTERAI_TOKENS.length} error: ${createError.message}`);
-          continue;
-        }
-      }
-
-      // Send the message to Character.AI
-      try {
-        console.log('Sending message with context to Character.AI');
-
-        const response = await characterAI.sendMessage(
-          targetCharacterId,
-          chatId,
-          messageWithContext
-        );
-
-        // Check for empty response
-        if (!response || !response.text) {
-          // Try next token
-          lastError = new Error('Empty response from Character.AI API');
-          getNextCharacterAIToken();
-          keysTriedCount++;
-          console.log(`Character.AI token ${currentCharacterAIKeyIndex + 1}/${CHARACTERAI_TOKENS.length} returned empty response`);
-          continue;
-        }
-
-        // Success! Return the response
-        return response.text;
-      } catch (sendError) {
-        console.error('Error sending message:', sendError.message);
-
-        // If the error might be due to an invalid chat ID, try creating a new chat
-        console.log('Chat might be invalid. Creating a new chat...');
-
-        try {
-          // Create a new chat
-          const result = await characterAI.createChat(targetCharacterId);
-
-          if (!result || !result.chat) {
-            throw new Error('Failed to create chat - empty response');
-          }
-
-          chatData = result.chat;
-
-          // Get chat ID from various possible properties
-          if (chatData.chat_id) {
-            chatId = chatData.chat_id;
-          } else if (chatData.external_id) {
-            chatId = chatData.external_id;
-          } else if (chatData.history_external_id) {
-            chatId = chatData.history_external_id;
-          } else if (chatData.id) {
-            chatId = chatData.id;
-          }
-
-          // If we have a URL with a hist parameter, extract that
-          if (chatData.url && chatData.url.includes('hist=')) {
-            const match = chatData.url.match(/hist=([^&]+)/);
-            if (match && match[1]) {
-              chatId = match[1];
-            }
-          }
-
-          if (!chatId) {
-            console.error('Chat data:', JSON.stringify(chatData, null, 2));
-            throw new Error('Failed to get chat ID from Character.AI API response');
-          }
+// Calls a provider with the channel's sub-model and channel context (Character.AI keeps one chat per channel)
+async function callProviderForChannel(providerId, messages, channel) {
+  return llm.callProvider(providerId, messages, {
+    ...(await getChannelCallOptions(channel)),
+    model: getChannelProviderModel(channel.id, providerId),
+    channelId: channel.id,
+    isDM: channel.type === ChannelType.DM,
+    channelConfig: activeChannels.get(channel.id),
+    onChatIdChange: () => saveActiveChannels()
+  });
+}
 
-          // Store the chat info in CharacterAI client
-          characterAI.activeChats.set(channelId, {
-            chatId: chatId,
-            characterId: targetCharacterId
-          });
+// Tool-calling variant: the model may play music, search, draw etc. before it answers
+async function runToolAgentForChannel(providerId, messages, message) {
+  return runToolAgent(providerId, messages, {
+    ...(await getChannelCallOptions(message.channel)),
+    model: getChannelProviderModel(message.channel.id, providerId),
+    context: { message, musicPlayer, generateImage: generateImageWithGemini, isOwner: isBotOwner(message.author.id) }
+  });
+}
 
-          // Also store it in activeChannels for persistence
-          if (activeChannels.has(channelId)) {
-            activeChannels.get(channelId).caiChatId = chatId;
-            await saveActiveChannels();
-          }
+// Streaming variant of callProviderForChannel; onText receives the full text so far
+async function streamProviderForChannel(providerId, messages, channel, onText) {
+  return llm.streamProvider(providerId, messages, {
+    ...(await getChannelCallOptions(channel)),
+    model: getChannelProviderModel(channel.id, providerId),
+    channelId: channel.id,
+    isDM: channel.type === ChannelType.DM
+  }, onText);
+}
 
-          console.log(`Created new chat with ID: ${chatId} after error`);
+// How a scene round in a channel picks providers: personas without a model use the channel's, same fallback chain
+function getSceneRoundOptions(channel, text) {
+  const channelConfig = activeChannels.get(channel.id);
+  const language = resolveChannelSettings(channel.id, channel.guildId || null).language.value;
+  return {
+    defaultProvider: getChannelModel(channel.id, channel.guildId || null),
+    fallbackOrder: channelConfig && channelConfig.fallbackOrder,
+    getModel: providerId => getChannelProviderModel(channel.id, providerId),
+    generationParams: (channelConfig && channelConfig.generationParams) || {},
+    languagePrompt: guildSettings.getLanguagePrompt(language),
+    transform: language === 'zh-TW' || (language === 'auto' && isTraditionalChinese(text)) ? ensureTraditionalChinese : undefined
+  };
+}
 
-          // Try sending the message again with the new chat
-          const response = await characterAI.sendMessage(
-            targetCharacterId,
-            chatId,
-            messageWithContext
-          );
+// Messages Setsuna posted herself, as the bot user or through a persona webhook
+async function isOwnMessage(msg) {
+  return msg.author.id === client.user.id || await personaWebhooks.isPersonaWebhookMessage(msg);
+}
 
-          // Check for empty response
-          if (!response || !response.text) {
-            // Try next token
-            lastError = new Error('Empty response from Character.AI API with new chat');
-            getNextCharacterAIToken();
-            keysTriedCount++;
-            continue;
-          }
+/**
+ * Without MongoDB the conversation store starts empty after a restart; import the channel's
+ * recent messages once so the bot doesn't lose the thread. With MongoDB the store is authoritative.
+ */
+const seededConversationChannels = new Set();
+async function seedConversationFromDiscord(message) {
+  if (conversationStore.isPersistent() || seededConversationChannels.has(message.channelId)) return;
+  seededConversationChannels.add(message.channelId);
+  if ((await conversationStore.getTurns(message.channelId)).length > 0) return;
 
-          // Success! Return the response
-          return response.text;
-        } catch (retryError) {
-          console.error('Error creating new chat after send failure:', retryError.message);
-          // Try next token
-          lastError = retryError;
-          getNextCharacterAIToken();
-          keysTriedCount++;
-          continue;
-        }
-      }
-    } catch (error) {
-      console.error('Error in Character.AI API call:', error.message);
-      // Try next token
-      lastError = error;
-      getNextCharacterAIToken();
-      keysTriedCount++;
-      console.log(`Character.AI token ${currentCharacterAIKeyIndex + 1}/${CHARACTERAI_TOKENS.length} error: ${error.message}`);
+  try {
+    // Messages of the current burst are recorded by the caller
+    const firstMessage = (message._burstMessages && message._burstMessages[0]) || message;
+    const recent = await message.channel.messages.fetch({ limit: 50, before: firstMessage.id });
+    const turns = [];
+    for (const msg of Array.from(recent.values()).reverse()) {
+      if (!msg.content || !msg.content.trim()) continue;
+      turns.push({
+        messageId: msg.id,
+        // Persona replies come from a webhook, whose author name is the persona's
+        role: await isOwnMessage(msg) ? 'assistant' : 'user',
+        author: msg.author.username,
+        content: msg.content,
+        createdAt: msg.createdAt
+      });
     }
+    await conversationStore.appendTurns(message.channelId, turns);
+    console.log(`Seeded conversation memory for ${message.channelId} with ${turns.length} Discord messages`);
+  } catch (error) {
+    console.error('Error seeding conversation memory:', error.message);
   }
-
-  // If we get here, all tokens failed
-  throw lastError || new Error('All Character.AI tokens failed');
 }
 
 client.on('messageCreate', async (message) => {
@@ -3830,7 +4403,16 @@ client.on('messageCreate', async (message) => {
 
   // Check if the message is a DM or in an active channel
   const isDM = message.channel.type === ChannelType.DM;
-  const channelConfig = activeChannels.get(message.channelId);
+  let channelConfig = activeChannels.get(message.channelId);
+
+  // Threads the bot started in a thread-mode channel pick up the parent's settings if they aren't active yet
+  if (!isDM && !channelConfig && message.channel.isThread() && message.channel.ownerId === client.user.id) {
+    const parentConfig = activeChannels.get(message.channel.parentId);
+    if (parentConfig && parentConfig.threadMode) {
+      channelConfig = inheritThreadConfig(message.channel, parentConfig);
+      saveActiveChannels();
+    }
+  }
 
   // If not a DM and not in an active channel, ignore the message
   if (!isDM && !channelConfig) {
@@ -3852,6 +4434,71 @@ client.on('messageCreate', async (message) => {
     await saveActiveChannels();
   }
 
+  // Thread mode: a mention in the channel starts a thread with its own history, model and persona;
+  // nothing else is answered in the channel itself
+  if (!isDM && channelConfig.threadMode && !message.channel.isThread()) {
+    if (!(await isAddressedToBot(message))) return;
+    const thread = await startConversationThread(message, channelConfig);
+    if (thread) {
+      messageBuffer.queueMessage(asThreadMessage(message, thread), handleChatMessage, 0);
+    }
+    return;
+  }
+
+  // Trigger mode: in server channels, skip messages the channel isn't set to answer before any model is called
+  if (!isDM) {
+    const decision = await triggers.shouldRespond(message, getChannelTrigger(message.channelId, message.guildId), () => isAddressedToBot(message));
+    if (!decision.respond) {
+      // Still keep what was said, so the model knows the conversation when it is next asked to reply
+      if (message.content && message.content.trim()) {
+        await seedConversationFromDiscord(message);
+        await conversationStore.appendTurn(message.channelId, {
+          messageId: message.id,
+          role: 'user',
+          author: message.author.username,
+          content: message.content,
+          createdAt: message.createdAt
+        });
+      }
+      return;
+    }
+  }
+
+  // Messages sent in quick succession are answered together, one burst at a time per channel
+  const trigger = (channelConfig && channelConfig.trigger) || {};
+  messageBuffer.queueMessage(message, handleChatMessage,
+    typeof trigger.debounceMs === 'number' ? trigger.debounceMs : messageBuffer.DEFAULT_WINDOW_MS);
+});
+
+// The message sent before `message` in its channel: from discord.js's cache when it's there, else one fetch
+async function getPreviousMessage(message) {
+  const cached = message.channel.messages.cache
+    .filter(msg => msg.id !== message.id && msg.createdTimestamp <= message.createdTimestamp)
+    .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+    .last();
+  if (cached) return cached;
+  try {
+    const fetched = await message.channel.messages.fetch({ limit: 1, before: message.id });
+    return fetched.first() || null;
+  } catch (error) {
+    console.error('[Chat] 無法取得上一則訊息:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Answers one burst of messages in an activated channel (or DM): `message` is its last message,
+ * with the same author's earlier messages folded in (see chat/messageBuffer.js).
+ */
+async function handleChatMessage(message) {
+  const isDM = message.channel.type === ChannelType.DM;
+  const channelConfig = activeChannels.get(message.channelId);
+  // The channel may have been deactivated while the burst was collected
+  if (!channelConfig) return;
+
+  // What the user typed; message.content gets image/YouTube info appended further down
+  const originalContent = message.content;
+
   // Show typing indicator immediately
   await message.channel.sendTyping();
 
@@ -3861,6 +4508,21 @@ client.on('messageCreate', async (message) => {
   const analysis = await detectIntentWithAI(message.content);
   console.log(`[Message Intent] 意圖: ${analysis.intent}, 查詢內容: ${analysis.musicQuery}`);
 
+  const musicIntents = ['PLAY_MUSIC', 'SKIP_MUSIC', 'PAUSE_MUSIC', 'RESUME_MUSIC', 'STOP_MUSIC'];
+  if (musicPlayer && !isDM && musicIntents.includes(analysis.intent) && (analysis.intent !== 'PLAY_MUSIC' || analysis.musicQuery)) {
+    // Asking in chat needs the same `music` permission as /music
+    const canControlMusic = permissions.isAllowed({
+      guildId: message.guildId,
+      member: message.member,
+      permissions: message.member ? message.member.permissions : null,
+      isOwner: isBotOwner(message.author.id)
+    }, 'music', null);
+    if (!canControlMusic) {
+      await message.reply('這個伺服器沒有開放你控制音樂喔。');
+      return;
+    }
+  }
+
   if (musicPlayer && !isDM) {
     if (analysis.intent === 'PLAY_MUSIC' && analysis.musicQuery) {
       const member = message.member;
@@ -3912,284 +4574,324 @@ client.on('messageCreate', async (message) => {
 
   if (analysis.intent === 'BROWSE_WEB') {
     if (analysis.useBrowser) {
-      if (OPENCLAW_URL && isBotOwner(message.author.id)) {
-        console.log(`[OpenClaw] 老闆特權驗證成功，發送請求至: ${OPENCLAW_URL}/v1/chat/completions`);
-        try {
-          // 在發送請求前，自動檢查並喚醒 Hugging Face Space
-          const spaceCheck = await ensureSpaceIsRunning();
-          if (spaceCheck.success && spaceCheck.wokeUp) {
-            await message.channel.send('🔔 偵測到雲端瀏覽器服務處於休眠/暫停狀態，已為您自動發送喚醒指令，正在啟動中，請稍候...');
-            // 多等待 5 秒以確保 container 順利啟動
-            await new Promise(resolve => setTimeout(resolve, 5000));
-          } else if (!spaceCheck.success) {
-            console.warn(`[HF Space Manager] 喚醒檢查失敗但繼續嘗試: ${spaceCheck.reason}`);
-          }
-
-          const utcTimeStr = new Date().toISOString().replace('T', ' ').substring(0, 19);
-          const browserPrompt = message.content + `\n\n【系統指令：現在基準時間（UTC）：${utcTimeStr}。請你根據此 UTC 時間點，結合用戶提及的城市、地理位置或意圖，自動判斷並轉換為該地對應時區的當地時間，來提供最精確的行程安排、即時資訊回覆或搜尋。【極重要強制指令：對於任何涉及即時資訊（如天氣、公車到站時間、飛機航班、股價、新聞、最新時間等）或需要精準數據的用戶提問，你必須立即且無條件調用搜尋工具 (web_search) 或網頁瀏覽工具 (browser) 進行查詢。絕對不允許不查資料就憑藉你自身的靜態知識或猜測直接回覆，也絕對不允許直接建議用戶自己去官網查。你必須幫用戶查到最新數據並呈現出來，否則即視為嚴重錯誤！】你優先且主要使用內建的網頁搜尋工具 (web_search) 進行任何網頁搜尋與資訊查詢（如查詢台北時間、天氣、公車班次、新聞等即時資訊）。如果 web_search 的結果不理想、不夠精確或沒有即時數據，你完全可以並且應該主動調用網頁瀏覽工具 (browser) 直接瀏覽相關網頁來獲取精確資訊！只有當你需要進行「關鍵字搜尋」且必須使用瀏覽器網頁時，才造訪 DuckDuckGo (https://html.duckduckgo.com/)，請絕對不要使用 Google 或 Yahoo 的搜尋引擎進行關鍵字搜尋，因為它們的搜尋 WAF 機制會阻擋你的瀏覽器訪問並回傳錯誤。在使用網頁瀏覽工具 (browser) 時，請嚴格遵守以下規則：\n1. 瀏覽器預設開啟在 about:blank，你必須先執行 action: "navigate" 造訪網頁，取得頁面快照與元素列表後，才能進行後續操作。例如：{"action":"navigate","url":"https://html.duckduckgo.com/"}。\n2. 所有操作（click、type、press）都必須使用從頁面快照取得的 ref 值（元素參考編號，請作為字串傳入），絕對不可以使用 targetId 欄位，也不可憑空捏造無效的 ref（例如 e8、e9 等都是無效的）。\n3. 輸入文字時，請絕對不要使用 kind: "fill" 或 fields 參數，你必須完全使用 kind: "type" 動作，並在最外層同時提供 ref 和 text 欄位。例如：{"action":"act","kind":"type","ref":"12","text":"要輸入的文字"}。\n4. 使用 kind: "press" 時，必須同時提供 ref 和 key 欄位，例如 {"action":"act","kind":"press","ref":"12","key":"Enter"}。\n5. 使用 kind: "click" 時，必須提供 ref 欄位，例如 {"action":"act","kind":"click","ref":"12"}。\n6. 絕對不要使用 CSS 選擇器 (selector 參數)。\n7. 在回覆中請絕對不要將 any 數字、時間、日期、代號、規格等轉換成中文數字或中文大寫（例如，絕對不可以將「14:30」寫成「十四點三十分」，絕對不要將「1」寫成「一」）。請完全保留原本的阿拉伯數字、英文以及格式！】\n\n[【系統指令】僅當你實際使用瀏覽器工具成功拍下網頁截圖或下載檔案時，才必須在回覆的最後一行加上 SCREENSHOT_PATH:<工具回傳的實際絕對路徑>。如果你沒有使用瀏覽器工具、沒有截圖或截圖失敗，請絕對不要加上 SCREENSHOT_PATH。禁止自行捏造、猜測或使用範例中不存在的路徑。]`;
-
-          const openclawResponse = await fetch(`${OPENCLAW_URL}/v1/chat/completions`, {
-            method: 'POST',
-            timeout: 120000,
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${OPENCLAW_PASS}`
-            },
-            body: JSON.stringify({
-              model: 'openclaw',
-              messages: [
-                { role: 'user', content: browserPrompt }
-              ],
-              stream: false
-            })
-          });
-
-          console.log(`[OpenClaw] HTTP 回應狀態: ${openclawResponse.status}`);
+      const canBrowse = openclawJobs.isAllowedUser(message.guildId, message.author.id) || permissions.isAllowed({
+        guildId: message.guildId,
+        member: message.member,
+        permissions: message.member ? message.member.permissions : null,
+        isOwner: isBotOwner(message.author.id)
+      }, 'openclaw', permissions.OWNER_ONLY);
+      if (OPENCLAW_URL && canBrowse) {
+        // Everyone but owners has a daily quota, and a server runs one OpenClaw job at a time
+        const jobScope = message.guildId || message.channelId;
+        const quota = await openclawJobs.getQuota(jobScope, message.guildId, message.author.id, isBotOwner(message.author.id));
+        if (quota.remaining <= 0) {
+          await message.channel.send(`今天的上網額度（${quota.limit} 次）已經用完了啦！明天再來找本小姐吧。`);
+          return;
+        }
 
-          if (!openclawResponse.ok) {
-            const errBody = await openclawResponse.text();
-            throw new Error(`OpenClaw 回應錯誤：HTTP ${openclawResponse.status} - ${errBody.substring(0, 300)}`);
+        let queueNotice = null;
+        const updateQueueNotice = async (position) => {
+          if (position === 0) {
+            if (queueNotice) await queueNotice.delete().catch(() => {});
+            return;
           }
+          const text = `🕒 OpenClaw 正在幫別人查資料，你排在第 ${position} 位，輪到你時會自動開始。`;
+          queueNotice = queueNotice ? await queueNotice.edit(text) : await message.channel.send(text);
+        };
 
-          const openclawData = await openclawResponse.json();
-          console.log(`[OpenClaw] 完整回傳結構 keys: ${Object.keys(openclawData).join(', ')}`);
-          console.log('[OpenClaw] 完整回應 JSON:', JSON.stringify(openclawData, null, 2));
-
-          const rawResult = openclawData?.choices?.[0]?.message?.content
-            || openclawData.reply || openclawData.message || openclawData.content
-            || null;
+        const runBrowseJob = async () => {
+          console.log(`[OpenClaw] 權限驗證成功，發送請求至: ${OPENCLAW_URL}/v1/chat/completions`);
+          try {
+            // 在發送請求前，自動檢查並喚醒 Hugging Face Space
+            const spaceCheck = await ensureSpaceIsRunning();
+            if (spaceCheck.success && spaceCheck.wokeUp) {
+              await message.channel.send('🔔 偵測到雲端瀏覽器服務處於休眠/暫停狀態，已為您自動發送喚醒指令，正在啟動中，請稍候...');
+              // 多等待 5 秒以確保 container 順利啟動
+              await new Promise(resolve => setTimeout(resolve, 5000));
+            } else if (!spaceCheck.success) {
+              console.warn(`[HF Space Manager] 喚醒檢查失敗但繼續嘗試: ${spaceCheck.reason}`);
+            }
 
-          if (!rawResult) {
-            console.error('[OpenClaw] 無可用結果，完整回傳:', JSON.stringify(openclawData).substring(0, 500));
-            await message.channel.send('老闆，OpenClaw 沒有回傳可用的結果。');
-            return;
-          }
+            const utcTimeStr = new Date().toISOString().replace('T', ' ').substring(0, 19);
+            const browserPrompt = message.content + `\n\n【系統指令：現在基準時間（UTC）：${utcTimeStr}。請你根據此 UTC 時間點，結合用戶提及的城市、地理位置或意圖，自動判斷並轉換為該地對應時區的當地時間，來提供最精確的行程安排、即時資訊回覆或搜尋。【極重要強制指令：對於任何涉及即時資訊（如天氣、公車到站時間、飛機航班、股價、新聞、最新時間等）或需要精準數據的用戶提問，你必須立即且無條件調用搜尋工具 (web_search) 或網頁瀏覽工具 (browser) 進行查詢。絕對不允許不查資料就憑藉你自身的靜態知識或猜測直接回覆，也絕對不允許直接建議用戶自己去官網查。你必須幫用戶查到最新數據並呈現出來，否則即視為嚴重錯誤！】你優先且主要使用內建的網頁搜尋工具 (web_search) 進行任何網頁搜尋與資訊查詢（如查詢台北時間、天氣、公車班次、新聞等即時資訊）。如果 web_search 的結果不理想、不夠精確或沒有即時數據，你完全可以並且應該主動調用網頁瀏覽工具 (browser) 直接瀏覽相關網頁來獲取精確資訊！只有當你需要進行「關鍵字搜尋」且必須使用瀏覽器網頁時，才造訪 DuckDuckGo (https://html.duckduckgo.com/)，請絕對不要使用 Google 或 Yahoo 的搜尋引擎進行關鍵字搜尋，因為它們的搜尋 WAF 機制會阻擋你的瀏覽器訪問並回傳錯誤。在使用網頁瀏覽工具 (browser) 時，請嚴格遵守以下規則：\n1. 瀏覽器預設開啟在 about:blank，你必須先執行 action: "navigate" 造訪網頁，取得頁面快照與元素列表後，才能進行後續操作。例如：{"action":"navigate","url":"https://html.duckduckgo.com/"}。\n2. 所有操作（click、type、press）都必須使用從頁面快照取得的 ref 值（元素參考編號，請作為字串傳入），絕對不可以使用 targetId 欄位，也不可憑空捏造無效的 ref（例如 e8、e9 等都是無效的）。\n3. 輸入文字時，請絕對不要使用 kind: "fill" 或 fields 參數，你必須完全使用 kind: "type" 動作，並在最外層同時提供 ref 和 text 欄位。例如：{"action":"act","kind":"type","ref":"12","text":"要輸入的文字"}。\n4. 使用 kind: "press" 時，必須同時提供 ref 和 key 欄位，例如 {"action":"act","kind":"press","ref":"12","key":"Enter"}。\n5. 使用 kind: "click" 時，必須提供 ref 欄位，例如 {"action":"act","kind":"click","ref":"12"}。\n6. 絕對不要使用 CSS 選擇器 (selector 參數)。\n7. 在回覆中請絕對不要將 any 數字、時間、日期、代號、規格等轉換成中文數字或中文大寫（例如，絕對不可以將「14:30」寫成「十四點三十分」，絕對不要將「1」寫成「一」）。請完全保留原本的阿拉伯數字、英文以及格式！】\n\n[【系統指令】僅當你實際使用瀏覽器工具成功拍下網頁截圖或下載檔案時，才必須在回覆的最後一行加上 SCREENSHOT_PATH:<工具回傳的實際絕對路徑>。如果你沒有使用瀏覽器工具、沒有截圖或截圖失敗，請絕對不要加上 SCREENSHOT_PATH。禁止自行捏造、猜測或使用範例中不存在的路徑。]`;
+
+            const openclawResponse = await fetch(`${OPENCLAW_URL}/v1/chat/completions`, {
+              method: 'POST',
+              timeout: 120000,
+              headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${OPENCLAW_PASS}`
+              },
+              body: JSON.stringify({
+                model: 'openclaw',
+                messages: [
+                  { role: 'user', content: browserPrompt }
+                ],
+                stream: false
+              })
+            });
 
-          console.log(`[OpenClaw] 原始回傳（前300字）: ${rawResult.substring(0, 300)}`);
+            console.log(`[OpenClaw] HTTP 回應狀態: ${openclawResponse.status}`);
 
-          // 提取附件
-          const attachments = [];
-          const msgObj = openclawData?.choices?.[0]?.message || {};
-          
-          if (Array.isArray(msgObj.attachments)) {
-            for (const att of msgObj.attachments) {
-              if (typeof att === 'string') attachments.push(att);
-              else if (att && att.url) attachments.push(att.url);
-              else if (att && att.path) attachments.push(att.path);
-              else if (att && att.filePath) attachments.push(att.filePath);
-            }
-          }
-          if (msgObj.mediaUrl) attachments.push(msgObj.mediaUrl);
-          if (msgObj.filePath) attachments.push(msgObj.filePath);
-          if (msgObj.path) attachments.push(msgObj.path);
-          if (Array.isArray(msgObj.mediaUrls)) attachments.push(...msgObj.mediaUrls);
-          if (Array.isArray(openclawData.attachments)) attachments.push(...openclawData.attachments);
-          if (openclawData.mediaUrl) attachments.push(openclawData.mediaUrl);
-
-          // 從 rawResult 中解析 SCREENSHOT_PATH:<路徑>、MEDIA:<路徑>、[IMAGE SHARED BY 系統工具: <路徑/網址>] 和通用絕對路徑
-          if (rawResult) {
-            const screenshotRegex = /SCREENSHOT_PATH:([^\r\n\s]+)/gi;
-            let match;
-            while ((match = screenshotRegex.exec(rawResult)) !== null) {
-              attachments.push(match[1]);
+            if (!openclawResponse.ok) {
+              const errBody = await openclawResponse.text();
+              throw new Error(`OpenClaw 回應錯誤：HTTP ${openclawResponse.status} - ${errBody.substring(0, 300)}`);
             }
 
-            const mediaRegex = /MEDIA:([^\r\n\s]+)/gi;
-            while ((match = mediaRegex.exec(rawResult)) !== null) {
-              attachments.push(match[1]);
-            }
-            
-            const sharedByRegex = /\[IMAGE SHARED BY [^\]]+:\s*([^\]]+)\]/gi;
-            while ((match = sharedByRegex.exec(rawResult)) !== null) {
-              attachments.push(match[1]);
-            }
+            const openclawData = await openclawResponse.json();
+            console.log(`[OpenClaw] 完整回傳結構 keys: ${Object.keys(openclawData).join(', ')}`);
+            console.log('[OpenClaw] 完整回應 JSON:', JSON.stringify(openclawData, null, 2));
+
+            const rawResult = openclawData?.choices?.[0]?.message?.content
+              || openclawData.reply || openclawData.message || openclawData.content
+              || null;
 
-            // 通用絕對路徑匹配兜底
-            const absolutePathRegex = /(\/home\/[^/]+\/\.openclaw\/[^\s"'>\(\)\[\]]+)/gi;
-            while ((match = absolutePathRegex.exec(rawResult)) !== null) {
-              attachments.push(match[1]);
+            if (!rawResult) {
+              console.error('[OpenClaw] 無可用結果，完整回傳:', JSON.stringify(openclawData).substring(0, 500));
+              await message.channel.send('老闆，OpenClaw 沒有回傳可用的結果。');
+              return;
             }
-          }
 
-          let uniqueAttachments = [...new Set(attachments)].filter(Boolean);
-          if (!analysis.requireScreenshot) {
-            // 用戶未要求截圖，清空所有可能由瀏覽器工具產生的自動附件
-            uniqueAttachments = [];
-          } else if (uniqueAttachments.length === 0) {
-            console.log('[OpenClaw] 用戶要求截圖但 OpenClaw 未回傳任何附件，不補 placeholder（避免 HF 被 ban）。');
-          }
-          console.log('[OpenClaw] 偵測到附件列表:', uniqueAttachments);
-
-          const discordFiles = [];
-          for (let i = 0; i < uniqueAttachments.length; i++) {
-            const attPath = uniqueAttachments[i];
-            let success = false;
-            let buffer = null;
-            let finalFileUrl = '';
+            console.log(`[OpenClaw] 原始回傳（前300字）: ${rawResult.substring(0, 300)}`);
+
+            // 提取附件
+            const attachments = [];
+            const msgObj = openclawData?.choices?.[0]?.message || {};
             
-            if (attPath.startsWith('http://') || attPath.startsWith('https://')) {
-              finalFileUrl = attPath;
-              try {
-                const headers = { 'Authorization': `Bearer ${OPENCLAW_PASS}` };
-                const isHfSpace = finalFileUrl.includes('hf.space') || finalFileUrl.includes('huggingface.co');
-                const hfToken = getCurrentHFToken();
-                if (isHfSpace && hfToken) {
-                  headers['Authorization'] = `Bearer ${hfToken}`;
-                }
-                const fileRes = await fetch(finalFileUrl, {
-                  headers,
-                  timeout: 30000
-                });
-                if (fileRes.ok) {
-                  const contentType = fileRes.headers.get('content-type') || '';
-                  if (contentType.includes('text/html') || contentType.includes('application/json')) {
-                    const text = await fileRes.text();
-                    if (text.includes('Preparing Space') || text.includes('This Space has been paused') || text.includes('Restart this Space') || text.includes('huggingface.co')) {
-                      console.warn(`[OpenClaw] 偵測到 Hugging Face 喚醒/暫停或 HTML 頁面，跳過該直接下載。`);
-                    } else {
-                      buffer = Buffer.from(text);
-                      success = true;
-                    }
-                  } else {
-                    buffer = typeof fileRes.buffer === 'function' ? await fileRes.buffer() : Buffer.from(await fileRes.arrayBuffer());
-                    success = true;
-                  }
-                }
-              } catch (e) {
-                console.error(`[OpenClaw] 下載直接網址失敗: ${e.message}`);
+            if (Array.isArray(msgObj.attachments)) {
+              for (const att of msgObj.attachments) {
+                if (typeof att === 'string') attachments.push(att);
+                else if (att && att.url) attachments.push(att.url);
+                else if (att && att.path) attachments.push(att.path);
+                else if (att && att.filePath) attachments.push(att.filePath);
               }
-            } else {
-              let normalizedPath = attPath.replace(/\\/g, '/');
-              let subPath = '';
-              if (normalizedPath.includes('/.openclaw/media/')) {
-                subPath = normalizedPath.split('/.openclaw/media/')[1];
-              } else if (normalizedPath.includes('/.openclaw/workspace/media/')) {
-                subPath = normalizedPath.split('/.openclaw/workspace/media/')[1];
-              } else if (normalizedPath.includes('/.openclaw/workspace/')) {
-                subPath = normalizedPath.split('/.openclaw/workspace/')[1];
-              } else if (normalizedPath.includes('/media/')) {
-                subPath = normalizedPath.split('/media/')[1];
-              } else if (normalizedPath.includes('/workspace/')) {
-                subPath = normalizedPath.split('/workspace/')[1];
-              } else {
-                subPath = normalizedPath.split('/').pop();
+            }
+            if (msgObj.mediaUrl) attachments.push(msgObj.mediaUrl);
+            if (msgObj.filePath) attachments.push(msgObj.filePath);
+            if (msgObj.path) attachments.push(msgObj.path);
+            if (Array.isArray(msgObj.mediaUrls)) attachments.push(...msgObj.mediaUrls);
+            if (Array.isArray(openclawData.attachments)) attachments.push(...openclawData.attachments);
+            if (openclawData.mediaUrl) attachments.push(openclawData.mediaUrl);
+
+            // 從 rawResult 中解析 SCREENSHOT_PATH:<路徑>、MEDIA:<路徑>、[IMAGE SHARED BY 系統工具: <路徑/網址>] 和通用絕對路徑
+            if (rawResult) {
+              const screenshotRegex = /SCREENSHOT_PATH:([^\r\n\s]+)/gi;
+              let match;
+              while ((match = screenshotRegex.exec(rawResult)) !== null) {
+                attachments.push(match[1]);
+              }
+
+              const mediaRegex = /MEDIA:([^\r\n\s]+)/gi;
+              while ((match = mediaRegex.exec(rawResult)) !== null) {
+                attachments.push(match[1]);
               }
               
-              const filename = subPath.split('/').pop();
-              // 只嘗試最可能的 3 條路徑（header auth），避免 21 路暴搜被 HF WAF 判為列舉攻擊
-              const candidates = [
-                { url: `${OPENCLAW_URL}/media/${subPath}`, useHeader: true },
-                { url: `${OPENCLAW_URL}/__openclaw__/assistant-media/${subPath}`, useHeader: true },
-                { url: `${OPENCLAW_URL}/media/${filename}`, useHeader: true },
-              ];
+              const sharedByRegex = /\[IMAGE SHARED BY [^\]]+:\s*([^\]]+)\]/gi;
+              while ((match = sharedByRegex.exec(rawResult)) !== null) {
+                attachments.push(match[1]);
+              }
+
+              // 通用絕對路徑匹配兜底
+              const absolutePathRegex = /(\/home\/[^/]+\/\.openclaw\/[^\s"'>\(\)\[\]]+)/gi;
+              while ((match = absolutePathRegex.exec(rawResult)) !== null) {
+                attachments.push(match[1]);
+              }
+            }
+
+            let uniqueAttachments = [...new Set(attachments)].filter(Boolean);
+            if (!analysis.requireScreenshot) {
+              // 用戶未要求截圖，清空所有可能由瀏覽器工具產生的自動附件
+              uniqueAttachments = [];
+            } else if (uniqueAttachments.length === 0) {
+              console.log('[OpenClaw] 用戶要求截圖但 OpenClaw 未回傳任何附件，不補 placeholder（避免 HF 被 ban）。');
+            }
+            console.log('[OpenClaw] 偵測到附件列表:', uniqueAttachments);
+
+            const discordFiles = [];
+            for (let i = 0; i < uniqueAttachments.length; i++) {
+              const attPath = uniqueAttachments[i];
+              let success = false;
+              let buffer = null;
+              let finalFileUrl = '';
               
-              for (const candidate of candidates) {
-                console.log(`[OpenClaw] 嘗試下載附件 #${i + 1} 候選網址: ${candidate.url} (使用Header: ${candidate.useHeader})`);
+              if (attPath.startsWith('http://') || attPath.startsWith('https://')) {
+                finalFileUrl = attPath;
                 try {
-                  const headers = {};
-                  if (candidate.useHeader && OPENCLAW_PASS) {
-                    headers['Authorization'] = `Bearer ${OPENCLAW_PASS}`;
-                  }
-                  // 如果是 Hugging Face Space (hf.space)，必須帶上 HF_TOKEN 作為 Authorization (會覆蓋 OpenClaw Authorization)
-                  // 或者如果 Space 是私有的，需要帶上 HF 閘道所需要的 token
-                  const isHfSpace = candidate.url.includes('hf.space') || candidate.url.includes('huggingface.co');
+                  const headers = { 'Authorization': `Bearer ${OPENCLAW_PASS}` };
+                  const isHfSpace = finalFileUrl.includes('hf.space') || finalFileUrl.includes('huggingface.co');
                   const hfToken = getCurrentHFToken();
                   if (isHfSpace && hfToken) {
                     headers['Authorization'] = `Bearer ${hfToken}`;
                   }
-                  
-                  const fileRes = await fetch(candidate.url, {
+                  const fileRes = await fetch(finalFileUrl, {
                     headers,
-                    timeout: 10000
+                    timeout: 30000
                   });
-                  
+                  reportHFTokenResponse(isHfSpace ? hfToken : null, fileRes);
                   if (fileRes.ok) {
                     const contentType = fileRes.headers.get('content-type') || '';
-                    // 確保回傳不是 Hugging Face 登入/喚醒 HTML 網頁
                     if (contentType.includes('text/html') || contentType.includes('application/json')) {
                       const text = await fileRes.text();
                       if (text.includes('Preparing Space') || text.includes('This Space has been paused') || text.includes('Restart this Space') || text.includes('huggingface.co')) {
-                        console.warn(`[OpenClaw] 偵測到 Hugging Face 喚醒/暫停或 HTML 頁面，跳過該候選網址。`);
-                        continue;
+                        console.warn(`[OpenClaw] 偵測到 Hugging Face 喚醒/暫停或 HTML 頁面，跳過該直接下載。`);
+                      } else {
+                        buffer = Buffer.from(text);
+                        success = true;
                       }
+                    } else {
+                      buffer = typeof fileRes.buffer === 'function' ? await fileRes.buffer() : Buffer.from(await fileRes.arrayBuffer());
+                      success = true;
                     }
-                    
-                    buffer = typeof fileRes.buffer === 'function' ? await fileRes.buffer() : Buffer.from(await fileRes.arrayBuffer());
-                    finalFileUrl = candidate.url;
-                    success = true;
-                    console.log(`[OpenClaw] 成功下載附件 #${i + 1}: ${candidate.url}`);
-                    break;
                   }
                 } catch (e) {
-                  // 靜默嘗試其他候選網址
+                  console.error(`[OpenClaw] 下載直接網址失敗: ${e.message}`);
+                }
+              } else {
+                let normalizedPath = attPath.replace(/\\/g, '/');
+                let subPath = '';
+                if (normalizedPath.includes('/.openclaw/media/')) {
+                  subPath = normalizedPath.split('/.openclaw/media/')[1];
+                } else if (normalizedPath.includes('/.openclaw/workspace/media/')) {
+                  subPath = normalizedPath.split('/.openclaw/workspace/media/')[1];
+                } else if (normalizedPath.includes('/.openclaw/workspace/')) {
+                  subPath = normalizedPath.split('/.openclaw/workspace/')[1];
+                } else if (normalizedPath.includes('/media/')) {
+                  subPath = normalizedPath.split('/media/')[1];
+                } else if (normalizedPath.includes('/workspace/')) {
+                  subPath = normalizedPath.split('/workspace/')[1];
+                } else {
+                  subPath = normalizedPath.split('/').pop();
+                }
+                
+                const filename = subPath.split('/').pop();
+                // 只嘗試最可能的 3 條路徑（header auth），避免 21 路暴搜被 HF WAF 判為列舉攻擊
+                const candidates = [
+                  { url: `${OPENCLAW_URL}/media/${subPath}`, useHeader: true },
+                  { url: `${OPENCLAW_URL}/__openclaw__/assistant-media/${subPath}`, useHeader: true },
+                  { url: `${OPENCLAW_URL}/media/${filename}`, useHeader: true },
+                ];
+                
+                for (const candidate of candidates) {
+                  console.log(`[OpenClaw] 嘗試下載附件 #${i + 1} 候選網址: ${candidate.url} (使用Header: ${candidate.useHeader})`);
+                  try {
+                    const headers = {};
+                    if (candidate.useHeader && OPENCLAW_PASS) {
+                      headers['Authorization'] = `Bearer ${OPENCLAW_PASS}`;
+                    }
+                    // 如果是 Hugging Face Space (hf.space)，必須帶上 HF_TOKEN 作為 Authorization (會覆蓋 OpenClaw Authorization)
+                    // 或者如果 Space 是私有的，需要帶上 HF 閘道所需要的 token
+                    const isHfSpace = candidate.url.includes('hf.space') || candidate.url.includes('huggingface.co');
+                    const hfToken = getCurrentHFToken();
+                    if (isHfSpace && hfToken) {
+                      headers['Authorization'] = `Bearer ${hfToken}`;
+                    }
+                    
+                    const fileRes = await fetch(candidate.url, {
+                      headers,
+                      timeout: 10000
+                    });
+                    reportHFTokenResponse(isHfSpace ? hfToken : null, fileRes);
+                    
+                    if (fileRes.ok) {
+                      const contentType = fileRes.headers.get('content-type') || '';
+                      // 確保回傳不是 Hugging Face 登入/喚醒 HTML 網頁
+                      if (contentType.includes('text/html') || contentType.includes('application/json')) {
+                        const text = await fileRes.text();
+                        if (text.includes('Preparing Space') || text.includes('This Space has been paused') || text.includes('Restart this Space') || text.includes('huggingface.co')) {
+                          console.warn(`[OpenClaw] 偵測到 Hugging Face 喚醒/暫停或 HTML 頁面，跳過該候選網址。`);
+                          continue;
+                        }
+                      }
+                      
+                      buffer = typeof fileRes.buffer === 'function' ? await fileRes.buffer() : Buffer.from(await fileRes.arrayBuffer());
+                      finalFileUrl = candidate.url;
+                      success = true;
+                      console.log(`[OpenClaw] 成功下載附件 #${i + 1}: ${candidate.url}`);
+                      break;
+                    }
+                  } catch (e) {
+                    // 靜默嘗試其他候選網址
+                  }
                 }
               }
+              
+              if (success && buffer) {
+                discordFiles.push({
+                  attachment: buffer,
+                  name: finalFileUrl.split('/').pop() || `screenshot_${i + 1}.png`
+                });
+              } else {
+                console.error(`[OpenClaw] 下載附件 #${i + 1} 失敗，所有候選網址皆不可用：${attPath}`);
+              }
             }
-            
-            if (success && buffer) {
-              discordFiles.push({
-                attachment: buffer,
-                name: finalFileUrl.split('/').pop() || `screenshot_${i + 1}.png`
+
+            // 清理 rawResult 中的特殊標籤後，再交給 Gemini 包裝人設
+            let cleanRawResult = rawResult;
+            cleanRawResult = cleanRawResult.replace(/SCREENSHOT_PATH:[^\r\n\s]+/gi, '');
+            cleanRawResult = cleanRawResult.replace(/MEDIA:[^\r\n\s]+/gi, '');
+            cleanRawResult = cleanRawResult.replace(/\[IMAGE SHARED BY [^\]]+\]/gi, '');
+            cleanRawResult = cleanRawResult.replace(/\/home\/[^/]+\/\.openclaw\/[^\s"'>\(\)\[\]]+/gi, '');
+            cleanRawResult = cleanRawResult.replace(/!\[[^\]]*\]\([^\)]+\)/g, '');
+            cleanRawResult = cleanRawResult.trim();
+
+            // 用 Gemini 加 Setsuna 人設包裝 OpenClaw 的原始查詢結果
+            const channelPersonality = await getChannelPersonality(message.channelId, message.guildId);
+            const wrappedMessages = [
+              { role: 'system', content: channelPersonality + '\n\n【重要：在回答中，請絕對不要將任何數字、時間、日期、代號、規格等轉換成中文數字或中文大寫（例如，絕對不可以將「14:30」寫成「十四點三十分」，絕對不要將「1」寫成「一」）。請完全保留原本的阿拉伯數字、英文以及格式！】' },
+              { role: 'user', content: `老闆問了：「${message.content}」\n\n以下是你用工具查到的資料，請用你自己的語氣（Setsuna）回覆老闆，不要改動查到的事實：\n\n${cleanRawResult}` }
+            ];
+            const finalReply = await llm.callProvider('gemini', wrappedMessages);
+
+            // 清理 finalReply 幻覺連結
+            let cleanedReply = finalReply;
+            cleanedReply = cleanedReply.replace(/SCREENSHOT_PATH:[^\r\n\s]+/gi, '');
+            cleanedReply = cleanedReply.replace(/MEDIA:[^\r\n\s]+/gi, '');
+            cleanedReply = cleanedReply.replace(/\[IMAGE SHARED BY [^\]]+\]/gi, '');
+            cleanedReply = cleanedReply.replace(/\/home\/[^/]+\/\.openclaw\/[^\s"'>\(\)\[\]]+/gi, '');
+            cleanedReply = cleanedReply.replace(/!\[[^\]]*\]\([^\)]+\)/g, '');
+            cleanedReply = cleanedReply.trim();
+
+            // Discord 單則訊息上限 2000 字，超過就切割
+            if (cleanedReply.length <= 2000) {
+              await message.channel.send({
+                content: cleanedReply,
+                files: discordFiles.length > 0 ? discordFiles : undefined
               });
             } else {
-              console.error(`[OpenClaw] 下載附件 #${i + 1} 失敗，所有候選網址皆不可用：${attPath}`);
-            }
-          }
-
-          // 清理 rawResult 中的特殊標籤後，再交給 Gemini 包裝人設
-          let cleanRawResult = rawResult;
-          cleanRawResult = cleanRawResult.replace(/SCREENSHOT_PATH:[^\r\n\s]+/gi, '');
-          cleanRawResult = cleanRawResult.replace(/MEDIA:[^\r\n\s]+/gi, '');
-          cleanRawResult = cleanRawResult.replace(/\[IMAGE SHARED BY [^\]]+\]/gi, '');
-          cleanRawResult = cleanRawResult.replace(/\/home\/[^/]+\/\.openclaw\/[^\s"'>\(\)\[\]]+/gi, '');
-          cleanRawResult = cleanRawResult.replace(/!\[[^\]]*\]\([^\)]+\)/g, '');
-          cleanRawResult = cleanRawResult.trim();
-
-          // 用 Gemini 加 Setsuna 人設包裝 OpenClaw 的原始查詢結果
-          const channelPersonality = channelPersonalityPreferences.get(message.channelId) || setsunaPersonality;
-          const wrappedMessages = [
-            { role: 'system', content: channelPersonality + '\n\n【重要：在回答中，請絕對不要將任何數字、時間、日期、代號、規格等轉換成中文數字或中文大寫（例如，絕對不可以將「14:30」寫成「十四點三十分」，絕對不要將「1」寫成「一」）。請完全保留原本的阿拉伯數字、英文以及格式！】' },
-            { role: 'user', content: `老闆問了：「${message.content}」\n\n以下是你用工具查到的資料，請用你自己的語氣（Setsuna）回覆老闆，不要改動查到的事實：\n\n${cleanRawResult}` }
-          ];
-          const finalReply = await callGeminiAPI(wrappedMessages);
-
-          // 清理 finalReply 幻覺連結
-          let cleanedReply = finalReply;
-          cleanedReply = cleanedReply.replace(/SCREENSHOT_PATH:[^\r\n\s]+/gi, '');
-          cleanedReply = cleanedReply.replace(/MEDIA:[^\r\n\s]+/gi, '');
-          cleanedReply = cleanedReply.replace(/\[IMAGE SHARED BY [^\]]+\]/gi, '');
-          cleanedReply = cleanedReply.replace(/\/home\/[^/]+\/\.openclaw\/[^\s"'>\(\)\[\]]+/gi, '');
-          cleanedReply = cleanedReply.replace(/!\[[^\]]*\]\([^\)]+\)/g, '');
-          cleanedReply = cleanedReply.trim();
-
-          // Discord 單則訊息上限 2000 字，超過就切割
-          if (cleanedReply.length <= 2000) {
-            await message.channel.send({
-              content: cleanedReply,
-              files: discordFiles.length > 0 ? discordFiles : undefined
-            });
-          } else {
-            const chunks = cleanedReply.match(/[\s\S]{1,2000}/g) || [cleanedReply];
-            for (let i = 0; i < chunks.length; i++) {
-              const chunk = chunks[i];
-              if (i === chunks.length - 1) {
-                await message.channel.send({
-                  content: chunk,
-                  files: discordFiles.length > 0 ? discordFiles : undefined
-                });
-              } else {
-                await message.channel.send(chunk);
+              const chunks = splitMessage(cleanedReply);
+              for (let i = 0; i < chunks.length; i++) {
+                const chunk = chunks[i];
+                if (i === chunks.length - 1) {
+                  await message.channel.send({
+                    content: chunk,
+                    files: discordFiles.length > 0 ? discordFiles : undefined
+                  });
+                } else {
+                  await message.channel.send(chunk);
+                }
               }
             }
+            return;
+          } catch (err) {
+            console.error('[OpenClaw] 連線失敗：', err.message);
+            await message.channel.send(`老闆，雲端 OpenClaw 連線失敗！\n錯誤：${err.message}`);
+            return;
           }
-          return;
-        } catch (err) {
-          console.error('[OpenClaw] 連線失敗：', err.message);
-          await message.channel.send(`老闆，雲端 OpenClaw 連線失敗！\n錯誤：${err.message}`);
-          return;
+        };
+
+        const job = openclawJobs.enqueueJob(jobScope, {
+          userId: message.author.id,
+          run: runBrowseJob,
+          onPosition: updateQueueNotice
+        });
+        if (!job.success) {
+          await message.channel.send(job.reason === 'full'
+            ? '排隊上網的人太多了啦，晚點再來找本小姐！'
+            : '等一下啦，你的上一個查詢還沒跑完！');
         }
+        return;
       } else {
-        await message.channel.send('靠北，本小姐上網查資料（截圖）很累耶，這功能只有我老闆可以用！');
+        await message.channel.send('靠北，本小姐上網查資料（截圖）很累耶，這功能只有我老闆（和被允許的身分組）可以用！');
         return;
       }
     } else {
@@ -4197,7 +4899,7 @@ client.on('messageCreate', async (message) => {
       console.log(`[Gemini Grounding] 開始使用 gemini-2.5-flash 執行 Grounding 查詢...`);
       try {
         const utcTimeStr = new Date().toISOString().replace('T', ' ').substring(0, 19);
-        const channelPersonality = channelPersonalityPreferences.get(message.channelId) || setsunaPersonality;
+        const channelPersonality = await getChannelPersonality(message.channelId, message.guildId);
         
         // 獲取最近的消息 (16條) 以獲取對話上下文
         const recentMessages = await message.channel.messages.fetch({ limit: 16 });
@@ -4206,6 +4908,8 @@ client.on('messageCreate', async (message) => {
           .map(msg => ({
             content: msg.content,
             author: msg.author,
+            webhookId: msg.webhookId,
+            channel: msg.channel,
             attachments: msg.attachments
           }));
 
@@ -4213,7 +4917,7 @@ client.on('messageCreate', async (message) => {
         const historyWithoutCurrent = channelHistory.slice(0, -1);
         const formattedHistory = [];
         for (const msg of historyWithoutCurrent) {
-          const role = msg.author.id === client.user.id ? 'assistant' : 'user';
+          const role = await isOwnMessage(msg) ? 'assistant' : 'user';
           const authorName = msg.author.username;
           const content = role === 'user' ? `[${authorName}]: ${msg.content}` : msg.content;
           if (content && content.trim()) {
@@ -4234,16 +4938,11 @@ client.on('messageCreate', async (message) => {
         ];
 
         await message.channel.sendTyping();
-        const finalReply = await callGeminiAPIWithGrounding(wrappedMessages, 'gemini-2.5-flash');
+        const finalReply = await llm.callProvider('gemini', wrappedMessages, { model: 'gemini-2.5-flash', grounding: true });
         
         // Discord 單則訊息上限 2000 字
-        if (finalReply.length <= 2000) {
-          await message.reply(finalReply);
-        } else {
-          const chunks = finalReply.match(/[\s\S]{1,2000}/g) || [finalReply];
-          for (const chunk of chunks) {
-            await message.reply(chunk);
-          }
+        for (const chunk of splitMessage(finalReply)) {
+          await message.reply(chunk);
         }
         return;
       } catch (err) {
@@ -4255,21 +4954,15 @@ client.on('messageCreate', async (message) => {
   }
   // =================================================================
 
-  // 獲取頻道的消息歷史用於上下文判斷
-  // 從 Discord 獲取最近的消息 (50條，與README一致)
-  const recentMessages = await message.channel.messages.fetch({ limit: 50 });
-  // 將最近的消息轉換為歷史記錄格式
-  const channelHistory = Array.from(recentMessages.values())
-    .reverse()
+  // 圖片修改/生成判斷只需要上一條消息和目前的消息；對話上下文來自 conversationStore
+  const lastMessage = await getPreviousMessage(message);
+  const channelHistory = (lastMessage ? [lastMessage, message] : [message])
     .map(msg => ({
       content: msg.content,
       author: msg.author,
       attachments: msg.attachments
     }));
 
-  // 記錄消息歷史
-  console.log(`獲取到 ${channelHistory.length} 條消息歷史記錄`);
-
   // 檢查是否是圖片修改請求
   // 獲取上一條消息（不是當前消息）
   const previousMessage = channelHistory.length > 1 ? channelHistory[channelHistory.length - 2] : null;
@@ -4957,7 +5650,7 @@ client.on('messageCreate', async (message) => {
         const { GoogleGenAI } = await import('@google/genai');
 
         // 獲取 Gemini API 密鑰（使用輪轉系統）
-        let apiKey = getCurrentGeminiKey();
+        let apiKey = llm.getCurrentKey('gemini');
 
         if (!apiKey) {
           throw new Error('No Gemini API key available');
@@ -5048,36 +5741,9 @@ client.on('messageCreate', async (message) => {
             // 更新消息內容 - 確保 AI 能看到圖片分析結果
             message.content = `${message.content}${analysisInfo}`;
 
-            // 保存分析結果，稍後添加到消息歷史中
+            // 保存分析結果，稍後存入對話記憶
             message._imageAnalysisInfo = analysisInfo;
 
-            // 立即將分析結果添加到消息歷史記錄中
-            if (channelConfig && channelConfig.messageHistory) {
-              let foundUserMessage = false;
-              for (let i = 0; i < channelConfig.messageHistory.length; i++) {
-                
-                if (
-                  channelConfig.messageHistory[i].role === 'user' &&
-                  channelConfig.messageHistory[i].author === message.author.username
-                ) {
-                  channelConfig.messageHistory[i].content = channelConfig.messageHistory[i].content + analysisInfo;
-                  console.log(`Immediately updated message history with image analysis for ${message.author.username}`);
-                  foundUserMessage = true;
-                  break;
-                }
-              }
-
-              // 如果在歷史記錄中找不到該用戶的消息，則添加一個新的消息
-              if (!foundUserMessage) {
-                channelConfig.messageHistory.push({
-                  role: 'user',
-                  author: message.author.username,
-                  content: `[IMAGE SHARED BY ${message.author.username}]${analysisInfo}`
-                });
-                console.log(`Added new message history entry with image analysis for ${message.author.username}`);
-              }
-            }
-
             console.log(`Added image analysis results to message content: ${analysisText.substring(0, 100)}...`);
           } else {
             console.log('No images could be analyzed');
@@ -5230,9 +5896,10 @@ client.on('messageCreate', async (message) => {
 
       if (repliedMessage) {
         isReply = true;
+        const repliedToMe = await isOwnMessage(repliedMessage);
         const repliedAuthor = repliedMessage.author.bot ? "Setsuna" : repliedMessage.author.username;
-        // 使用實際的用戶名，以便機器人能正確識別消息發送者
-        replyContext = `[${message.author.username}回覆 ${repliedAuthor === client.user.username ? '我' : repliedAuthor} 的訊息: "${repliedMessage.content.substring(0, 50)}${repliedMessage.content.length > 50 ? '...' : ''}"] `;
+        // 使用實際的用戶名，以便機器人能正確識別消息發送者（人設 webhook 的訊息也算是「我」）
+        replyContext = `[${message.author.username}回覆 ${repliedToMe || repliedAuthor === client.user.username ? '我' : repliedAuthor} 的訊息: "${repliedMessage.content.substring(0, 50)}${repliedMessage.content.length > 50 ? '...' : ''}"] `;
 
         console.log(`Detected reply to message: ${repliedMessage.content}`);
       }
@@ -5242,350 +5909,148 @@ client.on('messageCreate', async (message) => {
     }
   }
 
-  // 抓取最近的 50 則訊息作為對話歷史
-  const messages = await message.channel.messages.fetch({ limit: 50 });
-  const messageHistory = Array.from(messages.values())
-    .reverse()
-    .map(msg => ({
-      role: msg.author.bot ? 'assistant' : 'user',
-      content: msg.author.bot ? msg.content : `[${msg.author.username}]: ${msg.content}`,
-      author: msg.author.username
-    }));
-
-  // 如果是回覆，將原訊息內容加上上下文說明
-  if (isReply) {
-    // 直接添加一個新的消息，確保回覆上下文被正確處理
-    messageHistory.push({
-      role: 'user',
-      author: message.author.username,
-      content: replyContext + message.content
-    });
-    console.log(`Added new message history entry with reply context for ${message.author.username}`);
-    console.log(`Reply context: ${replyContext}`);
-    console.log(`Full message: ${replyContext + message.content}`);
-  }
-
-  // 如果有圖片附件，將圖片信息添加到消息內容中
-  if (imageAttachmentInfo) {
-    message.content = message.content + imageAttachmentInfo;
-
-    // 更新消息歷史中的最後一條消息
-    let foundUserMessage = false;
-    for (let i = 0; i < messageHistory.length; i++) {
-      if (
-        messageHistory[i].role === 'user' &&
-        messageHistory[i].author === message.author.username &&
-        messageHistory[i].content.includes(message.content.substring(0, 50)) // 使用消息內容的前50個字符進行匹配
-      ) {
-        messageHistory[i].content = messageHistory[i].content + imageAttachmentInfo;
-        console.log(`Updated message history with image attachment for ${message.author.username}`);
-        foundUserMessage = true;
-        break;
-      }
-    }
-
-    // 如果在歷史記錄中找不到該用戶的消息，則添加一個新的消息
-    if (!foundUserMessage) {
-      messageHistory.push({
-        role: 'user',
-        author: message.author.username,
-        content: `[${message.author.username}]: ${message.content}${imageAttachmentInfo}`
-      });
-      console.log(`Added new message history entry with image attachment for ${message.author.username}`);
-    }
-  }
-
-  // 如果有 YouTube 影片信息，將其添加到消息歷史中
-  if (message._youtubeInfo) {
-    let foundUserMessage = false;
-    for (let i = 0; i < messageHistory.length; i++) {
-      if (
-        messageHistory[i].role === 'user' &&
-        messageHistory[i].author === message.author.username &&
-        messageHistory[i].content.includes(message.content.substring(0, 50)) // 使用消息內容的前50個字符進行匹配
-      ) {
-        messageHistory[i].content = messageHistory[i].content + message._youtubeInfo;
-        console.log(`Updated message history with YouTube info for ${message.author.username}`);
-        foundUserMessage = true;
-        break;
-      }
-    }
-
-    // 如果在歷史記錄中找不到該用戶的消息，則添加一個新的消息
-    if (!foundUserMessage) {
-      messageHistory.push({
-        role: 'user',
-        author: message.author.username,
-        content: `[${message.author.username}]: ${message.content}${message._youtubeInfo}`
-      });
-      console.log(`Added new message history entry with YouTube info for ${message.author.username}`);
-    }
-  }
-
-  // 如果有 YouTube 搜索結果，將其添加到消息歷史中
-  if (message._youtubeSearchInfo) {
-    let foundUserMessage = false;
-    for (let i = 0; i < messageHistory.length; i++) {
-      if (
-        messageHistory[i].role === 'user' &&
-        messageHistory[i].author === message.author.username &&
-        messageHistory[i].content.includes(message.content.substring(0, 50)) // 使用消息內容的前50個字符進行匹配
-      ) {
-        messageHistory[i].content = messageHistory[i].content + message._youtubeSearchInfo;
-        console.log(`Updated message history with YouTube search info for ${message.author.username}`);
-        foundUserMessage = true;
-        break;
-      }
-    }
-
-    // 如果在歷史記錄中找不到該用戶的消息，則添加一個新的消息
-    if (!foundUserMessage) {
-      messageHistory.push({
-        role: 'user',
-        author: message.author.username,
-        content: `[${message.author.username}]: ${message.content}${message._youtubeSearchInfo}`
-      });
-      console.log(`Added new message history entry with YouTube search info for ${message.author.username}`);
-    }
+  // Store this message, with whatever was attached to it above, in the channel's conversation memory
+  await seedConversationFromDiscord(message);
+  // Other people who spoke during the burst keep their own turns (the author's own messages were folded into this one)
+  const burstTurns = (message._burstMessages || [])
+    .filter(msg => msg.author.id !== message.author.id && msg.content && msg.content.trim())
+    .map(msg => ({ messageId: msg.id, role: 'user', author: msg.author.username, content: msg.content, createdAt: msg.createdAt }));
+  if (burstTurns.length > 0) {
+    await conversationStore.appendTurns(message.channelId, burstTurns);
   }
-
-  // 如果有圖像分析結果，將其添加到消息歷史中
-  if (message._imageAnalysisInfo) {
-    let foundUserMessage = false;
-    for (let i = 0; i < messageHistory.length; i++) {
-      if (
-        messageHistory[i].role === 'user' &&
-        messageHistory[i].author === message.author.username &&
-        messageHistory[i].content.includes(message.content.substring(0, 50)) // 使用消息內容的前50個字符進行匹配
-      ) {
-        messageHistory[i].content = messageHistory[i].content + message._imageAnalysisInfo;
-        console.log(`Updated message history with image analysis results for ${message.author.username}`);
-        foundUserMessage = true;
-        break;
-      }
+  await conversationStore.appendTurn(message.channelId, {
+    messageId: message.id,
+    role: 'user',
+    author: message.author.username,
+    content: (isReply ? replyContext : '') + originalContent,
+    enrichments: {
+      imageAttachment: imageAttachmentInfo,
+      youtube: message._youtubeInfo,
+      youtubeSearch: message._youtubeSearchInfo,
+      imageAnalysis: message._imageAnalysisInfo
     }
+  });
+  const conversationTurns = await conversationStore.getTurns(message.channelId);
+
+  // Remember anything durable the user said about themselves (runs in the background)
+  userMemory.extractFactsInBackground({
+    userId: message.author.id,
+    username: message.author.username,
+    guildId: message.guildId,
+    content: originalContent
+  });
 
-    // 如果在歷史記錄中找不到該用戶的消息，則添加一個新的消息
-    if (!foundUserMessage) {
-      messageHistory.push({
-        role: 'user',
-        author: message.author.username,
-        content: `[${message.author.username}]: ${message.content}${message._imageAnalysisInfo}`
-      });
-      console.log(`Added new message history entry with image analysis results for ${message.author.username}`);
-    }
+  // During a scene the personas answer in turn instead of a single reply
+  if (scenes.getScene(message.channelId)) {
+    scenes.runSceneRound(message.channel, originalContent, getSceneRoundOptions(message.channel, originalContent));
+    return;
   }
 
-  // Update channel's message history
-  channelConfig.messageHistory = messageHistory;
-
   // Process with selected API
+  let streamingReply = null;
   try {
-    // Get channel's personality or use default
-    const channelPersonality = channelPersonalityPreferences.get(message.channelId) || setsunaPersonality;
-
-    // Add personality prompt as system message
-    // IMPORTANT: Only include 'role' and 'content' for standard API calls
-    // Extra properties like 'channelId' cause Groq API to reject the request
-    const formattedMessages = [
-      { role: 'system', content: channelPersonality },
-      ...messageHistory.map(msg => {
-        // For all models, ensure username is included in the content
-        // This helps the model understand who is speaking
-        const content = msg.role === 'user'
-          ? (msg.content.startsWith(`[${msg.author}]`) ? msg.content : `[${msg.author}]: ${msg.content}`)
-          : msg.content;
-
-        // Return only role and content - extra properties cause API errors
-        return {
-          role: msg.role,
-          content: content
-        };
-      })
-    ];
-
-    // For Character.AI, create a separate messages array with additional metadata
-    const formattedMessagesForCharacterAI = [
-      { role: 'system', content: channelPersonality },
-      ...messageHistory.map(msg => {
-        const content = msg.role === 'user'
-          ? (msg.content.startsWith(`[${msg.author}]`) ? msg.content : `[${msg.author}]: ${msg.content}`)
-          : msg.content;
-
-        return {
-          role: msg.role,
-          content: content,
-          username: msg.author,
-          channelId: message.channelId,
-          channelType: message.channel.type,
-          isDM: message.channel.type === ChannelType.DM
-        };
-      })
+    // Get channel's persona / personality or use default
+    const channelPersona = await getChannelPersona(message.channelId, message.guildId);
+    const channelPersonality = await getChannelPersonality(message.channelId, message.guildId);
+    // Persona replies go through the channel's webhook with the persona's name and avatar
+    const replySender = (await personaWebhooks.getPersonaSender(message.channel, channelPersona)) || createChannelSender(message.channel);
+
+    // Older turns that no longer fit in the window live on as a rolling summary after the personality
+    // (in the same system message: Gemini only reads the first one)
+    const conversationSummary = await summarizer.getSummary(message.channelId);
+    // Plus what Setsuna remembers about the person speaking (empty if they opted out)
+    const speakerMemory = await userMemory.buildMemoryPrompt(message.author.id, message.author.username, message.guildId);
+    const language = resolveChannelSettings(message.channelId, message.guildId).language.value;
+    const systemPrompt = [
+      channelPersonality,
+      guildSettings.getLanguagePrompt(language),
+      conversationSummary ? `[Summary of the earlier conversation in this channel]\n${conversationSummary}` : '',
+      speakerMemory
+    ].filter(Boolean).join('\n\n');
+
+    // Personality prompt plus as much history as fits in the target model's context window
+    // (after the system prompt and the reply); anything older is left to the summary.
+    // `username` is only used by providers that keep message metadata (Character.AI);
+    // the registry strips everything except role and content for the others
+    const systemPromptTokens = estimateTokens(systemPrompt);
+    const channelMaxTokens = channelConfig.generationParams && channelConfig.generationParams.maxTokens;
+    const historyBudgetFor = providerId =>
+      llm.getHistoryTokenBudget(providerId, getChannelProviderModel(message.channelId, providerId), systemPromptTokens, channelMaxTokens);
+    const buildMessagesFor = providerId => [
+      { role: 'system', content: systemPrompt },
+      ...conversationStore.buildHistoryWindow(conversationTurns, historyBudgetFor(providerId))
+        .map(msg => ({ role: msg.role, content: msg.content, username: msg.author }))
     ];
 
     // Get channel's preferred model or use default
-    const preferredModel = channelModelPreferences.get(message.channelId) || defaultModel;
+    const preferredModel = getChannelModel(message.channelId, message.guildId);
 
     // Variables to track response
     let response = null;
     let modelUsed = '';
+    let providerUsed = null;
     let fallbackUsed = false;
+    let handledByTools = false;
 
-    // Try preferred model first
-    switch (preferredModel) {
-      case 'deepseek':
-        if (DEEPSEEK_API_KEYS.length > 0) {
-          try {
-            response = await callDeepseekAPI(formattedMessages);
-            modelUsed = 'DeepSeek';
-          } catch (error) {
-            console.log('DeepSeek API error:', error.message);
-            // Will fall back to other models
-          }
-        }
-        break;
-
-      case 'gemini':
-        if (GEMINI_API_KEYS.length > 0) {
-          try {
-            response = await callGeminiAPI(formattedMessages);
-            modelUsed = 'Gemini';
-          } catch (error) {
-            console.log('Gemini API error:', error.message);
-            // Will fall back to other models
-          }
-        }
-        break;
-
-      case 'chatgpt':
-        if (CHATGPT_API_KEYS.length > 0) {
-          try {
-            response = await callChatGPTAPI(formattedMessages);
-            modelUsed = 'ChatGPT';
-          } catch (error) {
-            console.log('ChatGPT API error:', error.message);
-            // Will fall back to other models
-          }
-        }
-        break;
-
-      case 'groq':
-        if (GROQ_API_KEYS.length > 0) {
-          try {
-            response = await callGroqAPI(formattedMessages, message.channelId);
-            const groqModel = channelGroqModelPreferences.get(message.channelId) || defaultGroqModel;
-            modelUsed = `Groq (${groqModel})`;
-          } catch (error) {
-            console.log('Groq API error:', error.message);
-            // Will fall back to other models
-          }
-        }
-        break;
+    // 如果用戶輸入是繁體中文（或頻道指定繁體中文），串流顯示時也即時轉換
+    const useTraditionalChinese = language === 'zh-TW' || (language === 'auto' && isTraditionalChinese(message.content));
 
-      case 'cerebras':
-        if (CEREBRAS_API_KEYS.length > 0) {
-          try {
-            response = await callCerebrasAPI(formattedMessages, message.channelId);
-            const cerebrasModel = channelCerebrasModelPreferences.get(message.channelId) || defaultCerebrasModel;
-            modelUsed = `Cerebras (${cerebrasModel})`;
-          } catch (error) {
-            console.log('Cerebras API error:', error.message);
-            // Will fall back to other models
+    // Try preferred model first, then the channel's fallback order; providers that failed recently go last
+    const providerOrder = llm.getProviderAttemptOrder(preferredModel, channelConfig && channelConfig.fallbackOrder);
+    for (const providerId of providerOrder) {
+      if (!llm.hasKeys(providerId)) continue;
+      const formattedMessages = buildMessagesFor(providerId);
+      try {
+        if (channelConfig.useTools && llm.supportsTools(providerId)) {
+          // Tool steps can't be streamed; the answer is sent once the model is done calling tools
+          const result = await runToolAgentForChannel(providerId, formattedMessages, message);
+          if (result.toolsUsed.length > 0) {
+            console.log(`[Tools] ${providerId} used: ${result.toolsUsed.join(', ')}`);
           }
-        }
-        break;
-
-      case 'characterai':
-        if (CHARACTERAI_TOKENS.length > 0) {
-          try {
-            // Use the messages array with additional metadata for Character.AI
-            response = await callCharacterAIAPI(formattedMessagesForCharacterAI);
-            modelUsed = 'Character.AI';
-          } catch (error) {
-            console.log('Character.AI API error:', error.message);
-            // Will fall back to other models
+          response = result.text;
+          if (!response) {
+            // The tools already did the work (e.g. posted an image) and the model had nothing to add
+            if (result.toolsUsed.length > 0) {
+              handledByTools = true;
+              break;
+            }
+            throw new Error(`Empty response from ${llm.getProvider(providerId).label} API`);
           }
-        }
-        break;
-
-      case 'mistral':
-        if (MISTRAL_API_KEYS.length > 0) {
-          try {
-            response = await callMistralAPI(formattedMessages);
-            modelUsed = `Mistral (${defaultMistralModel})`;
-          } catch (error) {
-            console.log('Mistral API error:', error.message);
-            // Will fall back to other models
+        } else if (llm.supportsStreaming(providerId)) {
+          // Stream into a placeholder message that is edited as tokens arrive
+          if (!streamingReply) {
+            streamingReply = new StreamingReply(message.channel, {
+              transform: useTraditionalChinese ? ensureTraditionalChinese : undefined,
+              sender: replySender
+            });
+            await streamingReply.start();
           }
+          response = await streamProviderForChannel(providerId, formattedMessages, message.channel, text => streamingReply.update(text));
+        } else {
+          response = await callProviderForChannel(providerId, formattedMessages, message.channel);
         }
+        modelUsed = llm.getDisplayName(providerId, getChannelProviderModel(message.channelId, providerId));
+        providerUsed = providerId;
+        fallbackUsed = providerId !== preferredModel;
         break;
-    }
-
-    // If preferred model failed, try other models as fallback
-    if (!response) {
-      fallbackUsed = true;
-
-      // Try Groq API if not already tried and keys are available
-      if (!response && preferredModel !== 'groq' && GROQ_API_KEYS.length > 0) {
-        try {
-          response = await callGroqAPI(formattedMessages, message.channelId);
-          const groqModel = channelGroqModelPreferences.get(message.channelId) || defaultGroqModel;
-          modelUsed = `Groq (${groqModel})`;
-        } catch (error) {
-          console.log('Groq API fallback error:', error.message);
-        }
-      }
-
-      // Try Cerebras API if not already tried and keys are available
-      if (!response && preferredModel !== 'cerebras' && CEREBRAS_API_KEYS.length > 0) {
-        try {
-          response = await callCerebrasAPI(formattedMessages, message.channelId);
-          const cerebrasModel = channelCerebrasModelPreferences.get(message.channelId) || defaultCerebrasModel;
-          modelUsed = `Cerebras (${cerebrasModel})`;
-        } catch (error) {
-          console.log('Cerebras API fallback error:', error.message);
-        }
-      }
-
-      // Try Gemini API if not already tried and keys are available
-      if (!response && preferredModel !== 'gemini' && GEMINI_API_KEYS.length > 0) {
-        try {
-          response = await callGeminiAPI(formattedMessages);
-          modelUsed = 'Gemini';
-        } catch (error) {
-          console.log('Gemini API fallback error:', error.message);
-        }
-      }
-
-      // Try ChatGPT API if not already tried and keys are available
-      if (!response && preferredModel !== 'chatgpt' && CHATGPT_API_KEYS.length > 0) {
-        try {
-          response = await callChatGPTAPI(formattedMessages);
-          modelUsed = 'ChatGPT';
-        } catch (error) {
-          console.log('ChatGPT API fallback error:', error.message);
-        }
-      }
-
-      // Try Together API if not already tried and keys are available
-      if (!response && preferredModel !== 'together' && TOGETHER_API_KEYS.length > 0) {
-        try {
-          response = await callTogetherAPI(formattedMessages);
-          modelUsed = 'Together AI';
-        } catch (error) {
-          console.log('Together API fallback error:', error.message);
+      } catch (error) {
+        console.log(`${llm.getProvider(providerId).label} API ${providerId === preferredModel ? 'error' : 'fallback error'}:`, error.message);
+        // Clear any partial streamed text before trying the next provider
+        if (streamingReply) {
+          await streamingReply.reset();
         }
+        // Retrying with another provider would run the same tools again (e.g. queue the song twice)
+        if (error.toolsExecuted) break;
       }
+    }
 
-      // Try DeepSeek API if not already tried and keys are available (last resort)
-      if (!response && preferredModel !== 'deepseek' && DEEPSEEK_API_KEYS.length > 0) {
-        try {
-          response = await callDeepseekAPI(formattedMessages);
-          modelUsed = 'DeepSeek';
-        } catch (error) {
-          console.log('DeepSeek API fallback error:', error.message);
-        }
+    if (!response && handledByTools) {
+      console.log('Reply handled by tools, no text to send');
+      // A streaming provider that failed earlier may have left its placeholder behind
+      if (streamingReply) {
+        await streamingReply.discard();
       }
+      return;
     }
 
     // If all models failed or returned empty response
@@ -5593,19 +6058,34 @@ client.on('messageCreate', async (message) => {
       throw new Error('All available models failed to generate a response');
     }
 
-    // Refresh typing indicator
-    await message.channel.sendTyping();
-
     // 檢查用戶輸入是否為繁體中文，如果是，確保回覆也是繁體中文
     let finalResponse = response;
-    if (isTraditionalChinese(message.content)) {
+    if (useTraditionalChinese) {
       console.log('檢測到繁體中文輸入，確保回覆使用繁體中文');
       // 確保回覆使用繁體中文
       finalResponse = ensureTraditionalChinese(response);
     }
 
-    // Send the response
-    await message.channel.send(finalResponse);
+    // Send the response (or finalize the streamed placeholder)
+    let sentMessages = [];
+    if (streamingReply) {
+      sentMessages = await streamingReply.finish(finalResponse);
+    } else {
+      // Refresh typing indicator
+      await message.channel.sendTyping();
+      // Discord 單則訊息上限 2000 字，超過就切割
+      for (const chunk of splitMessage(finalResponse)) {
+        sentMessages.push(await replySender.send(chunk));
+      }
+    }
+    await conversationStore.appendTurn(message.channelId, {
+      messageId: sentMessages.length > 0 ? sentMessages[0].id : null,
+      role: 'assistant',
+      author: channelPersona ? channelPersona.displayName || channelPersona.name : client.user.username,
+      content: finalResponse
+    });
+    // Fold whatever just left this model's window into the summary, without delaying the reply
+    summarizer.summarizeInBackground(message.channelId, conversationTurns, historyBudgetFor(providerUsed));
     if (fallbackUsed) {
       console.log(`Response sent using ${modelUsed} model (fallback from ${preferredModel})`);
     } else {
@@ -5614,8 +6094,29 @@ client.on('messageCreate', async (message) => {
 
   } catch (error) {
     console.error('Error generating response:', error);
+    if (streamingReply) {
+      await streamingReply.discard();
+    }
     await message.channel.send('Sorry, I glitched out for a sec. Hit me up again later?');
   }
+}
+
+// Conversation threads that are deleted stop being active channels
+client.on('threadDelete', (thread) => {
+  if (activeChannels.has(thread.id)) {
+    forgetThread(thread.id);
+    saveActiveChannels();
+  }
+});
+
+// Archived conversation threads are forgotten too, so the saved config doesn't grow with every thread;
+// a new message unarchives the thread and it picks up the parent's settings again
+client.on('threadUpdate', (oldThread, newThread) => {
+  const channelData = activeChannels.get(newThread.id);
+  if (channelData && channelData.parentId && !oldThread.archived && newThread.archived) {
+    forgetThread(newThread.id);
+    saveActiveChannels();
+  }
 });
 
 client.on('error', (error) => {
@@ -5665,14 +6166,17 @@ if (TELEGRAM_TOKEN) {
 
   const sendTelegramMessage = async (chatId, text) => {
     try {
-      const res = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ chat_id: chatId, text: text })
-      });
-      if (!res.ok) {
-        const errText = await res.text();
-        console.error(`[Telegram] sendMessage 失敗 HTTP ${res.status}: ${errText}`);
+      // Telegram 單則訊息上限 4096 字，超過就切割
+      for (const chunk of splitMessage(text, { limit: TELEGRAM_MESSAGE_LIMIT })) {
+        const res = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ chat_id: chatId, text: chunk })
+        });
+        if (!res.ok) {
+          const errText = await res.text();
+          console.error(`[Telegram] sendMessage 失敗 HTTP ${res.status}: ${errText}`);
+        }
       }
     } catch (err) {
       console.error('[Telegram] Error sending message:', err);
@@ -5728,7 +6232,7 @@ if (TELEGRAM_TOKEN) {
       ];
 
       // 直接調用 Gemini Grounding API (使用 gemini-2.5-flash)
-      const rawResult = await callGeminiAPIWithGrounding(messages, 'gemini-2.5-flash');
+      const rawResult = await llm.callProvider('gemini', messages, { model: 'gemini-2.5-flash', grounding: true });
 
       if (!rawResult) {
         await sendTelegramMessage(chatId, '❌ 查詢失敗：Gemini Grounding API 沒有回傳結果。');
@@ -5906,7 +6410,7 @@ if (TELEGRAM_TOKEN) {
           { role: 'system', content: setsunaPersonality + '\n\n【重要：在回答中，請絕對不要將任何數字、時間、日期、代號、規格等轉換成中文數字或中文大寫（例如，絕對不可以將「14:30」寫成「十四點三十分」，絕對不要將「1」寫成「一」）。請完全保留原本的阿拉伯數字、英文以及格式！】' },
           { role: 'user', content: `老闆問了：「${text}」\n\n以下是你用工具查到的資料，請用你自己的語氣（Setsuna）回覆老闆，不要改動查到的事實：\n\n${cleanRawResult}` }
         ];
-        const finalReply = await callGeminiAPI(wrappedMessages);
+        const finalReply = await llm.callProvider('gemini', wrappedMessages);
 
         // 清理 finalReply 中的幻覺標籤
         let cleanedTgReply = finalReply;
@@ -5939,6 +6443,7 @@ if (TELEGRAM_TOKEN) {
                 headers,
                 timeout: 30000
               });
+              reportHFTokenResponse(isHfSpace ? hfToken : null, fileRes);
               if (fileRes.ok) {
                 const contentType = fileRes.headers.get('content-type') || '';
                 if (contentType.includes('text/html') || contentType.includes('application/json')) {
@@ -6017,6 +6522,7 @@ if (TELEGRAM_TOKEN) {
                   headers,
                   timeout: 10000
                 });
+                reportHFTokenResponse(isHfSpace ? hfToken : null, fileRes);
 
                 if (fileRes.ok) {
                   const contentType = fileRes.headers.get('content-type') || '';
@@ -6068,7 +6574,7 @@ if (TELEGRAM_TOKEN) {
           ];
 
           await sendTelegramChatAction(chatId, 'typing');
-          const finalReply = await callGeminiAPIWithGrounding(messages, 'gemini-2.5-flash');
+          const finalReply = await llm.callProvider('gemini', messages, { model: 'gemini-2.5-flash', grounding: true });
           await sendTelegramMessage(chatId, finalReply);
           return;
         } catch (err) {
@@ -6084,7 +6590,7 @@ if (TELEGRAM_TOKEN) {
         { role: 'system', content: setsunaPersonality },
         { role: 'user', content: `[${username}]: ${text}` }
       ];
-      const responseText = await callGeminiAPI(formattedMessages);
+      const responseText = await llm.callProvider('gemini', formattedMessages);
       await sendTelegramMessage(chatId, responseText);
     } catch (err) {
       console.error('[Telegram] Gemini API error:', err);
@@ -6148,12 +6654,15 @@ if (TELEGRAM_TOKEN) {
   pollTelegram();
 }
 
-// Handle process termination gracefully
-process.on('SIGINT', () => {
+// Handle process termination gracefully (Railway and Docker stop the bot with SIGTERM)
+async function shutdown() {
   console.log('Bot is shutting down...');
+  await keyPool.flushKeyPoolState().catch(() => { });
   client.destroy();
   process.exit(0);
-});
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 process.on('unhandledRejection', (error) => {
   console.error('Unhandled promise rejection:', error);
@@ -6183,6 +6692,7 @@ if (OPENCLAW_URL) {
         headers,
         timeout: 15000
       });
+      reportHFTokenResponse(isHfSpace ? hfToken : null, res);
       
       console.log(`[Keep-Alive] Space ping response: ${res.status} (${res.statusText})`);
     } catch (err) {
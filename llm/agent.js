@@ -0,0 +1,76 @@
+/**
+ * agent.js - Tool-calling loop for Setsuna
+ * Lets the model call bot tools, feeds the results back and repeats until it answers in plain text,
+ * so one message can chain several actions ("find the song from this video and queue it").
+ */
+
+const llm = require('./registry');
+const { getToolSchemas, executeToolCall, getToolName } = require('./tools');
+
+// Tool rounds per reply; the last round forces a text answer
+const DEFAULT_MAX_STEPS = 4;
+
+/**
+ * Runs the agent loop with one provider.
+ *
+ * @param {string} providerId - Provider with `capabilities.tools`
+ * @param {Array} messages - Chat messages (system prompt first)
+ * @param {Object} options - `context` for the tools, `maxSteps`, plus options passed to the provider (e.g. `model`)
+ * @returns {Promise<{ text: string, toolsUsed: string[] }>}
+ * If the provider fails after a tool already ran, the error has `toolsExecuted` set so the caller
+ * doesn't retry with another provider and repeat the side effects (e.g. queueing a song twice).
+ */
+async function runToolAgent(providerId, messages, options = {}) {
+  const { context = {}, maxSteps = DEFAULT_MAX_STEPS, ...callOptions } = options;
+  const tools = getToolSchemas(context);
+  const conversation = [...messages];
+  const toolsUsed = [];
+
+  // Nothing usable here (e.g. a DM without API keys): a plain call, since some APIs reject an empty tool list
+  if (tools.length === 0) {
+    return { text: await llm.callProvider(providerId, messages, callOptions), toolsUsed };
+  }
+
+  for (let step = 0; step < maxSteps; step++) {
+    const isLastStep = step === maxSteps - 1;
+    let result;
+    try {
+      result = await llm.callProviderWithTools(providerId, conversation, tools, {
+        ...callOptions,
+        toolChoice: isLastStep ? 'none' : 'auto'
+      });
+    } catch (error) {
+      if (toolsUsed.length > 0) {
+        error.toolsExecuted = true;
+      }
+      throw error;
+    }
+
+    if (result.toolCalls.length === 0) {
+      return { text: result.content, toolsUsed };
+    }
+
+    conversation.push({
+      role: 'assistant',
+      content: result.content,
+      toolCalls: result.toolCalls,
+      providerContent: result.providerContent
+    });
+
+    // Calls from one step run in order; later calls may depend on earlier side effects
+    for (const call of result.toolCalls) {
+      const output = await executeToolCall(call, context);
+      toolsUsed.push(getToolName(call.name));
+      conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output });
+    }
+  }
+
+  // Only reached if the model kept calling tools even when told not to
+  const error = new Error(`${providerId} did not produce an answer after ${maxSteps} tool steps`);
+  error.toolsExecuted = toolsUsed.length > 0;
+  throw error;
+}
+
+module.exports = {
+  runToolAgent
+};
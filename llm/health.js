@@ -0,0 +1,57 @@
+/**
+ * health.js - Provider health tracking for Setsuna
+ * A provider whose every key failed is demoted for a cooldown that doubles with each consecutive failure,
+ * so a provider that is down does not add latency to every message. One success clears its record.
+ */
+
+const BASE_COOLDOWN_MS = 60 * 1000;      // 1 minute after the first failure
+const MAX_COOLDOWN_MS = 15 * 60 * 1000;  // never demote for longer than 15 minutes
+
+// providerId -> { failures, demotedUntil }
+const healthRecords = new Map();
+
+function recordFailure(id) {
+  const record = healthRecords.get(id) || { failures: 0, demotedUntil: 0 };
+  record.failures++;
+  const cooldown = Math.min(BASE_COOLDOWN_MS * 2 ** (record.failures - 1), MAX_COOLDOWN_MS);
+  record.demotedUntil = Date.now() + cooldown;
+  healthRecords.set(id, record);
+  console.log(`[LLM] ${id} demoted for ${Math.round(cooldown / 1000)}s after ${record.failures} consecutive failure(s)`);
+}
+
+function recordSuccess(id) {
+  if (healthRecords.delete(id)) {
+    console.log(`[LLM] ${id} recovered`);
+  }
+}
+
+function isDemoted(id) {
+  const record = healthRecords.get(id);
+  return !!record && record.demotedUntil > Date.now();
+}
+
+// Milliseconds until the provider is tried in its normal position again (0 if healthy)
+function getDemotionRemaining(id) {
+  const record = healthRecords.get(id);
+  return record ? Math.max(0, record.demotedUntil - Date.now()) : 0;
+}
+
+/**
+ * Keeps healthy providers in their given order and moves demoted ones to the end,
+ * soonest-to-recover first. Demoted providers are still tried as a last resort.
+ */
+function orderByHealth(ids) {
+  const healthy = ids.filter(id => !isDemoted(id));
+  const demoted = ids
+    .filter(id => isDemoted(id))
+    .sort((a, b) => getDemotionRemaining(a) - getDemotionRemaining(b));
+  return [...healthy, ...demoted];
+}
+
+module.exports = {
+  recordFailure,
+  recordSuccess,
+  isDemoted,
+  getDemotionRemaining,
+  orderByHealth
+};
@@ -0,0 +1,312 @@
+/**
+ * keyPool.js - API key pools for Setsuna
+ * Rotates keys per pool, classifies failures (401/403 invalid, 429 rate-limited, 5xx transient) and puts
+ * the failing key on a timed cooldown. Key state is shared by every pool holding the same key (e.g. the
+ * Gemini provider and the Gemini proxy) and persisted to MongoDB, keyed by a fingerprint of the key.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const INVALID_KEY_COOLDOWN_MS = 6 * 60 * 60 * 1000;  // 401/403: assume revoked, re-check in 6 hours
+const RATE_LIMIT_BASE_COOLDOWN_MS = 60 * 1000;       // 429 without Retry-After: 1 min, doubling
+const RATE_LIMIT_MAX_COOLDOWN_MS = 60 * 60 * 1000;   // never more than 1 hour without Retry-After
+const TRANSIENT_COOLDOWN_MS = 15 * 1000;             // 5xx / network errors
+const SAVE_DEBOUNCE_MS = 30 * 1000;
+
+// fingerprint -> { uses, failures, consecutiveFailures, cooldownUntil, lastErrorType, lastErrorAt }
+const keyStates = new Map();
+const dirtyFingerprints = new Set();
+const pools = new Map();
+let saveTimer = null;
+
+// Helper function to parse multiple keys from env variables (supporting single keys, numbered keys, or comma-separated lists)
+// Entries may be env names or RegExps matched against every env name (e.g. /^GOOGLE_API_KEY/)
+function readKeysFromEnv(envNames) {
+  const keys = [];
+  for (const name of envNames) {
+    const matchingNames = name instanceof RegExp
+      ? Object.keys(process.env).filter(envName => name.test(envName))
+      : [name];
+    for (const envName of matchingNames) {
+      const val = process.env[envName];
+      if (val) {
+        const split = val.split(',');
+        for (const k of split) {
+          const trimmed = k.trim();
+          if (trimmed && trimmed !== 'DUMMY_KEY' && !keys.includes(trimmed)) {
+            keys.push(trimmed);
+          }
+        }
+      }
+    }
+  }
+  return keys;
+}
+
+function fingerprintKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function getKeyState(fingerprint) {
+  if (!keyStates.has(fingerprint)) {
+    keyStates.set(fingerprint, {
+      uses: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      lastErrorType: null,
+      lastErrorAt: null
+    });
+  }
+  return keyStates.get(fingerprint);
+}
+
+// Reads a header from a plain object, a fetch Headers instance or an SDK error's headers
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const entry = Object.entries(headers).find(([key]) => key.toLowerCase() === name);
+  return entry ? entry[1] : null;
+}
+
+// Retry-After is either seconds or an HTTP date; Gemini also puts "retryDelay": "30s" in the error body
+function parseRetryAfterMs(error) {
+  const header = readHeader(error.headers || (error.response && error.response.headers), 'retry-after');
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const delayMatch = String(error.message || '').match(/retry(?:Delay"?:\s*"|\s+in\s+)(\d+(?:\.\d+)?)s/i);
+  return delayMatch ? Math.ceil(parseFloat(delayMatch[1]) * 1000) : null;
+}
+
+/**
+ * Classifies an API error so the pool knows how long to rest the key.
+ * Accepts SDK errors (`status`), fetch-style results (`statusCode`, `headers`) and network errors.
+ * @returns {{ type: 'invalid'|'rate_limited'|'transient'|'other', retryAfterMs: number|null }}
+ */
+function classifyError(error) {
+  const err = error || {};
+  const message = String(err.message || '');
+  const status = Number(err.status || err.statusCode || (err.response && err.response.status)) ||
+    Number((message.match(/\b([45]\d\d)\b/) || [])[1]) || null;
+
+  if (status === 401 || status === 403 || /invalid api key|api key not valid|unauthorized|PERMISSION_DENIED/i.test(message)) {
+    return { type: 'invalid', retryAfterMs: null };
+  }
+  if (status === 429 || /rate.?limit|quota|RESOURCE_EXHAUSTED|too many requests/i.test(message)) {
+    return { type: 'rate_limited', retryAfterMs: parseRetryAfterMs(err) };
+  }
+  if ((status && status >= 500) || /timeout|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|socket hang up|overloaded|UNAVAILABLE/i.test(message)) {
+    return { type: 'transient', retryAfterMs: null };
+  }
+  return { type: 'other', retryAfterMs: null };
+}
+
+function getCooldownMs(classification, state) {
+  switch (classification.type) {
+    case 'invalid':
+      return INVALID_KEY_COOLDOWN_MS;
+    case 'rate_limited':
+      if (classification.retryAfterMs) return classification.retryAfterMs;
+      return Math.min(RATE_LIMIT_BASE_COOLDOWN_MS * 2 ** Math.max(0, state.consecutiveFailures - 1), RATE_LIMIT_MAX_COOLDOWN_MS);
+    case 'transient':
+      return TRANSIENT_COOLDOWN_MS;
+    default:
+      // Request errors (bad model, bad input...) aren't the key's fault
+      return 0;
+  }
+}
+
+function markDirty(fingerprint) {
+  dirtyFingerprints.add(fingerprint);
+  if (!saveTimer && process.env.MONGODB_URI) {
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      flushKeyPoolState();
+    }, SAVE_DEBOUNCE_MS);
+    // Don't keep the process alive just to save key stats
+    if (saveTimer.unref) saveTimer.unref();
+  }
+}
+
+class KeyPool {
+  /**
+   * @param {string} name - Pool name used in logs (e.g. provider id)
+   * @param {string[]} keys - API keys, in rotation order
+   */
+  constructor(name, keys) {
+    this.name = name;
+    this.keys = [...keys];
+    this.fingerprints = this.keys.map(fingerprintKey);
+    this.index = 0;
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  isAvailable(key) {
+    const i = this.keys.indexOf(key);
+    return i !== -1 && getKeyState(this.fingerprints[i]).cooldownUntil <= Date.now();
+  }
+
+  // Keys not on cooldown, starting with the current one
+  candidates() {
+    const ordered = [];
+    for (let offset = 0; offset < this.keys.length; offset++) {
+      const key = this.keys[(this.index + offset) % this.keys.length];
+      if (this.isAvailable(key)) {
+        ordered.push(key);
+      }
+    }
+    return ordered;
+  }
+
+  // Current key if usable; otherwise the next usable one, or the key that comes off cooldown soonest
+  current() {
+    if (this.keys.length === 0) return undefined;
+    const available = this.candidates();
+    if (available.length > 0) {
+      this.index = this.keys.indexOf(available[0]);
+      return available[0];
+    }
+    const soonest = this.fingerprints
+      .map((fingerprint, i) => ({ i, until: getKeyState(fingerprint).cooldownUntil }))
+      .sort((a, b) => a.until - b.until)[0];
+    return this.keys[soonest.i];
+  }
+
+  // Moves on to the next key that isn't on cooldown
+  rotate() {
+    if (this.keys.length === 0) return undefined;
+    this.index = (this.index + 1) % this.keys.length;
+    return this.current();
+  }
+
+  // 1-based position of a key, for logs ("key 2/3")
+  positionOf(key) {
+    return this.keys.indexOf(key) + 1;
+  }
+
+  reportSuccess(key) {
+    const i = this.keys.indexOf(key);
+    if (i === -1) return;
+    const state = getKeyState(this.fingerprints[i]);
+    state.uses++;
+    state.consecutiveFailures = 0;
+    state.cooldownUntil = 0;
+    this.index = i;
+    markDirty(this.fingerprints[i]);
+  }
+
+  /**
+   * Records a failed request and rests the key according to the error type.
+   * @returns {{ type: string, retryAfterMs: number|null, cooldownMs: number }}
+   */
+  reportFailure(key, error) {
+    const i = this.keys.indexOf(key);
+    const classification = classifyError(error);
+    if (i === -1) return { ...classification, cooldownMs: 0 };
+
+    const state = getKeyState(this.fingerprints[i]);
+    state.uses++;
+    state.failures++;
+    state.consecutiveFailures++;
+    state.lastErrorType = classification.type;
+    state.lastErrorAt = Date.now();
+
+    const cooldownMs = getCooldownMs(classification, state);
+    if (cooldownMs > 0) {
+      state.cooldownUntil = Date.now() + cooldownMs;
+      console.log(`[KeyPool] ${this.name} key ${i + 1}/${this.keys.length} ${classification.type}, cooling down for ${Math.round(cooldownMs / 1000)}s`);
+    }
+    if (this.index === i) {
+      this.index = (i + 1) % this.keys.length;
+    }
+    markDirty(this.fingerprints[i]);
+    return { ...classification, cooldownMs };
+  }
+
+  // Per-key usage summary without exposing the keys themselves
+  getStats() {
+    const now = Date.now();
+    return this.fingerprints.map((fingerprint, i) => {
+      const state = getKeyState(fingerprint);
+      return {
+        position: i + 1,
+        uses: state.uses,
+        failures: state.failures,
+        lastErrorType: state.lastErrorType,
+        cooldownRemainingMs: Math.max(0, state.cooldownUntil - now)
+      };
+    });
+  }
+}
+
+// Creates (or replaces) the named pool
+function createKeyPool(name, keys) {
+  const pool = new KeyPool(name, keys);
+  pools.set(name, pool);
+  return pool;
+}
+
+function getKeyPool(name) {
+  return pools.get(name) || null;
+}
+
+/**
+ * Restores cooldowns and usage counts saved by a previous run, so a restart
+ * doesn't immediately retry keys that were rate-limited or revoked.
+ */
+async function loadKeyPoolState() {
+  const saved = await db.loadKeyPoolStates();
+  if (!saved) return;
+  for (const doc of saved) {
+    const state = getKeyState(doc.fingerprint);
+    state.uses = Math.max(state.uses, doc.uses || 0);
+    state.failures = Math.max(state.failures, doc.failures || 0);
+    state.consecutiveFailures = doc.consecutiveFailures || 0;
+    state.cooldownUntil = Math.max(state.cooldownUntil, doc.cooldownUntil ? new Date(doc.cooldownUntil).getTime() : 0);
+    state.lastErrorType = doc.lastErrorType || null;
+    state.lastErrorAt = doc.lastErrorAt ? new Date(doc.lastErrorAt).getTime() : null;
+  }
+  console.log(`[KeyPool] 已從 MongoDB 載入 ${saved.length} 個 API key 狀態`);
+}
+
+// Writes changed key states to MongoDB now (also called on shutdown)
+async function flushKeyPoolState() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (dirtyFingerprints.size === 0) return;
+
+  const entries = [...dirtyFingerprints].map(fingerprint => {
+    const state = keyStates.get(fingerprint);
+    return {
+      fingerprint,
+      uses: state.uses,
+      failures: state.failures,
+      consecutiveFailures: state.consecutiveFailures,
+      cooldownUntil: state.cooldownUntil ? new Date(state.cooldownUntil) : null,
+      lastErrorType: state.lastErrorType,
+      lastErrorAt: state.lastErrorAt ? new Date(state.lastErrorAt) : null
+    };
+  });
+  dirtyFingerprints.clear();
+  await db.saveKeyPoolStates(entries);
+}
+
+module.exports = {
+  KeyPool,
+  readKeysFromEnv,
+  classifyError,
+  createKeyPool,
+  getKeyPool,
+  loadKeyPoolState,
+  flushKeyPoolState
+};
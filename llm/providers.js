@@ -0,0 +1,765 @@
+/**
+ * providers.js - Built-in LLM providers for Setsuna
+ * Registration order is the order shown in /setsuna model choices;
+ * fallbackPriority is the order tried when the preferred provider fails.
+ */
+
+const fetch = require('node-fetch');
+const { registerProvider } = require('./registry');
+const { readKeysFromEnv } = require('./keyPool');
+
+// Available Groq models (updated December 2025 - from official docs)
+const availableGroqModels = [
+  'llama-3.3-70b-versatile',    // Production - recommended
+  'llama-3.1-8b-instant',       // Production - fast
+  'openai/gpt-oss-120b',        // Production - powerful
+  'openai/gpt-oss-20b',         // Production - efficient
+  'meta-llama/llama-4-maverick-17b-128e-instruct', // Preview
+  'meta-llama/llama-4-scout-17b-16e-instruct',     // Preview
+  'qwen/qwen3-32b',             // Preview
+  'moonshotai/kimi-k2-instruct-0905', // Preview
+  'compound-beta',              // System - agentic
+  'compound-beta-mini'          // System - agentic mini
+];
+
+// Available Mistral models (December 2025)
+const availableMistralModels = [
+  'mistral-small-latest',         // Small - affordable, latest version
+  'open-mistral-nemo',            // Nemo 12B - multilingual
+  'ministral-8b-latest',          // Ministral 8B - fast
+  'ministral-3b-latest'           // Ministral 3B - fastest
+];
+
+// Available Cerebras models (updated December 2025)
+const availableCerebrasModels = [
+  'llama3.1-8b',
+  'llama3.3-70b',
+  'qwen-3-32b'
+];
+
+// Context windows (tokens) of the models above that differ from their provider's default
+const groqContextWindows = {
+  'moonshotai/kimi-k2-instruct-0905': 262144
+};
+
+// Cerebras models tend to emit their reasoning unless told not to
+const CEREBRAS_NO_THINK_PROMPT = '你是一個直接回答問題的AI助手。不要包含思考過程，絕對不能使用<think>和</think>標籤，直接給出最終答案。';
+
+// Drops parameters that weren't set, so the API default applies
+function withoutUnset(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Generation parameters (`maxTokens`, `temperature`, `topP`, `presencePenalty`, `frequencyPenalty`, `stop`)
+ * in each API's request format. The registry has already removed the ones a provider doesn't declare
+ * in `generationParams` and filled in `maxTokens` from its `replyTokens`.
+ */
+function toOpenAIParams({ maxTokens, temperature, topP, presencePenalty, frequencyPenalty, stop } = {}) {
+  return withoutUnset({
+    max_tokens: maxTokens,
+    temperature,
+    top_p: topP,
+    presence_penalty: presencePenalty,
+    frequency_penalty: frequencyPenalty,
+    stop: stop && stop.length > 0 ? stop : undefined
+  });
+}
+
+function toGeminiParams({ maxTokens, temperature, topP, stop } = {}) {
+  return withoutUnset({
+    maxOutputTokens: maxTokens,
+    temperature,
+    topP,
+    stopSequences: stop && stop.length > 0 ? stop : undefined
+  });
+}
+
+// The Mistral SDK takes the OpenAI fields in camelCase
+function toMistralParams({ maxTokens, temperature, topP, presencePenalty, frequencyPenalty, stop } = {}) {
+  return withoutUnset({
+    maxTokens,
+    temperature,
+    topP,
+    presencePenalty,
+    frequencyPenalty,
+    stop: stop && stop.length > 0 ? stop : undefined
+  });
+}
+
+const OPENAI_GENERATION_PARAMS = ['maxTokens', 'temperature', 'topP', 'presencePenalty', 'frequencyPenalty', 'stop'];
+
+// Convert OpenAI-style messages to @google/genai format
+function toGeminiContents(messages) {
+  const contents = [];
+  let systemInstruction = undefined;
+
+  // Extract system instruction if it exists
+  const systemMessage = messages.find(msg => msg.role === 'system');
+  if (systemMessage && systemMessage.content?.trim()) {
+    systemInstruction = systemMessage.content;
+  }
+
+  // Add the rest of the messages
+  for (const msg of messages) {
+    if (msg.role !== 'system' && msg.content?.trim()) {
+      contents.push({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      });
+    }
+  }
+
+  return { contents, systemInstruction };
+}
+
+// Tool call arguments arrive as a JSON string (OpenAI, Groq, sometimes Mistral) or an object (Gemini, Mistral)
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Tool schemas in OpenAI format, shared by Groq, OpenAI and Mistral
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+// Agent conversation -> OpenAI-style messages (assistant `tool_calls` and `tool` results)
+function toOpenAIToolMessages(messages) {
+  return messages.map(msg => {
+    if (msg.role === 'assistant' && msg.toolCalls) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      };
+    }
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+}
+
+// Normalizes an OpenAI-style completion into { content, toolCalls }
+function readOpenAIToolResult(completion) {
+  const message = completion?.choices?.[0]?.message || {};
+  const toolCalls = (message.tool_calls || message.toolCalls || []).map(call => ({
+    id: call.id,
+    name: call.function.name,
+    arguments: parseToolArguments(call.function.arguments)
+  }));
+  return { content: message.content || '', toolCalls };
+}
+
+// Agent conversation -> Gemini contents; function responses for one turn are grouped into a single user turn
+function toGeminiToolContents(messages) {
+  const { systemInstruction } = toGeminiContents(messages);
+  const contents = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'system') continue;
+
+    if (msg.role === 'tool') {
+      let response;
+      try {
+        response = JSON.parse(msg.content);
+      } catch (error) {
+        response = { result: msg.content };
+      }
+      // Gemini expects an object here, not an array or a bare value
+      if (!response || typeof response !== 'object' || Array.isArray(response)) {
+        response = { result: response };
+      }
+      const part = { functionResponse: { id: msg.toolCallId, name: msg.name, response } };
+      const previous = contents[contents.length - 1];
+      if (previous && previous.role === 'user' && previous.parts.every(p => p.functionResponse)) {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: 'user', parts: [part] });
+      }
+      continue;
+    }
+
+    if (msg.role === 'assistant' && msg.toolCalls) {
+      // Replay Gemini's own content when we have it, so thought signatures survive the round trip
+      contents.push(msg.providerContent || {
+        role: 'model',
+        parts: [
+          ...(msg.content ? [{ text: msg.content }] : []),
+          ...msg.toolCalls.map(call => ({ functionCall: { id: call.id, name: call.name, args: call.arguments } }))
+        ]
+      });
+      continue;
+    }
+
+    if (msg.content?.trim()) {
+      contents.push({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      });
+    }
+  }
+
+  return { contents, systemInstruction };
+}
+
+// Yields the text deltas of an OpenAI-style chat completion stream (Groq, Cerebras and OpenAI SDKs share this shape)
+async function* readChatCompletionStream(stream) {
+  for await (const chunk of stream) {
+    const delta = chunk?.choices?.[0]?.delta?.content;
+    if (delta) {
+      yield delta;
+    }
+  }
+}
+
+// Get chat ID from the various formats Character.AI returns
+function extractCharacterAIChatId(chatData) {
+  let chatId = chatData.chat_id || chatData.external_id || chatData.history_external_id || chatData.id || null;
+
+  // If we have a URL with a hist parameter, extract that
+  if (chatData.url && chatData.url.includes('hist=')) {
+    const match = chatData.url.match(/hist=([^&]+)/);
+    if (match && match[1]) {
+      chatId = match[1];
+    }
+  }
+
+  return chatId;
+}
+
+// Build the single text message Character.AI receives, with recent context inlined
+function buildCharacterAIMessage(messages, fallbackUsername) {
+  // Filter to just user and assistant messages (no system messages with personality)
+  // The history was already trimmed to this provider's token budget
+  const contextMessages = messages
+    .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && !msg.content.includes('setsunaPersonality'))
+    .map(msg => ({
+      ...msg,
+      // Remove Discord username format like [username]: from the beginning of messages
+      content: msg.content.replace(/^\[.*?\]:\s*/, '')
+    }));
+
+  // Get the very last user message - this is what we'll actually send
+  const lastUserMessage = messages.filter(msg => msg.role === 'user').pop();
+  if (!lastUserMessage) {
+    throw new Error('No user message found in the conversation');
+  }
+
+  // Add a reminder to stay in character
+  let messageWithContext = "[Remember to stay in character and follow your character settings. Do not act as a generic assistant.]\n\n";
+
+  // Skip the very last message (we'll send that separately)
+  const previousMessages = contextMessages.slice(0, -1);
+  if (previousMessages.length > 0) {
+    messageWithContext += "[Previous conversation]\n";
+    for (const msg of previousMessages) {
+      // Add role labels with usernames to help Character.AI understand who is speaking
+      if (msg.role === 'user') {
+        messageWithContext += `${msg.username || fallbackUsername || 'User'}: ${msg.content}\n`;
+      } else {
+        messageWithContext += `Setsuna: ${msg.content}\n`;
+      }
+    }
+    messageWithContext += "[End of previous conversation]\n\n";
+  }
+
+  // Add the actual message the user sent with username
+  const lastMessageContent = lastUserMessage.content.replace(/^\[.*?\]:\s*/, '');
+  messageWithContext += `${lastUserMessage.username || fallbackUsername || 'User'}: ${lastMessageContent}`;
+
+  return messageWithContext;
+}
+
+function registerBuiltInProviders() {
+  registerProvider({
+    id: 'groq',
+    label: 'Groq',
+    keys: readKeysFromEnv(['GROQ_API_KEY', 'GROQ_API_KEYS', 'GROQ_API_KEY_2', 'GROQ_API_KEY_3']),
+    // Default Groq model (updated December 2025 - gemma2-9b-it deprecated)
+    models: availableGroqModels,
+    defaultModel: 'llama-3.3-70b-versatile',
+    modelOption: 'groq_model',
+    capabilities: { vision: true, tools: true, streaming: true },
+    // Free tier caps tokens per minute, so keep requests small
+    historyTokens: 6000,
+    contextWindow: 131072,
+    modelContextWindows: groqContextWindows,
+    // Kept short on purpose (was 1000)
+    replyTokens: 500,
+    generationParams: OPENAI_GENERATION_PARAMS,
+    fallbackPriority: 1,
+    async call(apiKey, messages, { model, ...params }) {
+      const Groq = (await import('groq-sdk')).default;
+      const groq = new Groq({
+        apiKey,
+        dangerouslyAllowBrowser: true // Add this option to bypass safety check
+      });
+
+      const completion = await groq.chat.completions.create({
+        messages,
+        model,
+        ...toOpenAIParams(params)
+      });
+      return completion?.choices?.[0]?.message?.content || null;
+    },
+    async *stream(apiKey, messages, { model, ...params }) {
+      const Groq = (await import('groq-sdk')).default;
+      const groq = new Groq({ apiKey, dangerouslyAllowBrowser: true });
+
+      const stream = await groq.chat.completions.create({
+        messages,
+        model,
+        ...toOpenAIParams(params),
+        stream: true
+      });
+      yield* readChatCompletionStream(stream);
+    },
+    async callWithTools(apiKey, messages, tools, { model, toolChoice, ...params }) {
+      const Groq = (await import('groq-sdk')).default;
+      const groq = new Groq({ apiKey, dangerouslyAllowBrowser: true });
+
+      const completion = await groq.chat.completions.create({
+        messages: toOpenAIToolMessages(messages),
+        model,
+        tools: toOpenAITools(tools),
+        tool_choice: toolChoice || 'auto',
+        ...toOpenAIParams(params)
+      });
+      return readOpenAIToolResult(completion);
+    }
+  });
+
+  registerProvider({
+    id: 'gemini',
+    label: 'Gemini',
+    choiceName: 'Gemini (Fast)',
+    keys: readKeysFromEnv(['GEMINI_API_KEY', 'GEMINI_API_KEYS', 'GEMINI_API_KEY_2', 'GEMINI_API_KEY_3']),
+    models: ['gemini-3.1-flash-lite', 'gemini-2.5-flash'],
+    defaultModel: 'gemini-3.1-flash-lite',
+    capabilities: { vision: true, tools: true, grounding: true, streaming: true },
+    // Large context window and generous free tier
+    historyTokens: 16000,
+    contextWindow: 1048576,
+    replyTokens: 1000,
+    // Not every Gemini model accepts the penalties, so they are left out
+    generationParams: ['maxTokens', 'temperature', 'topP', 'stop'],
+    fallbackPriority: 3,
+    async call(apiKey, messages, { model, grounding, ...params }) {
+      const { contents, systemInstruction } = toGeminiContents(messages);
+      if (contents.length === 0) {
+        throw new Error('No valid messages with content to send to Gemini API');
+      }
+
+      const { GoogleGenAI } = await import('@google/genai');
+      const ai = new GoogleGenAI({ apiKey });
+
+      const config = grounding
+        ? { systemInstruction, ...toGeminiParams(params), maxOutputTokens: 2048, tools: [{ googleSearch: {} }] }
+        : { systemInstruction, ...toGeminiParams(params) };
+
+      const response = await ai.models.generateContent({ model, contents, config });
+      return response?.text || null;
+    },
+    async *stream(apiKey, messages, { model, grounding, ...params }) {
+      const { contents, systemInstruction } = toGeminiContents(messages);
+      if (contents.length === 0) {
+        throw new Error('No valid messages with content to send to Gemini API');
+      }
+
+      const { GoogleGenAI } = await import('@google/genai');
+      const ai = new GoogleGenAI({ apiKey });
+
+      const config = grounding
+        ? { systemInstruction, ...toGeminiParams(params), maxOutputTokens: 2048, tools: [{ googleSearch: {} }] }
+        : { systemInstruction, ...toGeminiParams(params) };
+
+      const stream = await ai.models.generateContentStream({ model, contents, config });
+      for await (const chunk of stream) {
+        if (chunk?.text) {
+          yield chunk.text;
+        }
+      }
+    },
+    async callWithTools(apiKey, messages, tools, { model, toolChoice, ...params }) {
+      const { contents, systemInstruction } = toGeminiToolContents(messages);
+      if (contents.length === 0) {
+        throw new Error('No valid messages with content to send to Gemini API');
+      }
+
+      const { GoogleGenAI } = await import('@google/genai');
+      const ai = new GoogleGenAI({ apiKey });
+
+      const response = await ai.models.generateContent({
+        model,
+        contents,
+        config: {
+          systemInstruction,
+          ...toGeminiParams(params),
+          tools: [{
+            functionDeclarations: tools.map(tool => ({
+              name: tool.name,
+              description: tool.description,
+              parametersJsonSchema: tool.parameters
+            }))
+          }],
+          toolConfig: { functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' } }
+        }
+      });
+
+      const candidateContent = response?.candidates?.[0]?.content;
+      const parts = candidateContent?.parts || [];
+      return {
+        // Not response.text, which warns whenever function calls are present
+        content: parts.filter(part => part.text && !part.thought).map(part => part.text).join(''),
+        toolCalls: (response?.functionCalls || []).map((call, i) => ({
+          id: call.id || `call_${i}`,
+          name: call.name,
+          arguments: parseToolArguments(call.args)
+        })),
+        providerContent: candidateContent
+      };
+    }
+  });
+
+  registerProvider({
+    id: 'chatgpt',
+    label: 'ChatGPT',
+    keys: readKeysFromEnv(['CHATGPT_API_KEY', 'CHATGPT_API_KEYS', 'CHATGPT_API_KEY_2', 'CHATGPT_API_KEY_3']),
+    capabilities: { vision: true, tools: true, streaming: true },
+    historyTokens: 3000,
+    // gpt-3.5-turbo-0125
+    contextWindow: 16385,
+    replyTokens: 500,
+    generationParams: OPENAI_GENERATION_PARAMS,
+    fallbackPriority: 4,
+    async call(apiKey, messages, params) {
+      const OpenAI = (await import('openai')).default;
+      const openai = new OpenAI({
+        apiKey,
+        baseURL: 'https://free.v36.cm/v1',
+        dangerouslyAllowBrowser: true // Add this option to bypass safety check
+      });
+
+      const completion = await openai.chat.completions.create({
+        model: 'gpt-3.5-turbo-0125',
+        messages,
+        ...toOpenAIParams(params)
+      });
+      return completion?.choices?.[0]?.message?.content || null;
+    },
+    async *stream(apiKey, messages, params) {
+      const OpenAI = (await import('openai')).default;
+      const openai = new OpenAI({ apiKey, baseURL: 'https://free.v36.cm/v1', dangerouslyAllowBrowser: true });
+
+      const stream = await openai.chat.completions.create({
+        model: 'gpt-3.5-turbo-0125',
+        messages,
+        ...toOpenAIParams(params),
+        stream: true
+      });
+      yield* readChatCompletionStream(stream);
+    },
+    async callWithTools(apiKey, messages, tools, { toolChoice, ...params }) {
+      const OpenAI = (await import('openai')).default;
+      const openai = new OpenAI({ apiKey, baseURL: 'https://free.v36.cm/v1', dangerouslyAllowBrowser: true });
+
+      const completion = await openai.chat.completions.create({
+        model: 'gpt-3.5-turbo-0125',
+        messages: toOpenAIToolMessages(messages),
+        tools: toOpenAITools(tools),
+        tool_choice: toolChoice || 'auto',
+        ...toOpenAIParams(params)
+      });
+      return readOpenAIToolResult(completion);
+    }
+  });
+
+  registerProvider({
+    id: 'mistral',
+    label: 'Mistral AI',
+    choiceName: 'Mistral AI (Ministral)',
+    keys: readKeysFromEnv(['MISTRAL_API_KEY', 'MISTRAL_API_KEYS', 'MISTRAL_API_KEY_2', 'MISTRAL_API_KEY_3']),
+    models: availableMistralModels,
+    defaultModel: 'open-mistral-nemo',
+    capabilities: { tools: true },
+    historyTokens: 8000,
+    contextWindow: 131072,
+    replyTokens: 500,
+    generationParams: OPENAI_GENERATION_PARAMS,
+    fallbackPriority: 5,
+    async call(apiKey, messages, { model, ...params }) {
+      const { Mistral } = await import('@mistralai/mistralai');
+      const mistral = new Mistral({ apiKey });
+
+      const response = await mistral.chat.complete({
+        model,
+        messages,
+        temperature: 0.7,
+        ...toMistralParams(params)
+      });
+      return response?.choices?.[0]?.message?.content || null;
+    },
+    async callWithTools(apiKey, messages, tools, { model, toolChoice, ...params }) {
+      const { Mistral } = await import('@mistralai/mistralai');
+      const mistral = new Mistral({ apiKey });
+
+      // The Mistral SDK uses camelCase (toolCalls, toolCallId) where OpenAI uses snake_case
+      const mistralMessages = messages.map(msg => {
+        if (msg.role === 'assistant' && msg.toolCalls) {
+          return {
+            role: 'assistant',
+            content: msg.content || '',
+            toolCalls: msg.toolCalls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+            }))
+          };
+        }
+        if (msg.role === 'tool') {
+          return { role: 'tool', toolCallId: msg.toolCallId, name: msg.name, content: msg.content };
+        }
+        return { role: msg.role, content: msg.content };
+      });
+
+      const response = await mistral.chat.complete({
+        model,
+        messages: mistralMessages,
+        tools: toOpenAITools(tools),
+        toolChoice: toolChoice || 'auto',
+        temperature: 0.7,
+        ...toMistralParams(params)
+      });
+      return readOpenAIToolResult(response);
+    }
+  });
+
+  registerProvider({
+    id: 'deepseek',
+    label: 'DeepSeek',
+    choiceName: 'DeepSeek (Slow)',
+    keys: readKeysFromEnv(['DEEPSEEK_API_KEY', 'DEEPSEEK_API_KEYS', 'DEEPSEEK_API_KEY_2', 'DEEPSEEK_API_KEY_3']),
+    capabilities: { streaming: true },
+    historyTokens: 8000,
+    contextWindow: 163840,
+    replyTokens: 1000,
+    generationParams: OPENAI_GENERATION_PARAMS,
+    fallbackPriority: 6,
+    async call(apiKey, messages, params) {
+      // Call DeepSeek API via OpenRouter
+      const deepseekResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          model: 'deepseek/deepseek-v3-base:free', // Updated December 2025 - using available free model
+          messages,
+          ...toOpenAIParams(params)
+        })
+      });
+
+      const data = await deepseekResponse.json();
+      if (data.error) {
+        throw new Error(data.error.message || 'API returned an error');
+      }
+
+      // Standard OpenAI format, or the alternative response format
+      return data.choices?.[0]?.message?.content || data.response || null;
+    },
+    async *stream(apiKey, messages, params) {
+      // OpenRouter is OpenAI-compatible, so the OpenAI SDK handles the SSE stream
+      const OpenAI = (await import('openai')).default;
+      const openrouter = new OpenAI({ apiKey, baseURL: 'https://openrouter.ai/api/v1', dangerouslyAllowBrowser: true });
+
+      const stream = await openrouter.chat.completions.create({
+        model: 'deepseek/deepseek-v3-base:free',
+        messages,
+        ...toOpenAIParams(params),
+        stream: true
+      });
+      yield* readChatCompletionStream(stream);
+    }
+  });
+
+  registerProvider({
+    id: 'cerebras',
+    label: 'Cerebras',
+    keys: readKeysFromEnv(['CEREBRAS_API_KEY', 'CEREBRAS_API_KEYS', 'CEREBRAS_API_KEY_2', 'CEREBRAS_API_KEY_3']),
+    models: availableCerebrasModels,
+    defaultModel: 'llama3.3-70b',
+    modelOption: 'cerebras_model',
+    capabilities: { streaming: true },
+    // Free tier models have an 8k context window
+    historyTokens: 5000,
+    contextWindow: 8192,
+    replyTokens: 500,
+    // Cerebras doesn't support presence / frequency penalties
+    generationParams: ['maxTokens', 'temperature', 'topP', 'stop'],
+    fallbackPriority: 2,
+    async call(apiKey, messages, { model, ...params }) {
+      const Cerebras = require('@cerebras/cerebras_cloud_sdk');
+      const cerebras = new Cerebras({ apiKey });
+
+      const completion = await cerebras.chat.completions.create({
+        messages: [
+          {
+            role: 'system',
+            content: CEREBRAS_NO_THINK_PROMPT
+          },
+          ...messages
+        ],
+        model,
+        ...toOpenAIParams(params)
+      });
+      return completion?.choices?.[0]?.message?.content || null;
+    },
+    async *stream(apiKey, messages, { model, ...params }) {
+      const Cerebras = require('@cerebras/cerebras_cloud_sdk');
+      const cerebras = new Cerebras({ apiKey });
+
+      const stream = await cerebras.chat.completions.create({
+        messages: [{ role: 'system', content: CEREBRAS_NO_THINK_PROMPT }, ...messages],
+        model,
+        ...toOpenAIParams(params),
+        stream: true
+      });
+      yield* readChatCompletionStream(stream);
+    }
+  });
+
+  registerProvider({
+    id: 'characterai',
+    label: 'Character.AI',
+    keys: readKeysFromEnv(['CHARACTERAI_TOKEN', 'CHARACTERAI_TOKENS', 'CHARACTERAI_TOKEN_2', 'CHARACTERAI_TOKEN_3']),
+    // Everything is inlined into one Character.AI message, which has to stay short
+    historyTokens: 1500,
+    contextWindow: 4096,
+    // The character has its own definition; the personality prompt is never sent
+    usesSystemPrompt: false,
+    // Messages keep their `username` so the context block can say who is speaking
+    keepMessageMetadata: true,
+    /**
+     * Options: `channelId` (required), `isDM`, `characterId` (defaults to CHARACTERAI_CHARACTER_ID),
+     * `channelConfig` (the channel's activeChannels entry, holding `caiChatId`) and
+     * `onChatIdChange(chatId)`, called whenever a chat is created or adopted so it can be persisted.
+     */
+    async call(token, messages, options) {
+      const CharacterAI = require('../characterai');
+      const { channelId, isDM, channelConfig } = options;
+      const onChatIdChange = options.onChatIdChange || (async () => { });
+
+      // Use the character ID from environment variable if none provided
+      const targetCharacterId = options.characterId || process.env.CHARACTERAI_CHARACTER_ID;
+      console.log(`Using Character.AI character ID: ${targetCharacterId}`);
+
+      if (!targetCharacterId) {
+        throw new Error('No Character.AI character ID provided. Set CHARACTERAI_CHARACTER_ID in your environment variables.');
+      }
+      if (!channelId) {
+        throw new Error('No channel ID provided for Character.AI chat');
+      }
+
+      console.log(`Using channel ID: ${channelId} for Character.AI chat${isDM ? ' (DM channel)' : ''}`);
+
+      const characterAI = new CharacterAI();
+      console.log(`Using Character.AI token: ${token ? token.substring(0, 5) + '...' : 'undefined'}`);
+      characterAI.setToken(token);
+
+      const messageWithContext = buildCharacterAIMessage(messages, channelConfig && channelConfig.username);
+
+      const adoptChat = async (chatId) => {
+        characterAI.activeChats.set(channelId, { chatId, characterId: targetCharacterId });
+        if (channelConfig) {
+          channelConfig.caiChatId = chatId;
+        }
+        await onChatIdChange(chatId);
+      };
+
+      const createChat = async () => {
+        const result = await characterAI.createChat(targetCharacterId);
+        if (!result || !result.chat) {
+          throw new Error('Failed to create chat - empty response');
+        }
+        const chatId = extractCharacterAIChatId(result.chat);
+        if (!chatId) {
+          console.error('Chat data:', JSON.stringify(result.chat, null, 2));
+          throw new Error('Failed to get chat ID from Character.AI API response');
+        }
+        await adoptChat(chatId);
+        console.log(`Created new chat with ID: ${chatId}`);
+        return chatId;
+      };
+
+      // Check if any message contains a Character.AI URL with a hist parameter
+      // This could be used to connect to an existing chat
+      let histIdFromUrl = null;
+      for (const msg of messages) {
+        if (msg.content && msg.content.includes('character.ai/chat/') && msg.content.includes('hist=')) {
+          const match = msg.content.match(/hist=([^&\s]+)/);
+          if (match && match[1]) {
+            histIdFromUrl = match[1];
+            console.log(`Found Character.AI hist ID in message: ${histIdFromUrl}`);
+            break;
+          }
+        }
+      }
+
+      let chatId = null;
+      if (histIdFromUrl) {
+        try {
+          chatId = await characterAI.getChatIdFromHistId(histIdFromUrl);
+          console.log(`Using Character.AI chat ID from URL: ${chatId}`);
+          await adoptChat(chatId);
+        } catch (histError) {
+          console.error('Error getting chat ID from hist ID:', histError.message);
+        }
+      } else if (channelConfig && channelConfig.caiChatId) {
+        chatId = channelConfig.caiChatId;
+        console.log(`Using existing Character.AI chat ID from activeChannels: ${chatId}`);
+      } else if (characterAI.activeChats.has(channelId)) {
+        chatId = characterAI.activeChats.get(channelId).chatId;
+        console.log(`Using existing Character.AI chat ${chatId} for channel ${channelId} from CharacterAI client`);
+        await adoptChat(chatId);
+      }
+
+      if (!chatId) {
+        console.log(`Creating new Character.AI chat for channel ${channelId}`);
+        chatId = await createChat();
+      }
+
+      try {
+        console.log('Sending message with context to Character.AI');
+        const response = await characterAI.sendMessage(targetCharacterId, chatId, messageWithContext);
+        return response?.text || null;
+      } catch (sendError) {
+        // If the error might be due to an invalid chat ID, try creating a new chat
+        console.error('Error sending message:', sendError.message);
+        console.log('Chat might be invalid. Creating a new chat...');
+        chatId = await createChat();
+        const response = await characterAI.sendMessage(targetCharacterId, chatId, messageWithContext);
+        return response?.text || null;
+      }
+    }
+  });
+}
+
+module.exports = {
+  registerBuiltInProviders,
+  toGeminiContents
+};
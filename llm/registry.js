@@ -0,0 +1,431 @@
+/**
+ * registry.js - LLM provider registry for Setsuna
+ * Each provider declares its models, capabilities, key pool and call function here,
+ * so the chat path, slash command choices and persistence never hard-code provider names.
+ */
+
+const health = require('./health');
+const { createKeyPool } = require('./keyPool');
+
+const providers = new Map();
+
+// Conversation history sent per request when a provider doesn't set historyTokens
+const DEFAULT_HISTORY_TOKENS = 4000;
+
+// Assumed context window and reply length for providers that don't declare them
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const DEFAULT_REPLY_TOKENS = 500;
+
+// Token counts are estimates, so part of the window is left unused
+const CONTEXT_SAFETY_MARGIN = 0.1;
+
+// Generation parameters a caller may set (e.g. from /setsuna params); each provider declares the ones it supports
+const GENERATION_PARAMS = ['maxTokens', 'temperature', 'topP', 'presencePenalty', 'frequencyPenalty', 'stop'];
+
+// History always gets at least this much, so the user's own message survives a huge system prompt
+const MIN_HISTORY_TOKENS = 256;
+
+/**
+ * Registers a provider definition.
+ *
+ * Required fields: `id`, `keys` (array of API keys/tokens, managed by a KeyPool named after the id) and `call(key, messages, options)`,
+ * which resolves to the reply text. Optional fields:
+ * - `label`: name used in logs and status messages; `choiceName` overrides it in slash command choices
+ * - `models` / `defaultModel`: selectable sub-models; `modelOption` names the slash command option for them
+ * - `modelChoices`: explicit `{ name, value }` choices for `modelOption` (defaults to `models`)
+ * - `capabilities`: `{ vision, tools, grounding, streaming }`
+ * - `fallbackPriority`: position in the default fallback chain (omit to never use as a fallback)
+ * - `keepMessageMetadata`: pass messages through untouched instead of stripping them to `{ role, content }`
+ * - `historyTokens`: how much conversation history (approximate tokens) to send with each request, at most
+ * - `contextWindow`: the model's context size in tokens; `modelContextWindows` overrides it per sub-model
+ * - `replyTokens`: the default `max_tokens` the provider asks for, reserved out of the context window
+ * - `generationParams`: which of GENERATION_PARAMS the provider maps onto its API; the others are dropped before calling it
+ * - `usesSystemPrompt`: set to false when the provider drops the system message, so it doesn't count against the window
+ * - `stream(key, messages, options)`: async generator of text deltas, used when `capabilities.streaming` is set
+ * - `callWithTools(key, messages, tools, options)`: one function-calling step, used when `capabilities.tools` is set;
+ *   resolves to `{ content, toolCalls: [{ id, name, arguments }], providerContent? }`
+ */
+function registerProvider(definition) {
+  if (!definition || !definition.id) {
+    throw new Error('Provider definition requires an id');
+  }
+  if (typeof definition.call !== 'function') {
+    throw new Error(`Provider "${definition.id}" is missing a call function`);
+  }
+
+  const { keys, ...rest } = definition;
+  providers.set(definition.id, {
+    label: definition.id,
+    models: [],
+    defaultModel: null,
+    modelOption: null,
+    fallbackPriority: null,
+    keepMessageMetadata: false,
+    historyTokens: DEFAULT_HISTORY_TOKENS,
+    contextWindow: DEFAULT_CONTEXT_WINDOW,
+    modelContextWindows: {},
+    replyTokens: DEFAULT_REPLY_TOKENS,
+    usesSystemPrompt: true,
+    generationParams: [],
+    ...rest,
+    capabilities: {
+      vision: false,
+      tools: false,
+      grounding: false,
+      streaming: false,
+      ...(definition.capabilities || {})
+    },
+    pool: createKeyPool(definition.id, keys || [])
+  });
+}
+
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+// Providers in registration order
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+function hasKeys(id) {
+  const provider = providers.get(id);
+  return !!provider && provider.pool.size > 0;
+}
+
+function hasAnyKeys() {
+  return listProviders().some(provider => provider.pool.size > 0);
+}
+
+// For callers that use a provider's key directly (e.g. intent detection); skips keys on cooldown
+function getCurrentKey(id) {
+  const provider = providers.get(id);
+  return provider ? provider.pool.current() : undefined;
+}
+
+function getNextKey(id) {
+  const provider = providers.get(id);
+  return provider ? provider.pool.rotate() : undefined;
+}
+
+// Lets direct callers report how a key they used fared, so it gets the same cooldowns
+function reportKeyResult(id, key, error) {
+  const provider = providers.get(id);
+  if (!provider) return;
+  if (error) {
+    provider.pool.reportFailure(key, error);
+  } else {
+    provider.pool.reportSuccess(key);
+  }
+}
+
+// Keys to try for one request; throws (and demotes the provider) when every key is cooling down
+function getKeysToTry(id, provider) {
+  if (provider.pool.size === 0) {
+    throw new Error(`No API keys configured for ${provider.label}`);
+  }
+  const keys = provider.pool.candidates();
+  if (keys.length === 0) {
+    health.recordFailure(id);
+    throw new Error(`All ${provider.label} API keys are cooling down`);
+  }
+  return keys;
+}
+
+// Returns the requested sub-model if the provider offers it, otherwise the provider default
+function resolveModel(id, requestedModel) {
+  const provider = providers.get(id);
+  if (!provider) return requestedModel || null;
+  if (requestedModel && (provider.models.length === 0 || provider.models.includes(requestedModel))) {
+    return requestedModel;
+  }
+  return provider.defaultModel;
+}
+
+// Human readable name, e.g. "Groq (llama-3.3-70b-versatile)"
+function getDisplayName(id, model) {
+  const provider = providers.get(id);
+  if (!provider) return id;
+  const resolved = provider.models.length > 0 ? resolveModel(id, model) : null;
+  return resolved ? `${provider.label} (${resolved})` : provider.label;
+}
+
+// Choices for the `model` option of /setsuna activate and /setsuna setmodel
+function getProviderChoices() {
+  return listProviders().map(provider => ({ name: provider.choiceName || provider.label, value: provider.id }));
+}
+
+// Providers that expose a sub-model slash command option (e.g. groq_model)
+function getModelOptionProviders() {
+  return listProviders().filter(provider => provider.modelOption);
+}
+
+function getModelOptionChoices(id) {
+  const provider = providers.get(id);
+  if (!provider) return [];
+  if (provider.modelChoices) return provider.modelChoices;
+  return provider.models.map(model => ({
+    name: model === provider.defaultModel ? `${model} (Default)` : model,
+    value: model
+  }));
+}
+
+// Default order used when the preferred provider fails
+function getDefaultFallbackOrder() {
+  return listProviders()
+    .filter(provider => typeof provider.fallbackPriority === 'number')
+    .sort((a, b) => a.fallbackPriority - b.fallbackPriority)
+    .map(provider => provider.id);
+}
+
+/**
+ * Order in which to try providers for one reply: the preferred provider, then `fallbackOrder`
+ * (or the default order), with providers that failed recently moved to the end.
+ */
+function getProviderAttemptOrder(preferredId, fallbackOrder) {
+  const chain = fallbackOrder && fallbackOrder.length > 0 ? fallbackOrder : getDefaultFallbackOrder();
+  const ids = [preferredId, ...chain.filter(id => id !== preferredId)].filter(id => providers.has(id));
+  return health.orderByHealth(ids);
+}
+
+// Context size of a provider's model (the sub-model if it has them)
+function getContextWindow(id, model) {
+  const provider = providers.get(id);
+  if (!provider) return DEFAULT_CONTEXT_WINDOW;
+  const resolved = provider.models.length > 0 ? resolveModel(id, model) : model;
+  return provider.modelContextWindows[resolved] || provider.contextWindow;
+}
+
+/**
+ * How a request to `id`/`model` splits its context window:
+ * `{ model, contextWindow, replyTokens, promptTokens, historyTokens }`, where `historyTokens` is what is
+ * left for conversation history after the reply (`maxTokens`, or the provider's default), the system prompt
+ * (`promptTokens`) and a safety margin, capped at the provider's `historyTokens`.
+ */
+function getContextBudget(id, model, promptTokens = 0, maxTokens = null) {
+  const provider = providers.get(id);
+  const resolved = provider && provider.models.length > 0 ? resolveModel(id, model) : model || null;
+  const contextWindow = getContextWindow(id, model);
+  const replyTokens = maxTokens && supportsGenerationParam(id, 'maxTokens')
+    ? maxTokens
+    : provider ? provider.replyTokens : DEFAULT_REPLY_TOKENS;
+  const historyCap = provider ? provider.historyTokens : DEFAULT_HISTORY_TOKENS;
+  if (provider && !provider.usesSystemPrompt) {
+    promptTokens = 0;
+  }
+  const available = Math.floor(contextWindow * (1 - CONTEXT_SAFETY_MARGIN)) - replyTokens - promptTokens;
+  return {
+    model: resolved,
+    contextWindow,
+    replyTokens,
+    promptTokens,
+    historyTokens: Math.max(Math.min(historyCap, available), MIN_HISTORY_TOKENS)
+  };
+}
+
+function getHistoryTokenBudget(id, model, promptTokens = 0, maxTokens = null) {
+  return getContextBudget(id, model, promptTokens, maxTokens).historyTokens;
+}
+
+function supportsGenerationParam(id, param) {
+  const provider = providers.get(id);
+  return !!provider && provider.generationParams.includes(param);
+}
+
+function supportsStreaming(id) {
+  const provider = providers.get(id);
+  return !!provider && provider.capabilities.streaming && typeof provider.stream === 'function';
+}
+
+function supportsTools(id) {
+  const provider = providers.get(id);
+  return !!provider && provider.capabilities.tools && typeof provider.callWithTools === 'function';
+}
+
+// Options for one call: the resolved model, plus only the generation parameters the provider supports
+// (maxTokens defaults to its replyTokens)
+function prepareCallOptions(provider, options, model) {
+  const callOptions = { ...options, model };
+  for (const param of GENERATION_PARAMS) {
+    if (!provider.generationParams.includes(param) || callOptions[param] === undefined || callOptions[param] === null) {
+      delete callOptions[param];
+    }
+  }
+  if (provider.generationParams.includes('maxTokens') && !callOptions.maxTokens) {
+    callOptions.maxTokens = provider.replyTokens;
+  }
+  return callOptions;
+}
+
+// Strips messages to { role, content } unless the provider wants the extra metadata
+function preparePayload(provider, messages) {
+  return provider.keepMessageMetadata
+    ? messages
+    : messages.map(msg => ({ role: msg.role, content: msg.content }));
+}
+
+/**
+ * Calls a provider, trying every key in its pool until one returns a non-empty reply.
+ * `options.model` selects the sub-model; remaining options are passed through to the provider.
+ * `options.background` is for work nobody waits on (summaries, memory extraction): it tries one available
+ * key only and leaves the provider's health alone, so its failures don't demote the provider for chat.
+ */
+async function callProvider(id, messages, options = {}) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown provider: ${id}`);
+  }
+
+  const { background, ...callerOptions } = options;
+  const keys = background ? provider.pool.candidates().slice(0, 1) : getKeysToTry(id, provider);
+  if (keys.length === 0) {
+    throw new Error(`No ${provider.label} API key available`);
+  }
+  const model = provider.models.length > 0 ? resolveModel(id, callerOptions.model) : callerOptions.model;
+  const payload = preparePayload(provider, messages);
+
+  let lastError = null;
+
+  for (const key of keys) {
+    try {
+      const response = await provider.call(key, payload, prepareCallOptions(provider, callerOptions, model));
+      if (!response) {
+        throw new Error(`Empty response from ${provider.label} API`);
+      }
+      if (model) {
+        console.log(`Used ${provider.label} model: ${model}`);
+      }
+      provider.pool.reportSuccess(key);
+      if (!background) health.recordSuccess(id);
+      return response;
+    } catch (error) {
+      lastError = error;
+      provider.pool.reportFailure(key, error);
+      console.log(`${provider.label} API key ${provider.pool.positionOf(key)}/${provider.pool.size} error: ${error.message}`);
+    }
+  }
+
+  // If we get here, all keys failed
+  if (!background) health.recordFailure(id);
+  throw lastError || new Error(`All ${provider.label} API keys failed`);
+}
+
+/**
+ * Streams a reply from a provider, calling `onText(textSoFar)` whenever new tokens arrive.
+ * Keys are only rotated while nothing has been emitted yet; a failure mid-stream is thrown
+ * so the caller can discard the partial reply. Resolves to the full reply text.
+ */
+async function streamProvider(id, messages, options = {}, onText = () => { }) {
+  const provider = providers.get(id);
+  if (!supportsStreaming(id)) {
+    throw new Error(`${provider ? provider.label : id} does not support streaming`);
+  }
+
+  const keys = getKeysToTry(id, provider);
+  const model = provider.models.length > 0 ? resolveModel(id, options.model) : options.model;
+  const payload = preparePayload(provider, messages);
+
+  let lastError = null;
+
+  for (const key of keys) {
+    let text = '';
+    try {
+      for await (const delta of provider.stream(key, payload, prepareCallOptions(provider, options, model))) {
+        text += delta;
+        await onText(text);
+      }
+      if (!text) {
+        throw new Error(`Empty response from ${provider.label} API`);
+      }
+      if (model) {
+        console.log(`Used ${provider.label} model: ${model} (streamed)`);
+      }
+      provider.pool.reportSuccess(key);
+      health.recordSuccess(id);
+      return text;
+    } catch (error) {
+      lastError = error;
+      provider.pool.reportFailure(key, error);
+      console.log(`${provider.label} API key ${provider.pool.positionOf(key)}/${provider.pool.size} stream error: ${error.message}`);
+      // Part of the reply is already on screen, retrying with another key would repeat it
+      if (text) break;
+    }
+  }
+
+  health.recordFailure(id);
+  throw lastError || new Error(`All ${provider.label} API keys failed`);
+}
+
+/**
+ * Runs one function-calling step. `messages` may contain assistant turns with `toolCalls`
+ * and `{ role: 'tool', toolCallId, name, content }` results from earlier steps.
+ * `options.toolChoice` set to 'none' asks for a plain answer. Resolves to `{ content, toolCalls, providerContent }`.
+ */
+async function callProviderWithTools(id, messages, tools, options = {}) {
+  const provider = providers.get(id);
+  if (!supportsTools(id)) {
+    throw new Error(`${provider ? provider.label : id} does not support tool calling`);
+  }
+
+  const keys = getKeysToTry(id, provider);
+  const model = provider.models.length > 0 ? resolveModel(id, options.model) : options.model;
+  // Keep the tool-calling fields, drop the rest (e.g. username)
+  const payload = messages.map(msg => ({
+    role: msg.role,
+    content: msg.content,
+    ...(msg.toolCalls ? { toolCalls: msg.toolCalls, providerContent: msg.providerContent } : {}),
+    ...(msg.role === 'tool' ? { toolCallId: msg.toolCallId, name: msg.name } : {})
+  }));
+
+  let lastError = null;
+
+  for (const key of keys) {
+    try {
+      const result = await provider.callWithTools(key, payload, tools, prepareCallOptions(provider, options, model));
+      if (!result || (!result.content && result.toolCalls.length === 0)) {
+        throw new Error(`Empty response from ${provider.label} API`);
+      }
+      if (model) {
+        console.log(`Used ${provider.label} model: ${model} (tools)`);
+      }
+      provider.pool.reportSuccess(key);
+      health.recordSuccess(id);
+      return result;
+    } catch (error) {
+      lastError = error;
+      provider.pool.reportFailure(key, error);
+      console.log(`${provider.label} API key ${provider.pool.positionOf(key)}/${provider.pool.size} tool call error: ${error.message}`);
+    }
+  }
+
+  health.recordFailure(id);
+  throw lastError || new Error(`All ${provider.label} API keys failed`);
+}
+
+module.exports = {
+  GENERATION_PARAMS,
+  registerProvider,
+  getProvider,
+  listProviders,
+  hasKeys,
+  hasAnyKeys,
+  getCurrentKey,
+  getNextKey,
+  reportKeyResult,
+  resolveModel,
+  getDisplayName,
+  getProviderChoices,
+  getModelOptionProviders,
+  getModelOptionChoices,
+  getDefaultFallbackOrder,
+  getProviderAttemptOrder,
+  getContextWindow,
+  getContextBudget,
+  getHistoryTokenBudget,
+  supportsGenerationParam,
+  supportsStreaming,
+  supportsTools,
+  callProvider,
+  streamProvider,
+  callProviderWithTools
+};
@@ -0,0 +1,57 @@
+/**
+ * tokenizer.js - Approximate token counting for Setsuna
+ * Providers use different tokenizers and none of them ship one we can run locally,
+ * so prompt sizes are estimated: good enough to keep requests inside a model's context window.
+ */
+
+// CJK ideographs, kana, hangul and full-width forms are roughly one token per character
+const CJK_PATTERN = /[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+
+// Role markers and separators every chat message costs on top of its text
+const MESSAGE_OVERHEAD = 4;
+
+// Rough token count of a piece of text: CJK about one token per character, other text about four characters per token
+function estimateTextTokens(text) {
+  if (!text) return 0;
+  const cjkCount = (text.match(CJK_PATTERN) || []).length;
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+// Tokens one chat message takes in a prompt
+function estimateTokens(text) {
+  return estimateTextTokens(text) + MESSAGE_OVERHEAD;
+}
+
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, msg) => total + estimateTokens(msg.content || ''), 0);
+}
+
+/**
+ * Cuts `text` so it fits in about `maxTokens`, keeping the beginning and marking the cut.
+ * Text that already fits is returned unchanged.
+ */
+function truncateToTokens(text, maxTokens, marker = '…(truncated)') {
+  if (estimateTextTokens(text) <= maxTokens) return text;
+  const budget = Math.max(maxTokens - estimateTextTokens(marker), 0);
+
+  // Binary search for the longest prefix that fits
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (estimateTextTokens(text.slice(0, mid)) <= budget) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return text.slice(0, low) + marker;
+}
+
+module.exports = {
+  MESSAGE_OVERHEAD,
+  estimateTextTokens,
+  estimateTokens,
+  estimateMessagesTokens,
+  truncateToTokens
+};
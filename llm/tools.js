@@ -0,0 +1,90 @@
+/**
+ * tools.js - Tool registry for Setsuna
+ * Bot capabilities (music, YouTube, images, OCR, web search) exposed to models that support function calling.
+ * Tools are named with dots (e.g. "music.play"); providers only accept [a-zA-Z0-9_-], so the name sent to the
+ * model uses underscores instead ("music_play").
+ */
+
+const tools = new Map();
+
+// Result text handed back to the model is capped so one tool can't eat the whole context window
+const MAX_RESULT_LENGTH = 4000;
+
+/**
+ * Registers a tool.
+ *
+ * Fields: `name` (e.g. "music.play"), `description`, `parameters` (JSON Schema object) and
+ * `execute(args, context)`, which resolves to any JSON-serializable value. Optional
+ * `isAvailable(context)` hides the tool when it can't work (no voice channel, no API key...).
+ * `context` is whatever the caller passes to the agent, e.g. `{ message, musicPlayer }`.
+ */
+function registerTool(definition) {
+  if (!definition || !definition.name) {
+    throw new Error('Tool definition requires a name');
+  }
+  if (typeof definition.execute !== 'function') {
+    throw new Error(`Tool "${definition.name}" is missing an execute function`);
+  }
+  tools.set(toFunctionName(definition.name), {
+    description: '',
+    parameters: { type: 'object', properties: {} },
+    isAvailable: () => true,
+    ...definition
+  });
+}
+
+function toFunctionName(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function listTools() {
+  return Array.from(tools.values());
+}
+
+// Schemas of the tools usable in this context, in the `{ name, description, parameters }` form providers expect
+function getToolSchemas(context) {
+  return listTools()
+    .filter(tool => tool.isAvailable(context))
+    .map(tool => ({
+      name: toFunctionName(tool.name),
+      description: tool.description,
+      parameters: tool.parameters
+    }));
+}
+
+/**
+ * Runs one tool call from the model and returns the result as a JSON string.
+ * Errors are returned to the model as `{ error }` rather than thrown, so it can explain or try something else.
+ */
+async function executeToolCall(call, context) {
+  const tool = tools.get(call.name);
+  let result;
+  if (!tool || !tool.isAvailable(context)) {
+    result = { error: `Unknown or unavailable tool: ${call.name}` };
+  } else {
+    try {
+      console.log(`[Tools] ${tool.name} ${JSON.stringify(call.arguments)}`);
+      result = await tool.execute(call.arguments || {}, context);
+    } catch (error) {
+      console.error(`[Tools] ${tool.name} 執行失敗:`, error.message);
+      result = { error: error.message };
+    }
+  }
+
+  const text = typeof result === 'string' ? result : JSON.stringify(result ?? { success: true });
+  return text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}...(truncated)` : text;
+}
+
+// Display name ("music.play") for a function name the model used ("music_play")
+function getToolName(functionName) {
+  const tool = tools.get(functionName);
+  return tool ? tool.name : functionName;
+}
+
+module.exports = {
+  registerTool,
+  listTools,
+  getToolSchemas,
+  executeToolCall,
+  getToolName
+};
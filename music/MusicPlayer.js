@@ -1,11 +1,16 @@
 /**
  * MusicPlayer.js - Riffy Lavalink Music Player for Setsuna
  * Uses Lavalink server for reliable YouTube/Spotify/SoundCloud playback
+ * Queues are snapshotted to MongoDB (when MONGODB_URI is set) and resumed after a restart or a Lavalink reconnect
+ * Lyrics come from lyrics.js; synced ones follow the playing line
  */
 
-const { Riffy } = require('riffy');
+const { Riffy, Track } = require('riffy');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, GatewayDispatchEvents, MessageFlags } = require('discord.js');
 const axios = require('axios');
+const db = require('../db');
+const { loadNodeConfigs, fetchNodeStats, calculateLoad, pickNode } = require('./lavalinkNodes');
+const { getLyrics, findCurrentLine } = require('./lyrics');
 
 let getDetails;
 try {
@@ -120,6 +125,61 @@ function parseArtists(track) {
     return '';
 }
 
+// Queue snapshots: saved shortly after a change, and regularly while playing so the position stays fresh
+const SNAPSHOT_DELAY_MS = 2000;
+const SNAPSHOT_INTERVAL_MS = 15000;
+// How often every node's /stats is checked (this also keeps Railway free-tier nodes from sleeping)
+const NODE_STATS_INTERVAL_MS = 60 * 1000;
+// Missed /stats checks in a row before a node whose websocket still looks connected is given up on
+const NODE_FAILOVER_AFTER_MISSES = 3;
+// Autoplay: how many recent tracks it won't repeat, and how long it keeps going without anyone adding music
+const RECENT_TRACKS_LIMIT = 50;
+const AUTOPLAY_IDLE_MS = 30 * 60 * 1000;
+const AUTOPLAY_REQUESTER = { id: null, username: 'autoplay', displayName: '📻 自動播放' };
+// Lyrics: lines per page, and how often (and for how long at most) a live lyrics message is updated
+const LYRICS_LINES_PER_PAGE = 15;
+const LYRICS_LIVE_INTERVAL_MS = 3000;
+const LYRICS_LIVE_MAX_MS = 14 * 60 * 1000;  // interaction tokens expire after 15 minutes
+
+function isPersistent() {
+    return !!process.env.MONGODB_URI;
+}
+
+// Riffy track -> plain object for MongoDB (the requester member is reduced to its names)
+function serializeTrack(track) {
+    const requester = track.info.requester;
+    return {
+        encoded: track.track,
+        info: track.rawData.info,
+        pluginInfo: track.rawData.pluginInfo || {},
+        requester: requester ? {
+            id: requester.id,
+            username: requester.user?.username || requester.username,
+            displayName: requester.displayName
+        } : null
+    };
+}
+
+function deserializeTrack(data, node, requester = data.requester) {
+    return new Track({ encoded: data.encoded, info: data.info, pluginInfo: data.pluginInfo }, requester, node);
+}
+
+// Rough identity of a song across uploads: the title without the artist, bracketed notes and words like "Official Video"
+function songKey(info) {
+    const author = String(info.author || '').toLowerCase().replace(/\s*-\s*topic$|vevo$/, '').trim();
+    let title = String(info.title || '').toLowerCase()
+        .replace(/[(\[【].*?[)\]】]/g, '')
+        .replace(/official|music|video|lyrics?|audio|\bmv\b|\bhd\b/g, '');
+    if (author) title = title.split(author).join('');
+    return title.replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Playlists keep tracks like snapshots do, without who requested them
+function toPlaylistTrack(track) {
+    const { requester, ...data } = serializeTrack(track);
+    return data;
+}
+
 // Loop mode names in Chinese
 const loopModeNames = {
     'none': '關閉',
@@ -127,21 +187,8 @@ const loopModeNames = {
     'queue': '隊列循環'
 };
 
-// 透過 process.env 動態讀取設定，並自動偵測內部/公開網路進行最安全的配置
-const host = process.env.LAVALINK_HOST || '127.0.0.1';
-const isInternal = host.includes('railway.internal') || host.includes('localhost') || host === '127.0.0.1';
-
-const lavalinkNodes = [
-    {
-        name: 'Railway-Lavalink',
-        host: host,
-        // 自動判定：內部網路或本地走 8080，公開網路走 443 埠
-        port: isInternal ? 8080 : 443,
-        password: process.env.LAVALINK_PASSWORD || 'youshallnotpass', 
-        // 自動判定：內部網路不加密，公開網路強制開啟加密 (WSS) 連線
-        secure: !isInternal
-    }
-];
+// 透過 process.env 或 JSON 檔讀取節點設定 (見 lavalinkNodes.js)
+const lavalinkNodes = loadNodeConfigs();
 
 // Get Spotify Access Token using client ID and client secret
 async function getSpotifyAccessToken() {
@@ -256,26 +303,106 @@ async function getSpotifyAlbumDetails(albumId, accessToken) {
     }
 }
 
+const spotifyPlaylistRegex = /spotify\.com\/(?:intl-[a-z]{2}\/)?playlist\/([a-zA-Z0-9]+)/;
+const spotifyAlbumRegex = /spotify\.com\/(?:intl-[a-z]{2}\/)?album\/([a-zA-Z0-9]+)/;
+
+// Spotify's recommendations for a track, as "artist - title" searches; empty without Spotify credentials
+async function getSpotifyRecommendations(info) {
+    const token = await getSpotifyAccessToken();
+    if (!token) return [];
+
+    try {
+        const headers = { 'Authorization': `Bearer ${token}` };
+        let seedId = info.sourceName === 'spotify' ? info.identifier : null;
+        if (!seedId) {
+            const search = await axios.get('https://api.spotify.com/v1/search', {
+                headers,
+                params: { q: `${info.title} ${info.author}`, type: 'track', limit: 1 }
+            });
+            seedId = search.data.tracks?.items?.[0]?.id;
+        }
+        if (!seedId) return [];
+
+        const response = await axios.get('https://api.spotify.com/v1/recommendations', {
+            headers,
+            params: { seed_tracks: seedId, limit: 20 }
+        });
+        return (response.data.tracks || []).map(track => `${parseArtists(track)} - ${parseTrackName(track)}`);
+    } catch (err) {
+        console.error('[Spotify API] Error fetching recommendations:', err.message);
+        return [];
+    }
+}
+
+// Name and tracks of a Spotify playlist or album link, from the API or else the public page; null if it isn't one
+async function fetchSpotifyCollection(url) {
+    const playlistMatch = url.match(spotifyPlaylistRegex);
+    const albumMatch = url.match(spotifyAlbumRegex);
+    if (!playlistMatch && !albumMatch) return null;
+
+    const token = await getSpotifyAccessToken();
+    if (token) {
+        try {
+            const details = playlistMatch
+                ? await getSpotifyPlaylistDetails(playlistMatch[1], token)
+                : await getSpotifyAlbumDetails(albumMatch[1], token);
+            const tracks = playlistMatch
+                ? await getSpotifyPlaylistTracks(playlistMatch[1], token)
+                : await getSpotifyAlbumTracks(albumMatch[1], token);
+            if (tracks.length > 0) return { name: details.name, tracks };
+        } catch (e) {
+            console.error('[Spotify API Import Error, falling back to scraper]', e.message);
+        }
+    }
+    if (getDetails) {
+        try {
+            const scrapeDetails = await getDetails(url);
+            return { name: scrapeDetails?.preview?.title || 'Spotify Playlist', tracks: scrapeDetails?.tracks || [] };
+        } catch (e) {
+            console.error('[Music Spotify Import Error (Scraper Fallback)]', e.message);
+        }
+    }
+    return { name: 'Spotify Playlist', tracks: [] };
+}
+
 class MusicPlayer {
     constructor(client) {
         this.client = client;
+        this.snapshotTimers = new Map();   // guildId -> pending snapshot timeout
+        this.pendingRestores = new Map();  // guildId -> { position, paused, filter } applied when the restored track starts
+        this.activeFilters = new Map();    // guildId -> filter name
+        this.autoplay = new Map();         // guildId -> { source, lastActivity } while autoplay is on
+        this.recentTracks = new Map();     // guildId -> [{ identifier, key }] of the last played tracks, newest last
+        this.liveLyrics = new Map();       // guildId -> { timer, messageId, paused } of a live lyrics message
+        this.downNodes = new Map();        // node name -> session ID it had when it disconnected
+        this.restoredOnStartup = false;
+        this.nodeConfigs = new Map(lavalinkNodes.map(node => [node.name, node]));
+        this.nodeLoads = new Map();        // node name -> load from its last /stats (missing while unhealthy)
+        this.nodeMisses = new Map();       // node name -> /stats checks missed in a row
+
+        for (const node of lavalinkNodes) {
+            console.log('[Music] Configured Lavalink Node:', {
+                name: node.name,
+                host: node.host,
+                port: node.port,
+                secure: node.secure,
+                region: node.region,
+                priority: node.priority,
+                hasPassword: !!node.password
+            });
+        }
 
-        console.log('[Music] Configured Lavalink Node:', {
-            name: lavalinkNodes[0].name,
-            host: lavalinkNodes[0].host,
-            port: lavalinkNodes[0].port,
-            secure: lavalinkNodes[0].secure,
-            hasPassword: !!lavalinkNodes[0].password
-        });
-
-        // Initialize Riffy with Lavalink nodes
+        // Initialize Riffy with Lavalink nodes; players on a node that goes down move to another one
         this.riffy = new Riffy(client, lavalinkNodes, {
             send: (payload) => {
                 const guild = client.guilds.cache.get(payload.d.guild_id);
                 if (guild) guild.shard.send(payload);
             },
             defaultSearchPlatform: 'ytsearch',
-            restVersion: 'v4'
+            restVersion: 'v4',
+            migrateOnDisconnect: true,
+            migrateOnFailure: true,
+            migrationStrategyFn: (player, availableNodes) => this.pickNode(availableNodes, this.getPlayerRegion(player))
         });
 
         this.setupEvents();
@@ -285,26 +412,79 @@ class MusicPlayer {
     // Initialize after client is ready
     init(clientId) {
         this.riffy.init(clientId);
-        this._startLavalinkKeepAlive();
+        this._startNodeMonitor();
+        if (isPersistent()) {
+            setInterval(() => {
+                for (const player of this.riffy.players.values()) {
+                    if (player.current && player.playing && !player.paused) {
+                        this.saveSnapshot(player.guildId);
+                    }
+                }
+            }, SNAPSHOT_INTERVAL_MS);
+        }
     }
 
-    // Ping Lavalink every 4 min to prevent Railway free-tier cold-start
-    _startLavalinkKeepAlive() {
-        const node = lavalinkNodes[0];
-        const proto = node.secure ? 'https' : 'http';
-        const pingUrl = `${proto}://${node.host}:${node.port}/version`;
-        const fetchAgent = globalThis.fetch || require('node-fetch');
-        setInterval(async () => {
-            try {
-                const res = await fetchAgent(pingUrl, {
-                    headers: { 'Authorization': node.password },
-                    signal: AbortSignal.timeout(8000)
-                });
-                console.log(`[Music] Lavalink keep-alive ping: ${res.status}`);
-            } catch (e) {
-                console.warn(`[Music] Lavalink keep-alive ping failed: ${e.message}`);
+    // Check every node's /stats regularly; a node that stops answering gets no new players, and loses its
+    // current ones once its websocket is down too or it has missed several checks in a row
+    _startNodeMonitor() {
+        const checkNodes = async () => {
+            for (const config of lavalinkNodes) {
+                const stats = await fetchNodeStats(config);
+                if (stats) {
+                    this.nodeLoads.set(config.name, calculateLoad(stats));
+                    this.nodeMisses.delete(config.name);
+                    continue;
+                }
+
+                const misses = (this.nodeMisses.get(config.name) || 0) + 1;
+                this.nodeMisses.set(config.name, misses);
+                this.nodeLoads.delete(config.name);
+                console.warn(`[Music] Lavalink node "${config.name}" did not answer /stats (${misses} in a row)`);
+                const node = this.riffy.nodeMap.get(config.name);
+                if (misses === NODE_FAILOVER_AFTER_MISSES || (node && !node.connected)) {
+                    this.failoverNode(config.name);
+                }
             }
-        }, 4 * 60 * 1000);
+        };
+        checkNodes();
+        setInterval(checkNodes, NODE_STATS_INTERVAL_MS);
+    }
+
+    // The voice channel region of a player, for region-aware node placement
+    getPlayerRegion(player) {
+        return this.client.channels.cache.get(player.voiceChannel)?.rtcRegion || null;
+    }
+
+    // Among the given Riffy nodes, the connected and healthy one a player in this region should use
+    pickNode(nodes, region = null) {
+        const healthy = nodes.filter(node => node.connected && (this.nodeLoads.size === 0 || this.nodeLoads.has(node.name)));
+        return pickNode(healthy.length > 0 ? healthy : nodes.filter(node => node.connected), this.nodeConfigs, this.nodeLoads, region);
+    }
+
+    // Get the guild's player, or create one on the best node for its voice channel
+    createPlayer(guildId, voiceChannel, textChannelId) {
+        const existing = this.getPlayer(guildId);
+        if (existing) return existing;
+
+        const node = this.pickNode([...this.riffy.nodeMap.values()], voiceChannel.rtcRegion || null);
+        if (!node) throw new Error('目前沒有可用的 Lavalink 節點');
+        return this.riffy.createPlayer(node, {
+            guildId: guildId,
+            voiceChannel: voiceChannel.id,
+            textChannel: textChannelId,
+            deaf: true
+        });
+    }
+
+    // Move every player off a node that stopped answering, keeping their queue and position
+    async failoverNode(nodeName) {
+        const node = this.riffy.nodeMap.get(nodeName);
+        if (!node || ![...this.riffy.players.values()].some(player => player.node === node)) return;
+        try {
+            await this.riffy.migrate(node);
+        } catch (e) {
+            console.error(`[Music] Could not move players off Lavalink node "${nodeName}":`, e.message);
+        }
     }
 
     setupVoiceStateUpdate() {
@@ -319,6 +499,12 @@ class MusicPlayer {
         // Node connected
         this.riffy.on('nodeConnect', (node) => {
             console.log(`[Music] Lavalink node "${node.name}" connected.`);
+            if (!this.restoredOnStartup) {
+                this.restoredOnStartup = true;
+                this.restoreAll();
+            } else if (this.downNodes.has(node.name)) {
+                this.resumeNodePlayers(node);
+            }
         });
 
         // Node error
@@ -326,13 +512,33 @@ class MusicPlayer {
             console.error(`[Music] Lavalink node "${node.name}" error:`, error);
         });
 
-        // Node disconnect — Riffy handles auto-reconnect internally; just log
+        // Node disconnect — Riffy moves its players to another node (if any) and reconnects it
         this.riffy.on('nodeDisconnect', (node) => {
-            console.warn(`[Music] Lavalink node "${node.name}" disconnected. Riffy will auto-reconnect.`);
+            console.warn(`[Music] Lavalink node "${node.name}" disconnected. Moving its players and reconnecting.`);
+            if (!this.downNodes.has(node.name)) {
+                this.downNodes.set(node.name, node.sessionId);
+                // Keep the positions from right before the node went away
+                for (const player of this.riffy.players.values()) {
+                    if (player.node === node) this.saveSnapshot(player.guildId);
+                }
+            }
+        });
+
+        this.riffy.on('playerMigrated', (player, oldNode, newNode) => {
+            console.log(`[Music] Moved player for guild ${player.guildId} from "${oldNode.name}" to "${newNode.name}".`);
+            this.scheduleSnapshot(player.guildId);
+        });
+
+        this.riffy.on('playerMigrationFailed', (player, error) => {
+            console.warn(`[Music] Could not move player for guild ${player.guildId}: ${error.message}`);
         });
 
         // Track start
         this.riffy.on('trackStart', async (player, track) => {
+            await this.applyPendingRestore(player, track);
+            this.recordRecentTrack(player.guildId, track);
+            this.scheduleSnapshot(player.guildId);
+
             const channel = this.client.channels.cache.get(player.textChannel);
             if (!channel) return;
 
@@ -353,13 +559,21 @@ class MusicPlayer {
 
         // Queue end
         this.riffy.on('queueEnd', async (player) => {
+            let autoplayError = null;
+            if (this.autoplay.has(player.guildId)) {
+                const result = await this.continueAutoplay(player);
+                if (result.success) return;
+                autoplayError = result.error;
+            }
+
+            this.discardSnapshot(player.guildId);
             const channel = this.client.channels.cache.get(player.textChannel);
             if (!channel) return;
 
             const embed = new EmbedBuilder()
                 .setColor(0xFFA500)
                 .setTitle('🎵 播放完畢')
-                .setDescription('隊列中的所有歌曲都已播放完畢！');
+                .setDescription(`隊列中的所有歌曲都已播放完畢！${autoplayError ? `\n📻 ${autoplayError}` : ''}`);
 
             try {
                 await channel.send({ embeds: [embed] });
@@ -393,6 +607,15 @@ class MusicPlayer {
                 await channel.send({ embeds: [embed] }).catch(() => { });
             }
         });
+
+        // A track that failed to load ends without queueEnd; with autoplay on, go on to another related track
+        this.riffy.on('trackEnd', (player, track, payload) => {
+            const failed = ['loadfailed', 'cleanup'].includes(String(payload?.reason).replace('_', '').toLowerCase());
+            if (failed && player.queue.length === 0 && this.autoplay.has(player.guildId)) {
+                this.recordRecentTrack(player.guildId, track);
+                this.riffy.emit('queueEnd', player);
+            }
+        });
     }
 
     createNowPlayingEmbed(track, player) {
@@ -401,7 +624,7 @@ class MusicPlayer {
         const total = info.length || 0;
         const progressBar = createProgressBar(current, total);
 
-        const loopMode = loopModeNames[player.loop] || '關閉';
+        const loopMode = `${loopModeNames[player.loop] || '關閉'}${this.autoplay.has(player.guildId) ? ' · 📻 自動播放' : ''}`;
         const isPaused = player.paused;
 
         const embed = new EmbedBuilder()
@@ -462,7 +685,16 @@ class MusicPlayer {
                     .setStyle(ButtonStyle.Danger)
             );
 
-        return [row];
+        const extraRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('music_lyrics')
+                    .setLabel('歌詞')
+                    .setEmoji('📝')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        return [row, extraRow];
     }
 
     createQueueEmbed(player, page = 1, itemsPerPage = 10) {
@@ -498,6 +730,42 @@ class MusicPlayer {
         return embed;
     }
 
+    createPlaylistEmbed(playlist, page = 1, itemsPerPage = 15) {
+        const tracks = playlist.tracks;
+        const totalPages = Math.ceil(tracks.length / itemsPerPage) || 1;
+        page = Math.max(1, Math.min(page, totalPages));
+
+        const start = (page - 1) * itemsPerPage;
+        const list = tracks.slice(start, start + itemsPerPage).map((track, i) => {
+            const title = truncateString(track.info.title, 40);
+            const line = track.info.uri ? `[${title}](${track.info.uri})` : `${title} - ${truncateString(track.info.author, 25)}`;
+            return `\`${start + i + 1}.\` ${line}${track.info.length ? ` - \`${formatTime(track.info.length)}\`` : ''}`;
+        }).join('\n');
+        const totalDuration = tracks.reduce((acc, t) => acc + (t.info.length || 0), 0);
+
+        return new EmbedBuilder()
+            .setColor(0x7289DA)
+            .setTitle(`📁 ${truncateString(playlist.name, 60)}`)
+            .setDescription(list || '播放清單中還沒有歌曲')
+            .setFooter({
+                text: `第 ${page}/${totalPages} 頁 | ${tracks.length} 首歌 | 總時長: ${formatTime(totalDuration)}${playlist.shared ? ' | 已分享' : ''}`
+            });
+    }
+
+    createPlaylistListEmbed(ownPlaylists, guildPlaylists) {
+        const listNames = list => list.length > 0
+            ? list.map(playlist => `**${truncateString(playlist.name, 40)}** (${playlist.tracks.length} 首歌)${playlist.shared ? ' 🔗' : ''}`).join('\n')
+            : '還沒有播放清單';
+
+        return new EmbedBuilder()
+            .setColor(0x7289DA)
+            .setTitle('📁 播放清單')
+            .addFields(
+                { name: '我的播放清單', value: listNames(ownPlaylists), inline: false },
+                { name: '伺服器播放清單', value: listNames(guildPlaylists), inline: false }
+            );
+    }
+
     createQueueButtons(page, totalPages) {
         return new ActionRowBuilder()
             .addComponents(
@@ -516,25 +784,453 @@ class MusicPlayer {
             );
     }
 
+    // Which lyrics page to show and the line being sung (-1 if none); without a page, the one with that line
+    getLyricsPage(track, lyrics, player, page = null) {
+        const current = player?.current === track ? findCurrentLine(lyrics, player.position || 0) : -1;
+        const totalPages = Math.ceil(lyrics.lines.length / LYRICS_LINES_PER_PAGE) || 1;
+        if (page === null) page = current >= 0 ? Math.floor(current / LYRICS_LINES_PER_PAGE) + 1 : 1;
+        return { page: Math.max(1, Math.min(page, totalPages)), totalPages, current };
+    }
+
+    // A page of lyrics, with the line being sung highlighted
+    createLyricsEmbed(track, lyrics, player, page = null) {
+        const { current, totalPages, page: shownPage } = this.getLyricsPage(track, lyrics, player, page);
+
+        const start = (shownPage - 1) * LYRICS_LINES_PER_PAGE;
+        const text = lyrics.lines.slice(start, start + LYRICS_LINES_PER_PAGE).map((line, i) => {
+            const shown = line ? truncateString(line, 200) : '♪';
+            return start + i === current ? `**▶ ${shown}**` : shown;
+        }).join('\n');
+
+        const embed = new EmbedBuilder()
+            .setColor(0xFF69B4)
+            .setAuthor({ name: '📝 歌詞' })
+            .setTitle(truncateString(track.info.title, 60))
+            .setURL(track.info.uri)
+            .setDescription(text.slice(0, 4096))
+            .setFooter({
+                text: `第 ${shownPage}/${totalPages} 頁 | ${lyrics.synced ? '同步歌詞' : '歌詞'} | 來源: ${lyrics.source}`
+            });
+
+        if (current >= 0) {
+            embed.addFields({
+                name: `🎤 ${formatTime(player.position || 0)}`,
+                value: lyrics.lines[current] ? truncateString(lyrics.lines[current], 200) : '♪',
+                inline: false
+            });
+        }
+        return embed;
+    }
+
+    // The page buttons carry the track's identifier, so a button on an old lyrics message doesn't page the next song
+    createLyricsButtons(track, page, totalPages, synced) {
+        const trackId = String(track.info.identifier || '').slice(0, 80);
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`music_lyrics_prev:${trackId}`)
+                    .setLabel('上一頁')
+                    .setEmoji('◀️')
+                    .setStyle(ButtonStyle.Primary)
+                    .setDisabled(page <= 1),
+                new ButtonBuilder()
+                    .setCustomId(`music_lyrics_next:${trackId}`)
+                    .setLabel('下一頁')
+                    .setEmoji('▶️')
+                    .setStyle(ButtonStyle.Primary)
+                    .setDisabled(page >= totalPages)
+            );
+        if (synced) {
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`music_lyrics_now:${trackId}`)
+                    .setLabel('目前歌詞')
+                    .setEmoji('🎤')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+        }
+        return row;
+    }
+
+    // Embed and buttons for a lyrics message
+    createLyricsMessage(track, lyrics, player, page = null) {
+        const shown = this.getLyricsPage(track, lyrics, player, page);
+        return {
+            embeds: [this.createLyricsEmbed(track, lyrics, player, shown.page)],
+            components: [this.createLyricsButtons(track, shown.page, shown.totalPages, !!lyrics.synced)]
+        };
+    }
+
+    /**
+     * Lyrics of the track playing in a guild.
+     * @returns {Promise<{ success: boolean, track?: Object, lyrics?: Object, error?: string }>}
+     */
+    async fetchLyrics(guildId) {
+        const player = this.getPlayer(guildId);
+        if (!player || !player.current) return { success: false, error: '目前沒有正在播放的歌曲' };
+
+        const track = player.current;
+        const lyrics = await getLyrics(track.info);
+        if (!lyrics) return { success: false, error: `找不到 **${truncateString(track.info.title, 60)}** 的歌詞` };
+        return { success: true, track, lyrics };
+    }
+
+    /**
+     * Keep a lyrics message on the line being sung until its track ends; `edit` updates the message.
+     * Paging it by hand pauses the updates until its 🎤 button is pressed.
+     */
+    startLiveLyrics(guildId, track, lyrics, messageId, edit) {
+        this.stopLiveLyrics(guildId);
+        if (!lyrics.synced) return;
+
+        const startedAt = Date.now();
+        const live = { timer: null, messageId, paused: false, shownLine: null };
+        const finish = () => {
+            clearInterval(live.timer);
+            if (this.liveLyrics.get(guildId) === live) this.liveLyrics.delete(guildId);
+        };
+        live.timer = setInterval(async () => {
+            const player = this.getPlayer(guildId);
+            if (!player || player.current !== track || Date.now() - startedAt > LYRICS_LIVE_MAX_MS) {
+                finish();
+                return;
+            }
+            const line = findCurrentLine(lyrics, player.position || 0);
+            if (live.paused || player.paused || line === live.shownLine) return;
+            live.shownLine = line;
+            try {
+                await edit(this.createLyricsMessage(track, lyrics, player));
+            } catch (e) {
+                // The message was deleted or can no longer be edited
+                finish();
+            }
+        }, LYRICS_LIVE_INTERVAL_MS);
+        this.liveLyrics.set(guildId, live);
+    }
+
+    stopLiveLyrics(guildId) {
+        const live = this.liveLyrics.get(guildId);
+        if (live) clearInterval(live.timer);
+        this.liveLyrics.delete(guildId);
+    }
+
+    // Lyrics button on the now playing message, and the lyrics message's own page buttons
+    async handleLyricsButton(interaction) {
+        const guildId = interaction.guildId;
+        const [action, trackId] = interaction.customId.split(':');
+        const isNewMessage = action === 'music_lyrics';
+
+        let page = null;
+        if (action === 'music_lyrics_prev' || action === 'music_lyrics_next') {
+            const match = interaction.message.embeds[0]?.footer?.text?.match(/第 (\d+)\/(\d+) 頁/);
+            if (match) {
+                page = parseInt(match[1]) + (action === 'music_lyrics_prev' ? -1 : 1);
+            }
+        }
+
+        if (isNewMessage) {
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        } else {
+            await interaction.deferUpdate();
+            const current = this.getPlayer(guildId)?.current;
+            if (!current || String(current.info.identifier || '').slice(0, 80) !== trackId) {
+                await interaction.followUp({ content: '❌ 這首歌已經播完了，請重新查看歌詞', flags: MessageFlags.Ephemeral });
+                return true;
+            }
+            // Paging a live message by hand pauses its updates; 🎤 goes back to following the song
+            const live = this.liveLyrics.get(guildId);
+            if (live && live.messageId === interaction.message.id) {
+                live.paused = action !== 'music_lyrics_now';
+                live.shownLine = null;
+            }
+        }
+
+        const result = await this.fetchLyrics(guildId);
+        if (!result.success) {
+            if (isNewMessage) {
+                await interaction.editReply(`❌ ${result.error}`);
+            } else {
+                await interaction.followUp({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+            }
+            return true;
+        }
+
+        await interaction.editReply(this.createLyricsMessage(result.track, result.lyrics, this.getPlayer(guildId), page));
+        return true;
+    }
+
     // Get player for a guild
     getPlayer(guildId) {
         return this.riffy.players.get(guildId);
     }
 
+    // Snapshot a guild's queue shortly, so a burst of changes is saved once
+    scheduleSnapshot(guildId) {
+        if (!isPersistent()) return;
+        clearTimeout(this.snapshotTimers.get(guildId));
+        this.snapshotTimers.set(guildId, setTimeout(() => {
+            this.snapshotTimers.delete(guildId);
+            this.saveSnapshot(guildId);
+        }, SNAPSHOT_DELAY_MS));
+    }
+
+    // Save the queue, current track, position, volume, loop mode and filter of a guild
+    async saveSnapshot(guildId) {
+        const player = this.getPlayer(guildId);
+        if (!isPersistent() || !player || !player.current || this.pendingRestores.has(guildId)) return;
+
+        await db.saveMusicQueue(guildId, {
+            voiceChannelId: player.voiceChannel,
+            textChannelId: player.textChannel,
+            current: serializeTrack(player.current),
+            queue: Array.from(player.queue, serializeTrack),
+            position: player.position || 0,
+            volume: player.volume,
+            loop: player.loop,
+            paused: player.paused,
+            filter: this.activeFilters.get(guildId) || null,
+            autoplay: this.autoplay.get(guildId)?.source || null
+        });
+    }
+
+    // Forget a guild's snapshot once its music was stopped or ran out
+    discardSnapshot(guildId) {
+        clearTimeout(this.snapshotTimers.get(guildId));
+        this.snapshotTimers.delete(guildId);
+        this.activeFilters.delete(guildId);
+        this.autoplay.delete(guildId);
+        this.recentTracks.delete(guildId);
+        this.stopLiveLyrics(guildId);
+        if (isPersistent()) {
+            db.deleteMusicQueue(guildId);
+        }
+    }
+
+    /**
+     * Rebuild a guild's player from its saved snapshot: rejoin the voice channel, refill the queue and
+     * continue the current track where it was.
+     * @returns {Promise<{ success: boolean, count?: number, track?: Object, error?: string }>}
+     */
+    async restore(guildId, voiceChannelId = null, textChannelId = null) {
+        if (!isPersistent()) return { success: false, error: '沒有設定 MongoDB，無法保存或恢復隊列' };
+
+        const existing = this.getPlayer(guildId);
+        if (existing && existing.current) return { success: false, error: '目前已經在播放音樂了' };
+
+        const snapshot = await db.loadMusicQueue(guildId);
+        if (!snapshot || !snapshot.current) return { success: false, error: '沒有可以恢復的隊列' };
+
+        const guild = this.client.guilds.cache.get(guildId);
+        const voiceChannel = guild?.channels.cache.get(voiceChannelId || snapshot.voiceChannelId);
+        if (!voiceChannel) return { success: false, error: '找不到原本的語音頻道' };
+
+        try {
+            const player = this.createPlayer(guildId, voiceChannel, textChannelId || snapshot.textChannelId);
+
+            const tracks = [snapshot.current, ...(snapshot.queue || [])].map(data => deserializeTrack(data, player.node));
+            for (const track of tracks) {
+                player.queue.add(track);
+            }
+            player.setVolume(snapshot.volume ?? 100);
+            if (['none', 'track', 'queue'].includes(snapshot.loop)) {
+                player.setLoop(snapshot.loop);
+            }
+            if (snapshot.autoplay) {
+                this.autoplay.set(guildId, { source: snapshot.autoplay, lastActivity: Date.now() });
+            }
+
+            this.pendingRestores.set(guildId, {
+                position: snapshot.position || 0,
+                paused: snapshot.paused,
+                filter: snapshot.filter
+            });
+            await player.play();
+            return { success: true, count: tracks.length, track: tracks[0] };
+        } catch (error) {
+            console.error(`[Music] Error restoring queue for guild ${guildId}:`, error.message);
+            this.pendingRestores.delete(guildId);
+            // Leave again, but keep the snapshot so it can be tried later
+            const player = this.getPlayer(guildId);
+            if (player && !player.current) player.destroy();
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Seek, pause and re-apply the filter once a restored track has started on Lavalink
+    async applyPendingRestore(player, track) {
+        const pending = this.pendingRestores.get(player.guildId);
+        if (!pending) return;
+        this.pendingRestores.delete(player.guildId);
+
+        if (pending.position > 0 && track.info.seekable) {
+            player.seek(pending.position);
+        }
+        if (pending.filter) {
+            await this.setFilter(player.guildId, pending.filter);
+        }
+        if (pending.paused) {
+            player.pause(true);
+        }
+    }
+
+    // Resume every saved queue after a restart
+    async restoreAll() {
+        if (!isPersistent()) return;
+        const snapshots = await db.loadAllMusicQueues();
+        for (const snapshot of snapshots || []) {
+            if (!this.client.guilds.cache.has(snapshot.guildId)) continue;
+            const result = await this.restore(snapshot.guildId);
+            console.log(`[Music] Restoring queue for guild ${snapshot.guildId}: ${result.success ? `${result.count} tracks` : result.error}`);
+            if (result.success) {
+                await this.announceRestore(snapshot.textChannelId, result.count);
+            }
+        }
+    }
+
+    // A node that came back with a new session has lost its players; rebuild them from their snapshots
+    async resumeNodePlayers(node) {
+        const previousSession = this.downNodes.get(node.name);
+        this.downNodes.delete(node.name);
+        if (!isPersistent() || (previousSession && previousSession === node.sessionId)) return;
+
+        const stalePlayers = [...this.riffy.players.values()].filter(player => player.node === node);
+        for (const player of stalePlayers) {
+            const { guildId, voiceChannel, textChannel } = player;
+            // Drop the dead player without leaving the voice channel or announcing it
+            player.removeAllListeners();
+            this.riffy.players.delete(guildId);
+
+            const result = await this.restore(guildId, voiceChannel, textChannel);
+            console.log(`[Music] Resuming guild ${guildId} after node reconnect: ${result.success ? `${result.count} tracks` : result.error}`);
+            if (result.success) {
+                await this.announceRestore(textChannel, result.count);
+            }
+        }
+    }
+
+    /**
+     * Turn autoplay on or off; with no `enabled` it is toggled, with no `source` the current one is kept.
+     * When the queue runs out, autoplay queues a track related to the last one instead of leaving.
+     * @returns {{ success: boolean, enabled?: boolean, source?: string, error?: string }}
+     */
+    setAutoplay(guildId, enabled = null, source = null) {
+        const player = this.getPlayer(guildId);
+        if (!player) return { success: false, error: '沒有正在播放的音樂' };
+
+        const current = this.autoplay.get(guildId);
+        if (enabled === null) enabled = !current;
+        if (!enabled) {
+            this.autoplay.delete(guildId);
+            this.scheduleSnapshot(guildId);
+            return { success: true, enabled: false };
+        }
+
+        source = source || current?.source || 'youtube';
+        if (source === 'spotify' && (!process.env.SPOTIFY_CLIENT_ID || !process.env.SPOTIFY_CLIENT_SECRET)) {
+            return { success: false, error: '沒有設定 Spotify API，請改用 YouTube 來源' };
+        }
+        this.autoplay.set(guildId, { source, lastActivity: Date.now() });
+        this.scheduleSnapshot(guildId);
+        return { success: true, enabled: true, source };
+    }
+
+    // Someone added music, so autoplay's idle time starts over
+    noteActivity(guildId) {
+        const state = this.autoplay.get(guildId);
+        if (state) state.lastActivity = Date.now();
+    }
+
+    recordRecentTrack(guildId, track) {
+        const recent = this.recentTracks.get(guildId) || [];
+        recent.push({ identifier: track.info.identifier, key: songKey(track.info) });
+        this.recentTracks.set(guildId, recent.slice(-RECENT_TRACKS_LIMIT));
+    }
+
+    // Whether a candidate is one of the recently played tracks, or another upload of the song that just ended
+    isRecentTrack(guildId, track, seedKey) {
+        const key = songKey(track.info);
+        const recent = this.recentTracks.get(guildId) || [];
+        if (recent.some(entry => entry.identifier === track.info.identifier || (key && entry.key === key))) return true;
+        return !!key && !!seedKey && (key.includes(seedKey) || seedKey.includes(key));
+    }
+
+    // Tracks related to the seed: Spotify recommendations searched on YouTube, or a YouTube search for its artist and title
+    async findRelatedTracks(guildId, seed, source) {
+        const seedKey = songKey(seed.info);
+        const accept = track => !track.info.isStream && !this.isRecentTrack(guildId, track, seedKey);
+
+        if (source === 'spotify') {
+            const queries = await getSpotifyRecommendations(seed.info);
+            for (const query of queries.slice(0, 10)) {
+                const res = await this.riffy.resolve({ query: query, requester: AUTOPLAY_REQUESTER });
+                const track = (res.tracks || []).slice(0, 3).find(accept);
+                if (track) return track;
+            }
+        }
+
+        for (const query of [`${seed.info.author} ${seed.info.title}`, seed.info.author]) {
+            if (!query || !query.trim()) continue;
+            const res = await this.riffy.resolve({ query: query, requester: AUTOPLAY_REQUESTER });
+            const track = (res.tracks || []).find(accept);
+            if (track) return track;
+        }
+        return null;
+    }
+
+    /**
+     * Keep the music going once the queue ran out: play a track related to the last one, unless nobody
+     * has added music for a while or nobody is listening any more (then autoplay turns off).
+     * @returns {Promise<{ success: boolean, track?: Object, error?: string }>}
+     */
+    async continueAutoplay(player) {
+        const guildId = player.guildId;
+        const state = this.autoplay.get(guildId);
+        if (!state) return { success: false };
+
+        if (Date.now() - state.lastActivity > AUTOPLAY_IDLE_MS) {
+            this.autoplay.delete(guildId);
+            return { success: false, error: `已經 ${AUTOPLAY_IDLE_MS / 60000} 分鐘沒有人點歌，自動播放已停止` };
+        }
+        const voiceChannel = this.client.channels.cache.get(player.voiceChannel);
+        if (voiceChannel && !voiceChannel.members.some(member => !member.user.bot)) {
+            this.autoplay.delete(guildId);
+            return { success: false, error: '語音頻道裡沒有人了，自動播放已停止' };
+        }
+
+        const seed = player.previous;
+        if (!seed) return { success: false, error: '沒有可以參考的歌曲，自動播放已停止' };
+
+        try {
+            const track = await this.findRelatedTracks(guildId, seed, state.source);
+            if (!track || this.getPlayer(guildId) !== player) {
+                return { success: false, error: '找不到相關的歌曲，自動播放已停止' };
+            }
+            track.info.requester = AUTOPLAY_REQUESTER;
+            player.queue.add(track);
+            player.play();
+            return { success: true, track };
+        } catch (error) {
+            console.error(`[Music] Autoplay failed for guild ${guildId}:`, error.message);
+            return { success: false, error: '找不到相關的歌曲，自動播放已停止' };
+        }
+    }
+
+    async announceRestore(textChannelId, count) {
+        const channel = this.client.channels.cache.get(textChannelId);
+        if (!channel) return;
+        const embed = new EmbedBuilder()
+            .setColor(0x57F287)
+            .setTitle('🔄 已恢復播放')
+            .setDescription(`已恢復上次的播放隊列（${count} 首歌），從中斷的地方繼續播放！`);
+        await channel.send({ embeds: [embed], flags: MessageFlags.SuppressNotifications }).catch(() => { });
+    }
+
     // Play a song
     async play(voiceChannel, textChannel, query, member) {
         try {
             // Create or get player
-            let player = this.getPlayer(voiceChannel.guild.id);
-
-            if (!player) {
-                player = this.riffy.createConnection({
-                    guildId: voiceChannel.guild.id,
-                    voiceChannel: voiceChannel.id,
-                    textChannel: textChannel.id,
-                    deaf: true
-                });
-            }
+            const player = this.createPlayer(voiceChannel.guild.id, voiceChannel, textChannel.id);
+            this.noteActivity(voiceChannel.guild.id);
 
             // Intercept Spotify URLs and convert them to YouTube search queries
             if (query.includes('open.spotify.com/')) {
@@ -675,6 +1371,7 @@ class MusicPlayer {
                             await textChannel.send({ content: `✅ Spotify 播放清單 **${playlistName}** 中的 ${tracks.length} 首歌已全部解析並加入隊列！` });
                         })();
 
+                        this.scheduleSnapshot(voiceChannel.guild.id);
                         return {
                             success: true,
                             type: 'playlist',
@@ -718,6 +1415,7 @@ class MusicPlayer {
                     player.play();
                 }
 
+                this.scheduleSnapshot(voiceChannel.guild.id);
                 return {
                     success: true,
                     type: 'playlist',
@@ -733,6 +1431,7 @@ class MusicPlayer {
                     player.play();
                 }
 
+                this.scheduleSnapshot(voiceChannel.guild.id);
                 return {
                     success: true,
                     type: 'track',
@@ -745,6 +1444,102 @@ class MusicPlayer {
         }
     }
 
+    // The current track and queue of a guild, as playlist tracks
+    getQueueTracks(guildId) {
+        const player = this.getPlayer(guildId);
+        if (!player || !player.current) return [];
+        return [player.current, ...player.queue].map(toPlaylistTrack);
+    }
+
+    /**
+     * Find tracks to save in a playlist: a Spotify playlist/album link imports all of its tracks
+     * (searched when played), a YouTube playlist all of its videos, anything else the first search result.
+     * @returns {Promise<{ success: boolean, tracks?: Object[], name?: string, error?: string }>}
+     */
+    async findTracks(query) {
+        try {
+            const spotify = await fetchSpotifyCollection(query);
+            if (spotify) {
+                if (spotify.tracks.length === 0) return { success: false, error: 'Spotify 播放清單中沒有任何歌曲' };
+                return {
+                    success: true,
+                    name: spotify.name,
+                    tracks: spotify.tracks.map(track => ({
+                        encoded: null,
+                        info: { title: parseTrackName(track), author: parseArtists(track), length: 0, isSeekable: true, isStream: false }
+                    }))
+                };
+            }
+
+            if ((query.includes('youtube.com/watch') || query.includes('youtu.be/')) && !query.includes('music.youtube.com')) {
+                query = extractYoutubeVideoId(query) || query;
+            }
+            const { loadType, tracks, playlistInfo } = await this.riffy.resolve({ query: query });
+            if (loadType === 'empty' || loadType === 'error' || !tracks || tracks.length === 0) {
+                return { success: false, error: '找不到任何結果' };
+            }
+            return loadType === 'playlist'
+                ? { success: true, name: playlistInfo.name, tracks: tracks.map(toPlaylistTrack) }
+                : { success: true, tracks: [toPlaylistTrack(tracks[0])] };
+        } catch (error) {
+            console.error('[Music Find Tracks Error]', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Play a saved playlist: saved tracks are queued as they are, Spotify imports are searched first
+    async playTracks(voiceChannel, textChannel, entries, member, name) {
+        if (!entries || entries.length === 0) return { success: false, error: '播放清單中沒有任何歌曲' };
+
+        try {
+            const guildId = voiceChannel.guild.id;
+            const player = this.createPlayer(guildId, voiceChannel, textChannel.id);
+            this.noteActivity(guildId);
+
+            const resolveEntry = async (entry) => {
+                if (entry.encoded) return deserializeTrack(entry, player.node, member);
+                const res = await this.riffy.resolve({ query: `${entry.info.author} - ${entry.info.title}`, requester: member });
+                if (res.loadType === 'empty' || res.loadType === 'error' || !res.tracks || res.tracks.length === 0) return null;
+                const track = res.tracks[0];
+                track.info.requester = member;
+                return track;
+            };
+
+            // Start with the first track that can be played, then queue the rest in the background
+            let index = 0;
+            let first = null;
+            while (!first && index < entries.length) {
+                first = await resolveEntry(entries[index++]);
+            }
+            if (!first) return { success: false, error: '播放清單中的歌曲都找不到了' };
+
+            player.queue.add(first);
+            if (!player.playing && !player.paused) {
+                player.play();
+            }
+
+            (async () => {
+                for (; index < entries.length; index++) {
+                    if (this.getPlayer(guildId) !== player) return;
+                    try {
+                        const track = await resolveEntry(entries[index]);
+                        if (track) player.queue.add(track);
+                    } catch (err) {
+                        console.error('[Music Playlist Queue Add Error]', err);
+                    }
+                    if (!entries[index].encoded) await new Promise(r => setTimeout(r, 500));
+                }
+                this.scheduleSnapshot(guildId);
+            })();
+
+            this.scheduleSnapshot(guildId);
+            return { success: true, type: 'playlist', name: name, count: entries.length };
+        } catch (error) {
+            console.error('[Music Play Playlist Error]', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Pause playback
     pause(guildId) {
         const player = this.getPlayer(guildId);
@@ -752,6 +1547,7 @@ class MusicPlayer {
         if (player.paused) return { success: false, error: '音樂已經暫停了' };
 
         player.pause(true);
+        this.scheduleSnapshot(guildId);
         return { success: true };
     }
 
@@ -762,6 +1558,7 @@ class MusicPlayer {
         if (!player.paused) return { success: false, error: '音樂正在播放中' };
 
         player.pause(false);
+        this.scheduleSnapshot(guildId);
         return { success: true };
     }
 
@@ -770,7 +1567,7 @@ class MusicPlayer {
         const player = this.getPlayer(guildId);
         if (!player) return { success: false, error: '沒有正在播放的音樂' };
 
-        if (player.queue.length === 0) {
+        if (player.queue.length === 0 && !this.autoplay.has(guildId)) {
             player.stop();
             return { success: true, message: '隊列已清空，停止播放' };
         }
@@ -785,6 +1582,7 @@ class MusicPlayer {
         if (!player) return { success: false, error: '沒有正在播放的音樂' };
 
         player.destroy();
+        this.discardSnapshot(guildId);
         return { success: true };
     }
 
@@ -795,6 +1593,7 @@ class MusicPlayer {
 
         volume = Math.max(0, Math.min(200, volume));
         player.setVolume(volume);
+        this.scheduleSnapshot(guildId);
         return { success: true, volume: volume };
     }
 
@@ -805,6 +1604,7 @@ class MusicPlayer {
         if (!player.current) return { success: false, error: '沒有正在播放的歌曲' };
 
         player.seek(ms);
+        this.scheduleSnapshot(guildId);
         return { success: true };
     }
 
@@ -815,6 +1615,7 @@ class MusicPlayer {
         if (player.queue.length < 2) return { success: false, error: '隊列中歌曲不足，無法隨機播放' };
 
         player.queue.shuffle();
+        this.scheduleSnapshot(guildId);
         return { success: true };
     }
 
@@ -824,6 +1625,7 @@ class MusicPlayer {
         if (!player) return { success: false, error: '沒有正在播放的音樂' };
 
         player.setLoop(mode);
+        this.scheduleSnapshot(guildId);
         return { success: true, mode: loopModeNames[mode] || mode };
     }
 
@@ -837,6 +1639,7 @@ class MusicPlayer {
         const newMode = modes[(currentIndex + 1) % 3];
 
         player.setLoop(newMode);
+        this.scheduleSnapshot(guildId);
         return { success: true, mode: loopModeNames[newMode] };
     }
 
@@ -849,6 +1652,7 @@ class MusicPlayer {
         }
 
         const removed = player.queue.remove(position - 1);
+        this.scheduleSnapshot(guildId);
         return { success: true, track: removed };
     }
 
@@ -858,6 +1662,7 @@ class MusicPlayer {
         if (!player) return { success: false, error: '沒有正在播放的音樂' };
 
         player.queue.clear();
+        this.scheduleSnapshot(guildId);
         return { success: true };
     }
 
@@ -896,12 +1701,16 @@ class MusicPlayer {
                     guildId: guildId,
                     data: { filters: {} }
                 });
+                this.activeFilters.delete(guildId);
+                this.scheduleSnapshot(guildId);
                 return { success: true, message: '已關閉所有濾鏡' };
             } else {
                 await player.node.rest.updatePlayer({
                     guildId: guildId,
                     data: { filters: filter }
                 });
+                this.activeFilters.set(guildId, filterName);
+                this.scheduleSnapshot(guildId);
                 return { success: true, message: `已啟用 ${filterName} 濾鏡` };
             }
         } catch (error) {
@@ -941,6 +1750,11 @@ class MusicPlayer {
 
         if (!customId.startsWith('music_')) return false;
 
+        // Lyrics can be read without being in the voice channel
+        if (customId === 'music_lyrics' || customId.startsWith('music_lyrics_')) {
+            return this.handleLyricsButton(interaction);
+        }
+
         // Handle queue pagination buttons first (no voice channel requirement)
         if (customId === 'music_queue_prev' || customId === 'music_queue_next') {
             const player = this.getPlayer(guildId);
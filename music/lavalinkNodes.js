@@ -0,0 +1,117 @@
+/**
+ * lavalinkNodes.js - Lavalink node list and node selection for Setsuna
+ * Nodes come from LAVALINK_NODES (a JSON array) or the JSON file named by LAVALINK_NODES_FILE, each with
+ * an optional region and priority; without either, the single node from LAVALINK_HOST is used.
+ * New players go to the healthy node in the voice channel's region with the best (lowest) priority
+ * and the least load, as reported by each node's /stats.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 自動偵測內部/公開網路進行最安全的配置
+function isInternalHost(host) {
+    return host.includes('railway.internal') || host.includes('localhost') || host === '127.0.0.1';
+}
+
+// Fills in a node's defaults: internal hosts use 8080 without TLS, public ones 443 with TLS (WSS)
+function normalizeNode(node, index) {
+    const host = node.host || '127.0.0.1';
+    const isInternal = isInternalHost(host);
+    const region = node.region ? String(node.region).toLowerCase() : null;
+    return {
+        name: node.name || `Lavalink-${index + 1}`,
+        host: host,
+        port: Number(node.port) || (isInternal ? 8080 : 443),
+        password: node.password || process.env.LAVALINK_PASSWORD || 'youshallnotpass',
+        secure: typeof node.secure === 'boolean' ? node.secure : !isInternal,
+        region: region,
+        regions: region ? [region] : undefined,  // Riffy's own region lookup
+        priority: Number(node.priority) || 0
+    };
+}
+
+function readNodeList() {
+    if (process.env.LAVALINK_NODES) {
+        return JSON.parse(process.env.LAVALINK_NODES);
+    }
+    if (process.env.LAVALINK_NODES_FILE) {
+        const file = path.resolve(process.env.LAVALINK_NODES_FILE);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return null;
+}
+
+// The configured nodes; falls back to LAVALINK_HOST when the list is missing or can't be read
+function loadNodeConfigs() {
+    let nodes = null;
+    try {
+        nodes = readNodeList();
+    } catch (e) {
+        console.error('[Music] Failed to read the Lavalink node list, using LAVALINK_HOST:', e.message);
+    }
+    if (!Array.isArray(nodes) || nodes.length === 0) {
+        nodes = [{ name: 'Railway-Lavalink', host: process.env.LAVALINK_HOST || '127.0.0.1' }];
+    }
+
+    const configs = nodes.map(normalizeNode);
+    const names = new Set();
+    for (const node of configs) {
+        if (names.has(node.name)) node.name = `${node.name}-${node.port}`;
+        names.add(node.name);
+    }
+    return configs;
+}
+
+// Fetch a node's /stats; null when it doesn't answer
+async function fetchNodeStats(node) {
+    const proto = node.secure ? 'https' : 'http';
+    const fetchAgent = globalThis.fetch || require('node-fetch');
+    try {
+        const res = await fetchAgent(`${proto}://${node.host}:${node.port}/v4/stats`, {
+            headers: { 'Authorization': node.password },
+            signal: AbortSignal.timeout(8000)
+        });
+        return res.ok ? await res.json() : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Same weighting as Riffy's node penalties: players, CPU load and lost audio frames
+function calculateLoad(stats) {
+    if (!stats) return Infinity;
+    let load = stats.playingPlayers ?? stats.players ?? 0;
+    if (stats.cpu && stats.cpu.systemLoad) {
+        load += Math.round(Math.pow(1.05, 100 * stats.cpu.systemLoad) * 10 - 10);
+    }
+    if (stats.frameStats) {
+        load += (stats.frameStats.deficit || 0) + (stats.frameStats.nulled || 0) * 2;
+    }
+    return load;
+}
+
+/**
+ * Picks the node for a player out of the candidates: one in the region if any, then the best
+ * priority, then the least load.
+ *
+ * @param {Array<Object>} candidates - Riffy nodes that are connected and healthy
+ * @param {Map<string, Object>} configs - Node name -> normalized config
+ * @param {Map<string, number>} loads - Node name -> load from its last /stats
+ * @param {string|null} region - The voice channel's region, if it has one
+ */
+function pickNode(candidates, configs, loads, region) {
+    const inRegion = region ? candidates.filter(node => configs.get(node.name)?.region === region) : [];
+    const pool = inRegion.length > 0 ? inRegion : candidates;
+    return pool
+        .slice()
+        .sort((a, b) => (configs.get(a.name)?.priority ?? 0) - (configs.get(b.name)?.priority ?? 0)
+            || (loads.get(a.name) ?? a.penalties) - (loads.get(b.name) ?? b.penalties))[0] || null;
+}
+
+module.exports = {
+    loadNodeConfigs,
+    fetchNodeStats,
+    calculateLoad,
+    pickNode
+};
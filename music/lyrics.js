@@ -0,0 +1,183 @@
+/**
+ * lyrics.js - Lyrics lookup for Setsuna
+ * Lyrics come from providers tried in order (LYRICS_PROVIDERS, e.g. "file,lrclib"; by default every
+ * registered one). Built in are LRCLIB, which has LRC-synced lyrics for most songs, and a local
+ * directory of .lrc/.txt files (LYRICS_DIR) named "<artist> - <title>". Other providers can be added
+ * with registerLyricsProvider.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const MAX_CACHED_LYRICS = 100;
+
+const providers = new Map();
+// track identifier -> lyrics (null when every provider answered without any)
+const cache = new Map();
+
+/**
+ * Registers a lyrics provider.
+ *
+ * `fetch(query)` gets `{ artist, title, duration }` (duration in seconds, 0 if unknown) plus the track's
+ * `info`, and resolves to `{ lrc }` (LRC text with timestamps), `{ text }` (plain lyrics) or null.
+ * `label` is shown as the source of the lyrics.
+ */
+function registerLyricsProvider(definition) {
+    if (!definition || !definition.id || typeof definition.fetch !== 'function') {
+        throw new Error('Lyrics provider requires an id and a fetch function');
+    }
+    providers.set(definition.id, { label: definition.id, ...definition });
+}
+
+function getProviderOrder() {
+    const ids = (process.env.LYRICS_PROVIDERS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return ids.length > 0
+        ? ids.map(id => providers.get(id)).filter(Boolean)
+        : Array.from(providers.values());
+}
+
+/**
+ * Parses LRC text into lines sorted by time; lines with several timestamps appear once per timestamp.
+ * @returns {Array<{ time: number, text: string }>} Times in milliseconds
+ */
+function parseLrc(lrc) {
+    const offsetMatch = lrc.match(/^\[offset:\s*([+-]?\d+)\]/im);
+    const offset = offsetMatch ? parseInt(offsetMatch[1], 10) : 0;
+    const lines = [];
+
+    for (const raw of lrc.split(/\r?\n/)) {
+        const stamps = [...raw.matchAll(/\[(\d+):(\d+(?:\.\d+)?)\]/g)];
+        if (stamps.length === 0) continue;
+        const text = raw.replace(/\[\d+:\d+(?:\.\d+)?\]/g, '').trim();
+        for (const [, minutes, seconds] of stamps) {
+            const time = Math.round((parseInt(minutes, 10) * 60 + parseFloat(seconds)) * 1000) - offset;
+            lines.push({ time: Math.max(time, 0), text });
+        }
+    }
+    return lines.sort((a, b) => a.time - b.time);
+}
+
+// Index of the synced line being sung at a position (ms); -1 before the first line or for plain lyrics
+function findCurrentLine(lyrics, position) {
+    if (!lyrics || !lyrics.synced) return -1;
+    return lyrics.synced.findLastIndex(line => line.time <= position);
+}
+
+// Artist and title to search for: YouTube titles are often "Artist - Title (Official Video)"
+function getSearchQuery(info) {
+    let artist = String(info.author || '').replace(/\s*-\s*topic$|vevo$/i, '').trim();
+    let title = String(info.title || '')
+        .replace(/[(\[【].*?[)\]】]/g, '')
+        .replace(/\b(official|music video|lyrics?|audio|mv|hd)\b.*$/i, '')
+        .trim();
+    const parts = title.split(/\s+[-–—|]\s+/);
+    if (parts.length >= 2) {
+        artist = parts[0].trim();
+        title = parts.slice(1).join(' - ').trim();
+    }
+    return { artist, title, duration: Math.round((info.length || 0) / 1000) };
+}
+
+function toLyrics(result, source) {
+    if (!result) return null;
+    if (result.lrc) {
+        const synced = parseLrc(result.lrc);
+        if (synced.length > 0) {
+            return { source, synced, lines: synced.map(line => line.text) };
+        }
+    }
+    const text = result.text || result.lrc;
+    if (!text || !text.trim()) return null;
+    return { source, synced: null, lines: text.replace(/\[\d+:\d+(?:\.\d+)?\]/g, '').trim().split(/\r?\n/) };
+}
+
+/**
+ * Lyrics for a track from the first provider that has them, cached per track.
+ * @returns {Promise<{ source: string, synced: Array<{ time: number, text: string }>|null, lines: string[] }|null>}
+ */
+async function getLyrics(info) {
+    const key = info.identifier || `${info.author} - ${info.title}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const query = getSearchQuery(info);
+    let lyrics = null;
+    let failed = false;
+    for (const provider of getProviderOrder()) {
+        try {
+            lyrics = toLyrics(await provider.fetch({ ...query, info }), provider.label);
+        } catch (error) {
+            failed = true;
+            console.error(`[Lyrics] ${provider.label} failed:`, error.message);
+        }
+        if (lyrics) break;
+    }
+
+    // "No lyrics" is only remembered when every provider actually answered; after an error, try again next time
+    if (!lyrics && failed) return null;
+    if (cache.size >= MAX_CACHED_LYRICS) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, lyrics);
+    return lyrics;
+}
+
+// Letters and digits only, for matching names loosely
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function registerBuiltInLyricsProviders() {
+    // Local .lrc/.txt files named "<artist> - <title>"; also handy as a fixture
+    registerLyricsProvider({
+        id: 'file',
+        label: '本機歌詞',
+        fetch: async ({ artist, title, info }) => {
+            const dir = process.env.LYRICS_DIR;
+            if (!dir || !fs.existsSync(dir)) return null;
+
+            const wanted = normalize(title);
+            const haystack = normalize(`${artist} ${info.author} ${info.title}`);
+            for (const file of fs.readdirSync(dir)) {
+                const ext = path.extname(file).toLowerCase();
+                if (ext !== '.lrc' && ext !== '.txt') continue;
+                const [fileArtist, ...rest] = path.basename(file, ext).split(' - ');
+                const fileTitle = rest.length > 0 ? rest.join(' - ') : fileArtist;
+                if (normalize(fileTitle) !== wanted || (rest.length > 0 && !haystack.includes(normalize(fileArtist)))) continue;
+
+                const content = fs.readFileSync(path.join(dir, file), 'utf8');
+                return ext === '.lrc' ? { lrc: content } : { text: content };
+            }
+            return null;
+        }
+    });
+
+    // https://lrclib.net - free, no key; prefers a result with synced lyrics and about the same length
+    registerLyricsProvider({
+        id: 'lrclib',
+        label: 'LRCLIB',
+        fetch: async ({ artist, title, duration }) => {
+            const response = await axios.get('https://lrclib.net/api/search', {
+                params: artist ? { track_name: title, artist_name: artist } : { q: title },
+                headers: { 'User-Agent': 'Setsuna Discord Bot' },
+                timeout: 8000
+            });
+            const results = (response.data || []).filter(result => !result.instrumental);
+            const closeInLength = result => !duration || !result.duration || Math.abs(result.duration - duration) <= 5;
+            const best = results.find(result => result.syncedLyrics && closeInLength(result))
+                || results.find(result => result.plainLyrics && closeInLength(result))
+                || results.find(result => result.syncedLyrics || result.plainLyrics);
+            if (!best) return null;
+            return best.syncedLyrics ? { lrc: best.syncedLyrics } : { text: best.plainLyrics };
+        }
+    });
+}
+
+registerBuiltInLyricsProviders();
+
+module.exports = {
+    registerLyricsProvider,
+    getLyrics,
+    parseLrc,
+    findCurrentLine
+};
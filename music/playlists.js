@@ -0,0 +1,175 @@
+/**
+ * playlists.js - Saved playlists for Setsuna
+ * A playlist belongs to a user (their own, which they can share) or to a guild (edited by DJ roles).
+ * Tracks are kept the way MusicPlayer snapshots them, so resolved tracks play without a new search;
+ * Spotify imports only have a title and artist and are searched when played.
+ * Kept in MongoDB when MONGODB_URI is set, otherwise in memory only.
+ */
+
+const db = require('../db');
+
+const MAX_PLAYLISTS_PER_OWNER = 25;
+const MAX_TRACKS_PER_PLAYLIST = 500;
+const MAX_NAME_LENGTH = 32;
+
+// owner -> Map(key -> playlist)
+const libraries = new Map();
+const pendingLoads = new Map();
+
+function isPersistent() {
+    return !!process.env.MONGODB_URI;
+}
+
+// 'user' playlists belong to a user wherever they are, 'guild' playlists to the server
+function getPlaylistOwner(scope, { userId, guildId }) {
+    return scope === 'guild' ? `guild:${guildId}` : `user:${userId}`;
+}
+
+// Names are matched case-insensitively
+function toKey(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+async function getLibrary(owner) {
+    if (libraries.has(owner)) {
+        return libraries.get(owner);
+    }
+    if (!pendingLoads.has(owner)) {
+        pendingLoads.set(owner, (async () => {
+            const saved = isPersistent() ? await db.loadPlaylists(owner) : null;
+            libraries.set(owner, new Map((saved || []).map(playlist => [playlist.key, playlist])));
+            pendingLoads.delete(owner);
+            return libraries.get(owner);
+        })());
+    }
+    return pendingLoads.get(owner);
+}
+
+async function savePlaylist(playlist) {
+    playlist.updatedAt = new Date();
+    if (isPersistent()) {
+        await db.savePlaylist(playlist);
+    }
+}
+
+async function listPlaylists(owner) {
+    return Array.from((await getLibrary(owner)).values());
+}
+
+async function getPlaylist(owner, name) {
+    if (!name) return null;
+    return (await getLibrary(owner)).get(toKey(name)) || null;
+}
+
+// Another user's playlist, only if they shared it
+async function getSharedPlaylist(userId, name) {
+    const playlist = await getPlaylist(`user:${userId}`, name);
+    return playlist && playlist.shared ? playlist : null;
+}
+
+/**
+ * Creates a playlist, optionally filled with tracks (e.g. the current queue).
+ * @returns {Promise<{ success: boolean, playlist?: Object, error?: string }>}
+ */
+async function createPlaylist(owner, { name, tracks = [], createdBy }) {
+    const key = toKey(name);
+    if (!key || key.length > MAX_NAME_LENGTH || !/^[\p{L}\p{N} _-]+$/u.test(key)) {
+        return { success: false, error: `名稱只能用文字、數字、空格、- 和 _，最多 ${MAX_NAME_LENGTH} 個字` };
+    }
+    const library = await getLibrary(owner);
+    if (library.has(key)) {
+        return { success: false, error: `已經有叫 ${name} 的播放清單了` };
+    }
+    if (library.size >= MAX_PLAYLISTS_PER_OWNER) {
+        return { success: false, error: `最多只能有 ${MAX_PLAYLISTS_PER_OWNER} 個播放清單` };
+    }
+
+    const playlist = {
+        owner,
+        key,
+        name: String(name).trim(),
+        tracks: tracks.slice(0, MAX_TRACKS_PER_PLAYLIST),
+        shared: false,
+        createdBy: createdBy || null,
+        createdAt: new Date()
+    };
+    library.set(key, playlist);
+    await savePlaylist(playlist);
+    return { success: true, playlist };
+}
+
+/**
+ * Appends tracks to a playlist; whatever doesn't fit under the track limit is left out.
+ * @returns {Promise<{ success: boolean, playlist?: Object, added?: number, error?: string }>}
+ */
+async function addTracks(owner, name, tracks) {
+    const playlist = await getPlaylist(owner, name);
+    if (!playlist) {
+        return { success: false, error: `找不到叫 ${name} 的播放清單` };
+    }
+    const room = MAX_TRACKS_PER_PLAYLIST - playlist.tracks.length;
+    if (room <= 0) {
+        return { success: false, error: `一個播放清單最多只能有 ${MAX_TRACKS_PER_PLAYLIST} 首歌` };
+    }
+
+    const added = tracks.slice(0, room);
+    playlist.tracks.push(...added);
+    await savePlaylist(playlist);
+    return { success: true, playlist, added: added.length };
+}
+
+/**
+ * Removes the track at a 1-based position.
+ * @returns {Promise<{ success: boolean, track?: Object, error?: string }>}
+ */
+async function removeTrack(owner, name, position) {
+    const playlist = await getPlaylist(owner, name);
+    if (!playlist) {
+        return { success: false, error: `找不到叫 ${name} 的播放清單` };
+    }
+    if (position < 1 || position > playlist.tracks.length) {
+        return { success: false, error: '無效的位置' };
+    }
+
+    const [track] = playlist.tracks.splice(position - 1, 1);
+    await savePlaylist(playlist);
+    return { success: true, track };
+}
+
+/**
+ * Lets other users show and play a user's playlist, or stops it.
+ * @returns {Promise<{ success: boolean, playlist?: Object, error?: string }>}
+ */
+async function setShared(owner, name, shared) {
+    const playlist = await getPlaylist(owner, name);
+    if (!playlist) {
+        return { success: false, error: `找不到叫 ${name} 的播放清單` };
+    }
+    playlist.shared = shared;
+    await savePlaylist(playlist);
+    return { success: true, playlist };
+}
+
+async function deletePlaylist(owner, name) {
+    const library = await getLibrary(owner);
+    const key = toKey(name);
+    if (!library.has(key)) return false;
+    library.delete(key);
+    if (isPersistent()) {
+        await db.deletePlaylist(owner, key);
+    }
+    return true;
+}
+
+module.exports = {
+    MAX_TRACKS_PER_PLAYLIST,
+    getPlaylistOwner,
+    listPlaylists,
+    getPlaylist,
+    getSharedPlaylist,
+    createPlaylist,
+    addTracks,
+    removeTrack,
+    setShared,
+    deletePlaylist
+};
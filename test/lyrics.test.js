@@ -0,0 +1,80 @@
+const path = require('path');
+const { parseLrc, findCurrentLine, getLyrics } = require('../music/lyrics');
+
+describe('parseLrc', () => {
+    test('sorts lines and converts timestamps to milliseconds', () => {
+        expect(parseLrc('[00:02.50]second\n[00:01.00]first\nno timestamp')).toEqual([
+            { time: 1000, text: 'first' },
+            { time: 2500, text: 'second' }
+        ]);
+    });
+
+    test('repeats a line once per timestamp', () => {
+        expect(parseLrc('[00:01.00][00:10.00]chorus\n[00:05.00]verse')).toEqual([
+            { time: 1000, text: 'chorus' },
+            { time: 5000, text: 'verse' },
+            { time: 10000, text: 'chorus' }
+        ]);
+    });
+
+    test('applies the offset tag', () => {
+        expect(parseLrc('[offset:+500]\n[00:02.00]late\n[00:00.20]clamped')).toEqual([
+            { time: 0, text: 'clamped' },
+            { time: 1500, text: 'late' }
+        ]);
+        expect(parseLrc('[offset:-500]\n[00:02.00]early')[0].time).toBe(2500);
+    });
+});
+
+describe('findCurrentLine', () => {
+    const lyrics = { synced: parseLrc('[00:01.00]a\n[00:02.00]b\n[00:03.00]c'), lines: ['a', 'b', 'c'] };
+
+    test('finds the line being sung', () => {
+        expect(findCurrentLine(lyrics, 0)).toBe(-1);
+        expect(findCurrentLine(lyrics, 1000)).toBe(0);
+        expect(findCurrentLine(lyrics, 2999)).toBe(1);
+        expect(findCurrentLine(lyrics, 60000)).toBe(2);
+    });
+
+    test('returns -1 for plain lyrics', () => {
+        expect(findCurrentLine({ synced: null, lines: ['a'] }, 5000)).toBe(-1);
+        expect(findCurrentLine(null, 5000)).toBe(-1);
+    });
+});
+
+describe('getLyrics from LYRICS_DIR', () => {
+    const env = { ...process.env };
+
+    beforeAll(() => {
+        process.env.LYRICS_PROVIDERS = 'file';
+        process.env.LYRICS_DIR = path.join(__dirname, 'fixtures', 'lyrics');
+    });
+
+    afterAll(() => {
+        process.env = env;
+    });
+
+    test('reads synced lyrics matched from a YouTube style title', async () => {
+        const lyrics = await getLyrics({
+            identifier: 'fixture-synced',
+            author: 'Some Channel',
+            title: 'Fixture Artist - Fixture Song (Official Video)',
+            length: 180000
+        });
+        expect(lyrics).toEqual({
+            source: '本機歌詞',
+            synced: [{ time: 1000, text: 'first line' }, { time: 3500, text: 'second line' }],
+            lines: ['first line', 'second line']
+        });
+    });
+
+    test('reads plain lyrics from a .txt file named by title only', async () => {
+        const lyrics = await getLyrics({ identifier: 'fixture-plain', author: 'Anyone', title: 'Plain Song' });
+        expect(lyrics.synced).toBeNull();
+        expect(lyrics.lines).toEqual(['plain line one', 'plain line two']);
+    });
+
+    test('returns null when no file matches', async () => {
+        expect(await getLyrics({ identifier: 'fixture-missing', author: 'Nobody', title: 'Missing Song' })).toBeNull();
+    });
+});